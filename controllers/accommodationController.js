@@ -0,0 +1,113 @@
+// server/controllers/accommodationController.js
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import User from "../models/User.js";
+import Accommodation from "../models/Accommodation.js";
+import { canAccessQuiz } from "../services/quizAccess.js";
+import { normalizeTimeMultiplier } from "../services/attemptTimer.js";
+
+/**
+ * Extra-time accommodations per user (quiz owner and editors; applied when an attempt starts):
+ * - listAccommodations:  GET    /api/quizzes/:id/accommodations
+ * - setAccommodation:    PUT    /api/quizzes/:id/accommodations   { username, timeMultiplier, note }
+ * - removeAccommodation: DELETE /api/quizzes/:id/accommodations/:userId
+ */
+
+const MAX_NOTE_LENGTH = 500;
+
+async function loadQuiz(req, res) {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(404).json({ error: "Quiz not found" });
+    return null;
+  }
+  const quiz = await Quiz.findById(id).select("creator collaborators").lean();
+  if (!quiz) {
+    res.status(404).json({ error: "Quiz not found" });
+    return null;
+  }
+  if (!canAccessQuiz(quiz, req.user.id, "edit")) {
+    res.status(403).json({ error: "Only the quiz owner and editors can manage accommodations" });
+    return null;
+  }
+  return quiz;
+}
+
+function accommodationView(a) {
+  return {
+    userId: a.user,
+    username: a.username,
+    timeMultiplier: a.timeMultiplier,
+    note: a.note,
+    setBy: a.setBy,
+    updatedAt: a.updatedAt
+  };
+}
+
+export async function listAccommodations(req, res) {
+  try {
+    const quiz = await loadQuiz(req, res);
+    if (!quiz) return;
+    const accommodations = await Accommodation.find({ quiz: quiz._id }).sort({ username: 1 }).lean();
+    return res.json({ quizId: quiz._id, accommodations: accommodations.map(accommodationView) });
+  } catch (err) {
+    console.error("listAccommodations error:", err);
+    return res.status(500).json({ error: "Failed to list accommodations" });
+  }
+}
+
+/**
+ * PUT /api/quizzes/:id/accommodations
+ * Body: { username, timeMultiplier (1-5, e.g. 1.5), note }. Replaces the user's current one;
+ * attempts already running keep their time (extend them instead).
+ */
+export async function setAccommodation(req, res) {
+  try {
+    const { username, note } = req.body || {};
+    if (!username || !String(username).trim()) return res.status(400).json({ error: "username is required" });
+    const timeMultiplier = normalizeTimeMultiplier(req.body?.timeMultiplier);
+
+    const quiz = await loadQuiz(req, res);
+    if (!quiz) return;
+
+    const user = await User.findOne({ username: String(username).trim() }).select("username").lean();
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const now = new Date();
+    const accommodation = await Accommodation.findOneAndUpdate(
+      { quiz: quiz._id, user: user._id },
+      {
+        $set: {
+          username: user.username,
+          timeMultiplier,
+          note: String(note ?? "").trim().slice(0, MAX_NOTE_LENGTH),
+          setBy: req.user.id,
+          updatedAt: now
+        },
+        $setOnInsert: { createdAt: now }
+      },
+      { new: true, upsert: true }
+    ).lean();
+    return res.json(accommodationView(accommodation));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("setAccommodation error:", err);
+    return res.status(500).json({ error: "Failed to save accommodation" });
+  }
+}
+
+export async function removeAccommodation(req, res) {
+  try {
+    const quiz = await loadQuiz(req, res);
+    if (!quiz) return;
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) return res.status(404).json({ error: "Accommodation not found" });
+
+    const removed = await Accommodation.findOneAndDelete({ quiz: quiz._id, user: userId });
+    if (!removed) return res.status(404).json({ error: "Accommodation not found" });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("removeAccommodation error:", err);
+    return res.status(500).json({ error: "Failed to remove accommodation" });
+  }
+}
@@ -0,0 +1,302 @@
+// server/controllers/adminController.js
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import User from "../models/User.js";
+import Report from "../models/Report.js";
+import { applyQuizAction, closeReports, resolveReport as resolveReportItem } from "../services/moderation.js";
+import { expiryStatus } from "../services/sessionExpiry.js";
+
+/**
+ * Admin / moderation (auth + admin role, see middlewares/requireAdmin.js):
+ * - listQuizzes:   GET    /api/admin/quizzes?q=&hidden=&public=&limit=&skip=
+ * - hideQuiz:      POST   /api/admin/quizzes/:id/hide       { reason }
+ * - unhideQuiz:    POST   /api/admin/quizzes/:id/unhide
+ * - unpublishQuiz: POST   /api/admin/quizzes/:id/unpublish
+ * - deleteQuiz:    DELETE /api/admin/quizzes/:id
+ * - listUsers:     GET    /api/admin/users?q=&suspended=&limit=&skip=
+ * - suspendUser:   POST   /api/admin/users/:id/suspend      { reason }
+ * - unsuspendUser: POST   /api/admin/users/:id/unsuspend
+ * - setUserRole:   PUT    /api/admin/users/:id/role         { role: "user" | "admin" }
+ * - listReports:   GET    /api/admin/reports?status=open|resolved|dismissed
+ * - resolveReport: POST   /api/admin/reports/:reportId/resolve { action: dismiss|hide|unpublish|delete, note }
+ * - expiryWorkerStatus: GET /api/admin/jobs/session-expiry
+ */
+
+const MAX_PAGE_SIZE = 200;
+
+function paging(query) {
+  return {
+    limit: Math.min(Math.max(1, Number(query.limit) || 50), MAX_PAGE_SIZE),
+    skip: Math.max(0, Number(query.skip) || 0)
+  };
+}
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function publicUser(u) {
+  return {
+    _id: u._id,
+    username: u.username,
+    email: u.email,
+    role: u.role || "user",
+    points: u.points,
+    suspendedAt: u.suspendedAt || null,
+    suspendedReason: u.suspendedReason || "",
+    createdAt: u.createdAt
+  };
+}
+
+export async function listQuizzes(req, res) {
+  try {
+    const { q, hidden, public: isPublic } = req.query;
+    const { limit, skip } = paging(req.query);
+    const filter = {};
+    if (hidden === "true") filter.hidden = true;
+    else if (hidden === "false") filter.hidden = { $ne: true };
+    if (isPublic === "true") filter.isPublic = true;
+    else if (isPublic === "false") filter.isPublic = false;
+    if (q && String(q).trim()) filter.$text = { $search: String(q).trim() };
+
+    const [total, quizzes] = await Promise.all([
+      Quiz.countDocuments(filter),
+      Quiz.find(filter)
+        .select("title topic creator isPublic hidden hiddenAt hiddenReason shareCode createdAt updatedAt")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("creator", "username email")
+        .lean()
+    ]);
+
+    const counts = await Report.aggregate([
+      { $match: { quiz: { $in: quizzes.map((qz) => qz._id) }, status: "open" } },
+      { $group: { _id: "$quiz", count: { $sum: 1 } } }
+    ]);
+    const openReports = {};
+    counts.forEach((c) => { openReports[String(c._id)] = c.count; });
+
+    return res.json({
+      total,
+      quizzes: quizzes.map((qz) => ({ ...qz, hidden: !!qz.hidden, openReports: openReports[String(qz._id)] || 0 }))
+    });
+  } catch (err) {
+    console.error("admin listQuizzes error:", err);
+    return res.status(500).json({ error: "Failed to list quizzes" });
+  }
+}
+
+/** Shared body of the quiz action endpoints; acting on a quiz also closes its open reports. */
+async function runQuizAction(req, res, action) {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: "Quiz not found" });
+
+  const reason = String(req.body?.reason || "").trim();
+  const quiz = await applyQuizAction(id, action, { reason });
+  const reportsClosed = action === "unhide"
+    ? 0
+    : await closeReports(id, { action, note: reason, adminId: req.user.id });
+
+  if (!quiz) return res.json({ ok: true, deleted: true, reportsClosed });
+  return res.json({
+    ok: true,
+    quiz: {
+      _id: quiz._id,
+      title: quiz.title,
+      isPublic: quiz.isPublic,
+      hidden: quiz.hidden,
+      hiddenAt: quiz.hiddenAt,
+      hiddenReason: quiz.hiddenReason
+    },
+    reportsClosed
+  });
+}
+
+export async function hideQuiz(req, res) {
+  try {
+    return await runQuizAction(req, res, "hide");
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("admin hideQuiz error:", err);
+    return res.status(500).json({ error: "Failed to hide quiz" });
+  }
+}
+
+export async function unhideQuiz(req, res) {
+  try {
+    return await runQuizAction(req, res, "unhide");
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("admin unhideQuiz error:", err);
+    return res.status(500).json({ error: "Failed to unhide quiz" });
+  }
+}
+
+export async function unpublishQuiz(req, res) {
+  try {
+    return await runQuizAction(req, res, "unpublish");
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("admin unpublishQuiz error:", err);
+    return res.status(500).json({ error: "Failed to unpublish quiz" });
+  }
+}
+
+export async function deleteQuiz(req, res) {
+  try {
+    return await runQuizAction(req, res, "delete");
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("admin deleteQuiz error:", err);
+    return res.status(500).json({ error: "Failed to delete quiz" });
+  }
+}
+
+export async function listUsers(req, res) {
+  try {
+    const { q, suspended } = req.query;
+    const { limit, skip } = paging(req.query);
+    const filter = {};
+    if (suspended === "true") filter.suspendedAt = { $ne: null };
+    else if (suspended === "false") filter.suspendedAt = null;
+    if (q && String(q).trim()) {
+      const re = new RegExp(escapeRegex(String(q).trim()), "i");
+      filter.$or = [{ username: re }, { email: re }];
+    }
+
+    const [total, users] = await Promise.all([
+      User.countDocuments(filter),
+      User.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean()
+    ]);
+    return res.json({ total, users: users.map(publicUser) });
+  } catch (err) {
+    console.error("admin listUsers error:", err);
+    return res.status(500).json({ error: "Failed to list users" });
+  }
+}
+
+async function loadTargetUser(req, res) {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(404).json({ error: "User not found" });
+    return null;
+  }
+  if (String(id) === String(req.user.id)) {
+    res.status(400).json({ error: "You cannot change your own account here" });
+    return null;
+  }
+  const user = await User.findById(id);
+  if (!user) {
+    res.status(404).json({ error: "User not found" });
+    return null;
+  }
+  return user;
+}
+
+export async function suspendUser(req, res) {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+    if (user.role === "admin") return res.status(400).json({ error: "Remove the admin role before suspending" });
+
+    user.suspendedAt = user.suspendedAt || new Date();
+    user.suspendedReason = String(req.body?.reason || "").trim();
+    await user.save();
+    return res.json(publicUser(user));
+  } catch (err) {
+    console.error("admin suspendUser error:", err);
+    return res.status(500).json({ error: "Failed to suspend user" });
+  }
+}
+
+export async function unsuspendUser(req, res) {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    user.suspendedAt = null;
+    user.suspendedReason = "";
+    await user.save();
+    return res.json(publicUser(user));
+  } catch (err) {
+    console.error("admin unsuspendUser error:", err);
+    return res.status(500).json({ error: "Failed to unsuspend user" });
+  }
+}
+
+export async function setUserRole(req, res) {
+  try {
+    const { role } = req.body || {};
+    if (!["user", "admin"].includes(role)) return res.status(400).json({ error: "role must be user or admin" });
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+    if (role === "admin" && user.suspendedAt) return res.status(400).json({ error: "Unsuspend the user first" });
+
+    user.role = role;
+    await user.save();
+    return res.json(publicUser(user));
+  } catch (err) {
+    console.error("admin setUserRole error:", err);
+    return res.status(500).json({ error: "Failed to change role" });
+  }
+}
+
+/**
+ * GET /api/admin/reports?status=open
+ * Moderation queue, oldest first, with the quiz and reporter attached.
+ */
+export async function listReports(req, res) {
+  try {
+    const status = req.query.status || "open";
+    if (!["open", "resolved", "dismissed"].includes(status)) {
+      return res.status(400).json({ error: "status must be open, resolved or dismissed" });
+    }
+    const { limit, skip } = paging(req.query);
+    const filter = { status };
+    if (req.query.quizId) {
+      if (!mongoose.isValidObjectId(req.query.quizId)) return res.status(404).json({ error: "Quiz not found" });
+      filter.quiz = req.query.quizId;
+    }
+
+    const [total, reports] = await Promise.all([
+      Report.countDocuments(filter),
+      Report.find(filter)
+        .sort({ createdAt: status === "open" ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("quiz", "title isPublic hidden creator")
+        .populate("reporter", "username")
+        .lean()
+    ]);
+    return res.json({ total, reports });
+  } catch (err) {
+    console.error("admin listReports error:", err);
+    return res.status(500).json({ error: "Failed to list reports" });
+  }
+}
+
+export async function resolveReport(req, res) {
+  try {
+    const { reportId } = req.params;
+    if (!mongoose.isValidObjectId(reportId)) return res.status(404).json({ error: "Report not found" });
+
+    const { action, note } = req.body || {};
+    const result = await resolveReportItem({ reportId, action, note, adminId: req.user.id });
+    return res.json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("admin resolveReport error:", err);
+    return res.status(500).json({ error: "Failed to resolve report" });
+  }
+}
+
+export async function expiryWorkerStatus(req, res) {
+  try {
+    return res.json(await expiryStatus());
+  } catch (err) {
+    console.error("admin expiryWorkerStatus error:", err);
+    return res.status(500).json({ error: "Failed to fetch expiry worker status" });
+  }
+}
@@ -0,0 +1,76 @@
+// server/controllers/analyticsController.js
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import QuizSession from "../models/QuizSession.js";
+import { ATTEMPT_STATUSES } from "../services/attemptPolicy.js";
+import { timingAnalytics, itemAnalysis } from "../services/analytics.js";
+import { canAccessQuiz } from "../services/quizAccess.js";
+
+/**
+ * Quiz analytics (quiz owner and collaborators):
+ * - getTimingAnalytics: GET /api/quizzes/:id/analytics/timing
+ * - getItemAnalysis:    GET /api/quizzes/:id/analytics/items
+ */
+
+/** Load the quiz and make sure the caller may view it. Sends the error response itself. */
+async function loadOwnedQuiz(req, res) {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(404).json({ error: "Quiz not found" });
+    return null;
+  }
+  const quiz = await Quiz.findById(id).lean();
+  if (!quiz) {
+    res.status(404).json({ error: "Quiz not found" });
+    return null;
+  }
+  if (!canAccessQuiz(quiz, req.user.id, "view")) {
+    res.status(403).json({ error: "Only the quiz owner and collaborators can view analytics" });
+    return null;
+  }
+  return quiz;
+}
+
+/** Graded, non-practice attempts (live games left out) with the fields analytics need. */
+function gradedSessions(quiz) {
+  return QuizSession.find({ quiz: quiz._id, status: { $in: ATTEMPT_STATUSES }, isPractice: { $ne: true }, live: null })
+    .select("questions answers score maxScore")
+    .lean();
+}
+
+/**
+ * GET /api/quizzes/:id/analytics/timing
+ * Median time per question (overall, correct, incorrect), correct rate per time quartile and
+ * a confusing/hard flag per question. Only answers with captured timing count for time stats.
+ */
+export async function getTimingAnalytics(req, res) {
+  try {
+    const quiz = await loadOwnedQuiz(req, res);
+    if (!quiz) return;
+
+    const sessions = await gradedSessions(quiz);
+    return res.json({ quizId: quiz._id, title: quiz.title, sessions: sessions.length, ...timingAnalytics(quiz, sessions) });
+  } catch (err) {
+    console.error("getTimingAnalytics error:", err);
+    return res.status(500).json({ error: "Failed to load timing analytics" });
+  }
+}
+
+/**
+ * GET /api/quizzes/:id/analytics/items
+ * Per question: facility index, discrimination index (top vs bottom 27%), mcq distractor picks,
+ * blank rate and flags (too-easy, too-hard, negative/low-discrimination, weak-distractor).
+ * Quiz level: KR-20 reliability. Facility, discrimination and KR-20 are null for adaptive quizzes.
+ */
+export async function getItemAnalysis(req, res) {
+  try {
+    const quiz = await loadOwnedQuiz(req, res);
+    if (!quiz) return;
+
+    const report = await itemAnalysis(quiz);
+    return res.json({ quizId: quiz._id, title: quiz.title, ...report });
+  } catch (err) {
+    console.error("getItemAnalysis error:", err);
+    return res.status(500).json({ error: "Failed to build item analysis" });
+  }
+}
@@ -0,0 +1,138 @@
+// server/controllers/attemptTimerController.js
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import QuizSession from "../models/QuizSession.js";
+import { canAccessQuiz } from "../services/quizAccess.js";
+import { expireSession } from "../services/sessionExpiry.js";
+import {
+  HEARTBEAT_INTERVAL_SECONDS,
+  timerView,
+  isOutOfTime,
+  recordHeartbeat,
+  pauseAttempt,
+  resumeAttempt,
+  extendAttempt
+} from "../services/attemptTimer.js";
+
+/**
+ * Attempt timer (see services/attemptTimer.js):
+ * - heartbeat:     POST /api/sessions/:sessionId/heartbeat { event?: "connect" | "disconnect" } (taker)
+ * - pauseSession:  POST /api/sessions/:sessionId/pause     { reason }            (quiz editors)
+ * - resumeSession: POST /api/sessions/:sessionId/resume    { reason }            (quiz editors)
+ * - extendSession: POST /api/sessions/:sessionId/extend    { seconds | minutes, reason } (quiz editors)
+ */
+
+async function loadSession(req, res) {
+  const { sessionId } = req.params;
+  if (!mongoose.isValidObjectId(sessionId)) {
+    res.status(404).json({ error: "Session not found" });
+    return null;
+  }
+  const session = await QuizSession.findById(sessionId);
+  if (!session) {
+    res.status(404).json({ error: "Session not found" });
+    return null;
+  }
+  return session;
+}
+
+/** The session, if the caller may change its timer (edit rights on the quiz). */
+async function loadManagedSession(req, res) {
+  const session = await loadSession(req, res);
+  if (!session) return null;
+  const quiz = await Quiz.findById(session.quiz).select("creator collaborators").lean();
+  if (!quiz || !canAccessQuiz(quiz, req.user.id, "edit")) {
+    res.status(403).json({ error: "Only the quiz owner and editors can change attempt time" });
+    return null;
+  }
+  return session;
+}
+
+function timerResponse(session, now = new Date()) {
+  return {
+    sessionId: session._id,
+    status: session.status,
+    ...timerView(session, now),
+    extensions: session.extensions || []
+  };
+}
+
+/**
+ * POST /api/sessions/:sessionId/heartbeat
+ * The client calls this every heartbeatIntervalSeconds and shows the remaining time it returns.
+ * An attempt whose time is up is finished here rather than waiting for the expiry worker.
+ */
+export async function heartbeat(req, res) {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+    if (String(session.user) !== String(req.user.id)) {
+      return res.status(403).json({ error: "This session does not belong to you" });
+    }
+
+    const now = new Date();
+    if (session.status !== "in-progress") {
+      return res.json({ sessionId: session._id, status: session.status, serverTime: now, remainingSeconds: 0 });
+    }
+    if (isOutOfTime(session, now)) {
+      const expired = await expireSession(session, now);
+      return res.json({ sessionId: session._id, status: expired?.status || "timed-out", serverTime: now, remainingSeconds: 0 });
+    }
+
+    const updated = await recordHeartbeat(session, req.body?.event, now);
+    return res.json({
+      sessionId: updated._id,
+      status: updated.status,
+      ...timerView(updated, now),
+      heartbeatIntervalSeconds: HEARTBEAT_INTERVAL_SECONDS
+    });
+  } catch (err) {
+    console.error("heartbeat error:", err);
+    return res.status(500).json({ error: "Failed to record heartbeat" });
+  }
+}
+
+export async function pauseSession(req, res) {
+  try {
+    const session = await loadManagedSession(req, res);
+    if (!session) return;
+    const updated = await pauseAttempt(session, req.user, req.body?.reason);
+    return res.json(timerResponse(updated));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("pauseSession error:", err);
+    return res.status(500).json({ error: "Failed to pause attempt" });
+  }
+}
+
+export async function resumeSession(req, res) {
+  try {
+    const session = await loadManagedSession(req, res);
+    if (!session) return;
+    const updated = await resumeAttempt(session, req.user, req.body?.reason);
+    return res.json(timerResponse(updated));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("resumeSession error:", err);
+    return res.status(500).json({ error: "Failed to resume attempt" });
+  }
+}
+
+/**
+ * POST /api/sessions/:sessionId/extend
+ * Body: { seconds } or { minutes }, plus an optional reason kept in the audit log.
+ */
+export async function extendSession(req, res) {
+  try {
+    const session = await loadManagedSession(req, res);
+    if (!session) return;
+    const { seconds, minutes, reason } = req.body || {};
+    const extra = seconds !== undefined ? Number(seconds) : Number(minutes) * 60;
+    const updated = await extendAttempt(session, req.user, extra, reason);
+    return res.json(timerResponse(updated));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("extendSession error:", err);
+    return res.status(500).json({ error: "Failed to extend attempt" });
+  }
+}
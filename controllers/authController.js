@@ -47,7 +47,7 @@ export async function register(req, res) {
     const token = signToken(user);
     return res.status(201).json({
       token,
-      user: { id: user._id, username: user.username, email: user.email, points: user.points },
+      user: { id: user._id, username: user.username, email: user.email, points: user.points, role: user.role },
     });
   } catch (err) {
     console.error("register error:", err);
@@ -65,11 +65,12 @@ export async function login(req, res) {
 
     const ok = await bcrypt.compare(password, user.passwordHash);
     if (!ok) return res.status(401).json({ error: "Invalid credentials" });
+    if (user.suspendedAt) return res.status(403).json({ error: "Your account has been suspended" });
 
     const token = signToken(user);
     return res.json({
       token,
-      user: { id: user._id, username: user.username, email: user.email, points: user.points },
+      user: { id: user._id, username: user.username, email: user.email, points: user.points, role: user.role },
     });
   } catch (err) {
     console.error("login error:", err);
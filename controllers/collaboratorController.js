@@ -0,0 +1,113 @@
+// server/controllers/collaboratorController.js
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import User from "../models/User.js";
+import { COLLABORATOR_ROLES, quizRole, canAccessQuiz } from "../services/quizAccess.js";
+
+/**
+ * Quiz collaborators (roles: editor, grader, viewer — see services/quizAccess.js):
+ * - listCollaborators:  GET    /api/quizzes/:id/collaborators          (owner or any collaborator)
+ * - addCollaborator:    POST   /api/quizzes/:id/collaborators          { username, role } (owner)
+ * - removeCollaborator: DELETE /api/quizzes/:id/collaborators/:userId  (owner, or a collaborator leaving)
+ */
+
+async function loadQuiz(req, res) {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(404).json({ error: "Quiz not found" });
+    return null;
+  }
+  const quiz = await Quiz.findById(id).populate("creator", "username");
+  if (!quiz) {
+    res.status(404).json({ error: "Quiz not found" });
+    return null;
+  }
+  return quiz;
+}
+
+function collaboratorsView(quiz) {
+  return {
+    quizId: quiz._id,
+    owner: { userId: quiz.creator._id, username: quiz.creator.username },
+    collaborators: (quiz.collaborators || []).map((c) => ({
+      userId: c.user,
+      username: c.username,
+      role: c.role,
+      addedAt: c.addedAt
+    }))
+  };
+}
+
+export async function listCollaborators(req, res) {
+  try {
+    const quiz = await loadQuiz(req, res);
+    if (!quiz) return;
+    if (!quizRole(quiz, req.user.id)) return res.status(403).json({ error: "Not allowed" });
+    return res.json(collaboratorsView(quiz));
+  } catch (err) {
+    console.error("listCollaborators error:", err);
+    return res.status(500).json({ error: "Failed to list collaborators" });
+  }
+}
+
+/**
+ * POST /api/quizzes/:id/collaborators
+ * Body: { username, role }. Adding someone who is already a collaborator changes their role.
+ */
+export async function addCollaborator(req, res) {
+  try {
+    const { username, role } = req.body || {};
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${COLLABORATOR_ROLES.join(", ")}` });
+    }
+    if (!username || !String(username).trim()) return res.status(400).json({ error: "username is required" });
+
+    const quiz = await loadQuiz(req, res);
+    if (!quiz) return;
+    if (!canAccessQuiz(quiz, req.user.id, "manage")) {
+      return res.status(403).json({ error: "Only the quiz owner can manage collaborators" });
+    }
+
+    const user = await User.findOne({ username: String(username).trim() }).select("username").lean();
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (String(user._id) === String(quiz.creator._id)) {
+      return res.status(400).json({ error: "The owner cannot be added as a collaborator" });
+    }
+
+    const existing = quiz.collaborators.find((c) => String(c.user) === String(user._id));
+    if (existing) {
+      existing.role = role;
+    } else {
+      quiz.collaborators.push({ user: user._id, username: user.username, role, addedAt: new Date() });
+    }
+    quiz.updatedAt = new Date();
+    await quiz.save();
+    return res.status(existing ? 200 : 201).json(collaboratorsView(quiz));
+  } catch (err) {
+    console.error("addCollaborator error:", err);
+    return res.status(500).json({ error: "Failed to add collaborator" });
+  }
+}
+
+export async function removeCollaborator(req, res) {
+  try {
+    const quiz = await loadQuiz(req, res);
+    if (!quiz) return;
+
+    const { userId } = req.params;
+    const leaving = String(userId) === String(req.user.id);
+    if (!leaving && !canAccessQuiz(quiz, req.user.id, "manage")) {
+      return res.status(403).json({ error: "Only the quiz owner can manage collaborators" });
+    }
+
+    const before = quiz.collaborators.length;
+    quiz.collaborators = quiz.collaborators.filter((c) => String(c.user) !== String(userId));
+    if (quiz.collaborators.length === before) return res.status(404).json({ error: "Collaborator not found" });
+    quiz.updatedAt = new Date();
+    await quiz.save();
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("removeCollaborator error:", err);
+    return res.status(500).json({ error: "Failed to remove collaborator" });
+  }
+}
@@ -0,0 +1,355 @@
+// server/controllers/groupController.js
+import mongoose from "mongoose";
+import Group from "../models/Group.js";
+import Quiz from "../models/Quiz.js";
+import User from "../models/User.js";
+import {
+  makeJoinCode,
+  normalizeJoinCode,
+  normalizeAssignmentDates,
+  isMember,
+  assignmentRoster
+} from "../services/groups.js";
+import { canAccessQuiz } from "../services/quizAccess.js";
+
+/**
+ * Classes / groups:
+ * - listGroups:       GET    /api/groups                      (groups I teach and groups I joined)
+ * - createGroup:      POST   /api/groups                      { name, description }
+ * - joinGroup:        POST   /api/groups/join                 { code }
+ * - getGroup:         GET    /api/groups/:groupId             (owner or member)
+ * - updateGroup:      PUT    /api/groups/:groupId             (owner)
+ * - deleteGroup:      DELETE /api/groups/:groupId             (owner)
+ * - resetJoinCode:    POST   /api/groups/:groupId/join-code   { disabled? } (owner)
+ * - addMembers:       POST   /api/groups/:groupId/members     { usernames: [...] } (owner)
+ * - removeMember:     DELETE /api/groups/:groupId/members/:userId (owner, or a member leaving)
+ * - assignQuiz:       POST   /api/groups/:groupId/assignments { quizId, openAt, closeAt, dueAt } (owner)
+ * - unassignQuiz:     DELETE /api/groups/:groupId/assignments/:quizId (owner)
+ * - getRoster:        GET    /api/groups/:groupId/assignments/:quizId/roster (owner)
+ */
+
+const MAX_MEMBERS_PER_REQUEST = 200;
+
+async function loadGroup(req, res) {
+  const { groupId } = req.params;
+  if (!mongoose.isValidObjectId(groupId)) {
+    res.status(404).json({ error: "Group not found" });
+    return null;
+  }
+  const group = await Group.findById(groupId);
+  if (!group) {
+    res.status(404).json({ error: "Group not found" });
+    return null;
+  }
+  return group;
+}
+
+async function loadOwnedGroup(req, res) {
+  const group = await loadGroup(req, res);
+  if (!group) return null;
+  if (String(group.owner) !== String(req.user.id)) {
+    res.status(403).json({ error: "Only the group owner can do this" });
+    return null;
+  }
+  return group;
+}
+
+/** Assignments with quiz titles attached. */
+async function withQuizTitles(assignments) {
+  const quizzes = await Quiz.find({ _id: { $in: assignments.map((a) => a.quiz) } }).select("title").lean();
+  const titles = {};
+  quizzes.forEach((q) => { titles[String(q._id)] = q.title; });
+  return assignments.map((a) => ({ ...a, quizTitle: titles[String(a.quiz)] ?? null }));
+}
+
+/** What a member sees: no join code, no roster. */
+function memberView(group) {
+  const { joinCode, members, ...rest } = group;
+  return { ...rest, membersCount: (members || []).length, role: "member" };
+}
+
+function ownerView(group) {
+  return { ...group, membersCount: (group.members || []).length, role: "owner" };
+}
+
+export async function listGroups(req, res) {
+  try {
+    const userId = req.user.id;
+    const groups = await Group.find({ $or: [{ owner: userId }, { "members.user": userId }] })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const out = [];
+    for (const g of groups) {
+      const view = String(g.owner) === String(userId) ? ownerView(g) : memberView(g);
+      out.push({ ...view, assignments: await withQuizTitles(g.assignments || []) });
+    }
+    return res.json({ groups: out });
+  } catch (err) {
+    console.error("listGroups error:", err);
+    return res.status(500).json({ error: "Failed to list groups" });
+  }
+}
+
+export async function createGroup(req, res) {
+  try {
+    const { name, description } = req.body;
+    if (!name || !String(name).trim()) return res.status(400).json({ error: "name is required" });
+
+    const group = new Group({
+      name: String(name).trim(),
+      description: description || "",
+      owner: req.user.id,
+      joinCode: makeJoinCode()
+    });
+    await group.save();
+    return res.status(201).json(ownerView(group.toObject()));
+  } catch (err) {
+    console.error("createGroup error:", err);
+    return res.status(500).json({ error: "Failed to create group" });
+  }
+}
+
+export async function getGroup(req, res) {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const userId = req.user.id;
+    const plain = group.toObject();
+    const assignments = await withQuizTitles(plain.assignments || []);
+    if (String(group.owner) === String(userId)) return res.json({ ...ownerView(plain), assignments });
+    if (isMember(group, userId)) return res.json({ ...memberView(plain), assignments });
+    return res.status(403).json({ error: "You are not a member of this group" });
+  } catch (err) {
+    console.error("getGroup error:", err);
+    return res.status(500).json({ error: "Failed to fetch group" });
+  }
+}
+
+export async function updateGroup(req, res) {
+  try {
+    const group = await loadOwnedGroup(req, res);
+    if (!group) return;
+
+    if (req.body.name !== undefined) group.name = String(req.body.name).trim() || group.name;
+    if (req.body.description !== undefined) group.description = req.body.description;
+    group.updatedAt = new Date();
+    await group.save();
+    return res.json(ownerView(group.toObject()));
+  } catch (err) {
+    console.error("updateGroup error:", err);
+    return res.status(500).json({ error: "Failed to update group" });
+  }
+}
+
+export async function deleteGroup(req, res) {
+  try {
+    const group = await loadOwnedGroup(req, res);
+    if (!group) return;
+
+    await group.deleteOne();
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("deleteGroup error:", err);
+    return res.status(500).json({ error: "Failed to delete group" });
+  }
+}
+
+/**
+ * POST /api/groups/:groupId/join-code
+ * Issues a new join code (the old one stops working). { disabled: true } turns joining by code off.
+ */
+export async function resetJoinCode(req, res) {
+  try {
+    const group = await loadOwnedGroup(req, res);
+    if (!group) return;
+
+    group.joinCode = req.body?.disabled === true ? null : makeJoinCode();
+    group.updatedAt = new Date();
+    await group.save();
+    return res.json({ joinCode: group.joinCode });
+  } catch (err) {
+    console.error("resetJoinCode error:", err);
+    return res.status(500).json({ error: "Failed to reset join code" });
+  }
+}
+
+/**
+ * POST /api/groups/join
+ * Body: { code }. Joining twice is a no-op.
+ */
+export async function joinGroup(req, res) {
+  try {
+    const code = normalizeJoinCode(req.body?.code);
+    if (!code) return res.status(400).json({ error: "code is required" });
+
+    const userId = req.user.id;
+    const group = await Group.findOne({ joinCode: code }).select("owner members.user").lean();
+    if (!group) return res.status(404).json({ error: "Invalid join code" });
+    if (String(group.owner) === String(userId)) return res.status(400).json({ error: "You own this group" });
+
+    const username = req.user.username || req.user.email || "user";
+    // conditional push so concurrent joins cannot add the same user twice
+    await Group.updateOne(
+      { _id: group._id, "members.user": { $ne: userId } },
+      { $push: { members: { user: userId, username, joinedAt: new Date() } } }
+    );
+
+    const joined = await Group.findById(group._id).lean();
+    return res.json({ ...memberView(joined), assignments: await withQuizTitles(joined.assignments || []) });
+  } catch (err) {
+    console.error("joinGroup error:", err);
+    return res.status(500).json({ error: "Failed to join group" });
+  }
+}
+
+/**
+ * POST /api/groups/:groupId/members
+ * Body: { usernames: [...] }. Adds existing users directly; unknown usernames are reported back.
+ */
+export async function addMembers(req, res) {
+  try {
+    const group = await loadOwnedGroup(req, res);
+    if (!group) return;
+
+    const raw = Array.isArray(req.body?.usernames) ? req.body.usernames : [req.body?.username];
+    const usernames = [...new Set(raw.map((u) => String(u ?? "").trim()).filter(Boolean))];
+    if (usernames.length === 0) return res.status(400).json({ error: "usernames is required" });
+    if (usernames.length > MAX_MEMBERS_PER_REQUEST) {
+      return res.status(400).json({ error: `At most ${MAX_MEMBERS_PER_REQUEST} usernames per request` });
+    }
+
+    const users = await User.find({ username: { $in: usernames } }).select("username").lean();
+    const found = new Set(users.map((u) => u.username));
+    const candidates = users.filter((u) => String(u._id) !== String(group.owner));
+    const now = new Date();
+
+    const added = [];
+    for (const u of candidates) {
+      const result = await Group.updateOne(
+        { _id: group._id, "members.user": { $ne: u._id } },
+        { $push: { members: { user: u._id, username: u.username, joinedAt: now } } }
+      );
+      if (result.modifiedCount > 0) added.push(u.username);
+    }
+    if (added.length > 0) await Group.updateOne({ _id: group._id }, { $set: { updatedAt: now } });
+
+    return res.json({
+      added,
+      alreadyMembers: candidates.map((u) => u.username).filter((u) => !added.includes(u)),
+      notFound: usernames.filter((u) => !found.has(u))
+    });
+  } catch (err) {
+    console.error("addMembers error:", err);
+    return res.status(500).json({ error: "Failed to add members" });
+  }
+}
+
+export async function removeMember(req, res) {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const { userId } = req.params;
+    const isOwner = String(group.owner) === String(req.user.id);
+    if (!isOwner && String(userId) !== String(req.user.id)) {
+      return res.status(403).json({ error: "Only the group owner can remove other members" });
+    }
+    if (!mongoose.isValidObjectId(userId)) return res.status(404).json({ error: "Member not found" });
+
+    const result = await Group.updateOne(
+      { _id: group._id, "members.user": userId },
+      { $pull: { members: { user: userId } }, $set: { updatedAt: new Date() } }
+    );
+    if (result.modifiedCount === 0) return res.status(404).json({ error: "Member not found" });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("removeMember error:", err);
+    return res.status(500).json({ error: "Failed to remove member" });
+  }
+}
+
+/**
+ * POST /api/groups/:groupId/assignments
+ * Body: { quizId, openAt, closeAt, dueAt }. Assigning the same quiz again replaces its dates.
+ * Only quizzes the group owner can edit (own quizzes or as an editor) can be assigned.
+ */
+export async function assignQuiz(req, res) {
+  try {
+    const group = await loadOwnedGroup(req, res);
+    if (!group) return;
+
+    const { quizId } = req.body || {};
+    if (!mongoose.isValidObjectId(quizId)) return res.status(400).json({ error: "quizId is required" });
+    const quiz = await Quiz.findById(quizId).select("creator collaborators title").lean();
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+    if (!canAccessQuiz(quiz, req.user.id, "edit")) {
+      return res.status(403).json({ error: "You can only assign quizzes you can edit" });
+    }
+
+    const dates = normalizeAssignmentDates(req.body);
+    const existing = group.assignments.find((a) => String(a.quiz) === String(quiz._id));
+    if (existing) {
+      Object.assign(existing, dates);
+    } else {
+      group.assignments.push({ quiz: quiz._id, ...dates, assignedAt: new Date() });
+    }
+    group.updatedAt = new Date();
+    await group.save();
+
+    const assignment = group.assignments.find((a) => String(a.quiz) === String(quiz._id)).toObject();
+    return res.status(existing ? 200 : 201).json({ ...assignment, quizTitle: quiz.title });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("assignQuiz error:", err);
+    return res.status(500).json({ error: "Failed to assign quiz" });
+  }
+}
+
+export async function unassignQuiz(req, res) {
+  try {
+    const group = await loadOwnedGroup(req, res);
+    if (!group) return;
+
+    const before = group.assignments.length;
+    group.assignments = group.assignments.filter((a) => String(a.quiz) !== String(req.params.quizId));
+    if (group.assignments.length === before) return res.status(404).json({ error: "Assignment not found" });
+    group.updatedAt = new Date();
+    await group.save();
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("unassignQuiz error:", err);
+    return res.status(500).json({ error: "Failed to remove assignment" });
+  }
+}
+
+/**
+ * GET /api/groups/:groupId/assignments/:quizId/roster
+ * Every member with not-started / in-progress / abandoned / finished status, attempts, counted
+ * score and a late flag (first submission after dueAt), plus totals.
+ */
+export async function getRoster(req, res) {
+  try {
+    const group = await loadOwnedGroup(req, res);
+    if (!group) return;
+
+    const assignment = group.assignments.find((a) => String(a.quiz) === String(req.params.quizId));
+    if (!assignment) return res.status(404).json({ error: "Assignment not found" });
+
+    const quiz = await Quiz.findById(assignment.quiz).select("title settings.scoringPolicy").lean();
+    const roster = await assignmentRoster(group.toObject(), assignment.toObject(), quiz);
+    return res.json({
+      groupId: group._id,
+      quizId: assignment.quiz,
+      quizTitle: quiz?.title ?? null,
+      openAt: assignment.openAt,
+      closeAt: assignment.closeAt,
+      dueAt: assignment.dueAt,
+      ...roster
+    });
+  } catch (err) {
+    console.error("getRoster error:", err);
+    return res.status(500).json({ error: "Failed to load roster" });
+  }
+}
@@ -0,0 +1,79 @@
+// server/controllers/integrityController.js
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import QuizSession from "../models/QuizSession.js";
+import { SUBMITTED_STATUSES } from "../services/attemptPolicy.js";
+import { canAccessQuiz } from "../services/quizAccess.js";
+import { MAX_EVENTS_PER_SESSION, normalizeIntegrityEvents, integrityReport } from "../services/integrity.js";
+
+/**
+ * Attempt integrity (see services/integrity.js):
+ * - reportIntegrityEvents: POST /api/sessions/:sessionId/integrity  { events: [{ type, at, qid?, detail? }] } (taker)
+ * - getIntegrityReport:    GET  /api/quizzes/:id/analytics/integrity?limit=  (owner and graders)
+ */
+
+const MAX_REPORT_ATTEMPTS = 500;
+
+/**
+ * POST /api/sessions/:sessionId/integrity
+ * Only while the attempt is in progress; the oldest events are dropped past MAX_EVENTS_PER_SESSION.
+ */
+export async function reportIntegrityEvents(req, res) {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.isValidObjectId(sessionId)) return res.status(404).json({ error: "Session not found" });
+
+    const session = await QuizSession.findById(sessionId).select("user status startedAt");
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    if (String(session.user) !== String(req.user.id)) {
+      return res.status(403).json({ error: "This session does not belong to you" });
+    }
+    if (session.status !== "in-progress") return res.status(409).json({ error: "Session is not in-progress" });
+
+    const events = normalizeIntegrityEvents(req.body?.events, session);
+    const updated = await QuizSession.findOneAndUpdate(
+      { _id: sessionId, status: "in-progress" },
+      { $push: { integrityEvents: { $each: events, $slice: -MAX_EVENTS_PER_SESSION } } },
+      { new: true }
+    ).select("integrityEvents");
+    if (!updated) return res.status(409).json({ error: "Session no longer in-progress" });
+
+    return res.json({ ok: true, recorded: events.length, total: updated.integrityEvents.length });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("reportIntegrityEvents error:", err);
+    return res.status(500).json({ error: "Failed to record integrity events" });
+  }
+}
+
+/**
+ * GET /api/quizzes/:id/analytics/integrity
+ * Flagged submitted attempts, most suspicious first, each with its flags and event timeline.
+ */
+export async function getIntegrityReport(req, res) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: "Quiz not found" });
+    const quiz = await Quiz.findById(id).select("title creator collaborators").lean();
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+    if (!canAccessQuiz(quiz, req.user.id, "grade")) {
+      return res.status(403).json({ error: "Only the quiz owner and graders can view the integrity report" });
+    }
+
+    const sessions = await QuizSession.find({
+      quiz: quiz._id,
+      status: { $in: SUBMITTED_STATUSES },
+      isPractice: { $ne: true },
+      live: null
+    })
+      .select("user username status startedAt finishedAt autoSubmitted score maxScore questions.qid questions.type questions.choiceOrder answers clientIp integrityEvents connectionEvents extensions")
+      .lean();
+
+    const { summary, attempts } = integrityReport(sessions);
+    const limit = Math.min(Math.max(1, Number(req.query.limit) || 100), MAX_REPORT_ATTEMPTS);
+    return res.json({ quizId: quiz._id, title: quiz.title, summary, attempts: attempts.slice(0, limit) });
+  } catch (err) {
+    console.error("getIntegrityReport error:", err);
+    return res.status(500).json({ error: "Failed to build integrity report" });
+  }
+}
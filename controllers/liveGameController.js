@@ -0,0 +1,63 @@
+// server/controllers/liveGameController.js
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import { createGame, getGame, gameSummary } from "../services/liveGames.js";
+import { canSeeQuiz } from "../services/moderation.js";
+import { quizRole } from "../services/quizAccess.js";
+import { checkAssignmentAccess } from "../services/groups.js";
+import { availabilityError } from "../services/schedule.js";
+
+/**
+ * Live game controller (REST side; gameplay runs over the /live WebSocket):
+ * - createLiveGame(req): POST /api/live/games   { quizId, questionSeconds }
+ * - getLiveGame(req):    GET  /api/live/games/:pin
+ */
+
+/**
+ * POST /api/live/games
+ * Auth required. The quiz owner and collaborators can host it at any time; anyone can host a
+ * public quiz while it is available (schedule) and unless it is assigned to classes the host is
+ * not (currently) in - hosting reveals the questions.
+ * Returns the PIN players use to join and the WebSocket path.
+ */
+export async function createLiveGame(req, res) {
+  try {
+    const { quizId, questionSeconds } = req.body;
+    if (!mongoose.isValidObjectId(quizId)) return res.status(400).json({ error: "quizId is required" });
+
+    const quiz = await Quiz.findById(quizId);
+    if (!quiz || !canSeeQuiz(quiz, req.user)) return res.status(404).json({ error: "Quiz not found" });
+    const role = quizRole(quiz, req.user.id);
+    if (!quiz.isPublic && !role) {
+      return res.status(403).json({ error: "Not allowed" });
+    }
+    if (!role) {
+      const unavailable = availabilityError(quiz, new Date());
+      if (unavailable) return res.status(400).json({ error: unavailable });
+    }
+    const notAssigned = await checkAssignmentAccess(quiz, req.user.id, new Date());
+    if (notAssigned) return res.status(notAssigned.status).json({ error: notAssigned.error });
+
+    const game = await createGame({ quiz, hostId: req.user.id, questionSeconds });
+    return res.status(201).json({ ...gameSummary(game), gameId: game.id, wsPath: "/live" });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("createLiveGame error:", err);
+    return res.status(500).json({ error: "Failed to create live game" });
+  }
+}
+
+/**
+ * GET /api/live/games/:pin
+ * Public. Lets a player check a PIN before choosing a nickname.
+ */
+export async function getLiveGame(req, res) {
+  try {
+    const game = getGame(req.params.pin);
+    if (!game) return res.status(404).json({ error: "Game not found" });
+    return res.json(gameSummary(game));
+  } catch (err) {
+    console.error("getLiveGame error:", err);
+    return res.status(500).json({ error: "Failed to fetch live game" });
+  }
+}
@@ -1,12 +1,25 @@
 // server/controllers/myQuizzesController.js
+import mongoose from "mongoose";
 import Quiz from "../models/Quiz.js";
 import QuizSession from "../models/QuizSession.js";
 import User from "../models/User.js";
+import { ATTEMPT_STATUSES } from "../services/attemptPolicy.js";
+import { regradeQuiz } from "../services/regrade.js";
+import { quizRole, canAccessQuiz, quizzesWithAccess } from "../services/quizAccess.js";
+
+// $group accumulator output used for each scoring policy (see services/attemptPolicy.js)
+const POLICY_SCORE_FIELD = {
+  best: "$bestScore",
+  latest: "$latestScore",
+  first: "$firstScore",
+  average: { $round: ["$avgScore", 2] }
+};
 
 /**
  * GET /api/my-quizzes
  * Auth required.
- * Returns list of quizzes owned by the logged-in user with basic aggregated stats:
+ * Returns list of quizzes owned by or shared with the logged-in user (with their `role`)
+ * and basic aggregated stats:
  *  - totalAttempts
  *  - avgScore
  *  - lastAttempt (ISO string)
@@ -15,8 +28,8 @@ export async function getMyQuizzes(req, res) {
   try {
     const userId = req.user.id;
 
-    // fetch quizzes created by user
-    const quizzes = await Quiz.find({ creator: userId }).sort({ createdAt: -1 }).lean();
+    // fetch quizzes created by user or shared with them as a collaborator
+    const quizzes = await Quiz.find(quizzesWithAccess(userId)).sort({ createdAt: -1 }).lean();
 
     if (!quizzes || quizzes.length === 0) {
       return res.json({ quizzes: [] });
@@ -26,12 +39,13 @@ export async function getMyQuizzes(req, res) {
 
     // aggregate stats from QuizSession for these quizzes
     const stats = await QuizSession.aggregate([
-      { $match: { quiz: { $in: quizIds }, status: "finished" } },
+      { $match: { quiz: { $in: quizIds }, status: "finished", isPractice: { $ne: true } } },
       {
         $group: {
           _id: "$quiz",
           totalAttempts: { $sum: 1 },
           avgScore: { $avg: "$score" },
+          avgMaxScore: { $avg: "$maxScore" },
           lastAttempt: { $max: "$finishedAt" },
         },
       },
@@ -43,18 +57,25 @@ export async function getMyQuizzes(req, res) {
       statsMap[String(s._id)] = {
         totalAttempts: s.totalAttempts,
         avgScore: s.avgScore,
+        avgMaxScore: s.avgMaxScore,
         lastAttempt: s.lastAttempt,
       };
     });
 
     // attach stats to quizzes
     const result = quizzes.map((q) => {
-      const s = statsMap[String(q._id)] || { totalAttempts: 0, avgScore: 0, lastAttempt: null };
+      const s = statsMap[String(q._id)] || { totalAttempts: 0, avgScore: 0, avgMaxScore: 0, lastAttempt: null };
+      const canEdit = canAccessQuiz(q, userId, "edit");
       return {
         ...q,
+        role: quizRole(q, userId),
+        // share links are managed by owners and editors only
+        shareCode: canEdit ? q.shareCode : null,
+        shareExpiresAt: canEdit ? q.shareExpiresAt : null,
         stats: {
           totalAttempts: s.totalAttempts,
           avgScore: s.avgScore,
+          avgMaxScore: s.avgMaxScore,
           lastAttempt: s.lastAttempt,
         },
       };
@@ -70,11 +91,13 @@ export async function getMyQuizzes(req, res) {
 /**
  * GET /api/quizzes/:id/leaderboard?limit=20
  * Auth required.
- * Only quiz creator may call this endpoint (creator-only).
+ * Quiz owner and collaborators (any role) may call this endpoint.
  *
  * Returns list of top users for this quiz, computed as:
- *  - For each user who finished the quiz, take their best score (max) and most recent finishedAt.
- *  - Sort by best score desc, then by most recent finishedAt desc.
+ *  - For each user who finished the quiz, take the score counted by quiz.settings.scoringPolicy
+ *    (best / latest / first / average attempt) and most recent finishedAt. Live game results
+ *    do not count (they are not attempts).
+ *  - Sort by counted score desc, then by most recent finishedAt desc.
  */
 export async function getQuizLeaderboard(req, res) {
   try {
@@ -85,23 +108,31 @@ export async function getQuizLeaderboard(req, res) {
     const quiz = await Quiz.findById(quizId).lean();
     if (!quiz) return res.status(404).json({ error: "Quiz not found" });
 
-    // Only creator can view leaderboard for now
-    if (String(quiz.creator) !== String(userId)) {
-      return res.status(403).json({ error: "Only the quiz creator can view the leaderboard" });
+    if (!canAccessQuiz(quiz, userId, "view")) {
+      return res.status(403).json({ error: "Only the quiz owner and collaborators can view the leaderboard" });
     }
 
-    // Aggregate best score per user for this quiz
+    const policy = quiz.settings?.scoringPolicy || "best";
+
+    // Aggregate counted score per user for this quiz
     const pipeline = [
-      { $match: { quiz: quiz._id, status: "finished" } },
-      // group by user to get best score and last finishedAt
+      { $match: { quiz: quiz._id, status: { $in: ATTEMPT_STATUSES }, isPractice: { $ne: true }, live: null } },
+      // chronological order so $first/$last are the first/latest attempts
+      { $sort: { finishedAt: 1, _id: 1 } },
+      // group by user to get per-policy scores and last finishedAt
       {
         $group: {
           _id: "$user",
           bestScore: { $max: "$score" },
+          firstScore: { $first: "$score" },
+          latestScore: { $last: "$score" },
+          avgScore: { $avg: "$score" },
+          maxScore: { $max: "$maxScore" },
           lastFinishedAt: { $max: "$finishedAt" },
           attempts: { $sum: 1 },
         },
       },
+      { $addFields: { score: POLICY_SCORE_FIELD[policy] || "$bestScore" } },
       // join to users to get username + email
       {
         $lookup: {
@@ -115,14 +146,16 @@ export async function getQuizLeaderboard(req, res) {
       {
         $project: {
           userId: "$_id",
+          score: 1,
           bestScore: 1,
+          maxScore: 1,
           lastFinishedAt: 1,
           attempts: 1,
           username: "$userInfo.username",
           email: "$userInfo.email",
         },
       },
-      { $sort: { bestScore: -1, lastFinishedAt: -1 } },
+      { $sort: { score: -1, lastFinishedAt: -1 } },
       { $limit: limit },
     ];
 
@@ -133,14 +166,51 @@ export async function getQuizLeaderboard(req, res) {
       userId: r.userId,
       username: r.username || "Unknown",
       email: r.email || null,
+      score: r.score,
       bestScore: r.bestScore,
+      maxScore: r.maxScore ?? null,
       attempts: r.attempts,
       lastFinishedAt: r.lastFinishedAt,
     }));
 
-    return res.json({ quizId: quiz._id, title: quiz.title, leaderboard });
+    return res.json({ quizId: quiz._id, title: quiz.title, scoringPolicy: policy, leaderboard });
   } catch (err) {
     console.error("getQuizLeaderboard error:", err);
     return res.status(500).json({ error: "Failed to fetch leaderboard" });
   }
 }
+
+/**
+ * POST /api/quizzes/:id/regrade
+ * Auth required. Creator only.
+ * Body (optional): { qids: ["q3"], dryRun: true }
+ *
+ * Applies the quiz's current answer keys (inline and question-bank questions) to every submitted
+ * session, regrades them and adjusts each taker's points/stats by the change in their counted score.
+ * Fix the key first (PUT /api/quizzes/:id or the question bank), then call this.
+ * Returns a summary of the sessions and users whose results changed. Adaptive attempts are left
+ * as they are (counted in adaptiveSkipped).
+ */
+export async function regradeQuizSessions(req, res) {
+  try {
+    const quizId = req.params.id;
+    if (!mongoose.isValidObjectId(quizId)) return res.status(404).json({ error: "Quiz not found" });
+
+    const quiz = await Quiz.findById(quizId).lean();
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+    if (!canAccessQuiz(quiz, req.user.id, "edit")) {
+      return res.status(403).json({ error: "Only the quiz owner or an editor can regrade this quiz" });
+    }
+
+    const { qids, dryRun } = req.body || {};
+    if (qids !== undefined && (!Array.isArray(qids) || qids.length === 0)) {
+      return res.status(400).json({ error: "qids must be a non-empty array of question ids" });
+    }
+
+    const summary = await regradeQuiz(quiz, { qids: qids ? qids.map(String) : null, dryRun: dryRun === true });
+    return res.json({ quizId: quiz._id, dryRun: dryRun === true, ...summary });
+  } catch (err) {
+    console.error("regradeQuizSessions error:", err);
+    return res.status(500).json({ error: "Failed to regrade quiz" });
+  }
+}
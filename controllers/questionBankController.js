@@ -0,0 +1,208 @@
+// server/controllers/questionBankController.js
+import mongoose from "mongoose";
+import QuestionBank from "../models/QuestionBank.js";
+import Question from "../models/Question.js";
+import Quiz from "../models/Quiz.js";
+import { validateQuestion as validateQuestionFields } from "../services/questionTypes.js";
+import { cleanTags } from "../services/questionBank.js";
+
+/**
+ * Question bank controller (owner only):
+ * - listBanks:      GET    /api/question-banks
+ * - createBank:     POST   /api/question-banks
+ * - getBank:        GET    /api/question-banks/:bankId          (?tag=&difficulty=&topic= filter questions)
+ * - updateBank:     PUT    /api/question-banks/:bankId
+ * - deleteBank:     DELETE /api/question-banks/:bankId          (409 while quizzes draw from it)
+ * - addQuestions:   POST   /api/question-banks/:bankId/questions  (single question or array)
+ * - updateQuestion: PUT    /api/question-banks/:bankId/questions/:questionId
+ * - deleteQuestion: DELETE /api/question-banks/:bankId/questions/:questionId
+ */
+
+async function loadOwnedBank(req, res) {
+  const { bankId } = req.params;
+  if (!mongoose.isValidObjectId(bankId)) {
+    res.status(404).json({ error: "Question bank not found" });
+    return null;
+  }
+  const bank = await QuestionBank.findById(bankId);
+  if (!bank) {
+    res.status(404).json({ error: "Question bank not found" });
+    return null;
+  }
+  if (String(bank.owner) !== String(req.user.id)) {
+    res.status(403).json({ error: "Not allowed" });
+    return null;
+  }
+  return bank;
+}
+
+/** Validate one question payload. Returns { value } or { error }. */
+function validateQuestion(input) {
+  const { value, error } = validateQuestionFields(input);
+  if (error) return { error };
+  const { qid, _id, bank, owner, createdAt, updatedAt, __v, ...fields } = value;
+  return {
+    value: {
+      ...fields,
+      difficulty: fields.difficulty || "medium",
+      topic: input.topic ? String(input.topic).trim() : "",
+      tags: cleanTags(input.tags)
+    }
+  };
+}
+
+export async function listBanks(req, res) {
+  try {
+    const banks = await QuestionBank.find({ owner: req.user.id }).sort({ createdAt: -1 }).lean();
+    const counts = await Question.aggregate([
+      { $match: { bank: { $in: banks.map((b) => b._id) } } },
+      { $group: { _id: "$bank", count: { $sum: 1 } } }
+    ]);
+    const countMap = {};
+    counts.forEach((c) => { countMap[String(c._id)] = c.count; });
+
+    return res.json({ banks: banks.map((b) => ({ ...b, questionsCount: countMap[String(b._id)] || 0 })) });
+  } catch (err) {
+    console.error("listBanks error:", err);
+    return res.status(500).json({ error: "Failed to list question banks" });
+  }
+}
+
+export async function createBank(req, res) {
+  try {
+    const { name, description } = req.body;
+    if (!name || !String(name).trim()) return res.status(400).json({ error: "name is required" });
+
+    const bank = new QuestionBank({
+      name: String(name).trim(),
+      description: description || "",
+      owner: req.user.id
+    });
+    await bank.save();
+    return res.status(201).json(bank);
+  } catch (err) {
+    console.error("createBank error:", err);
+    return res.status(500).json({ error: "Failed to create question bank" });
+  }
+}
+
+export async function getBank(req, res) {
+  try {
+    const bank = await loadOwnedBank(req, res);
+    if (!bank) return;
+
+    const { tag, difficulty, topic } = req.query;
+    const filter = { bank: bank._id };
+    if (tag) filter.tags = { $all: cleanTags(String(tag).split(",")) };
+    if (difficulty) filter.difficulty = difficulty;
+    if (topic) filter.topic = topic;
+
+    const questions = await Question.find(filter).sort({ createdAt: 1 }).lean();
+    return res.json({ ...bank.toObject(), questions });
+  } catch (err) {
+    console.error("getBank error:", err);
+    return res.status(500).json({ error: "Failed to fetch question bank" });
+  }
+}
+
+export async function updateBank(req, res) {
+  try {
+    const bank = await loadOwnedBank(req, res);
+    if (!bank) return;
+
+    if (req.body.name !== undefined) bank.name = String(req.body.name).trim() || bank.name;
+    if (req.body.description !== undefined) bank.description = req.body.description;
+    bank.updatedAt = new Date();
+    await bank.save();
+    return res.json(bank);
+  } catch (err) {
+    console.error("updateBank error:", err);
+    return res.status(500).json({ error: "Failed to update question bank" });
+  }
+}
+
+export async function deleteBank(req, res) {
+  try {
+    const bank = await loadOwnedBank(req, res);
+    if (!bank) return;
+
+    // quizzes still drawing from the bank would fail to start once it is gone
+    const quizzes = await Quiz.find({ "settings.bankDraws.bank": bank._id }).select("title").lean();
+    if (quizzes.length > 0) {
+      return res.status(409).json({
+        error: "Question bank is used by quizzes; remove their draw rules first",
+        quizzes: quizzes.map((q) => ({ _id: q._id, title: q.title }))
+      });
+    }
+
+    await Question.deleteMany({ bank: bank._id });
+    await bank.deleteOne();
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("deleteBank error:", err);
+    return res.status(500).json({ error: "Failed to delete question bank" });
+  }
+}
+
+export async function addQuestions(req, res) {
+  try {
+    const bank = await loadOwnedBank(req, res);
+    if (!bank) return;
+
+    const input = Array.isArray(req.body) ? req.body : (Array.isArray(req.body.questions) ? req.body.questions : [req.body]);
+    const docs = [];
+    for (const [i, item] of input.entries()) {
+      const { value, error } = validateQuestion(item);
+      if (error) return res.status(400).json({ error: `questions[${i}]: ${error}` });
+      docs.push({ ...value, bank: bank._id, owner: req.user.id });
+    }
+
+    const created = await Question.insertMany(docs);
+    return res.status(201).json({ questions: created });
+  } catch (err) {
+    console.error("addQuestions error:", err);
+    return res.status(500).json({ error: "Failed to add questions" });
+  }
+}
+
+export async function updateQuestion(req, res) {
+  try {
+    const bank = await loadOwnedBank(req, res);
+    if (!bank) return;
+
+    const { questionId } = req.params;
+    if (!mongoose.isValidObjectId(questionId)) return res.status(404).json({ error: "Question not found" });
+    const existing = await Question.findOne({ _id: questionId, bank: bank._id }).lean();
+    if (!existing) return res.status(404).json({ error: "Question not found" });
+
+    const { _id, bank: _bank, owner, createdAt, __v, ...current } = existing;
+    const { value, error } = validateQuestion({ ...current, ...req.body });
+    if (error) return res.status(400).json({ error });
+
+    const updated = await Question.findByIdAndUpdate(
+      questionId,
+      { $set: { ...value, updatedAt: new Date() } },
+      { new: true }
+    );
+    return res.json(updated);
+  } catch (err) {
+    console.error("updateQuestion error:", err);
+    return res.status(500).json({ error: "Failed to update question" });
+  }
+}
+
+export async function deleteQuestion(req, res) {
+  try {
+    const bank = await loadOwnedBank(req, res);
+    if (!bank) return;
+
+    const { questionId } = req.params;
+    if (!mongoose.isValidObjectId(questionId)) return res.status(404).json({ error: "Question not found" });
+    const result = await Question.deleteOne({ _id: questionId, bank: bank._id });
+    if (result.deletedCount === 0) return res.status(404).json({ error: "Question not found" });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("deleteQuestion error:", err);
+    return res.status(500).json({ error: "Failed to delete question" });
+  }
+}
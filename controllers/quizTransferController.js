@@ -0,0 +1,161 @@
+// server/controllers/quizTransferController.js
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import { importQuestions, exportQuiz as renderExport, resolveFormat, formatFromFilename, FORMATS } from "../services/formats/index.js";
+import { streamResults, RESULT_FORMATS, RESULT_MODES } from "../services/resultsExport.js";
+import { canAccessQuiz } from "../services/quizAccess.js";
+import { quizContent, recordRevision } from "../services/revisions.js";
+
+/**
+ * Quiz import/export controller:
+ * - importQuiz(req): POST /api/quizzes/import?format=gift|moodle|qti|csv
+ * - exportQuiz(req): GET  /api/quizzes/:id/export?format=gift|moodle|qti|csv
+ * - exportResults(req): GET /api/quizzes/:id/results/export?format=csv|xlsx&mode=attempts|best
+ */
+
+function parseBool(v, fallback) {
+  if (v === undefined || v === null || v === "") return fallback;
+  if (typeof v === "boolean") return v;
+  return String(v).toLowerCase() === "true";
+}
+
+function fileSlug(title) {
+  return String(title || "quiz")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60) || "quiz";
+}
+
+/**
+ * POST /api/quizzes/import
+ * Auth required. Accepts either a multipart upload (field "file") or JSON { content } (text formats)
+ * / { contentBase64 } (QTI zip). Format comes from ?format, body.format or the uploaded file name.
+ *
+ * Creates the quiz as a private draft owned by the caller (review it, then publish with
+ * PUT /api/quizzes/:id { draft: false, isPublic }) and returns { quiz, imported, warnings }.
+ * With dryRun=true nothing is saved and { questions, warnings } is returned for preview.
+ * Problems with single questions are reported in warnings instead of failing the import.
+ */
+export async function importQuiz(req, res) {
+  try {
+    const body = req.body || {};
+    const format = resolveFormat(req.query.format || body.format) || formatFromFilename(req.file?.originalname);
+    if (!format) {
+      return res.status(400).json({ error: `format is required (one of: ${FORMATS.join(", ")})` });
+    }
+
+    let payload = null;
+    if (req.file?.buffer) payload = req.file.buffer;
+    else if (typeof body.contentBase64 === "string") payload = Buffer.from(body.contentBase64, "base64");
+    else if (typeof body.content === "string") payload = Buffer.from(body.content, "utf8");
+    if (!payload || payload.length === 0) {
+      return res.status(400).json({ error: "Upload a file or send content in the request body" });
+    }
+
+    const { questions, warnings } = importQuestions(format, payload);
+
+    if (parseBool(req.query.dryRun ?? body.dryRun, false)) {
+      return res.json({ format, questions, warnings });
+    }
+
+    if (questions.length === 0) {
+      return res.status(422).json({ error: "No importable questions found", warnings });
+    }
+
+    const fallbackTitle = req.file?.originalname ? req.file.originalname.replace(/\.[^.]+$/, "") : "Imported quiz";
+    const quiz = new Quiz({
+      title: body.title || fallbackTitle,
+      description: body.description || "",
+      topic: body.topic || "",
+      creator: req.user.id,
+      isPublic: false,
+      draft: true,
+      questions
+    });
+    await quiz.save();
+    quiz.revision = await recordRevision(quiz._id, quizContent(quiz), {
+      author: req.user.id,
+      authorUsername: req.user.username || "",
+      source: "import"
+    });
+
+    return res.status(201).json({ quiz, imported: questions.length, warnings });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("importQuiz error:", err);
+    return res.status(500).json({ error: "Failed to import quiz" });
+  }
+}
+
+/**
+ * GET /api/quizzes/:id/export?format=gift|moodle|qti|csv
+ * Auth required, quiz owner or collaborators. Responds with a file download including answers.
+ * Questions the format cannot hold are left out; they are listed (as on import) in the
+ * X-Export-Warnings header, a URI-encoded JSON array of { index, qid, message }.
+ */
+export async function exportQuiz(req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Quiz not found" });
+    const quiz = await Quiz.findById(req.params.id).lean();
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+    if (!canAccessQuiz(quiz, req.user.id, "view")) return res.status(403).json({ error: "Not allowed" });
+
+    const format = resolveFormat(req.query.format || "gift");
+    if (!format) {
+      return res.status(400).json({ error: `Unsupported format (use one of: ${FORMATS.join(", ")})` });
+    }
+
+    const { body, contentType, extension, warnings } = renderExport(format, quiz);
+    if (warnings.length > 0) {
+      res.setHeader("X-Export-Warnings", encodeURIComponent(JSON.stringify(warnings)));
+      res.setHeader("Access-Control-Expose-Headers", "X-Export-Warnings");
+    }
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileSlug(quiz.title)}.${extension}"`);
+    return res.send(body);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("exportQuiz error:", err);
+    return res.status(500).json({ error: "Failed to export quiz" });
+  }
+}
+
+/**
+ * GET /api/quizzes/:id/results/export?format=csv|xlsx&mode=attempts|best
+ * Auth required, quiz owner or collaborators. Gradebook download: one row per submitted attempt
+ * (mode=attempts, default) or per user's best graded attempt (mode=best), with per-question
+ * answer and correctness columns. Rows are streamed straight from the database.
+ */
+export async function exportResults(req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Quiz not found" });
+    const quiz = await Quiz.findById(req.params.id).lean();
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+    if (!canAccessQuiz(quiz, req.user.id, "view")) {
+      return res.status(403).json({ error: "Only the quiz owner and collaborators can export results" });
+    }
+
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (!RESULT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported format (use one of: ${Object.keys(RESULT_FORMATS).join(", ")})` });
+    }
+    const mode = String(req.query.mode || "attempts").toLowerCase();
+    if (!RESULT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${RESULT_MODES.join(", ")}` });
+    }
+
+    const { contentType, extension } = RESULT_FORMATS[format];
+    const suffix = mode === "best" ? "best-results" : "results";
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileSlug(quiz.title)}-${suffix}.${extension}"`);
+    await streamResults({ quiz, format, mode, out: res });
+  } catch (err) {
+    // the client went away mid-download; the cursor is already closed
+    if (err.code === "ERR_STREAM_PREMATURE_CLOSE") return;
+    console.error("exportResults error:", err);
+    // once rows have been sent the only option left is to abort the download
+    if (res.headersSent) return res.destroy(err);
+    return res.status(500).json({ error: "Failed to export results" });
+  }
+}
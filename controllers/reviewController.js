@@ -0,0 +1,98 @@
+// server/controllers/reviewController.js
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import QuizSession from "../models/QuizSession.js";
+import { pendingResponses, gradeResponse } from "../services/manualGrading.js";
+import { canAccessQuiz, quizzesWithAccess } from "../services/quizAccess.js";
+
+/**
+ * Manual grading (quiz owner, editors and graders):
+ * - getReviewQueue: GET  /api/reviews/queue?quizId=&limit=
+ * - gradeAnswer:    POST /api/reviews/sessions/:sessionId/answers/:qid   { points, feedback }
+ */
+
+const DEFAULT_QUEUE_LIMIT = 50;
+const MAX_QUEUE_LIMIT = 200;
+
+/**
+ * GET /api/reviews/queue
+ * Ungraded essay responses across the quizzes the caller may grade, oldest submission first.
+ * Optional ?quizId= narrows the queue to one quiz.
+ */
+export async function getReviewQueue(req, res) {
+  try {
+    const limit = Math.min(Math.max(1, Number(req.query.limit) || DEFAULT_QUEUE_LIMIT), MAX_QUEUE_LIMIT);
+    const filter = quizzesWithAccess(req.user.id, "grade");
+    if (req.query.quizId) {
+      if (!mongoose.isValidObjectId(req.query.quizId)) return res.status(404).json({ error: "Quiz not found" });
+      filter._id = req.query.quizId;
+    }
+    const quizzes = await Quiz.find(filter).select("title").lean();
+    if (quizzes.length === 0) return res.json({ pendingSessions: 0, responses: [] });
+
+    const titles = {};
+    quizzes.forEach((q) => { titles[String(q._id)] = q.title; });
+    const match = { quiz: { $in: quizzes.map((q) => q._id) }, status: "pending-review" };
+
+    const [pendingSessions, sessions] = await Promise.all([
+      QuizSession.countDocuments(match),
+      QuizSession.find(match)
+        .select("quiz user username finishedAt questions answers")
+        .sort({ finishedAt: 1, _id: 1 })
+        .limit(limit)
+        .lean()
+    ]);
+
+    const responses = sessions
+      .flatMap((s) => pendingResponses(s))
+      .map((r) => ({ ...r, quizTitle: titles[String(r.quizId)] || "" }));
+
+    return res.json({ pendingSessions, responses });
+  } catch (err) {
+    console.error("getReviewQueue error:", err);
+    return res.status(500).json({ error: "Failed to load review queue" });
+  }
+}
+
+/**
+ * POST /api/reviews/sessions/:sessionId/answers/:qid
+ * Body: { points, feedback }
+ * Scores one essay response. When it was the last one, the attempt is finalized and the
+ * taker's points/stats are updated.
+ */
+export async function gradeAnswer(req, res) {
+  try {
+    const { sessionId, qid } = req.params;
+    if (!mongoose.isValidObjectId(sessionId)) return res.status(404).json({ error: "Session not found" });
+
+    const session = await QuizSession.findById(sessionId).select("quiz").lean();
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    const quiz = await Quiz.findById(session.quiz).select("creator collaborators").lean();
+    if (!quiz || !canAccessQuiz(quiz, req.user.id, "grade")) {
+      return res.status(403).json({ error: "Only the quiz owner, editors and graders can grade responses" });
+    }
+
+    const result = await gradeResponse({
+      sessionId,
+      qid,
+      points: req.body.points,
+      feedback: req.body.feedback,
+      graderId: req.user.id
+    });
+
+    return res.json({
+      sessionId,
+      qid,
+      status: result.session.status,
+      finalized: result.finalized,
+      remaining: result.remaining,
+      score: result.session.score,
+      maxScore: result.session.maxScore,
+      scoring: result.scoring
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("gradeAnswer error:", err);
+    return res.status(500).json({ error: "Failed to grade response" });
+  }
+}
@@ -0,0 +1,137 @@
+// server/controllers/revisionController.js
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import QuizRevision from "../models/QuizRevision.js";
+import { canAccessQuiz } from "../services/quizAccess.js";
+import { quizContent, diffContent, rollbackQuiz } from "../services/revisions.js";
+
+/**
+ * Quiz revision history (owner and collaborators; rollback needs edit rights):
+ * - listRevisions:      GET  /api/quizzes/:id/revisions
+ * - getRevision:        GET  /api/quizzes/:id/revisions/:number
+ * - diffRevisions:      GET  /api/quizzes/:id/revisions/diff?from=<number>&to=<number|current>
+ * - rollbackToRevision: POST /api/quizzes/:id/revisions/:number/rollback
+ */
+
+async function loadQuiz(req, res, permission) {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(404).json({ error: "Quiz not found" });
+    return null;
+  }
+  const quiz = await Quiz.findById(id);
+  if (!quiz) {
+    res.status(404).json({ error: "Quiz not found" });
+    return null;
+  }
+  if (!canAccessQuiz(quiz, req.user.id, permission)) {
+    res.status(403).json({ error: "Not allowed" });
+    return null;
+  }
+  return quiz;
+}
+
+function parseNumber(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+export async function listRevisions(req, res) {
+  try {
+    const quiz = await loadQuiz(req, res, "view");
+    if (!quiz) return;
+
+    const revisions = await QuizRevision.find({ quiz: quiz._id })
+      .select("number author authorUsername source rolledBackTo title questions createdAt")
+      .sort({ number: -1 })
+      .lean();
+
+    return res.json({
+      quizId: quiz._id,
+      currentRevision: quiz.revision || 0,
+      revisions: revisions.map(({ questions, ...r }) => ({ ...r, questionsCount: (questions || []).length }))
+    });
+  } catch (err) {
+    console.error("listRevisions error:", err);
+    return res.status(500).json({ error: "Failed to list revisions" });
+  }
+}
+
+export async function getRevision(req, res) {
+  try {
+    const quiz = await loadQuiz(req, res, "view");
+    if (!quiz) return;
+
+    const number = parseNumber(req.params.number);
+    if (!number) return res.status(400).json({ error: "Revision number must be a positive integer" });
+    const revision = await QuizRevision.findOne({ quiz: quiz._id, number }).lean();
+    if (!revision) return res.status(404).json({ error: "Revision not found" });
+    return res.json(revision);
+  } catch (err) {
+    console.error("getRevision error:", err);
+    return res.status(500).json({ error: "Failed to fetch revision" });
+  }
+}
+
+/**
+ * GET /api/quizzes/:id/revisions/diff?from=3&to=5
+ * `to` defaults to the quiz as it is now ("current"); `from` defaults to the revision before `to`
+ * (404 when there is none, e.g. for quizzes saved before revisions were recorded).
+ */
+export async function diffRevisions(req, res) {
+  try {
+    const quiz = await loadQuiz(req, res, "view");
+    if (!quiz) return;
+
+    const toCurrent = req.query.to === undefined || req.query.to === "current";
+    const toNumber = toCurrent ? quiz.revision || 0 : parseNumber(req.query.to);
+    if (!toCurrent && !toNumber) return res.status(400).json({ error: "to must be a revision number or current" });
+
+    const fromNumber = req.query.from === undefined ? toNumber - 1 : parseNumber(req.query.from);
+    // revisions start at 1; quizzes saved before revisions existed have none at all
+    if (req.query.from === undefined && fromNumber < 1) {
+      return res.status(404).json({ error: "There is no earlier revision to compare with" });
+    }
+    if (!fromNumber) return res.status(400).json({ error: "from must be a revision number" });
+
+    const numbers = toCurrent ? [fromNumber] : [fromNumber, toNumber];
+    const found = await QuizRevision.find({ quiz: quiz._id, number: { $in: numbers } }).lean();
+    const byNumber = new Map(found.map((r) => [r.number, r]));
+    const missing = numbers.find((n) => !byNumber.has(n));
+    if (missing) return res.status(404).json({ error: `Revision ${missing} not found` });
+
+    const from = quizContent(byNumber.get(fromNumber));
+    const to = toCurrent ? quizContent(quiz) : quizContent(byNumber.get(toNumber));
+    return res.json({
+      quizId: quiz._id,
+      from: fromNumber,
+      to: toCurrent ? "current" : toNumber,
+      ...diffContent(from, to)
+    });
+  } catch (err) {
+    console.error("diffRevisions error:", err);
+    return res.status(500).json({ error: "Failed to diff revisions" });
+  }
+}
+
+/**
+ * POST /api/quizzes/:id/revisions/:number/rollback
+ * Restores that revision's title, description, topic, questions and settings. The rollback is
+ * itself a new revision, so it can be undone the same way. Past sessions are not regraded.
+ */
+export async function rollbackToRevision(req, res) {
+  try {
+    const quiz = await loadQuiz(req, res, "edit");
+    if (!quiz) return;
+
+    const number = parseNumber(req.params.number);
+    if (!number) return res.status(400).json({ error: "Revision number must be a positive integer" });
+
+    const result = await rollbackQuiz(quiz, number, req.user);
+    return res.json({ ...result, quiz });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("rollbackToRevision error:", err);
+    return res.status(500).json({ error: "Failed to roll back quiz" });
+  }
+}
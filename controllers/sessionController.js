@@ -1,21 +1,127 @@
 // server/controllers/sessionController.js
 import Quiz from "../models/Quiz.js";
 import QuizSession from "../models/QuizSession.js";
-import User from "../models/User.js";
-import { gradeAll } from "../services/grading.js";
+import { gradeAll, gradeQuestion } from "../services/grading.js";
+import { buildQuestionsSnapshot } from "../services/sessionSnapshot.js";
+import { toClientQuestion, withAnswerKey, canonicalQuestion, canonicalAnswer } from "../services/questionTypes.js";
+import { checkAttemptAllowed, applyAttemptScore, SUBMITTED_STATUSES } from "../services/attemptPolicy.js";
+import { applyTimings } from "../services/timing.js";
+import { checkAssignmentAccess } from "../services/groups.js";
+import { canSeeQuiz } from "../services/moderation.js";
+import { availabilityError } from "../services/schedule.js";
+import { expireSession } from "../services/sessionExpiry.js";
+import { timerView, timeMultiplierFor, accommodationEntry } from "../services/attemptTimer.js";
+import {
+  sessionSections,
+  sectionsDuration,
+  startSection,
+  syncSections,
+  nextSection as advanceSection,
+  nextQuestion as advanceQuestion,
+  sectionFilter,
+  editableQids,
+  visibleQids,
+  sectionAnswerError,
+  sectionsView,
+  sectionSubtotals
+} from "../services/sections.js";
+import { startAdaptive, answerAdaptive, finishAdaptive, adaptiveView, adaptiveMaxScore } from "../services/adaptive.js";
 
 /**
  * Session controller:
  * - startQuiz(req): POST /api/sessions/quizzes/:id/start
+ * - startPractice(req): POST /api/sessions/quizzes/:id/practice
  * - getSession(req):  GET  /api/sessions/:sessionId
  * - saveSession(req): PATCH /api/sessions/:sessionId/save
+ * - checkAnswer(req): POST /api/sessions/:sessionId/check (practice only)
  * - submitSession(req): POST /api/sessions/:sessionId/submit
+ * - abandonSession(req): POST /api/sessions/:sessionId/abandon
+ * - nextSection(req): POST /api/sessions/:sessionId/next-section (sectioned quizzes)
+ * - nextQuestion(req): POST /api/sessions/:sessionId/next-question (linear sections, adaptive quizzes)
  *
  * All endpoints require auth and ensure session ownership where necessary.
  */
 
+/** Stored answers as plain objects keyed by qid. */
+function answersByQid(session) {
+  const map = new Map();
+  (session.answers || []).forEach((a) => {
+    if (a && a.qid) map.set(a.qid, typeof a.toObject === "function" ? a.toObject() : { ...a });
+  });
+  return map;
+}
+
+/**
+ * Question ids that can be answered right now (null = all): the current question of an
+ * adaptive attempt, the open part of the current section of a sectioned one.
+ */
+function answerableQids(session) {
+  if (session.adaptive) return new Set(session.adaptive.currentQid ? [session.adaptive.currentQid] : []);
+  return editableQids(session);
+}
+
+/** Question ids shown while the attempt runs (null = all). */
+function shownQids(session) {
+  return session.adaptive ? answerableQids(session) : visibleQids(session);
+}
+
+/** Why `qid` cannot be answered right now, or null. */
+function answerError(session, qid) {
+  if (!session.adaptive) return sectionAnswerError(session, qid);
+  return qid === session.adaptive.currentQid ? null : "Only the current question of an adaptive quiz can be answered";
+}
+
+/** Update filter: the taker is still on the question / section the answers were read for. */
+function positionFilter(session) {
+  if (session.adaptive) return { "adaptive.currentQid": session.adaptive.currentQid };
+  return sectionFilter(session);
+}
+
+/**
+ * Merge a timings payload into the answers map, clamped to the attempt window
+ * (and to the questions that can still be answered in a sectioned or adaptive attempt).
+ */
+function withTimings(session, answers, timingsPayload, now = new Date()) {
+  if (!timingsPayload) return answers;
+  const endsAt = session.expiresAt && session.expiresAt < now ? session.expiresAt : now;
+  const qids = answerableQids(session) || new Set((session.questions || []).map((q) => q.qid));
+  return applyTimings(answers, timingsPayload, { startedAt: session.startedAt, endsAt }, qids);
+}
+
+/** Start/resume response: the client questions plus any saved answers and the time left. */
+function attemptPayload(session, resumed, now = new Date()) {
+  // sectioned attempts only show the current section, adaptive ones the current question
+  const visible = shownQids(session);
+  const sectioned = (session.sections || []).length > 0;
+  const answers = {};
+  (session.answers || []).forEach((a) => {
+    if (a.userAnswer !== undefined && (!visible || visible.has(a.qid))) answers[a.qid] = a.userAnswer;
+  });
+  return {
+    sessionId: session._id,
+    quizId: session.quiz,
+    resumed,
+    startedAt: session.startedAt,
+    ...timerView(session, now),
+    attemptDurationSeconds: session.attemptDurationSeconds,
+    totalQuestions: session.totalQuestions,
+    questions: (session.questions || []).filter((q) => !visible || visible.has(q.qid)).map(toClientQuestion),
+    answers,
+    sections: sectioned ? sectionsView(session, now) : undefined,
+    currentSection: sectioned ? session.currentSection : undefined,
+    adaptive: adaptiveView(session)
+  };
+}
+
+function activeAttempt(quizId, userId) {
+  return QuizSession.findOne({ quiz: quizId, user: userId, status: "in-progress", isPractice: false });
+}
+
 /**
  * POST /api/sessions/quizzes/:id/start
+ * There is at most one attempt in progress per user and quiz (unique index): if it is still
+ * running it is returned as is (resumed: true) with its saved answers, question order and timer;
+ * if its time ran out it is graded first and a new attempt starts (attempt policy permitting).
  */
 export async function startQuiz(req, res) {
   try {
@@ -24,52 +130,65 @@ export async function startQuiz(req, res) {
     const quizId = req.params.id;
 
     const quiz = await Quiz.findById(quizId);
-    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+    // hidden quizzes behave as if they did not exist (except for their creator and admins)
+    if (!quiz || !canSeeQuiz(quiz, req.user)) return res.status(404).json({ error: "Quiz not found" });
 
     const now = new Date();
 
-    // Availability window enforcement
-    if (quiz.startAt && now < new Date(quiz.startAt)) {
-      return res.status(400).json({ error: "Quiz has not started yet" });
-    }
-    if (quiz.endAt && now > new Date(quiz.endAt)) {
-      return res.status(400).json({ error: "Quiz has ended" });
+    // A reload must not start over with a fresh timer and a reshuffled order
+    const active = await activeAttempt(quiz._id, userId);
+    if (active) {
+      // paused attempts have no expiresAt until they are resumed
+      if (!active.expiresAt || active.expiresAt > now) {
+        return res.json(attemptPayload(await syncSections(active, now), true, now));
+      }
+      await expireSession(active, now, quiz);
     }
 
-    // Single-attempt enforcement
-    const existingFinished = await QuizSession.findOne({ quiz: quizId, user: userId, status: "finished" });
-    if (existingFinished) {
-      return res.status(403).json({ error: "You have already completed this quiz (single attempt only)" });
-    }
+    // Availability enforcement: draft / scheduled publication, start/end window, recurring windows
+    const unavailable = availabilityError(quiz, now);
+    if (unavailable) return res.status(400).json({ error: unavailable });
 
-    // Snapshot questions (including answers server-side)
-    const questionsSnapshot = (quiz.questions || []).map((q, i) => ({
-      qid: q.qid || `q${i + 1}`,
-      type: q.type,
-      difficulty: q.difficulty,
-      question: q.question,
-      choices: q.choices || [],
-      // server keeps answers for grading (not returned to client)
-      answer_index: q.answer_index ?? null,
-      answer_text: q.answer_text ?? null,
-      explanation: q.explanation ?? ""
-    }));
+    // Quizzes assigned to classes are limited to members, within the assignment dates
+    const notAssigned = await checkAssignmentAccess(quiz, userId, now);
+    if (notAssigned) return res.status(notAssigned.status).json({ error: notAssigned.error });
 
-    // shuffle if requested
-    if (quiz.settings?.shuffleQuestions) {
-      for (let i = questionsSnapshot.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [questionsSnapshot[i], questionsSnapshot[j]] = [questionsSnapshot[j], questionsSnapshot[i]];
-      }
+    // Attempt policy enforcement (settings.maxAttempts / attemptCooldownSeconds)
+    const denied = await checkAttemptAllowed(quiz, userId, now);
+    if (denied) {
+      const { status, ...body } = denied;
+      return res.status(status).json(body);
     }
 
-    // Determine per-attempt duration (seconds)
-    const durationSeconds = quiz.settings?.attemptDurationSeconds ?? quiz.settings?.timeLimitSeconds ?? null;
+    const questionsSnapshot = await buildQuestionsSnapshot(quiz);
+    // Adaptive quizzes serve the snapshot one question at a time (the rest waits in the pool)
+    const adaptiveStart = quiz.settings?.adaptive?.enabled ? startAdaptive(quiz.settings.adaptive, questionsSnapshot) : null;
+
+    // Determine per-attempt duration (seconds), stretched by the user's accommodation if any.
+    // Quizzes whose sections are all timed last as long as the sections together.
+    const baseSeconds = quiz.settings?.attemptDurationSeconds ?? quiz.settings?.timeLimitSeconds ?? sectionsDuration(quiz.sections);
+    let durationSeconds = baseSeconds;
     let expiresAt = null;
-    if (durationSeconds && Number(durationSeconds) > 0) {
-      expiresAt = new Date(Date.now() + Number(durationSeconds) * 1000);
+    const extensions = [];
+    let timeMultiplier = 1;
+    const timedSections = (quiz.sections || []).some((s) => s.timeLimitSeconds);
+    if ((baseSeconds && Number(baseSeconds) > 0) || timedSections) {
+      const accommodation = await timeMultiplierFor(quiz._id, userId);
+      timeMultiplier = accommodation.timeMultiplier;
+      if (baseSeconds && Number(baseSeconds) > 0) {
+        durationSeconds = Math.round(Number(baseSeconds) * timeMultiplier);
+        expiresAt = new Date(Date.now() + durationSeconds * 1000);
+      }
+      if (timeMultiplier > 1) {
+        const extra = baseSeconds ? durationSeconds - Number(baseSeconds) : 0;
+        extensions.push(accommodationEntry(timeMultiplier, extra, accommodation.setBy, now, expiresAt));
+      }
     }
 
+    // Sections run one after another; the first one starts now
+    const sections = sessionSections(quiz, questionsSnapshot, timeMultiplier);
+    if (sections.length > 0) expiresAt = startSection(sections, 0, now, expiresAt);
+
     // Create session
     const session = new QuizSession({
       quiz: quiz._id,
@@ -78,32 +197,91 @@ export async function startQuiz(req, res) {
       status: "in-progress",
       startedAt: new Date(),
       expiresAt,
-      questions: questionsSnapshot,
-      totalQuestions: questionsSnapshot.length,
+      questions: adaptiveStart ? adaptiveStart.questions : questionsSnapshot,
+      totalQuestions: adaptiveStart ? adaptiveStart.adaptive.questionCount : questionsSnapshot.length,
+      adaptive: adaptiveStart ? adaptiveStart.adaptive : null,
       isPractice: false,
+      quizRevision: quiz.revision || null,
+      negativeMarking: quiz.settings?.negativeMarking || 0,
       attemptDurationSeconds: durationSeconds,
+      timeMultiplier,
+      extensions,
+      sections,
+      currentSection: 0,
+      clientIp: req.ip || null,
       answers: [] // initially empty
     });
 
-    await session.save();
+    try {
+      await session.save();
+    } catch (saveErr) {
+      // a concurrent start won the unique index: hand out that attempt instead
+      if (saveErr.code !== 11000) throw saveErr;
+      const existing = await activeAttempt(quiz._id, userId);
+      if (!existing) throw saveErr;
+      return res.json(attemptPayload(existing, true));
+    }
 
-    // prepare client-safe questions (no answers)
-    const clientQuestions = questionsSnapshot.map((q) => {
-      const { qid, type, difficulty, question, choices } = q;
-      return { qid, type, difficulty, question, choices };
+    return res.json(attemptPayload(session, false));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("startQuiz error:", err);
+    return res.status(500).json({ error: "Failed to start quiz" });
+  }
+}
+
+/**
+ * POST /api/sessions/quizzes/:id/practice
+ * Starts a practice session: no attempt limit, no timer, never affects points or leaderboards.
+ * Answers can be checked one at a time via POST /api/sessions/:sessionId/check.
+ */
+export async function startPractice(req, res) {
+  try {
+    const userId = req.user.id;
+    const username = req.user.username || req.user.email || "user";
+
+    const quiz = await Quiz.findById(req.params.id);
+    if (!quiz || !canSeeQuiz(quiz, req.user)) return res.status(404).json({ error: "Quiz not found" });
+
+    const unavailable = availabilityError(quiz, new Date());
+    if (unavailable) return res.status(400).json({ error: unavailable });
+
+    // practice would reveal the questions, so it follows the same assignment rules
+    const notAssigned = await checkAssignmentAccess(quiz, userId, new Date());
+    if (notAssigned) return res.status(notAssigned.status).json({ error: notAssigned.error });
+
+    const questionsSnapshot = await buildQuestionsSnapshot(quiz);
+
+    const session = new QuizSession({
+      quiz: quiz._id,
+      user: userId,
+      username,
+      status: "in-progress",
+      startedAt: new Date(),
+      expiresAt: null,
+      questions: questionsSnapshot,
+      totalQuestions: questionsSnapshot.length,
+      isPractice: true,
+      quizRevision: quiz.revision || null,
+      negativeMarking: quiz.settings?.negativeMarking || 0,
+      attemptDurationSeconds: null,
+      answers: []
     });
 
+    await session.save();
+
     return res.json({
       sessionId: session._id,
       quizId: quiz._id,
-      expiresAt,
-      attemptDurationSeconds: durationSeconds,
+      isPractice: true,
+      expiresAt: null,
       totalQuestions: session.totalQuestions,
-      questions: clientQuestions
+      questions: questionsSnapshot.map(toClientQuestion)
     });
   } catch (err) {
-    console.error("startQuiz error:", err);
-    return res.status(500).json({ error: "Failed to start quiz" });
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("startPractice error:", err);
+    return res.status(500).json({ error: "Failed to start practice session" });
   }
 }
 
@@ -116,35 +294,30 @@ export async function getSession(req, res) {
     const userId = req.user.id;
     const sessionId = req.params.sessionId;
 
-    const session = await QuizSession.findById(sessionId).lean();
+    let session = await QuizSession.findById(sessionId).lean();
     if (!session) return res.status(404).json({ error: "Session not found" });
 
     if (String(session.user) !== String(userId)) {
       return res.status(403).json({ error: "This session does not belong to you" });
     }
+    // sections whose time ran out are closed before anything is shown
+    session = await syncSections(session);
 
     // ✨ NEW LOGIC: Only show answers/explanations if the quiz is finished
-    const isFinished = session.status === "finished";
+    // (submitted attempts waiting for manual grading can be reviewed too)
+    const isFinished = session.status === "finished" || session.status === "pending-review";
     let reviewDetails = [];
 
     // Return safe subset of questions (hiding answers unless finished)
-    const clientQuestions = (session.questions || []).map((q) => {
-      const safeQ = {
-        qid: q.qid,
-        type: q.type,
-        difficulty: q.difficulty,
-        question: q.question,
-        choices: q.choices || []
-      };
-
-      // If finished, we expose the correct answer details and explanation
-      if (isFinished) {
-          safeQ.explanation = q.explanation;
-          safeQ.answer_text = q.answer_text;
-          safeQ.answer_index = q.answer_index;
-      }
-      return safeQ;
-    });
+    // If finished, we expose the correct answer details and explanation, with shuffled choices
+    // (settings.shuffleChoices) back in authored order and answers mapped to match
+    // Sectioned attempts in progress only show the current section, adaptive ones the current question
+    const visible = session.status === "in-progress" ? shownQids(session) : null;
+    const sectioned = (session.sections || []).length > 0;
+    const clientQuestions = (session.questions || [])
+      .filter((q) => !visible || visible.has(q.qid))
+      .map((q) => (isFinished ? withAnswerKey(canonicalQuestion(q)) : toClientQuestion(q)));
+    const questionByQid = new Map((session.questions || []).map((q) => [q.qid, q]));
 
     if (isFinished) {
       // Reconstruct the full review details array for the frontend to easily display
@@ -155,11 +328,15 @@ export async function getSession(req, res) {
           return {
               qid: q.qid,
               isCorrect: answer.isCorrect || false,
-              userAnswer: answer.userAnswer,
+              userAnswer: canonicalAnswer(q, answer.userAnswer),
               explanation: q.explanation,
               question: q.question,
+              points: q.points ?? 1,
+              earned: answer.earned ?? 0,
+              pending: answer.pending || false,
+              feedback: answer.feedback || "",
               // Determine expected based on the full question snapshot
-              expected: q.answer_text || (q.choices && q.choices[q.answer_index]) || null,
+              expected: gradeQuestion(q, null).expected ?? null,
           };
       });
     }
@@ -167,23 +344,37 @@ export async function getSession(req, res) {
     // convert session.answers array to map qid->userAnswer/fullAnswer for client
     const answersMap = {};
     (session.answers || []).forEach((a) => {
+      if (visible && !visible.has(a.qid)) return;
       // If finished, send the full answer object which includes isCorrect
-      answersMap[a.qid] = isFinished ? a : a.userAnswer; 
+      answersMap[a.qid] = isFinished
+        ? { ...a, userAnswer: canonicalAnswer(questionByQid.get(a.qid), a.userAnswer) }
+        : a.userAnswer;
     });
 
     return res.json({
       _id: session._id,
       quiz: session.quiz,
+      quizRevision: session.quizRevision ?? null,
       status: session.status,
       startedAt: session.startedAt,
-      expiresAt: session.expiresAt,
+      ...timerView(session),
       totalQuestions: session.totalQuestions,
       attemptDurationSeconds: session.attemptDurationSeconds,
+      extensions: session.extensions || [],
       questions: clientQuestions,
       // ✨ NEW: Send the full review details if available/finished
       details: reviewDetails.length > 0 ? reviewDetails : undefined, 
       answers: answersMap,
+      // in progress: the section list and where the taker is; submitted: score per section
+      sections: visible && sectioned
+        ? sectionsView(session)
+        : SUBMITTED_STATUSES.includes(session.status) ? sectionSubtotals(session, session.answers) : undefined,
+      currentSection: visible && sectioned ? session.currentSection : undefined,
+      // adaptive: progress while running, the ability estimate once submitted
+      adaptive: adaptiveView(session),
       score: session.score ?? 0,
+      maxScore: session.maxScore ?? 0,
+      correctCount: session.correctCount ?? 0,
       autoSubmitted: session.autoSubmitted ?? false
     });
   } catch (err) {
@@ -194,7 +385,8 @@ export async function getSession(req, res) {
 
 /**
  * PATCH /api/sessions/:sessionId/save
- * Body: { answers } where answers is an object mapping qid->userAnswer OR an array of { qid, userAnswer }
+ * Body: { answers, timings } where answers is an object mapping qid->userAnswer OR an array of { qid, userAnswer }
+ * and timings (optional) reports per-question view/answer timestamps (format in services/timing.js).
  * Saves partial answers into the session.answers array. Only allowed while session is in-progress and owner.
  */
 export async function saveSession(req, res) {
@@ -215,28 +407,34 @@ export async function saveSession(req, res) {
     }
 
     // Fetch session
-    const session = await QuizSession.findById(sessionId);
+    let session = await QuizSession.findById(sessionId);
     if (!session) return res.status(404).json({ error: "Session not found" });
     if (String(session.user) !== String(userId)) return res.status(403).json({ error: "This session does not belong to you" });
     if (session.status !== "in-progress") return res.status(409).json({ error: "Session is not in-progress" });
+    if (session.pausedAt) return res.status(409).json({ error: "This attempt is paused" });
+
+    // Sectioned attempts: only the current section (linear: the current question) can be answered;
+    // adaptive attempts: only the current question
+    session = await syncSections(session);
+    for (const a of answersArray) {
+      const locked = a && a.qid ? answerError(session, a.qid) : null;
+      if (locked) return res.status(409).json({ error: locked, qid: a.qid, currentSection: session.currentSection });
+    }
 
-    // Merge answers: for qid in answersArray, overwrite or append
-    const existing = Array.isArray(session.answers) ? session.answers.reduce((acc, a) => {
-      if (a && a.qid) acc[a.qid] = a;
-      return acc;
-    }, {}) : {};
+    // Merge answers: for qid in answersArray, overwrite or append (timings are kept)
+    const existing = answersByQid(session);
 
     for (const a of answersArray) {
       if (!a || !a.qid) continue;
-      existing[a.qid] = { qid: a.qid, userAnswer: a.userAnswer };
+      existing.set(a.qid, { ...existing.get(a.qid), qid: a.qid, userAnswer: a.userAnswer });
     }
 
     // Convert back to array
-    const merged = Object.keys(existing).map((k) => ({ qid: k, userAnswer: existing[k].userAnswer }));
+    const merged = [...withTimings(session, existing, req.body.timings).values()];
 
     // Atomic update of answers + touch updatedAt
     const updated = await QuizSession.findOneAndUpdate(
-      { _id: sessionId, status: "in-progress" },
+      { _id: sessionId, status: "in-progress", pausedAt: null, ...positionFilter(session) },
       { $set: { answers: merged } },
       { new: true }
     );
@@ -245,20 +443,97 @@ export async function saveSession(req, res) {
       return res.status(409).json({ error: "Session no longer in-progress" });
     }
 
-    return res.json({ ok: true, savedAt: new Date(), answersCount: merged.length });
+    return res.json({
+      ok: true,
+      savedAt: new Date(),
+      answersCount: merged.filter((a) => a.userAnswer !== undefined).length
+    });
   } catch (err) {
     console.error("saveSession error:", err);
     return res.status(500).json({ error: "Failed to save session answers" });
   }
 }
 
+/**
+ * POST /api/sessions/:sessionId/check
+ * Body: { qid, answer, viewedAt? }
+ * Practice sessions only: grades one answer immediately and returns correctness + explanation.
+ * The answer is stored on the session so progress survives a reload.
+ */
+export async function checkAnswer(req, res) {
+  try {
+    const userId = req.user.id;
+    const sessionId = req.params.sessionId;
+    const { qid } = req.body;
+    const answer = req.body.answer !== undefined ? req.body.answer : req.body.userAnswer;
+    if (!qid) return res.status(400).json({ error: "qid is required" });
+
+    const session = await QuizSession.findById(sessionId);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    if (String(session.user) !== String(userId)) return res.status(403).json({ error: "This session does not belong to you" });
+    if (!session.isPractice) return res.status(403).json({ error: "Instant feedback is only available in practice mode" });
+    if (session.status !== "in-progress") return res.status(409).json({ error: "Session is not in-progress" });
+
+    const question = (session.questions || []).find((q) => q.qid === qid);
+    if (!question) return res.status(404).json({ error: "Question not found in this session" });
+
+    const result = gradeAll([question], { [qid]: answer }, { negativeMarking: session.negativeMarking }).details[0];
+    if (result.pending) {
+      return res.status(400).json({ error: "Essay answers are graded by the quiz creator and cannot be checked instantly" });
+    }
+
+    // optional viewedAt: when the question was shown (answered now)
+    const byQid = answersByQid(session);
+    byQid.set(qid, { ...byQid.get(qid), qid, userAnswer: answer, isCorrect: result.isCorrect, earned: result.earned });
+    const timings = req.body.viewedAt ? { [qid]: { viewedAt: req.body.viewedAt, answeredAt: Date.now() } } : null;
+    const answers = [...withTimings(session, byQid, timings).values()];
+    await QuizSession.updateOne({ _id: sessionId, status: "in-progress" }, { $set: { answers } });
+
+    return res.json({
+      qid,
+      isCorrect: result.isCorrect,
+      credit: result.credit,
+      points: result.points,
+      earned: result.earned,
+      expected: result.expected ?? null,
+      explanation: question.explanation || null,
+      answered: answers.filter((a) => a.userAnswer !== undefined).length,
+      correct: answers.filter((a) => a.isCorrect).length,
+      earnedTotal: Number(answers.reduce((sum, a) => sum + (a.earned || 0), 0).toFixed(2)),
+      totalQuestions: session.totalQuestions
+    });
+  } catch (err) {
+    console.error("checkAnswer error:", err);
+    return res.status(500).json({ error: "Failed to check answer" });
+  }
+}
+
+/**
+ * Review part of a submit response, shaped like getSession's for a finished attempt: questions
+ * with their answer keys and answers, with shuffled choices mapped back to authored order.
+ */
+function submittedReview(session, details) {
+  const byQid = new Map((session.questions || []).map((q) => [q.qid, q]));
+  return {
+    questions: (session.questions || []).map((q) => withAnswerKey(canonicalQuestion(q))),
+    details: details.map((d) => ({ ...d, userAnswer: canonicalAnswer(byQid.get(d.qid), d.userAnswer) }))
+  };
+}
+
 /**
  * POST /api/sessions/:sessionId/submit
+ * Body: { answers?, timings? } (same formats as save; saved answers are used when answers is empty)
  * Submits the session for grading. Behavior:
  * - If session.expiresAt passed, mark autoSubmitted true.
- * - Grade using gradeAll(session.questions, answersMap).
+ * - Grade using gradeAll(session.questions, answersMap): score is the weighted sum of question
+ *   points (partial credit and the negative marking copied onto the session at start apply).
  * - Atomically mark session finished (status=finished) only if previously in-progress.
- * - Update user stats/points.
+ *   Attempts with answered essay questions go to status=pending-review instead and only update
+ *   points once every response is graded (see services/manualGrading.js).
+ * - Update user stats/points by the change in the counted score (see services/attemptPolicy.js).
+ *   Practice sessions are graded but never touch points or stats.
+ * - Responds with the graded details and the questions with their keys, in authored choice order
+ *   like getSession.
  */
 export async function submitSession(req, res) {
   try {
@@ -266,7 +541,7 @@ export async function submitSession(req, res) {
     const sessionId = req.params.sessionId;
     const answersPayload = req.body.answers || {};
 
-    const session = await QuizSession.findById(sessionId);
+    let session = await QuizSession.findById(sessionId);
     if (!session) return res.status(404).json({ error: "Session not found" });
 
     if (String(session.user) !== String(userId)) {
@@ -276,14 +551,26 @@ export async function submitSession(req, res) {
     if (session.status !== "in-progress") {
       return res.status(409).json({ error: "Session already finished or timed-out" });
     }
+    if (session.pausedAt) return res.status(409).json({ error: "This attempt is paused" });
 
     const now = new Date();
     let autoSubmitted = false;
     if (session.expiresAt && now > session.expiresAt) autoSubmitted = true;
 
+    session = await syncSections(session, now);
+    const editable = answerableQids(session);
+
     // Use answersPayload if provided; otherwise use session.answers (saved)
     let answersMap = {};
-    if (answersPayload && Object.keys(answersPayload).length > 0) {
+    if (editable) {
+      // sectioned and adaptive attempts keep what was saved for closed questions; the payload
+      // can only answer the ones still open
+      (session.answers || []).forEach((a) => { if (a && a.qid) answersMap[a.qid] = a.userAnswer; });
+      const submitted = Array.isArray(answersPayload)
+        ? answersPayload.filter((a) => a && a.qid).map((a) => [a.qid, a.userAnswer])
+        : Object.entries(answersPayload || {});
+      submitted.forEach(([qid, userAnswer]) => { if (editable.has(qid)) answersMap[qid] = userAnswer; });
+    } else if (answersPayload && Object.keys(answersPayload).length > 0) {
       if (Array.isArray(answersPayload)) {
         answersPayload.forEach((a) => { if (a && a.qid) answersMap[a.qid] = a.userAnswer; });
       } else {
@@ -295,30 +582,47 @@ export async function submitSession(req, res) {
     }
 
     // grade
-    const gradeResult = gradeAll(session.questions, answersMap);
-    const score = gradeResult.totalCorrect;
+    const gradeResult = gradeAll(session.questions, answersMap, { negativeMarking: session.negativeMarking });
+    const { score, totalCorrect: correctCount, pendingCount } = gradeResult;
+    // adaptive attempts submitted early: the questions never served count as 0 points
+    const maxScore = session.adaptive
+      ? adaptiveMaxScore(session.adaptive, session.questions, gradeResult.maxScore)
+      : gradeResult.maxScore;
+    const status = pendingCount > 0 && !session.isPractice ? "pending-review" : "finished";
     const details = gradeResult.details; // <--- This now includes 'explanation'
 
     const nowFinish = new Date();
 
+    // time per question from the saved + submitted view/answer timestamps
+    const timed = withTimings(session, answersByQid(session), req.body.timings, nowFinish);
+
     // Store the graded answers including isCorrect for persistent review
     const answersToStore = details.map((d) => ({
       qid: d.qid,
       userAnswer: d.userAnswer,
       isCorrect: d.isCorrect,
-      timeTakenSeconds: d.timeTakenSeconds || 0
+      earned: d.earned,
+      pending: d.pending && status === "pending-review",
+      timeTakenSeconds: timed.get(d.qid)?.timeTakenSeconds || 0,
+      timings: timed.get(d.qid)?.timings || []
     }));
 
     // atomic update to prevent race
     const updated = await QuizSession.findOneAndUpdate(
-      { _id: sessionId, status: "in-progress" },
+      { _id: sessionId, status: "in-progress", pausedAt: null, ...positionFilter(session) },
       {
         $set: {
-          status: "finished",
+          status,
           finishedAt: nowFinish,
           autoSubmitted,
           answers: answersToStore, // <--- Now stores isCorrect
-          score
+          score,
+          maxScore,
+          correctCount,
+          // set with the status so a crash before the points update is retried by the worker
+          pointsPending: !session.isPractice && status !== "pending-review",
+          // adaptive attempts: final ability estimate (an answer to the current question counts)
+          ...(session.adaptive ? { adaptive: finishAdaptive(session.adaptive, session.questions, details, nowFinish) } : {})
         }
       },
       { new: true }
@@ -328,28 +632,66 @@ export async function submitSession(req, res) {
       return res.status(409).json({ error: "Session already finished (race detected)" });
     }
 
-    // Update user points / stats
+    // subtotal per quiz section (undefined when the quiz has none)
+    const sections = sectionSubtotals(updated, details);
+    // estimated ability next to the raw score (undefined unless adaptive)
+    const adaptive = adaptiveView(updated);
+    // questions and details in authored choice order, as getSession returns them
+    const review = submittedReview(updated, details);
+
+    // Practice sessions never affect points, stats or leaderboards
+    if (updated.isPractice) {
+      return res.json({
+        sessionId: updated._id,
+        quizId: updated.quiz,
+        score,
+        maxScore,
+        correctCount,
+        totalQuestions: updated.totalQuestions,
+        autoSubmitted,
+        isPractice: true,
+        ...review,
+        sections,
+        adaptive
+      });
+    }
+
+    // Essay responses still need a grader; points are applied when the attempt is finalized
+    if (status === "pending-review") {
+      return res.json({
+        sessionId: updated._id,
+        quizId: updated.quiz,
+        status,
+        score,
+        maxScore,
+        correctCount,
+        pendingReview: pendingCount,
+        totalQuestions: updated.totalQuestions,
+        autoSubmitted,
+        ...review,
+        sections,
+        adaptive
+      });
+    }
+
+    // Update user points / stats by the change in the counted score (settings.scoringPolicy)
     try {
-      const userUpdate = await User.findByIdAndUpdate(
-        userId,
-        {
-          $inc: {
-            points: score,
-            "stats.quizzesAttempted": 1,
-            "stats.totalCorrect": score
-          }
-        },
-        { new: true }
-      );
+      const quiz = await Quiz.findById(updated.quiz).select("settings").lean();
+      const { user: userUpdate, counted, delta, policy } = await applyAttemptScore(updated, quiz);
 
       return res.json({
         sessionId: updated._id,
         quizId: updated.quiz,
         score,
+        maxScore,
+        correctCount,
         totalQuestions: updated.totalQuestions,
         autoSubmitted,
         // ✨ NEW: Send the details array immediately upon submission
-        details, 
+        ...review,
+        sections,
+        adaptive,
+        scoring: { policy, countedScore: counted, pointsAwarded: delta },
         user: { id: userUpdate._id, points: userUpdate.points, stats: userUpdate.stats }
       });
     } catch (uErr) {
@@ -359,13 +701,151 @@ export async function submitSession(req, res) {
         sessionId: updated._id,
         quizId: updated.quiz,
         score,
+        maxScore,
+        correctCount,
         totalQuestions: updated.totalQuestions,
         autoSubmitted,
-        details
+        ...review,
+        sections,
+        adaptive
       });
     }
   } catch (err) {
     console.error("submitSession error:", err);
     return res.status(500).json({ error: "Failed to submit session" });
   }
-}
\ No newline at end of file
+}
+/**
+ * POST /api/sessions/:sessionId/abandon
+ * Gives up an attempt in progress so a new one can be started later. Abandoned attempts score
+ * nothing and reveal no answers, but still use up an attempt (maxAttempts / cooldown).
+ */
+export async function abandonSession(req, res) {
+  try {
+    const userId = req.user.id;
+    const sessionId = req.params.sessionId;
+
+    const session = await QuizSession.findById(sessionId);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    if (String(session.user) !== String(userId)) return res.status(403).json({ error: "This session does not belong to you" });
+    if (session.status !== "in-progress") return res.status(409).json({ error: "Session is not in-progress" });
+
+    const now = new Date();
+    // out of time: the attempt is graded as timed out rather than thrown away
+    if (session.expiresAt && session.expiresAt <= now) {
+      const expired = await expireSession(session, now);
+      return res.status(409).json({ error: "Session already timed out", status: expired?.status || "timed-out" });
+    }
+
+    const abandoned = await QuizSession.findOneAndUpdate(
+      { _id: sessionId, status: "in-progress" },
+      { $set: { status: "abandoned", finishedAt: now, score: 0, correctCount: 0 } },
+      { new: true }
+    );
+    if (!abandoned) return res.status(409).json({ error: "Session no longer in-progress" });
+
+    return res.json({
+      sessionId: abandoned._id,
+      quizId: abandoned.quiz,
+      status: abandoned.status,
+      abandonedAt: abandoned.finishedAt
+    });
+  } catch (err) {
+    console.error("abandonSession error:", err);
+    return res.status(500).json({ error: "Failed to abandon session" });
+  }
+}
+
+/** Load the caller's running, unpaused attempt for the section endpoints (null when answered). */
+async function loadRunningAttempt(req, res, now) {
+  const session = await QuizSession.findById(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ error: "Session not found" });
+    return null;
+  }
+  if (String(session.user) !== String(req.user.id)) {
+    res.status(403).json({ error: "This session does not belong to you" });
+    return null;
+  }
+  if (session.status !== "in-progress") {
+    res.status(409).json({ error: "Session is not in-progress" });
+    return null;
+  }
+  if (session.pausedAt) {
+    res.status(409).json({ error: "This attempt is paused" });
+    return null;
+  }
+  if (session.expiresAt && session.expiresAt <= now) {
+    const expired = await expireSession(session, now);
+    res.status(409).json({ error: "Session already timed out", status: expired?.status || "timed-out" });
+    return null;
+  }
+  return syncSections(session, now);
+}
+
+/**
+ * POST /api/sessions/:sessionId/next-section
+ * Closes the current section for good (its answers stay as saved) and starts the next one.
+ * Returns the attempt as startQuiz does, showing the new section.
+ */
+export async function nextSection(req, res) {
+  try {
+    const now = new Date();
+    const session = await loadRunningAttempt(req, res, now);
+    if (!session) return;
+    const updated = await advanceSection(session, now);
+    return res.json(attemptPayload(updated, true, now));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("nextSection error:", err);
+    return res.status(500).json({ error: "Failed to move to the next section" });
+  }
+}
+
+/**
+ * Adaptive attempts: grade the answer to the current question (body.answer, or the one saved)
+ * and serve the next question chosen from the pool. Correctness is not revealed until submit.
+ */
+async function nextAdaptiveQuestion(req, res, session, now) {
+  const qid = session.adaptive.currentQid;
+  if (!qid) return res.status(409).json({ error: "All questions have been served; submit the attempt" });
+
+  const byQid = answersByQid(session);
+  const answer = req.body?.answer !== undefined ? req.body.answer : req.body?.userAnswer;
+  if (answer !== undefined) byQid.set(qid, { ...byQid.get(qid), qid, userAnswer: answer });
+  const question = session.questions.find((q) => q.qid === qid);
+  const result = gradeAll([question], { [qid]: byQid.get(qid)?.userAnswer }, { negativeMarking: session.negativeMarking }).details[0];
+  const { adaptive, next } = answerAdaptive(session.adaptive, question, result, now);
+  const answers = [...withTimings(session, byQid, req.body?.timings, now).values()];
+
+  const update = { $set: { answers, adaptive } };
+  if (next) update.$push = { questions: next };
+  const updated = await QuizSession.findOneAndUpdate(
+    { _id: session._id, status: "in-progress", pausedAt: null, "adaptive.currentQid": qid },
+    update,
+    { new: true }
+  );
+  if (!updated) return res.status(409).json({ error: "Attempt changed meanwhile, please retry" });
+  return res.json({ ...attemptPayload(updated, true, now), done: !next });
+}
+
+/**
+ * POST /api/sessions/:sessionId/next-question
+ * Linear sections: locks the current question and reveals the next one.
+ * Adaptive quizzes: body { answer?, timings? } answers the current question and returns the
+ * next one chosen by performance so far; done: true once every question was served.
+ */
+export async function nextQuestion(req, res) {
+  try {
+    const now = new Date();
+    const session = await loadRunningAttempt(req, res, now);
+    if (!session) return;
+    if (session.adaptive) return await nextAdaptiveQuestion(req, res, session, now);
+    const updated = await advanceQuestion(session);
+    return res.json(attemptPayload(updated, true, now));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("nextQuestion error:", err);
+    return res.status(500).json({ error: "Failed to move to the next question" });
+  }
+}
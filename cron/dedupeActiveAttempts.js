@@ -0,0 +1,75 @@
+// server/cron/dedupeActiveAttempts.js
+/**
+ * One-off migration for the `one_active_attempt` unique index on QuizSession (at most one
+ * in-progress graded attempt per quiz and user). Databases created before the index may hold
+ * several in-progress attempts for the same pair, and the index cannot be built until they are
+ * gone.
+ *
+ * Overdue attempts are expired first (the regular expiry worker, so they are graded as usual).
+ * Of the attempts still running, the newest per {quiz, user} is kept and the others are
+ * abandoned, as if the taker had abandoned them. Then the index is built.
+ *
+ * Run it once, before starting the upgraded server:
+ *   node cron/dedupeActiveAttempts.js            # fix duplicates and build the index
+ *   node cron/dedupeActiveAttempts.js --dry-run  # only list what would be abandoned
+ * It is safe to run again; with no duplicates left it only (re)builds the index.
+ */
+import dotenv from "dotenv";
+dotenv.config();
+
+import mongoose from "mongoose";
+import QuizSession from "../models/QuizSession.js";
+import { runExpiry } from "../services/sessionExpiry.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function main() {
+  if (!process.env.MONGO_URI) {
+    console.error("MONGO_URI not set. Exiting.");
+    process.exit(1);
+  }
+  // the index is built below, once the duplicates are gone
+  await mongoose.connect(process.env.MONGO_URI, { autoIndex: false });
+
+  if (!dryRun) {
+    let run;
+    do {
+      run = await runExpiry();
+      console.log(`Expired ${run.expired} overdue sessions`);
+    } while (run.more && !run.error);
+  }
+
+  const duplicates = await QuizSession.aggregate([
+    { $match: { status: "in-progress", isPractice: false } },
+    { $sort: { startedAt: -1, _id: -1 } },
+    { $group: { _id: { quiz: "$quiz", user: "$user" }, sessions: { $push: "$_id" }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+
+  let abandoned = 0;
+  for (const d of duplicates) {
+    const [newest, ...older] = d.sessions;
+    console.log(`quiz ${d._id.quiz} user ${d._id.user}: keeping ${newest}, abandoning ${older.join(", ")}`);
+    if (dryRun) continue;
+    const now = new Date();
+    const result = await QuizSession.updateMany(
+      { _id: { $in: older }, status: "in-progress" },
+      { $set: { status: "abandoned", finishedAt: now, score: 0, correctCount: 0 } }
+    );
+    abandoned += result.modifiedCount;
+  }
+  console.log(`${duplicates.length} quiz/user pairs had more than one attempt in progress; abandoned ${abandoned}`);
+
+  if (!dryRun) {
+    await QuizSession.createIndexes();
+    console.log("Indexes built.");
+  }
+
+  console.log("Done.");
+  mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+// server/cron/grantAdmin.js
+/**
+ * Bootstrap admins from the command line. Registering or logging in never grants the admin
+ * role (anyone could register an address first); an operator promotes existing accounts here:
+ *   node cron/grantAdmin.js alice@example.com bob@example.com
+ * Without arguments the comma-separated ADMIN_EMAILS environment variable is used.
+ * Later admins can be appointed through PUT /api/admin/users/:id/role.
+ */
+import dotenv from "dotenv";
+dotenv.config();
+
+import mongoose from "mongoose";
+import User from "../models/User.js";
+
+async function main() {
+  if (!process.env.MONGO_URI) {
+    console.error("MONGO_URI not set. Exiting.");
+    process.exit(1);
+  }
+  const args = process.argv.slice(2);
+  const emails = (args.length > 0 ? args : String(process.env.ADMIN_EMAILS || "").split(","))
+    .map((e) => e.trim())
+    .filter(Boolean);
+  if (emails.length === 0) {
+    console.error("Usage: node cron/grantAdmin.js <email> [email...] (or set ADMIN_EMAILS)");
+    process.exit(1);
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  for (const email of emails) {
+    // emails are stored as registered; match them case-insensitively
+    const pattern = new RegExp(`^${email.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i");
+    const user = await User.findOneAndUpdate({ email: pattern }, { $set: { role: "admin" } }, { new: true });
+    console.log(user ? `${user.email}: admin` : `${email}: no such account (register it first)`);
+  }
+
+  console.log("Done.");
+  mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,20 +1,19 @@
 // server/middlewares/authMiddleware.js
-import jwt from "jsonwebtoken";
-import dotenv from "dotenv";
+import { authenticateToken } from "../services/authToken.js";
 
-dotenv.config();
-const JWT_SECRET = process.env.JWT_SECRET || "dev_secret";
-
-export default function authMiddleware(req, res, next) {
+export default async function authMiddleware(req, res, next) {
   const auth = req.headers.authorization;
   if (!auth || !auth.startsWith("Bearer ")) return res.status(401).json({ error: "Unauthorized" });
   const token = auth.split(" ")[1];
+
+  // role and suspension are read from the database so they apply to tokens already issued
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    // payload must include id, email
-    req.user = { id: payload.id, email: payload.email, username: payload.name || payload.username };
+    const { user, status, error } = await authenticateToken(token);
+    if (!user) return res.status(status).json({ error });
+    req.user = user;
     return next();
   } catch (err) {
-    return res.status(401).json({ error: "Invalid token" });
+    console.error("authMiddleware error:", err);
+    return res.status(500).json({ error: "Server error" });
   }
 }
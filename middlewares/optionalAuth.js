@@ -2,20 +2,17 @@
 /**
  * optionalAuth middleware
  * - If Authorization: Bearer <token> is present and valid, attaches req.user
+ *   (loaded like authMiddleware, so it carries the role from the database)
  * - If no token present, continues without error (req.user stays undefined)
+ * - Invalid tokens and suspended accounts are treated as unauthenticated
  *
  * This is useful for endpoints that are public but can return personalized info
  * when the requester is authenticated (e.g., leaderboard with "myRank").
  */
 
-import jwt from "jsonwebtoken";
-import dotenv from "dotenv";
+import { authenticateToken } from "../services/authToken.js";
 
-dotenv.config();
-
-const JWT_SECRET = process.env.JWT_SECRET || "dev_secret";
-
-export default function optionalAuth(req, res, next) {
+export default async function optionalAuth(req, res, next) {
   try {
     const auth = req.headers.authorization;
     if (!auth || !auth.startsWith("Bearer ")) {
@@ -23,11 +20,10 @@ export default function optionalAuth(req, res, next) {
       return next();
     }
     const token = auth.split(" ")[1];
-    try {
-      const payload = jwt.verify(token, JWT_SECRET);
-      req.user = { id: payload.id, email: payload.email, username: payload.username || payload.name };
-    } catch (err) {
-      // invalid token — do not reject, just ignore and continue
+    const { user } = await authenticateToken(token);
+    if (user) req.user = user;
+    else {
+      // invalid token or suspended account — do not reject, just ignore and continue
       console.warn("optionalAuth: invalid token, continuing as unauthenticated");
     }
     return next();
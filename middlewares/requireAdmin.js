@@ -0,0 +1,9 @@
+// server/middlewares/requireAdmin.js
+/**
+ * requireAdmin middleware
+ * Use after authMiddleware (which loads req.user.role from the database).
+ */
+export default function requireAdmin(req, res, next) {
+  if (req.user?.role !== "admin") return res.status(403).json({ error: "Admin only" });
+  return next();
+}
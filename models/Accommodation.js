@@ -0,0 +1,18 @@
+// server/models/Accommodation.js
+import mongoose from "mongoose";
+
+// extra time for one user on one quiz, set by the quiz's editors (see services/attemptTimer.js)
+const AccommodationSchema = new mongoose.Schema({
+  quiz: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  username: { type: String, required: true },
+  timeMultiplier: { type: Number, required: true }, // 1.5 = 50% more time per attempt
+  note: { type: String, default: "" },
+  setBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+AccommodationSchema.index({ quiz: 1, user: 1 }, { unique: true });
+
+export default mongoose.models.Accommodation || mongoose.model("Accommodation", AccommodationSchema);
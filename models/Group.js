@@ -0,0 +1,36 @@
+// server/models/Group.js
+import mongoose from "mongoose";
+
+const MemberSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  username: { type: String, required: true }, // denormalized for rosters
+  joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// a quiz assigned to the class; null dates = no limit
+const AssignmentSchema = new mongoose.Schema({
+  quiz: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz", required: true },
+  openAt: { type: Date, default: null },
+  closeAt: { type: Date, default: null }, // no new attempts after this
+  dueAt: { type: Date, default: null }, // submissions after this are reported as late
+  assignedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const GroupSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: { type: String, default: "" },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  // short code students type to join; null = joining by code disabled
+  joinCode: { type: String, default: null },
+  members: { type: [MemberSchema], default: [] },
+  assignments: { type: [AssignmentSchema], default: [] },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+GroupSchema.index({ owner: 1, createdAt: -1 });
+GroupSchema.index({ "members.user": 1 });
+GroupSchema.index({ "assignments.quiz": 1 });
+GroupSchema.index({ joinCode: 1 }, { unique: true, partialFilterExpression: { joinCode: { $type: "string" } } });
+
+export default mongoose.models.Group || mongoose.model("Group", GroupSchema);
@@ -0,0 +1,27 @@
+// server/models/Question.js
+import mongoose from "mongoose";
+
+/**
+ * A reusable question stored in a QuestionBank.
+ * Same fields as an entry of Quiz.questions, plus bank/owner/tags for drawing.
+ * strict: false so type-specific answer fields are kept as-is (like the Quiz.questions array).
+ */
+const QuestionSchema = new mongoose.Schema({
+  bank: { type: mongoose.Schema.Types.ObjectId, ref: "QuestionBank", required: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  type: { type: String, required: true },
+  difficulty: { type: String, enum: ["easy", "medium", "hard"], default: "medium" },
+  topic: { type: String, default: "" },
+  tags: { type: [String], default: [] },
+  question: { type: String, required: true },
+  choices: { type: [String], default: [] },
+  answer_index: { type: Number, default: null },
+  answer_text: { type: String, default: null },
+  explanation: { type: String, default: "" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { strict: false });
+
+QuestionSchema.index({ bank: 1, tags: 1, difficulty: 1 });
+
+export default mongoose.models.Question || mongoose.model("Question", QuestionSchema);
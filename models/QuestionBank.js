@@ -0,0 +1,14 @@
+// server/models/QuestionBank.js
+import mongoose from "mongoose";
+
+const QuestionBankSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: { type: String, default: "" },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+QuestionBankSchema.index({ owner: 1, createdAt: -1 });
+
+export default mongoose.models.QuestionBank || mongoose.model("QuestionBank", QuestionBankSchema);
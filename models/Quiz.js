@@ -1,33 +1,109 @@
 // server/models/Quiz.js
 import mongoose from "mongoose";
 
+// "draw <count> random questions from <bank> tagged <tags> (at least minPerDifficulty.hard hard ones)"
+const BankDrawSchema = new mongoose.Schema({
+  bank: { type: mongoose.Schema.Types.ObjectId, ref: "QuestionBank", required: true },
+  count: { type: Number, required: true },
+  tags: { type: [String], default: [] },
+  topic: { type: String, default: "" },
+  minPerDifficulty: {
+    easy: { type: Number, default: 0 },
+    medium: { type: Number, default: 0 },
+    hard: { type: Number, default: 0 }
+  },
+  // quiz section the drawn questions go to (null = the last section)
+  section: { type: String, default: null }
+}, { _id: false });
+
+// part of a quiz with its own time limit and navigation (see services/sections.js);
+// questions name their section in `section`
+const SectionSchema = new mongoose.Schema({
+  sid: { type: String, required: true },
+  title: { type: String, required: true },
+  description: { type: String, default: "" },
+  timeLimitSeconds: { type: Number, default: null },
+  // null = settings.shuffleQuestions
+  shuffleQuestions: { type: Boolean, default: null },
+  navigation: { type: String, enum: ["free", "linear"], default: "free" }
+}, { _id: false });
+
+// co-teacher with a role (see services/quizAccess.js)
+const CollaboratorSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  username: { type: String, required: true },
+  role: { type: String, enum: ["editor", "grader", "viewer"], required: true },
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// weekly availability window in the quiz's timezone, e.g. Mondays 09:00-10:00 (see services/schedule.js)
+const RecurringWindowSchema = new mongoose.Schema({
+  days: { type: [Number], required: true }, // 0 = Sunday ... 6 = Saturday
+  start: { type: String, required: true }, // "HH:MM"
+  end: { type: String, required: true }
+}, { _id: false });
+
 const QuizSchema = new mongoose.Schema({
   title: { type: String, required: true },
   description: { type: String, default: "" },
   topic: { type: String, default: "" },
   creator: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   isPublic: { type: Boolean, default: true },
+  collaborators: { type: [CollaboratorSchema], default: [] },
 
   // shareCode: opaque token for private sharing (unguessable)
   shareCode: { type: String, default: null, index: true },
   // share expiration (if shareCode present, can expire)
   shareExpiresAt: { type: Date, default: null },
 
+  // hidden by a moderator: kept in the database but not listed, searchable or playable
+  hidden: { type: Boolean, default: false },
+  hiddenAt: { type: Date, default: null },
+  hiddenReason: { type: String, default: "" },
+
   questions: { type: Array, default: [] },
+  // empty = one flat list of questions
+  sections: { type: [SectionSchema], default: [] },
+  // number of the latest QuizRevision (0 = saved before revision history existed)
+  revision: { type: Number, default: 0 },
   settings: {
     attemptDurationSeconds: { type: Number, default: null },
     shuffleQuestions: { type: Boolean, default: false },
-    timeLimitSeconds: { type: Number, default: null }
+    // permute mcq/multi choices per session (questions can opt out with keep_choice_order)
+    shuffleChoices: { type: Boolean, default: false },
+    timeLimitSeconds: { type: Number, default: null },
+    // attempt policy: null/0 = unlimited attempts
+    maxAttempts: { type: Number, default: 1 },
+    attemptCooldownSeconds: { type: Number, default: 0 },
+    // which attempt counts for points and the quiz leaderboard
+    scoringPolicy: { type: String, enum: ["best", "latest", "average", "first"], default: "best" },
+    // fraction of a question's points deducted for a wrong (not blank) answer, 0 = off
+    negativeMarking: { type: Number, default: 0 },
+    // questions drawn from question banks per session, in addition to `questions`
+    bankDraws: { type: [BankDrawSchema], default: [] },
+    // one question at a time, chosen by performance (see services/adaptive.js)
+    adaptive: {
+      enabled: { type: Boolean, default: false },
+      method: { type: String, enum: ["staircase", "irt"], default: "staircase" },
+      questionCount: { type: Number, default: null }, // null = the whole pool
+      startDifficulty: { type: String, enum: ["easy", "medium", "hard"], default: "medium" }
+    }
   },
 
+  // schedule: drafts and future publishAt are unpublished; startAt/endAt/recurring limit availability
+  draft: { type: Boolean, default: false },
+  publishAt: { type: Date, default: null },
+  timezone: { type: String, default: "UTC" },
   startAt: { type: Date, default: null },
   endAt: { type: Date, default: null },
+  recurring: { type: [RecurringWindowSchema], default: [] },
 
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
 QuizSchema.index({ creator: 1, createdAt: -1 });
+QuizSchema.index({ "collaborators.user": 1 });
 QuizSchema.index({ title: "text", topic: "text", description: "text" }); // for text search
 
 export default mongoose.models.Quiz || mongoose.model("Quiz", QuizSchema);
@@ -0,0 +1,24 @@
+// server/models/QuizRevision.js
+import mongoose from "mongoose";
+
+// immutable snapshot of a quiz's content after a save (see services/revisions.js)
+const QuizRevisionSchema = new mongoose.Schema({
+  quiz: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz", required: true },
+  number: { type: Number, required: true }, // 1, 2, 3... per quiz
+  author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  authorUsername: { type: String, default: "" },
+  // how the revision came about
+  source: { type: String, enum: ["baseline", "create", "import", "update", "rollback"], required: true },
+  rolledBackTo: { type: Number, default: null }, // source "rollback": the revision that was restored
+  title: { type: String, default: "" },
+  description: { type: String, default: "" },
+  topic: { type: String, default: "" },
+  questions: { type: Array, default: [] },
+  sections: { type: Array, default: [] },
+  settings: { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, default: Date.now }
+});
+
+QuizRevisionSchema.index({ quiz: 1, number: -1 }, { unique: true });
+
+export default mongoose.models.QuizRevision || mongoose.model("QuizRevision", QuizRevisionSchema);
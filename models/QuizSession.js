@@ -1,32 +1,150 @@
 // server/models/QuizSession.js
 import mongoose from "mongoose";
 
+// one visit to a question (see services/timing.js)
+const TimingSchema = new mongoose.Schema({
+  viewedAt: { type: Date, required: true },
+  answeredAt: { type: Date, required: true }
+}, { _id: false });
+
+// change to an attempt's time: accommodation at start, extension, pause/resume (audit log)
+const TimeAdjustmentSchema = new mongoose.Schema({
+  type: { type: String, enum: ["accommodation", "extend", "pause", "resume"], required: true },
+  seconds: { type: Number, default: 0 }, // time added (pause: remaining time frozen; resume: paused duration)
+  reason: { type: String, default: "" },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  byUsername: { type: String, default: "" },
+  at: { type: Date, required: true },
+  expiresAt: { type: Date, default: null } // deadline after the change (null while paused)
+}, { _id: false });
+
+// client connection seen through heartbeats ("inferred" = heartbeats stopped without a goodbye)
+const ConnectionEventSchema = new mongoose.Schema({
+  type: { type: String, enum: ["connect", "disconnect"], required: true },
+  at: { type: Date, required: true },
+  inferred: { type: Boolean, default: false }
+}, { _id: false });
+
+// integrity event reported by the client (services/integrity.js)
+const IntegrityEventSchema = new mongoose.Schema({
+  type: { type: String, enum: ["focus-loss", "tab-switch", "copy", "paste", "fullscreen-exit"], required: true },
+  at: { type: Date, required: true },
+  qid: { type: String, default: null },
+  detail: { type: String, default: "" },
+  receivedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// quiz section as run in this attempt (services/sections.js); locked once the taker moves on
+const SessionSectionSchema = new mongoose.Schema({
+  sid: { type: String, required: true },
+  title: { type: String, default: "" },
+  description: { type: String, default: "" },
+  navigation: { type: String, enum: ["free", "linear"], default: "free" },
+  timeLimitSeconds: { type: Number, default: null }, // accommodation applied
+  qids: { type: [String], default: [] },
+  position: { type: Number, default: 0 }, // linear navigation: index of the current question
+  startedAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  lockedAt: { type: Date, default: null }
+}, { _id: false });
+
+// one answer in an adaptive attempt, in the order given (services/adaptive.js)
+const AdaptiveResponseSchema = new mongoose.Schema({
+  qid: { type: String, required: true },
+  difficulty: { type: String, default: "medium" },
+  correct: { type: Boolean, default: false },
+  abilityAfter: { type: Number, default: null },
+  at: { type: Date, required: true }
+}, { _id: false });
+
+const AdaptiveStateSchema = new mongoose.Schema({
+  method: { type: String, enum: ["staircase", "irt"], default: "staircase" },
+  questionCount: { type: Number, required: true },
+  level: { type: Number, default: 1 }, // staircase: index in easy/medium/hard
+  ability: { type: Number, default: 0 },
+  standardError: { type: Number, default: null }, // irt only
+  currentQid: { type: String, default: null }, // question being answered (null once all were served)
+  pool: { type: Array, default: [] }, // unserved question snapshots (answers included, server-side only)
+  responses: { type: [AdaptiveResponseSchema], default: [] },
+  finishedAt: { type: Date, default: null }
+}, { _id: false });
+
 const AnswerSchema = new mongoose.Schema({
   qid: { type: String, required: true },
   userAnswer: { type: mongoose.Schema.Types.Mixed },
   isCorrect: { type: Boolean, default: false },
-  timeTakenSeconds: { type: Number, default: 0 }
+  earned: { type: Number, default: 0 }, // weighted points earned (may be negative with negative marking)
+  // manual grading (essay questions): pending until a grader scores the response
+  pending: { type: Boolean, default: false },
+  feedback: { type: String, default: "" },
+  gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  gradedAt: { type: Date, default: null },
+  timeTakenSeconds: { type: Number, default: 0 }, // union of the timing intervals
+  timings: { type: [TimingSchema], default: [] }
 }, { _id: false });
 
 const QuizSessionSchema = new mongoose.Schema({
   quiz: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz", required: true },
   user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   username: { type: String, required: true }, // denormalized for quick reads
-  status: { type: String, enum: ["in-progress", "finished", "timed-out"], default: "in-progress" },
+  status: { type: String, enum: ["in-progress", "finished", "timed-out", "pending-review", "abandoned"], default: "in-progress" },
   startedAt: { type: Date, default: Date.now },
   expiresAt: { type: Date, default: null },
   finishedAt: { type: Date, default: null },
   autoSubmitted: { type: Boolean, default: false },
   questions: { type: Array, default: [] }, // snapshot of questions (without correct answers exposed)
   answers: { type: [AnswerSchema], default: [] },
-  score: { type: Number, default: 0 },
+  score: { type: Number, default: 0 }, // weighted score (sum of earned points, floored at 0)
+  maxScore: { type: Number, default: 0 },
+  correctCount: { type: Number, default: 0 },
+  negativeMarking: { type: Number, default: 0 }, // copied from quiz settings at start
   totalQuestions: { type: Number, default: 0 },
+  quizRevision: { type: Number, default: null }, // QuizRevision.number the attempt was started against
+  regradedAt: { type: Date, default: null }, // last answer-key correction (services/regrade.js)
+  // finished attempt whose score is not applied to User.points yet (see applyAttemptScore)
+  pointsPending: { type: Boolean, default: false },
   isPractice: { type: Boolean, default: false },
   attemptDurationSeconds: { type: Number, default: null }, // per-attempt duration (copied from quiz)
+  // server-side timer (services/attemptTimer.js): a paused attempt has no expiresAt until resumed
+  timeMultiplier: { type: Number, default: 1 }, // accommodation applied at start
+  pausedAt: { type: Date, default: null },
+  pausedRemainingSeconds: { type: Number, default: null },
+  extensions: { type: [TimeAdjustmentSchema], default: [] },
+  connected: { type: Boolean, default: false },
+  lastHeartbeatAt: { type: Date, default: null },
+  connectionEvents: { type: [ConnectionEventSchema], default: [] },
+  // sectioned quizzes (graded attempts only): the taker works through sections in order
+  sections: { type: [SessionSectionSchema], default: [] },
+  currentSection: { type: Number, default: 0 },
+  // adaptive quizzes (graded attempts only): `questions` grows as questions are served
+  adaptive: { type: AdaptiveStateSchema, default: null },
+  // integrity report inputs: client events and the address the attempt was started from
+  integrityEvents: { type: [IntegrityEventSchema], default: [] },
+  clientIp: { type: String, default: null },
+  // set when the session was played in a hosted live game (see services/liveGames.js)
+  live: {
+    type: new mongoose.Schema({
+      gameId: { type: String, required: true },
+      pin: { type: String, default: null },
+      nickname: { type: String, default: "" },
+      points: { type: Number, default: 0 }, // speed-weighted game points (score stays = correct answers)
+      rank: { type: Number, default: null },
+      playerCount: { type: Number, default: 0 }
+    }, { _id: false }),
+    default: null
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
 QuizSessionSchema.index({ quiz: 1, user: 1, status: 1 });
+// at most one active (graded) attempt per user and quiz; startQuiz resumes it instead.
+// Older databases: run cron/dedupeActiveAttempts.js once so the index can be built.
+QuizSessionSchema.index(
+  { quiz: 1, user: 1 },
+  { unique: true, name: "one_active_attempt", partialFilterExpression: { status: "in-progress", isPractice: false } }
+);
 QuizSessionSchema.index({ expiresAt: 1 });
+QuizSessionSchema.index({ status: 1, expiresAt: 1 });
+QuizSessionSchema.index({ pointsPending: 1, finishedAt: 1 }, { partialFilterExpression: { pointsPending: true } });
 
 export default mongoose.models.QuizSession || mongoose.model("QuizSession", QuizSessionSchema);
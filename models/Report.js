@@ -0,0 +1,22 @@
+// server/models/Report.js
+import mongoose from "mongoose";
+
+// a user's report of a public quiz (moderation queue item)
+const ReportSchema = new mongoose.Schema({
+  quiz: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz", required: true },
+  reporter: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  reason: { type: String, required: true },
+  status: { type: String, enum: ["open", "resolved", "dismissed"], default: "open" },
+  // moderator decision (see services/moderation.js)
+  action: { type: String, enum: ["none", "hide", "unpublish", "delete"], default: "none" },
+  note: { type: String, default: "" },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  resolvedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+ReportSchema.index({ status: 1, createdAt: 1 });
+// one open report per user and quiz
+ReportSchema.index({ quiz: 1, reporter: 1 }, { unique: true, partialFilterExpression: { status: "open" } });
+
+export default mongoose.models.Report || mongoose.model("Report", ReportSchema);
@@ -7,11 +7,17 @@ const UserSchema = new mongoose.Schema({
   passwordHash: { type: String }, // local auth only; store hashed password
   avatar: { type: String, default: "" },
   provider: { type: String, enum: ["local"], default: "local" }, // no google
+  role: { type: String, enum: ["user", "admin"], default: "user" },
+  // suspended accounts cannot log in or use authenticated endpoints
+  suspendedAt: { type: Date, default: null },
+  suspendedReason: { type: String, default: "" },
   points: { type: Number, default: 0 },
   stats: {
     quizzesAttempted: { type: Number, default: 0 },
     totalCorrect: { type: Number, default: 0 }
   },
+  // recent sessions whose score was applied to points (keeps applyAttemptScore idempotent)
+  scoredSessions: { type: [mongoose.Schema.Types.ObjectId], default: [], select: false },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -0,0 +1,48 @@
+// server/routes/admin.js
+import express from "express";
+import {
+  listQuizzes,
+  hideQuiz,
+  unhideQuiz,
+  unpublishQuiz,
+  deleteQuiz,
+  listUsers,
+  suspendUser,
+  unsuspendUser,
+  setUserRole,
+  listReports,
+  resolveReport,
+  expiryWorkerStatus
+} from "../controllers/adminController.js";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import requireAdmin from "../middlewares/requireAdmin.js";
+
+const router = express.Router();
+
+// every admin endpoint needs a logged-in admin
+router.use(authMiddleware, requireAdmin);
+
+/** Any quiz, including private and hidden ones */
+router.get("/quizzes", listQuizzes);
+router.post("/quizzes/:id/hide", hideQuiz);
+router.post("/quizzes/:id/unhide", unhideQuiz);
+router.post("/quizzes/:id/unpublish", unpublishQuiz);
+router.delete("/quizzes/:id", deleteQuiz);
+
+/** Accounts */
+router.get("/users", listUsers);
+router.post("/users/:id/suspend", suspendUser);
+router.post("/users/:id/unsuspend", unsuspendUser);
+router.put("/users/:id/role", setUserRole);
+
+/**
+ * Moderation queue of reported quizzes
+ * Example: POST /api/admin/reports/<reportId>/resolve { "action": "hide", "note": "spam" }
+ */
+router.get("/reports", listReports);
+router.post("/reports/:reportId/resolve", resolveReport);
+
+/** Background jobs: session expiry backlog and last run */
+router.get("/jobs/session-expiry", expiryWorkerStatus);
+
+export default router;
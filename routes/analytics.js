@@ -0,0 +1,27 @@
+// server/routes/analytics.js
+import express from "express";
+import { getTimingAnalytics, getItemAnalysis } from "../controllers/analyticsController.js";
+import { getIntegrityReport } from "../controllers/integrityController.js";
+import authMiddleware from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * Time per question and time-vs-correctness (owner and collaborators)
+ * Example: GET /api/quizzes/<id>/analytics/timing
+ */
+router.get("/quizzes/:id/analytics/timing", authMiddleware, getTimingAnalytics);
+
+/**
+ * Item analysis: facility, discrimination, mcq distractors, blank rate and KR-20 (owner and collaborators)
+ * Example: GET /api/quizzes/<id>/analytics/items
+ */
+router.get("/quizzes/:id/analytics/items", authMiddleware, getItemAnalysis);
+
+/**
+ * Suspicious attempts ranked by integrity signals, with event timelines (owner and graders)
+ * Example: GET /api/quizzes/<id>/analytics/integrity?limit=50
+ */
+router.get("/quizzes/:id/analytics/integrity", authMiddleware, getIntegrityReport);
+
+export default router;
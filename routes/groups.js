@@ -0,0 +1,47 @@
+// server/routes/groups.js
+import express from "express";
+import {
+  listGroups,
+  createGroup,
+  joinGroup,
+  getGroup,
+  updateGroup,
+  deleteGroup,
+  resetJoinCode,
+  addMembers,
+  removeMember,
+  assignQuiz,
+  unassignQuiz,
+  getRoster
+} from "../controllers/groupController.js";
+import authMiddleware from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+/** Classes I teach or joined */
+router.get("/", authMiddleware, listGroups);
+router.post("/", authMiddleware, createGroup);
+
+/** Join a class with its join code: { code } */
+router.post("/join", authMiddleware, joinGroup);
+
+router.get("/:groupId", authMiddleware, getGroup);
+router.put("/:groupId", authMiddleware, updateGroup);
+router.delete("/:groupId", authMiddleware, deleteGroup);
+router.post("/:groupId/join-code", authMiddleware, resetJoinCode);
+
+/** Members: add by username (owner), remove or leave */
+router.post("/:groupId/members", authMiddleware, addMembers);
+router.delete("/:groupId/members/:userId", authMiddleware, removeMember);
+
+/** Assigned quizzes with open/close/due dates (owner) */
+router.post("/:groupId/assignments", authMiddleware, assignQuiz);
+router.delete("/:groupId/assignments/:quizId", authMiddleware, unassignQuiz);
+
+/**
+ * Completion roster: who has not started, is in progress or finished
+ * Example: GET /api/groups/<groupId>/assignments/<quizId>/roster
+ */
+router.get("/:groupId/assignments/:quizId/roster", authMiddleware, getRoster);
+
+export default router;
@@ -0,0 +1,14 @@
+// server/routes/live.js
+import express from "express";
+import { createLiveGame, getLiveGame } from "../controllers/liveGameController.js";
+import authMiddleware from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+/** Host a live game for a quiz (gameplay continues over the /live WebSocket) */
+router.post("/games", authMiddleware, createLiveGame);
+
+/** Look up a game by PIN (public) */
+router.get("/games/:pin", getLiveGame);
+
+export default router;
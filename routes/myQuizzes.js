@@ -1,19 +1,25 @@
 // server/routes/myQuizzes.js
 import express from "express";
-import { getMyQuizzes, getQuizLeaderboard } from "../controllers/myQuizzesController.js";
+import { getMyQuizzes, getQuizLeaderboard, regradeQuizSessions } from "../controllers/myQuizzesController.js";
 import authMiddleware from "../middlewares/authMiddleware.js";
 
 const router = express.Router();
 
 /**
- * My quizzes listing (creator only)
+ * My quizzes listing (owned and shared with me)
  */
 router.get("/my-quizzes", authMiddleware, getMyQuizzes);
 
 /**
- * Per-quiz leaderboard (creator only)
+ * Per-quiz leaderboard (owner and collaborators)
  * Example: GET /api/quizzes/<id>/leaderboard?limit=20
  */
 router.get("/quizzes/:id/leaderboard", authMiddleware, getQuizLeaderboard);
 
+/**
+ * Apply corrected answer keys to past attempts (owner and editors)
+ * Example: POST /api/quizzes/<id>/regrade   { qids?: ["q3"], dryRun?: true }
+ */
+router.post("/quizzes/:id/regrade", authMiddleware, regradeQuizSessions);
+
 export default router;
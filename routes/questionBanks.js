@@ -0,0 +1,29 @@
+// server/routes/questionBanks.js
+import express from "express";
+import {
+  listBanks,
+  createBank,
+  getBank,
+  updateBank,
+  deleteBank,
+  addQuestions,
+  updateQuestion,
+  deleteQuestion
+} from "../controllers/questionBankController.js";
+import authMiddleware from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+/** Question banks owned by the logged-in user */
+router.get("/", authMiddleware, listBanks);
+router.post("/", authMiddleware, createBank);
+router.get("/:bankId", authMiddleware, getBank);
+router.put("/:bankId", authMiddleware, updateBank);
+router.delete("/:bankId", authMiddleware, deleteBank);
+
+/** Questions inside a bank */
+router.post("/:bankId/questions", authMiddleware, addQuestions);
+router.put("/:bankId/questions/:questionId", authMiddleware, updateQuestion);
+router.delete("/:bankId/questions/:questionId", authMiddleware, deleteQuestion);
+
+export default router;
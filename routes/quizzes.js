@@ -1,13 +1,30 @@
 // server/routes/quizzes.js
 import express from "express";
 import crypto from "crypto";
+import multer from "multer";
 import Quiz from "../models/Quiz.js";
 import QuizSession from "../models/QuizSession.js";
 import { generateQuiz } from "../services/aiService.js";
 import authMiddleware from "../middlewares/authMiddleware.js";
+import optionalAuth from "../middlewares/optionalAuth.js";
+import { importQuiz, exportQuiz, exportResults } from "../controllers/quizTransferController.js";
+import { normalizeDrawRules, drawRulesCount } from "../services/questionBank.js";
+import { normalizeAttemptSettings } from "../services/attemptPolicy.js";
+import { validateQuestions, toClientQuestion } from "../services/questionTypes.js";
+import { normalizeSections } from "../services/sections.js";
+import { VISIBLE_QUIZ_FILTER, canSeeQuiz, reportQuiz } from "../services/moderation.js";
+import { quizRole, canAccessQuiz, quizzesWithAccess } from "../services/quizAccess.js";
+import { listCollaborators, addCollaborator, removeCollaborator } from "../controllers/collaboratorController.js";
+import { listRevisions, getRevision, diffRevisions, rollbackToRevision } from "../controllers/revisionController.js";
+import { listAccommodations, setAccommodation, removeAccommodation } from "../controllers/accommodationController.js";
+import { quizContent, recordRevision, recordEdit } from "../services/revisions.js";
+import { normalizeSchedule, publishedFilter, scheduleState, scheduleView } from "../services/schedule.js";
 
 const router = express.Router();
 
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES || 10 * 1024 * 1024);
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_BYTES } });
+
 function makeShareCode(len = 28) {
   return crypto.randomBytes(Math.ceil(len * 3 / 4)).toString("base64url").slice(0, len);
 }
@@ -43,8 +60,13 @@ router.post("/generate", async (req, res) => {
 
 /**
  * POST /api/quizzes
- * Create quiz. If publish === true => set startAt = now, endAt = now + 24h.
+ * Create quiz. Schedule fields (see services/schedule.js):
+ *  - draft, publishAt (scheduled publication), timezone
+ *  - startAt / endAt (ISO, or local "YYYY-MM-DDTHH:mm" in timezone), recurring weekly windows
+ * If publish === true and no explicit window => set startAt = now, endAt = now + 24h.
  * If private & generateShare => create shareCode + shareExpiresAt (24h by default)
+ * sections (optional, see services/sections.js): [{ sid, title, timeLimitSeconds, shuffleQuestions,
+ * navigation }], with every question naming its section in `section`.
  */
 router.post("/", authMiddleware, async (req, res) => {
   try {
@@ -54,19 +76,13 @@ router.post("/", authMiddleware, async (req, res) => {
       topic,
       isPublic = true,
       questions = [],
+      sections = [],
       settings = {},
-      publish = false,
       generateShare = false,
       shareExpiresHours = 24
     } = req.body;
 
-    let startAt = null;
-    let endAt = null;
-    if (publish === true) {
-      const now = new Date();
-      startAt = now;
-      endAt = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-    }
+    const schedule = normalizeSchedule(req.body);
 
     let shareCode = null;
     let shareExpiresAt = null;
@@ -76,6 +92,15 @@ router.post("/", authMiddleware, async (req, res) => {
       shareExpiresAt = new Date(now.getTime() + (Number(shareExpiresHours || 24) * 60 * 60 * 1000));
     }
 
+    const checked = validateQuestions(questions);
+    if (checked.error) return res.status(400).json({ error: checked.error });
+
+    normalizeAttemptSettings(settings);
+    if (settings.bankDraws !== undefined) {
+      settings.bankDraws = await normalizeDrawRules(settings.bankDraws, req.user.id);
+    }
+    const checkedSections = normalizeSections(sections, checked.value, settings);
+
     const quiz = new Quiz({
       title,
       description: description || "",
@@ -84,23 +109,90 @@ router.post("/", authMiddleware, async (req, res) => {
       isPublic,
       shareCode,
       shareExpiresAt,
-      questions,
+      questions: checked.value,
+      sections: checkedSections,
       settings,
-      startAt,
-      endAt
+      ...schedule
     });
 
     await quiz.save();
+    quiz.revision = await recordRevision(quiz._id, quizContent(quiz), {
+      author: req.user.id,
+      authorUsername: req.user.username || "",
+      source: "create"
+    });
     return res.status(201).json(quiz);
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error("Create quiz error:", err);
     return res.status(500).json({ error: "Failed to create quiz" });
   }
 });
 
+/**
+ * POST /api/quizzes/import?format=gift|moodle|qti|csv
+ * Import questions from another tool (multipart "file" or JSON content). See quizTransferController.
+ */
+router.post("/import", authMiddleware, upload.single("file"), importQuiz);
+
+/**
+ * GET /api/quizzes/:id/export?format=gift|moodle|qti|csv
+ * Download the quiz in an exchange format (owner or any collaborator).
+ */
+router.get("/:id/export", authMiddleware, exportQuiz);
+
+/**
+ * GET /api/quizzes/:id/results/export?format=csv|xlsx&mode=attempts|best
+ * Download the gradebook: one row per attempt, or per user's best attempt (owner or any collaborator).
+ */
+router.get("/:id/results/export", authMiddleware, exportResults);
+
+/**
+ * Collaborators with roles editor | grader | viewer (owner manages them). See collaboratorController.
+ */
+router.get("/:id/collaborators", authMiddleware, listCollaborators);
+router.post("/:id/collaborators", authMiddleware, addCollaborator);
+router.delete("/:id/collaborators/:userId", authMiddleware, removeCollaborator);
+
+/**
+ * Extra time per student, e.g. PUT { "username": "sam", "timeMultiplier": 1.5 } (owner and editors).
+ * Applied automatically when the student starts an attempt.
+ */
+router.get("/:id/accommodations", authMiddleware, listAccommodations);
+router.put("/:id/accommodations", authMiddleware, setAccommodation);
+router.delete("/:id/accommodations/:userId", authMiddleware, removeAccommodation);
+
+/**
+ * Revision history: list, view, question-level diff and rollback. See revisionController.
+ * Example: GET /api/quizzes/<id>/revisions/diff?from=2&to=current
+ */
+router.get("/:id/revisions", authMiddleware, listRevisions);
+router.get("/:id/revisions/diff", authMiddleware, diffRevisions);
+router.get("/:id/revisions/:number", authMiddleware, getRevision);
+router.post("/:id/revisions/:number/rollback", authMiddleware, rollbackToRevision);
+
+/**
+ * POST /api/quizzes/:id/report
+ * Body: { reason }. Report a public quiz to the moderators (one open report per user and quiz).
+ */
+router.post("/:id/report", authMiddleware, async (req, res) => {
+  try {
+    const { report, created } = await reportQuiz({
+      quizId: req.params.id,
+      reporterId: req.user.id,
+      reason: req.body?.reason
+    });
+    return res.status(created ? 201 : 200).json({ reportId: report._id, status: report.status, created });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("Report quiz error:", err);
+    return res.status(500).json({ error: "Failed to report quiz" });
+  }
+});
+
 /**
  * PUT /api/quizzes/:id
- * Update quiz (owner only). Supports toggling privacy and generate/revoke share.
+ * Update quiz (owner or editor). Supports toggling privacy and generate/revoke share.
  */
 router.put("/:id", authMiddleware, async (req, res) => {
   try {
@@ -108,21 +200,35 @@ router.put("/:id", authMiddleware, async (req, res) => {
     const body = req.body;
     const quiz = await Quiz.findById(id);
     if (!quiz) return res.status(404).json({ error: "Quiz not found" });
-    if (String(quiz.creator) !== String(req.user.id)) return res.status(403).json({ error: "Not allowed" });
+    if (!canAccessQuiz(quiz, req.user.id, "edit")) return res.status(403).json({ error: "Not allowed" });
+    const before = quizContent(quiz);
 
     if (body.title !== undefined) quiz.title = body.title;
     if (body.description !== undefined) quiz.description = body.description;
     if (body.topic !== undefined) quiz.topic = body.topic;
     if (body.isPublic !== undefined) quiz.isPublic = body.isPublic;
-    if (body.questions !== undefined) quiz.questions = body.questions;
-    if (body.settings !== undefined) quiz.settings = body.settings;
-
-    if (body.publish === true) {
-      const now = new Date();
-      quiz.startAt = now;
-      quiz.endAt = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+    if (body.questions !== undefined) {
+      const checked = validateQuestions(body.questions);
+      if (checked.error) return res.status(400).json({ error: checked.error });
+      quiz.questions = checked.value;
+    }
+    if (body.settings !== undefined) {
+      const settings = normalizeAttemptSettings({ ...body.settings });
+      if (settings.bankDraws !== undefined) {
+        // draws always come from the owner's banks, also when an editor saves
+        settings.bankDraws = await normalizeDrawRules(settings.bankDraws, quiz.creator);
+      }
+      quiz.settings = settings;
+    }
+    // sections are checked against the questions and draw rules as saved
+    if (body.sections !== undefined || body.questions !== undefined || body.settings !== undefined) {
+      const sections = body.sections !== undefined ? body.sections : (quiz.sections || []).map((s) => s.toObject());
+      quiz.sections = normalizeSections(sections, quiz.questions, quiz.settings);
     }
 
+    // draft / publishAt / timezone / startAt / endAt / recurring; publish: true keeps the 24h default
+    Object.assign(quiz, normalizeSchedule(body, quiz));
+
     if (body.generateShare === true && quiz.isPublic === false) {
       quiz.shareCode = makeShareCode(28);
       const hours = Number(body.shareExpiresHours || 24);
@@ -136,8 +242,11 @@ router.put("/:id", authMiddleware, async (req, res) => {
 
     quiz.updatedAt = new Date();
     await quiz.save();
+    // content changes become a new revision (share/publish toggles alone do not)
+    await recordEdit(quiz, before, req.user);
     return res.json(quiz);
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error("Update quiz error:", err);
     return res.status(500).json({ error: "Failed to update quiz" });
   }
@@ -145,14 +254,14 @@ router.put("/:id", authMiddleware, async (req, res) => {
 
 /**
  * POST /api/quizzes/:id/regenerate-share
- * Regenerate share code (owner only). Returns { shareCode, shareExpiresAt }.
+ * Regenerate share code (owner or editor). Returns { shareCode, shareExpiresAt }.
  */
 router.post("/:id/regenerate-share", authMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
     const quiz = await Quiz.findById(id);
     if (!quiz) return res.status(404).json({ error: "Quiz not found" });
-    if (String(quiz.creator) !== String(req.user.id)) return res.status(403).json({ error: "Not allowed" });
+    if (!canAccessQuiz(quiz, req.user.id, "edit")) return res.status(403).json({ error: "Not allowed" });
     if (quiz.isPublic) return res.status(400).json({ error: "Public quizzes do not use share links" });
 
     quiz.shareCode = makeShareCode(28);
@@ -179,15 +288,13 @@ router.get("/by-share/:shareCode", async (req, res) => {
     const now = new Date();
     const quiz = await Quiz.findOne({
       shareCode,
+      ...VISIBLE_QUIZ_FILTER,
       $or: [{ shareExpiresAt: { $exists: false } }, { shareExpiresAt: null }, { shareExpiresAt: { $gt: now } }]
     }).populate("creator", "username email");
 
     if (!quiz) return res.status(404).json({ error: "Invalid or expired share link" });
 
-    const safeQuestions = (quiz.questions || []).map((q) => {
-      const { qid, type, difficulty, question, choices } = q;
-      return { qid, type, difficulty, question, choices: choices || [] };
-    });
+    const safeQuestions = (quiz.questions || []).map(toClientQuestion);
 
     return res.json({
       _id: quiz._id,
@@ -196,9 +303,9 @@ router.get("/by-share/:shareCode", async (req, res) => {
       topic: quiz.topic,
       creator: quiz.creator,
       isPublic: quiz.isPublic,
-      startAt: quiz.startAt,
-      endAt: quiz.endAt,
+      ...scheduleView(quiz),
       shareExpiresAt: quiz.shareExpiresAt,
+      sections: quiz.sections || [],
       questions: safeQuestions
     });
   } catch (err) {
@@ -210,21 +317,25 @@ router.get("/by-share/:shareCode", async (req, res) => {
 /**
  * GET /api/quizzes
  * Supports q (text search), public param, active filter, pagination.
+ * Drafts and quizzes scheduled for later publication are never listed. active=true keeps quizzes
+ * that can be started right now (window and recurring schedule).
  */
 router.get("/", async (req, res) => {
   try {
     const { q, public: isPublicParam, active, limit = 50, skip = 0 } = req.query;
     const now = new Date();
-    const filter = {};
+    // hidden (moderated) quizzes never show up in listings or search
+    const { $or: publishedAt, ...published } = publishedFilter(now);
+    const filter = { ...VISIBLE_QUIZ_FILTER, ...published, $and: [{ $or: publishedAt }] };
 
     if (isPublicParam === "false") filter.isPublic = false;
     else filter.isPublic = true;
 
     if (active === "true") {
-      filter.$and = [
+      filter.$and.push(
         { $or: [{ startAt: { $exists: false } }, { startAt: null }, { startAt: { $lte: now } }] },
         { $or: [{ endAt: { $exists: false } }, { endAt: null }, { endAt: { $gt: now } }] }
-      ];
+      );
     }
 
     if (q && typeof q === "string" && q.trim().length > 0) {
@@ -238,7 +349,10 @@ router.get("/", async (req, res) => {
       .limit(Math.min(Number(limit || 50), 200))
       .populate("creator", "username");
 
-    const safe = found.map((quiz) => {
+    // recurring windows are evaluated here, in the quiz's timezone
+    const listed = active === "true" ? found.filter((quiz) => scheduleState(quiz, now) === "open") : found;
+
+    const safe = listed.map((quiz) => {
       return {
         _id: quiz._id,
         title: quiz.title,
@@ -246,10 +360,9 @@ router.get("/", async (req, res) => {
         topic: quiz.topic,
         creator: quiz.creator,
         isPublic: quiz.isPublic,
-        startAt: quiz.startAt,
-        endAt: quiz.endAt,
+        ...scheduleView(quiz, now),
         shareExpiresAt: quiz.shareExpiresAt,
-        questionsCount: (quiz.questions || []).length,
+        questionsCount: (quiz.questions || []).length + drawRulesCount(quiz.settings?.bankDraws),
         createdAt: quiz.createdAt
       };
     });
@@ -263,43 +376,53 @@ router.get("/", async (req, res) => {
 
 /**
  * GET /api/quizzes/my
- * Returns quizzes owned by the logged-in user with stats:
+ * Returns quizzes owned by or shared with the logged-in user (`role`: owner|editor|grader|viewer)
+ * with stats:
  *  - attempts (number)
- *  - avgScore (float)
+ *  - avgScore (float, weighted points)
+ *  - avgMaxScore (float, points available per attempt)
  *  - lastAttempt (date|null)
- * Includes shareCode and shareExpiresAt so owner can copy/regenerate.
+ *  - pendingReview (attempts waiting for essay grading)
+ * Includes shareCode and shareExpiresAt when the caller can edit, so they can copy/regenerate.
  */
 router.get("/my", authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
-    const quizzes = await Quiz.find({ creator: userId }).sort({ createdAt: -1 }).lean();
+    const quizzes = await Quiz.find(quizzesWithAccess(userId)).sort({ createdAt: -1 }).lean();
 
     // For each quiz compute stats by querying QuizSession
     const enriched = await Promise.all(quizzes.map(async (q) => {
       // find finished or timed-out sessions
-      const sessions = await QuizSession.find({ quiz: q._id, status: { $in: ["finished", "timed-out"] } }).select("score finishedAt").lean();
+      const sessions = await QuizSession.find({ quiz: q._id, status: { $in: ["finished", "timed-out"] }, isPractice: { $ne: true } }).select("score maxScore finishedAt").lean();
 
       const attempts = sessions.length;
       const avgScore = attempts === 0 ? 0 : (sessions.reduce((s, it) => s + (it.score || 0), 0) / attempts);
+      const pendingReview = await QuizSession.countDocuments({ quiz: q._id, status: "pending-review" });
+      const avgMaxScore = attempts === 0 ? 0 : (sessions.reduce((s, it) => s + (it.maxScore || 0), 0) / attempts);
       const lastAttempt = attempts === 0 ? null : sessions.reduce((mx, it) => {
         if (!it.finishedAt) return mx;
         const d = new Date(it.finishedAt);
         return mx === null || d > mx ? d : mx;
       }, null);
 
+      const canEdit = canAccessQuiz(q, userId, "edit");
       return {
         _id: q._id,
         title: q.title,
         description: q.description,
         topic: q.topic,
         isPublic: q.isPublic,
-        questionsCount: (q.questions || []).length,
-        startAt: q.startAt,
-        endAt: q.endAt,
-        shareCode: q.shareCode || null,
-        shareExpiresAt: q.shareExpiresAt || null,
+        role: quizRole(q, userId),
+        questionsCount: (q.questions || []).length + drawRulesCount(q.settings?.bankDraws),
+        ...scheduleView(q),
+        shareCode: canEdit ? q.shareCode || null : null,
+        shareExpiresAt: canEdit ? q.shareExpiresAt || null : null,
+        hidden: !!q.hidden,
+        hiddenReason: q.hidden ? q.hiddenReason || "" : "",
         attempts,
         avgScore: Number(avgScore.toFixed(2)),
+        avgMaxScore: Number(avgMaxScore.toFixed(2)),
+        pendingReview,
         lastAttempt
       };
     }));
@@ -315,16 +438,13 @@ router.get("/my", authMiddleware, async (req, res) => {
  * GET /api/quizzes/:id
  * Return quiz detail (no correct answers).
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
     const quiz = await Quiz.findById(id).populate("creator", "username email");
-    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+    if (!quiz || !canSeeQuiz(quiz, req.user)) return res.status(404).json({ error: "Quiz not found" });
 
-    const safeQuestions = (quiz.questions || []).map((q) => {
-      const { qid, type, difficulty, question, choices } = q;
-      return { qid, type, difficulty, question, choices: choices || [] };
-    });
+    const safeQuestions = (quiz.questions || []).map(toClientQuestion);
 
     return res.json({
       _id: quiz._id,
@@ -333,10 +453,10 @@ router.get("/:id", async (req, res) => {
       topic: quiz.topic,
       creator: quiz.creator,
       isPublic: quiz.isPublic,
-      startAt: quiz.startAt,
-      endAt: quiz.endAt,
+      ...scheduleView(quiz),
       shareCode: quiz.shareCode || null,
       shareExpiresAt: quiz.shareExpiresAt || null,
+      sections: quiz.sections || [],
       questions: safeQuestions,
       settings: quiz.settings
     });
@@ -0,0 +1,14 @@
+// server/routes/reviews.js
+import express from "express";
+import { getReviewQueue, gradeAnswer } from "../controllers/reviewController.js";
+import authMiddleware from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+/** Ungraded essay responses across quizzes I can grade (owner, editor, grader) */
+router.get("/queue", authMiddleware, getReviewQueue);
+
+/** Score one essay response: { points, feedback } */
+router.post("/sessions/:sessionId/answers/:qid", authMiddleware, gradeAnswer);
+
+export default router;
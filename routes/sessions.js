@@ -2,11 +2,17 @@
 import express from "express";
 import {
   startQuiz,
+  startPractice,
   getSession,
   saveSession,
+  checkAnswer,
   submitSession,
-  
+  abandonSession,
+  nextSection,
+  nextQuestion
 } from "../controllers/sessionController.js";
+import { heartbeat, pauseSession, resumeSession, extendSession } from "../controllers/attemptTimerController.js";
+import { reportIntegrityEvents } from "../controllers/integrityController.js";
 import authMiddleware from "../middlewares/authMiddleware.js";
 
 const router = express.Router();
@@ -14,15 +20,39 @@ const router = express.Router();
 /** Start session */
 router.post("/sessions/quizzes/:id/start", authMiddleware, startQuiz);
 
+/** Start practice session (unlimited, no points) */
+router.post("/sessions/quizzes/:id/practice", authMiddleware, startPractice);
+
 /** Get session */
 router.get("/sessions/:sessionId", authMiddleware, getSession);
 
 /** Autosave */
 router.patch("/sessions/:sessionId/save", authMiddleware, saveSession);
 
+/** Practice: check one answer with instant feedback */
+router.post("/sessions/:sessionId/check", authMiddleware, checkAnswer);
+
 /** Submit session */
 router.post("/sessions/:sessionId/submit", authMiddleware, submitSession);
 
+/** Heartbeat: server remaining time, connect/disconnect tracking */
+router.post("/sessions/:sessionId/heartbeat", authMiddleware, heartbeat);
+
+/** Pause, resume or extend one attempt (quiz owner and editors; logged on the session) */
+router.post("/sessions/:sessionId/pause", authMiddleware, pauseSession);
+router.post("/sessions/:sessionId/resume", authMiddleware, resumeSession);
+router.post("/sessions/:sessionId/extend", authMiddleware, extendSession);
+
+/** Integrity events from the client: focus-loss, tab-switch, copy, paste, fullscreen-exit */
+router.post("/sessions/:sessionId/integrity", authMiddleware, reportIntegrityEvents);
+
+/** Sectioned quizzes: close the current section / linear question and move on (no way back) */
+router.post("/sessions/:sessionId/next-section", authMiddleware, nextSection);
+router.post("/sessions/:sessionId/next-question", authMiddleware, nextQuestion);
+
+/** Give up an attempt in progress (counts as a used attempt, never scores) */
+router.post("/sessions/:sessionId/abandon", authMiddleware, abandonSession);
+
 /** USER HISTORY — required for QuizDetail */
 router.get(
   "/sessions/user/history/all",
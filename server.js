@@ -8,7 +8,15 @@ import authRoutes from "./routes/auth.js";
 import statsRoutes from "./routes/stats.js";
 import sessionsRoutes from "./routes/sessions.js";
 import myQuizzesRoutes from "./routes/myQuizzes.js";
+import questionBankRoutes from "./routes/questionBanks.js";
+import liveRoutes from "./routes/live.js";
+import reviewRoutes from "./routes/reviews.js";
+import analyticsRoutes from "./routes/analytics.js";
+import groupRoutes from "./routes/groups.js";
+import adminRoutes from "./routes/admin.js";
 import quizzes from "./routes/quizzes.js"; // existing
+import { attachLiveSocket } from "./sockets/liveSocket.js";
+import { startExpiryWorker } from "./services/sessionExpiry.js";
 
 dotenv.config();
 const app = express();
@@ -29,10 +37,22 @@ app.get("/", (req, res) => res.send("✅ Quiz Builder Backend Running!"));
 
 app.use("/api/auth", authRoutes);
 app.use("/api/quizzes", quizzes);
+app.use("/api/question-banks", questionBankRoutes);
+app.use("/api/live", liveRoutes);
+app.use("/api/reviews", reviewRoutes);
+app.use("/api/groups", groupRoutes);
+app.use("/api/admin", adminRoutes);
 app.use("/api", myQuizzesRoutes);
+app.use("/api", analyticsRoutes);
 app.use("/api", statsRoutes);
 app.use("/api", sessionsRoutes);
 app.use("/api/sessions", sessionsRoutes);
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+const server = app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+// live games (WebSocket at /live, shares the HTTP port)
+attachLiveSocket(server);
+
+// grade timed-out sessions in the background (waits for the MongoDB connection)
+if (process.env.MONGO_URI) startExpiryWorker();
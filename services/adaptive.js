@@ -0,0 +1,214 @@
+// server/services/adaptive.js
+/**
+ * Adaptive quizzes (settings.adaptive): one question at a time, each chosen by how the taker
+ * has done so far.
+ *
+ * settings.adaptive: { enabled, method, questionCount, startDifficulty }
+ *   staircase - the level moves up one difficulty after a correct answer and down one after a
+ *               wrong one; the next question is drawn from the current level (or the nearest)
+ *   irt       - Rasch (1PL) model with item difficulty easy = -1, medium = 0, hard = 1; the
+ *               ability is the posterior mean (EAP, standard normal prior) and the next question
+ *               is the one closest to it (most informative)
+ * questionCount (null = the whole pool) questions are served, starting at startDifficulty.
+ *
+ * The pool is the usual session snapshot (quiz questions plus bank draws) without questions
+ * that need a human grader. Unserved questions wait in QuizSession.adaptive.pool; served ones
+ * are appended to QuizSession.questions, so grading, review and exports only see what the
+ * taker was shown. Practice sessions and live games use the whole pool as a regular list.
+ * Questions never served still count toward maxScore (see adaptiveMaxScore), so stopping early
+ * does not raise the percentage.
+ */
+import { DIFFICULTIES, MANUAL_TYPES } from "./questionTypes.js";
+import { isBlankAnswer, questionPoints, round2 } from "./grading.js";
+
+export const ADAPTIVE_METHODS = ["staircase", "irt"];
+const ITEM_DIFFICULTY = { easy: -1, medium: 0, hard: 1 };
+// ability grid for the EAP estimate
+const GRID = Array.from({ length: 81 }, (_, i) => -4 + i * 0.1);
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Validate settings.adaptive. Returns the cleaned object. */
+export function normalizeAdaptiveSettings(input) {
+  if (input === undefined || input === null) return { enabled: false };
+  if (typeof input !== "object") throw httpError(400, "settings.adaptive must be an object");
+  const method = input.method === undefined ? "staircase" : input.method;
+  if (!ADAPTIVE_METHODS.includes(method)) {
+    throw httpError(400, `settings.adaptive.method must be one of: ${ADAPTIVE_METHODS.join(", ")}`);
+  }
+  let questionCount = null;
+  if (input.questionCount !== undefined && input.questionCount !== null && input.questionCount !== "") {
+    questionCount = Number(input.questionCount);
+    if (!Number.isInteger(questionCount) || questionCount < 1) {
+      throw httpError(400, "settings.adaptive.questionCount must be a positive integer");
+    }
+  }
+  const startDifficulty = input.startDifficulty === undefined ? "medium" : input.startDifficulty;
+  if (!DIFFICULTIES.includes(startDifficulty)) {
+    throw httpError(400, `settings.adaptive.startDifficulty must be one of: ${DIFFICULTIES.join(", ")}`);
+  }
+  return { enabled: input.enabled === true, method, questionCount, startDifficulty };
+}
+
+function difficultyOf(q) {
+  return DIFFICULTIES.includes(q?.difficulty) ? q.difficulty : "medium";
+}
+
+function levelName(ability) {
+  if (ability < -0.5) return "easy";
+  if (ability > 0.5) return "hard";
+  return "medium";
+}
+
+function pickRandom(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+/** Rasch EAP estimate from [{ difficulty, correct }]: { ability, standardError }. */
+export function estimateAbility(responses) {
+  const weights = GRID.map((theta) => {
+    let w = Math.exp(-(theta * theta) / 2);
+    for (const r of responses) {
+      const p = 1 / (1 + Math.exp(-(theta - ITEM_DIFFICULTY[r.difficulty])));
+      w *= r.correct ? p : 1 - p;
+    }
+    return w;
+  });
+  const total = weights.reduce((a, b) => a + b, 0);
+  const mean = GRID.reduce((sum, theta, i) => sum + theta * weights[i], 0) / total;
+  const variance = GRID.reduce((sum, theta, i) => sum + (theta - mean) ** 2 * weights[i], 0) / total;
+  return { ability: round2(mean), standardError: round2(Math.sqrt(variance)) };
+}
+
+/**
+ * Staircase estimate: the mean difficulty at the points where the staircase turned around,
+ * or the current level when it never did.
+ */
+function staircaseAbility(responses, level) {
+  const reversals = [];
+  for (let i = 1; i < responses.length; i++) {
+    if (responses[i].correct !== responses[i - 1].correct) reversals.push(ITEM_DIFFICULTY[responses[i].difficulty]);
+  }
+  if (reversals.length === 0) return ITEM_DIFFICULTY[DIFFICULTIES[level]];
+  return round2(reversals.reduce((a, b) => a + b, 0) / reversals.length);
+}
+
+/** Index in `pool` of the next question for the current state. */
+function chooseNext(state, pool) {
+  if (pool.length === 0) return -1;
+  const target = state.method === "irt" ? state.ability : ITEM_DIFFICULTY[DIFFICULTIES[state.level]];
+  const distance = (q) => Math.abs(ITEM_DIFFICULTY[difficultyOf(q)] - target);
+  const best = Math.min(...pool.map(distance));
+  const candidates = pool.map((q, i) => i).filter((i) => distance(pool[i]) === best);
+  return pickRandom(candidates);
+}
+
+/**
+ * Initial adaptive state for a new attempt from its question snapshot.
+ * Returns { questions: [first question], adaptive } or throws 409 when nothing can be served.
+ */
+export function startAdaptive(settings, snapshot) {
+  const pool = snapshot.filter((q) => !MANUAL_TYPES.includes(q.type));
+  if (pool.length === 0) throw httpError(409, "This adaptive quiz has no automatically graded questions");
+  const state = {
+    method: settings.method || "staircase",
+    questionCount: Math.min(settings.questionCount || pool.length, pool.length),
+    level: DIFFICULTIES.indexOf(settings.startDifficulty || "medium"),
+    ability: ITEM_DIFFICULTY[settings.startDifficulty || "medium"],
+    standardError: null,
+    responses: []
+  };
+  const [first] = pool.splice(chooseNext(state, pool), 1);
+  return { questions: [first], adaptive: { ...state, currentQid: first.qid, pool, finishedAt: null } };
+}
+
+function plainAdaptive(adaptive) {
+  return typeof adaptive.toObject === "function" ? adaptive.toObject() : { ...adaptive };
+}
+
+/** State after `response` ({ qid, difficulty, correct, at }), without choosing a question. */
+function withResponse(adaptive, response) {
+  const responses = [...(adaptive.responses || []), response];
+  const next = { ...adaptive, responses };
+  if (adaptive.method === "irt") {
+    Object.assign(next, estimateAbility(responses));
+  } else {
+    next.level = Math.min(DIFFICULTIES.length - 1, Math.max(0, adaptive.level + (response.correct ? 1 : -1)));
+    next.ability = staircaseAbility(responses, next.level);
+  }
+  responses[responses.length - 1] = { ...response, abilityAfter: next.ability };
+  return next;
+}
+
+/**
+ * Record the graded answer to the current question (`result`: a gradeAll detail) and choose the
+ * next one. Returns { adaptive, next } where next is the question to serve, or null when the
+ * attempt has had all its questions.
+ */
+export function answerAdaptive(adaptive, question, result, now = new Date()) {
+  const state = withResponse(plainAdaptive(adaptive), {
+    qid: question.qid,
+    difficulty: difficultyOf(question),
+    correct: result.isCorrect === true,
+    at: now
+  });
+  const pool = [...(state.pool || [])];
+  let next = null;
+  if (state.responses.length < state.questionCount) {
+    const index = chooseNext(state, pool);
+    if (index !== -1) [next] = pool.splice(index, 1);
+  }
+  return { adaptive: { ...state, pool, currentQid: next ? next.qid : null }, next };
+}
+
+/**
+ * maxScore of an adaptive attempt: the points of the served questions plus, for each of the
+ * questionCount questions not served yet, the mean points of the unserved pool (they score 0).
+ * `servedMax` is gradeAll's maxScore over the served questions.
+ */
+export function adaptiveMaxScore(adaptive, questions, servedMax) {
+  const unserved = Math.max(0, (adaptive.questionCount || 0) - questions.length);
+  const rest = adaptive.pool && adaptive.pool.length ? adaptive.pool : questions;
+  if (unserved === 0 || rest.length === 0) return servedMax;
+  const mean = rest.reduce((sum, q) => sum + questionPoints(q), 0) / rest.length;
+  return round2(servedMax + unserved * mean);
+}
+
+/**
+ * Final adaptive state when the attempt is submitted or times out (`details`: gradeAll details).
+ * An answer given to the current question without moving on still counts; the unserved pool is
+ * dropped.
+ */
+export function finishAdaptive(adaptive, questions, details, now = new Date()) {
+  let state = plainAdaptive(adaptive);
+  const current = state.currentQid && details.find((d) => d.qid === state.currentQid);
+  if (current && !isBlankAnswer(current.userAnswer)) {
+    const question = questions.find((q) => q.qid === state.currentQid);
+    state = withResponse(state, { qid: current.qid, difficulty: difficultyOf(question), correct: current.isCorrect === true, at: now });
+  }
+  return { ...state, pool: [], currentQid: null, finishedAt: now };
+}
+
+/** Adaptive summary for the taker: progress while running, the ability estimate once finished. */
+export function adaptiveView(session) {
+  const a = session.adaptive;
+  if (!a) return undefined;
+  const view = {
+    method: a.method,
+    questionCount: a.questionCount,
+    answered: (a.responses || []).length
+  };
+  if (session.status === "in-progress") return { ...view, currentQid: a.currentQid };
+  return {
+    ...view,
+    ability: a.ability,
+    standardError: a.method === "irt" ? a.standardError : undefined,
+    level: levelName(a.ability),
+    correct: (a.responses || []).filter((r) => r.correct).length,
+    responses: (a.responses || []).map((r) => ({ qid: r.qid, difficulty: r.difficulty, correct: r.correct, abilityAfter: r.abilityAfter }))
+  };
+}
@@ -2,14 +2,14 @@
 /**
  * Robust Gemini service with retries + exponential backoff + helpful error wrapping
  * + protective JSON extraction (strip code fences / surrounding text)
- * + server-side sanitization & validation for short answers (single lowercase word)
+ * + server-side sanitization & validation for short answers
  *
  * Behavior:
  * - Retries on network errors and 5xx (including 503).
  * - Extracts the first {...} JSON block from the model's output when needed.
- * - Parses JSON and enforces: for short questions, the original AI answer must be a single word.
- *   - We still sanitize and store the lowercase single-word form for evaluation.
- * - On detection of invalid short answers (multi-word), throws an error so caller can use fallback.
+ * - Parses JSON and enforces: short questions need a concise answer (a word or short phrase,
+ *   up to MAX_SHORT_ANSWER_WORDS words); optional accepted_answers are kept as alternatives.
+ * - On detection of invalid short answers (empty or too long), throws an error so caller can use fallback.
  */
 
 import axios from "axios";
@@ -20,6 +20,7 @@ dotenv.config();
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-2.5-flash";
 const MAX_QUESTIONS = Number(process.env.MAX_QUESTIONS || 10);
+const MAX_SHORT_ANSWER_WORDS = 5;
 
 // Retry config
 const MAX_RETRIES = Number(process.env.AI_MAX_RETRIES || 3);
@@ -147,17 +148,14 @@ async function callGemini(payload, timeoutMs = 20000) {
 
 /**
  * sanitizeShortAnswer: performs server-side sanitization for short answers.
- * Follows user instruction: answer_text = answer_text.trim().toLowerCase().split(/\s+/)[0]
+ * Trims and collapses whitespace; multi-word phrases are kept as-is (grading is phrase-aware).
  *
- * Returns an object: { sanitized, originalHadMultipleWords (bool) }
+ * Returns an object: { sanitized, wordCount }
  */
 function sanitizeShortAnswer(raw) {
-  if (raw === null || raw === undefined) return { sanitized: "", originalHadMultipleWords: false };
-  const s = String(raw).trim();
-  const parts = s.split(/\s+/).filter(Boolean); // tokens
-  const originalHadMultipleWords = parts.length > 1;
-  const sanitized = parts.length > 0 ? parts[0].toLowerCase() : "";
-  return { sanitized, originalHadMultipleWords };
+  if (raw === null || raw === undefined) return { sanitized: "", wordCount: 0 };
+  const sanitized = String(raw).trim().replace(/\s+/g, " ");
+  return { sanitized, wordCount: sanitized ? sanitized.split(" ").length : 0 };
 }
 
 /**
@@ -170,7 +168,7 @@ export async function generateQuiz({
 }) {
   const N = Math.min(Number(maxQuestions) || 1, MAX_QUESTIONS);
 
-  // Prompt: require single-word lowercase for short answers and tf format
+  // Prompt: require concise short answers and tf format
   const systemAndUser = `
 You are a quiz generator. Output ONLY valid JSON and nothing else. The JSON must match this schema exactly:
 {
@@ -185,6 +183,7 @@ You are a quiz generator. Output ONLY valid JSON and nothing else. The JSON must
       "choices":["A","B","C","D"],        // only for mcq
       "answer_index":0,                  // for mcq: index into choices
       "answer_text":"string",            // for short/tf
+      "accepted_answers":["string"],     // optional, short only: other correct spellings/forms
       "explanation":"string"
     }
   ]
@@ -192,7 +191,8 @@ You are a quiz generator. Output ONLY valid JSON and nothing else. The JSON must
 
 Rules:
 - Generate exactly ${N} questions on "${topic}" with difficulty "${difficulty}".
-- For short type questions, the answer_text MUST be a single lowercase word (no spaces, no punctuation).
+- For short type questions, answer_text must be a concise word or phrase of at most ${MAX_SHORT_ANSWER_WORDS} words (e.g. "new delhi").
+  Put other acceptable forms (synonyms, abbreviations, alternate spellings) in accepted_answers.
 - For tf questions, answer_text must be exactly "true" or "false" (lowercase).
 - Keep each question and explanation under 300 characters.
 - Return strictly valid JSON only (no backticks, no commentary, no code fences).
@@ -248,20 +248,24 @@ Rules:
   if (parsed.questions.length > N) parsed.questions = parsed.questions.slice(0, N);
 
   // Server-side validation & sanitization for short/tf answers:
-  // - For 'short' questions: require original AI answer to be single word; sanitize and set answer_text to sanitized
+  // - For 'short' questions: require a concise answer phrase; sanitize answer_text and accepted_answers
   // - For 'tf' questions: normalize to "true" or "false"
   for (let i = 0; i < parsed.questions.length; i++) {
     const q = parsed.questions[i];
     if (!q.type) continue;
     if (q.type === "short") {
       const rawAns = q.answer_text ?? "";
-      const { sanitized, originalHadMultipleWords } = sanitizeShortAnswer(rawAns);
-      if (originalHadMultipleWords) {
-        const err = new Error(`Invalid short answer from AI for question index ${i}: answer must be a single word`);
+      const { sanitized, wordCount } = sanitizeShortAnswer(rawAns);
+      if (wordCount === 0 || wordCount > MAX_SHORT_ANSWER_WORDS) {
+        const err = new Error(`Invalid short answer from AI for question index ${i}: answer must be 1-${MAX_SHORT_ANSWER_WORDS} words`);
         err.rawAnswer = String(rawAns).slice(0, 200);
         throw err; // caller (route) should catch and fallback to stub
       }
       q.answer_text = sanitized;
+      q.accepted_answers = (Array.isArray(q.accepted_answers) ? q.accepted_answers : [])
+        .map((a) => sanitizeShortAnswer(a))
+        .filter((a) => a.wordCount > 0 && a.wordCount <= MAX_SHORT_ANSWER_WORDS)
+        .map((a) => a.sanitized);
     } else if (q.type === "tf") {
       // normalize tf to "true"/"false"
       if (typeof q.answer_text === "string") {
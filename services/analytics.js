@@ -0,0 +1,351 @@
+// server/services/analytics.js
+/**
+ * Quiz analytics computed from submitted sessions.
+ *
+ * timingAnalytics(): time spent per question (from AnswerSchema.timeTakenSeconds, see
+ * services/timing.js) and how correctness changes with time. The flag separates questions
+ * that are confusing (people spend much longer than usual and still get them wrong) from
+ * questions that are simply hard (often wrong, but answered at a normal pace).
+ *
+ * itemAnalysis(): classical item statistics built with QuizSession aggregations:
+ *  - facility index: share of responses that were correct
+ *  - discrimination index: facility in the top 27% of attempts minus facility in the bottom 27%
+ *    (ranked by number of correct answers); negative values often mean a wrong answer key
+ *  - distractor analysis for mcq: how often each choice was picked (in authored choice order,
+ *    also when choices were shuffled per session)
+ *  - blank rate
+ *  - KR-20 reliability for the whole quiz (only when every attempt got the same questions)
+ * Adaptive quizzes serve each taker questions matched to their ability, so facility,
+ * discrimination and KR-20 say nothing about the items there and are reported as null.
+ */
+import QuizSession from "../models/QuizSession.js";
+import { ATTEMPT_STATUSES } from "./attemptPolicy.js";
+import { canonicalQuestion } from "./questionTypes.js";
+
+// a question is "slow" when its median time is this many times the quiz's typical question
+const SLOW_FACTOR = 1.5;
+const HARD_CORRECT_RATE = 0.5;
+const MIN_RESPONSES_FOR_FLAG = 5;
+const QUARTILES = ["fastest 25%", "second 25%", "third 25%", "slowest 25%"];
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+export function median(values) {
+  if (!values || values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function rate(part, whole) {
+  return whole === 0 ? null : round2(part / whole);
+}
+
+/** Question text/type per qid, from the session snapshots (covers bank-drawn questions too). */
+export function questionIndex(quiz, sessions) {
+  const index = new Map();
+  (quiz.questions || []).forEach((q) => index.set(q.qid, { qid: q.qid, question: q.question, type: q.type }));
+  sessions.forEach((s) => (s.questions || []).forEach((q) => {
+    if (!index.has(q.qid)) index.set(q.qid, { qid: q.qid, question: q.question, type: q.type });
+  }));
+  return index;
+}
+
+/** Correct rate per time quartile: [{ bucket, fromSeconds, toSeconds, responses, correctRate }] */
+function timeQuartiles(timed) {
+  if (timed.length < QUARTILES.length) return [];
+  const sorted = timed.slice().sort((a, b) => a.seconds - b.seconds);
+  return QUARTILES.map((bucket, i) => {
+    const slice = sorted.slice(Math.floor((i * sorted.length) / 4), Math.floor(((i + 1) * sorted.length) / 4));
+    return {
+      bucket,
+      fromSeconds: slice.length ? slice[0].seconds : null,
+      toSeconds: slice.length ? slice[slice.length - 1].seconds : null,
+      responses: slice.length,
+      correctRate: rate(slice.filter((r) => r.isCorrect).length, slice.length)
+    };
+  });
+}
+
+/**
+ * Per-question timing stats for a quiz.
+ * sessions: submitted sessions with questions + answers (lean).
+ * Returns { typicalSeconds, questions: [...] } in quiz order.
+ */
+export function timingAnalytics(quiz, sessions) {
+  const index = questionIndex(quiz, sessions);
+  const responses = new Map([...index.keys()].map((qid) => [qid, []]));
+
+  sessions.forEach((s) => (s.answers || []).forEach((a) => {
+    if (!responses.has(a.qid) || a.pending) return;
+    responses.get(a.qid).push({ seconds: Number(a.timeTakenSeconds) || 0, isCorrect: !!a.isCorrect });
+  }));
+
+  const rows = [...index.values()].map((q) => {
+    const all = responses.get(q.qid);
+    const timed = all.filter((r) => r.seconds > 0);
+    const correct = timed.filter((r) => r.isCorrect).map((r) => r.seconds);
+    const incorrect = timed.filter((r) => !r.isCorrect).map((r) => r.seconds);
+    const med = median(timed.map((r) => r.seconds));
+    return {
+      qid: q.qid,
+      question: q.question,
+      type: q.type,
+      responses: all.length,
+      timedResponses: timed.length,
+      correctRate: rate(all.filter((r) => r.isCorrect).length, all.length),
+      medianSeconds: med === null ? null : round2(med),
+      medianCorrectSeconds: correct.length ? round2(median(correct)) : null,
+      medianIncorrectSeconds: incorrect.length ? round2(median(incorrect)) : null,
+      timeVsCorrectness: timeQuartiles(timed)
+    };
+  });
+
+  const typical = median(rows.map((r) => r.medianSeconds).filter((m) => m !== null));
+  rows.forEach((r) => {
+    r.relativeTime = typical && r.medianSeconds !== null ? round2(r.medianSeconds / typical) : null;
+    r.flag = null;
+    if (r.timedResponses < MIN_RESPONSES_FOR_FLAG || r.correctRate === null) return;
+    const slow = r.relativeTime !== null && r.relativeTime >= SLOW_FACTOR;
+    const wrongTakesLonger = r.medianIncorrectSeconds !== null
+      && (r.medianCorrectSeconds === null || r.medianIncorrectSeconds > r.medianCorrectSeconds);
+    if (slow && wrongTakesLonger && r.correctRate < 1) r.flag = "confusing";
+    else if (r.correctRate < HARD_CORRECT_RATE) r.flag = "hard";
+  });
+
+  return { typicalSeconds: typical === null ? null : round2(typical), questions: rows };
+}
+
+const TOP_BOTTOM_SHARE = 0.27;
+const MIN_SESSIONS_FOR_DISCRIMINATION = 4;
+const EASY_FACILITY = 0.9;
+const HARD_FACILITY = 0.2;
+const LOW_DISCRIMINATION = 0.2;
+const WEAK_DISTRACTOR_SHARE = 0.05;
+
+// answers count as blank when nothing was entered
+const BLANK_ANSWER = {
+  $or: [
+    { $eq: [{ $ifNull: ["$answers.userAnswer", null] }, null] },
+    { $eq: ["$answers.userAnswer", ""] },
+    { $eq: ["$answers.userAnswer", []] }
+  ]
+};
+const CORRECT_TOTAL = { $size: { $filter: { input: "$answers", as: "a", cond: "$$a.isCorrect" } } };
+
+/** Per-item counts, with each attempt placed in the top / middle / bottom band by total correct. */
+function itemPipeline(match) {
+  return [
+    { $match: match },
+    { $project: { answers: 1, total: CORRECT_TOTAL } },
+    {
+      $setWindowFields: {
+        sortBy: { total: -1 },
+        output: {
+          position: { $documentNumber: {} },
+          attempts: { $count: {}, window: { documents: ["unbounded", "unbounded"] } }
+        }
+      }
+    },
+    { $addFields: { bandSize: { $ceil: { $multiply: ["$attempts", TOP_BOTTOM_SHARE] } } } },
+    {
+      $addFields: {
+        band: {
+          $switch: {
+            branches: [
+              { case: { $lte: ["$position", "$bandSize"] }, then: "top" },
+              { case: { $gt: ["$position", { $subtract: ["$attempts", "$bandSize"] }] }, then: "bottom" }
+            ],
+            default: "middle"
+          }
+        }
+      }
+    },
+    { $unwind: "$answers" },
+    {
+      $group: {
+        _id: "$answers.qid",
+        responses: { $sum: 1 },
+        correct: { $sum: { $cond: ["$answers.isCorrect", 1, 0] } },
+        blank: { $sum: { $cond: [BLANK_ANSWER, 1, 0] } },
+        meanEarned: { $avg: "$answers.earned" },
+        topCount: { $sum: { $cond: [{ $eq: ["$band", "top"] }, 1, 0] } },
+        topCorrect: { $sum: { $cond: [{ $and: [{ $eq: ["$band", "top"] }, "$answers.isCorrect"] }, 1, 0] } },
+        bottomCount: { $sum: { $cond: [{ $eq: ["$band", "bottom"] }, 1, 0] } },
+        bottomCorrect: { $sum: { $cond: [{ $and: [{ $eq: ["$band", "bottom"] }, "$answers.isCorrect"] }, 1, 0] } }
+      }
+    }
+  ];
+}
+
+/**
+ * How often each answer was given, per question (used for mcq distractors). Answers to shuffled
+ * snapshots are mapped through the question's choiceOrder to the authored choice index.
+ */
+function choicePipeline(match, qids) {
+  return [
+    { $match: match },
+    { $project: { answers: 1, questions: { qid: 1, choiceOrder: 1 } } },
+    { $unwind: "$answers" },
+    { $match: { "answers.qid": { $in: qids } } },
+    {
+      $addFields: {
+        choiceOrder: {
+          $first: {
+            $map: {
+              input: { $filter: { input: "$questions", as: "q", cond: { $eq: ["$$q.qid", "$answers.qid"] } } },
+              as: "q",
+              in: "$$q.choiceOrder"
+            }
+          }
+        },
+        index: { $convert: { input: "$answers.userAnswer", to: "int", onError: null, onNull: null } }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          qid: "$answers.qid",
+          answer: {
+            $cond: [
+              { $and: [{ $isArray: "$choiceOrder" }, { $ne: ["$index", null] }] },
+              { $arrayElemAt: ["$choiceOrder", "$index"] },
+              "$answers.userAnswer"
+            ]
+          }
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ];
+}
+
+/** One snapshot per question (bank-drawn questions only exist in the sessions). */
+function snapshotPipeline(match) {
+  return [
+    { $match: match },
+    { $project: { questions: 1 } },
+    { $unwind: "$questions" },
+    {
+      $group: {
+        _id: "$questions.qid",
+        question: { $first: "$questions.question" },
+        type: { $first: "$questions.type" },
+        choices: { $first: "$questions.choices" },
+        answer_index: { $first: "$questions.answer_index" },
+        choiceOrder: { $first: "$questions.choiceOrder" }
+      }
+    }
+  ];
+}
+
+/** Distribution of total correct answers per attempt: { attempts, mean, variance }. */
+function totalsPipeline(match) {
+  return [
+    { $match: match },
+    { $project: { total: CORRECT_TOTAL } },
+    { $group: { _id: null, attempts: { $sum: 1 }, sum: { $sum: "$total" }, sumSq: { $sum: { $multiply: ["$total", "$total"] } } } }
+  ];
+}
+
+function distractors(q, counts, responses) {
+  return (q.choices || []).map((text, index) => {
+    const picked = counts.get(index) || 0;
+    return {
+      index,
+      text,
+      isCorrect: index === Number(q.answer_index),
+      picked,
+      share: rate(picked, responses)
+    };
+  });
+}
+
+function itemFlags(item) {
+  const flags = [];
+  if (item.facility !== null && item.facility >= EASY_FACILITY) flags.push("too-easy");
+  if (item.facility !== null && item.facility <= HARD_FACILITY) flags.push("too-hard");
+  if (item.discrimination !== null && item.discrimination < 0) flags.push("negative-discrimination");
+  else if (item.discrimination !== null && item.discrimination < LOW_DISCRIMINATION) flags.push("low-discrimination");
+  if ((item.distractors || []).some((d) => !d.isCorrect && d.share !== null && d.share < WEAK_DISTRACTOR_SHARE)) {
+    flags.push("weak-distractor");
+  }
+  return flags;
+}
+
+/**
+ * Item analysis for a quiz over its graded, non-practice attempts (live games left out).
+ * Returns { attempts, reliability: { kr20, items, note? }, items: [...] } in quiz order.
+ */
+export async function itemAnalysis(quiz) {
+  const match = { quiz: quiz._id, status: { $in: ATTEMPT_STATUSES }, isPractice: { $ne: true }, live: null };
+
+  const [itemRows, snapshots, totalsRows] = await Promise.all([
+    QuizSession.aggregate(itemPipeline(match)),
+    QuizSession.aggregate(snapshotPipeline(match)),
+    QuizSession.aggregate(totalsPipeline(match))
+  ]);
+  const totals = totalsRows[0] || { attempts: 0, sum: 0, sumSq: 0 };
+
+  const mcqIds = snapshots.filter((s) => s.type === "mcq").map((s) => s._id);
+  const choiceRows = mcqIds.length ? await QuizSession.aggregate(choicePipeline(match, mcqIds)) : [];
+  const choiceCounts = new Map();
+  choiceRows.forEach((r) => {
+    const index = Number(r._id.answer);
+    if (r._id.answer === null || r._id.answer === "" || !Number.isInteger(index)) return;
+    if (!choiceCounts.has(r._id.qid)) choiceCounts.set(r._id.qid, new Map());
+    const counts = choiceCounts.get(r._id.qid);
+    counts.set(index, (counts.get(index) || 0) + r.count);
+  });
+
+  // quiz order first, then bank-drawn questions
+  const order = new Map((quiz.questions || []).map((q, i) => [q.qid, i]));
+  const snapshotByQid = new Map(snapshots.map((s) => [s._id, canonicalQuestion(s)]));
+  const discriminationReady = totals.attempts >= MIN_SESSIONS_FOR_DISCRIMINATION;
+  const adaptive = quiz.settings?.adaptive?.enabled === true;
+
+  const items = itemRows
+    .filter((r) => snapshotByQid.has(r._id))
+    .sort((a, b) => (order.get(a._id) ?? Infinity) - (order.get(b._id) ?? Infinity) || String(a._id).localeCompare(String(b._id)))
+    .map((r) => {
+      const q = snapshotByQid.get(r._id);
+      const item = {
+        qid: r._id,
+        question: q.question,
+        type: q.type,
+        responses: r.responses,
+        facility: adaptive ? null : rate(r.correct, r.responses),
+        discrimination: !adaptive && discriminationReady && r.topCount > 0 && r.bottomCount > 0
+          ? round2(r.topCorrect / r.topCount - r.bottomCorrect / r.bottomCount)
+          : null,
+        blankRate: rate(r.blank, r.responses),
+        meanEarned: r.meanEarned === null ? null : round2(r.meanEarned)
+      };
+      if (q.type === "mcq") item.distractors = distractors(q, choiceCounts.get(r._id) || new Map(), r.responses);
+      item.flags = itemFlags(item);
+      return item;
+    });
+
+  return { attempts: totals.attempts, reliability: kr20(quiz, items, totals), items };
+}
+
+/** KR-20 = k/(k-1) * (1 - sum(p*q) / variance of total correct). */
+function kr20(quiz, items, totals) {
+  const k = items.length;
+  if (quiz.settings?.adaptive?.enabled) {
+    return { kr20: null, items: k, note: "Not available for adaptive quizzes (each attempt gets questions matched to the taker)" };
+  }
+  if ((quiz.settings?.bankDraws || []).length > 0) {
+    return { kr20: null, items: k, note: "Not available when questions are drawn from banks (attempts differ)" };
+  }
+  if (k < 2 || totals.attempts < 2) return { kr20: null, items: k, note: "Needs at least two questions and two attempts" };
+
+  const mean = totals.sum / totals.attempts;
+  const variance = totals.sumSq / totals.attempts - mean * mean;
+  if (variance <= 0) return { kr20: null, items: k, note: "Every attempt had the same number of correct answers" };
+
+  const sumPQ = items.reduce((s, it) => s + (it.facility ?? 0) * (1 - (it.facility ?? 0)), 0);
+  return { kr20: round2((k / (k - 1)) * (1 - sumPQ / variance)), items: k };
+}
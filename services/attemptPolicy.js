@@ -0,0 +1,187 @@
+// server/services/attemptPolicy.js
+/**
+ * Attempt policies for quizzes.
+ *
+ * Quiz settings:
+ *  - maxAttempts: number of graded attempts allowed per user (null/0 = unlimited, default 1)
+ *  - attemptCooldownSeconds: minimum wait between the end of one attempt and the next start
+ *  - scoringPolicy: which attempt counts for points and the quiz leaderboard
+ *      "best" | "latest" | "average" | "first"
+ *  - negativeMarking: fraction of a question's points deducted for a wrong, non-blank answer
+ *  - adaptive: adaptive question selection (validated by services/adaptive.js)
+ *
+ * Points are never added per attempt. Instead the counted (weighted) score is recomputed after
+ * each attempt and User.points / stats.totalCorrect are adjusted by the difference.
+ *
+ * Applying a session's score is idempotent: the write that finishes a counted attempt also sets
+ * QuizSession.pointsPending, and the user update is conditional on the session id not being in
+ * User.scoredSessions yet (added in the same update). A retry, a crash between the two writes or
+ * a second worker can therefore never award the same attempt twice; sessions left pending are
+ * picked up again by the expiry worker (services/sessionExpiry.js).
+ */
+import QuizSession from "../models/QuizSession.js";
+import User from "../models/User.js";
+import { normalizeAdaptiveSettings } from "./adaptive.js";
+
+// how many applied session ids are remembered per user (only recent sessions can be retried)
+const SCORED_SESSIONS_KEPT = 500;
+
+export const SCORING_POLICIES = ["best", "latest", "average", "first"];
+// session statuses that count as a completed (graded) attempt
+export const ATTEMPT_STATUSES = ["finished", "timed-out"];
+// submitted attempts, including ones still waiting for manual grading (they use up an attempt
+// but only count for points once finalized)
+export const SUBMITTED_STATUSES = [...ATTEMPT_STATUSES, "pending-review"];
+// attempts that use up maxAttempts / start the cooldown: submitted ones plus abandoned ones
+// (abandoning never scores, but must not hand out a fresh attempt either)
+export const USED_ATTEMPT_STATUSES = [...SUBMITTED_STATUSES, "abandoned"];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/** Validate attempt-related fields of a settings payload (mutates and returns it). */
+export function normalizeAttemptSettings(settings) {
+  if (!settings) return settings;
+  if (settings.maxAttempts !== undefined && settings.maxAttempts !== null) {
+    const n = Number(settings.maxAttempts);
+    if (!Number.isInteger(n) || n < 0) throw badRequest("settings.maxAttempts must be a non-negative integer (0 = unlimited)");
+    settings.maxAttempts = n;
+  }
+  if (settings.attemptCooldownSeconds !== undefined && settings.attemptCooldownSeconds !== null) {
+    const n = Number(settings.attemptCooldownSeconds);
+    if (!Number.isFinite(n) || n < 0) throw badRequest("settings.attemptCooldownSeconds must be >= 0");
+    settings.attemptCooldownSeconds = n;
+  }
+  if (settings.scoringPolicy !== undefined && !SCORING_POLICIES.includes(settings.scoringPolicy)) {
+    throw badRequest(`settings.scoringPolicy must be one of: ${SCORING_POLICIES.join(", ")}`);
+  }
+  if (settings.negativeMarking !== undefined && settings.negativeMarking !== null) {
+    const n = Number(settings.negativeMarking);
+    if (!Number.isFinite(n) || n < 0 || n > 1) throw badRequest("settings.negativeMarking must be between 0 and 1");
+    settings.negativeMarking = n;
+  }
+  if (settings.adaptive !== undefined) settings.adaptive = normalizeAdaptiveSettings(settings.adaptive);
+  return settings;
+}
+
+function average(values) {
+  return Number((values.reduce((a, b) => a + b, 0) / values.length).toFixed(2));
+}
+
+/**
+ * The attempt that counts under a policy, as { score, correct }.
+ * sessions: graded attempts sorted by finishedAt ascending. Returns null when there are none.
+ * `correct` falls back to score for sessions graded before weighted scoring existed.
+ */
+export function countedAttempt(sessions, policy = "best") {
+  if (!sessions || sessions.length === 0) return null;
+  const rows = sessions.map((s) => ({
+    score: Number(s.score) || 0,
+    correct: Number(s.correctCount ?? s.score) || 0
+  }));
+  switch (policy) {
+    case "latest":
+      return rows[rows.length - 1];
+    case "first":
+      return rows[0];
+    case "average":
+      return { score: average(rows.map((r) => r.score)), correct: average(rows.map((r) => r.correct)) };
+    case "best":
+    default:
+      return rows.reduce((best, r) => (r.score > best.score ? r : best), rows[0]);
+  }
+}
+
+/** Score that counts under a policy (null when there are no attempts). */
+export function countedScore(sessions, policy = "best") {
+  const attempt = countedAttempt(sessions, policy);
+  return attempt ? attempt.score : null;
+}
+
+/**
+ * Check whether userId may start another attempt of quiz.
+ * Returns null when allowed, or { status, error, retryAfterSeconds? }.
+ */
+export async function checkAttemptAllowed(quiz, userId, now = new Date()) {
+  const maxAttempts = quiz.settings?.maxAttempts ?? 1;
+  const cooldown = Number(quiz.settings?.attemptCooldownSeconds || 0);
+
+  // hosted live games are played in class and do not use up self-paced attempts
+  const attempts = await QuizSession.find({
+    quiz: quiz._id,
+    user: userId,
+    isPractice: { $ne: true },
+    live: null,
+    status: { $in: USED_ATTEMPT_STATUSES }
+  }).select("finishedAt").sort({ finishedAt: -1 }).lean();
+
+  if (maxAttempts && attempts.length >= maxAttempts) {
+    return {
+      status: 403,
+      error: maxAttempts === 1
+        ? "You have already completed this quiz (single attempt only)"
+        : `You have used all ${maxAttempts} attempts for this quiz`
+    };
+  }
+
+  if (cooldown > 0 && attempts[0]?.finishedAt) {
+    const readyAt = new Date(attempts[0].finishedAt).getTime() + cooldown * 1000;
+    if (readyAt > now.getTime()) {
+      const retryAfterSeconds = Math.ceil((readyAt - now.getTime()) / 1000);
+      return { status: 429, error: `Please wait ${retryAfterSeconds}s before your next attempt`, retryAfterSeconds };
+    }
+  }
+  return null;
+}
+
+/**
+ * Recompute the counted score after `session` was graded and apply the difference to the user,
+ * then clear the session's pointsPending flag. Call it after the session has been marked
+ * finished/timed-out; calling it again for the same session changes nothing.
+ * Other attempts whose points are still pending are left out of the comparison, so the deltas
+ * add up correctly whatever order pending sessions are applied in.
+ * Returns the user document (or null) plus { previous, counted, delta, applied }.
+ */
+export async function applyAttemptScore(session, quiz) {
+  const policy = quiz?.settings?.scoringPolicy || "best";
+  const attempts = await QuizSession.find({
+    quiz: session.quiz,
+    user: session.user,
+    isPractice: { $ne: true },
+    // hosted live games never count for points (see services/liveGames.js)
+    live: null,
+    status: { $in: ATTEMPT_STATUSES },
+    $or: [{ pointsPending: { $ne: true } }, { _id: session._id }]
+  }).select("score correctCount finishedAt").sort({ finishedAt: 1, _id: 1 }).lean();
+
+  const others = attempts.filter((a) => String(a._id) !== String(session._id));
+  const before = countedAttempt(others, policy);
+  const after = countedAttempt(attempts, policy);
+  const previous = before ? before.score : null;
+  const counted = after ? after.score : null;
+  const delta = Number(((counted ?? 0) - (previous ?? 0)).toFixed(2));
+  const correctDelta = Number(((after?.correct ?? 0) - (before?.correct ?? 0)).toFixed(2));
+  const firstAttempt = others.length === 0;
+
+  const inc = {};
+  if (delta !== 0) inc.points = delta;
+  if (correctDelta !== 0) inc["stats.totalCorrect"] = correctDelta;
+  if (firstAttempt) inc["stats.quizzesAttempted"] = 1;
+
+  const update = { $push: { scoredSessions: { $each: [session._id], $slice: -SCORED_SESSIONS_KEPT } } };
+  if (Object.keys(inc).length > 0) update.$inc = inc;
+  let user = await User.findOneAndUpdate(
+    { _id: session.user, scoredSessions: { $ne: session._id } },
+    update,
+    { new: true }
+  );
+  const applied = !!user;
+  if (!applied) user = await User.findById(session.user);
+
+  await QuizSession.updateOne({ _id: session._id, pointsPending: true }, { $set: { pointsPending: false } });
+
+  return { user, previous, counted, delta: applied ? delta : 0, policy, applied };
+}
@@ -0,0 +1,210 @@
+// server/services/attemptTimer.js
+/**
+ * Server-side attempt timer.
+ *
+ * The deadline is QuizSession.expiresAt; clients only display what the heartbeat returns.
+ *  - accommodations: a per-user, per-quiz time multiplier (Accommodation) applied by startQuiz
+ *  - pause:  freezes the remaining time (pausedRemainingSeconds) and clears expiresAt, so the
+ *            expiry worker leaves the attempt alone and answers cannot be saved
+ *  - resume: sets a new expiresAt from the frozen remaining time
+ *  - extend: adds time to a running or paused attempt
+ * Sectioned attempts move the current section's deadline along (services/sections.js).
+ * Every change is appended to QuizSession.extensions for audit.
+ *
+ * Heartbeats record lastHeartbeatAt and connect/disconnect events. A heartbeat after more than
+ * DISCONNECT_AFTER_SECONDS of silence logs the gap as an inferred disconnect.
+ */
+import QuizSession from "../models/QuizSession.js";
+import Accommodation from "../models/Accommodation.js";
+import { syncSections, sectionDeadlineShift } from "./sections.js";
+
+export const HEARTBEAT_INTERVAL_SECONDS = 15;
+const DISCONNECT_AFTER_SECONDS = 45;
+const MAX_CONNECTION_EVENTS = 500;
+export const MAX_TIME_MULTIPLIER = 5;
+const MAX_EXTENSION_SECONDS = 24 * 60 * 60;
+const MAX_REASON_LENGTH = 500;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function reasonOf(value) {
+  return String(value ?? "").trim().slice(0, MAX_REASON_LENGTH);
+}
+
+/** Validate an accommodation multiplier: a number from 1 (no extra time) to MAX_TIME_MULTIPLIER. */
+export function normalizeTimeMultiplier(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 1 || n > MAX_TIME_MULTIPLIER) {
+    throw httpError(400, `timeMultiplier must be a number from 1 to ${MAX_TIME_MULTIPLIER}`);
+  }
+  return Math.round(n * 100) / 100;
+}
+
+/** The multiplier userId gets on quizId (1 when none is set). */
+export async function timeMultiplierFor(quizId, userId) {
+  const accommodation = await Accommodation.findOne({ quiz: quizId, user: userId })
+    .select("timeMultiplier setBy")
+    .lean();
+  return accommodation || { timeMultiplier: 1, setBy: null };
+}
+
+/** Seconds left on the attempt (frozen while paused), or null when it is not timed. */
+export function remainingSeconds(session, now = new Date()) {
+  if (session.pausedAt) return session.pausedRemainingSeconds ?? 0;
+  if (!session.expiresAt) return null;
+  return Math.max(0, Math.floor((new Date(session.expiresAt) - now) / 1000));
+}
+
+/** Timer fields returned to clients. */
+export function timerView(session, now = new Date()) {
+  return {
+    serverTime: now,
+    expiresAt: session.expiresAt || null,
+    remainingSeconds: remainingSeconds(session, now),
+    paused: !!session.pausedAt,
+    pausedAt: session.pausedAt || null,
+    timeMultiplier: session.timeMultiplier ?? 1,
+    extendedSeconds: (session.extensions || [])
+      .filter((e) => e.type === "extend" || e.type === "accommodation")
+      .reduce((sum, e) => sum + (e.seconds || 0), 0)
+  };
+}
+
+/** Whether an in-progress session's time has run out (paused attempts never run out). */
+export function isOutOfTime(session, now = new Date()) {
+  return !session.pausedAt && !!session.expiresAt && new Date(session.expiresAt) <= now;
+}
+
+/**
+ * Record a heartbeat from the taker. event: "connect" (page opened), "disconnect" (page closed)
+ * or anything else for a regular beat. Returns the updated session.
+ */
+export async function recordHeartbeat(session, event, now = new Date()) {
+  const events = [];
+  let connected = true;
+  if (event === "disconnect") {
+    connected = false;
+    if (session.connected) events.push({ type: "disconnect", at: now });
+  } else {
+    const silentFor = session.lastHeartbeatAt ? (now - new Date(session.lastHeartbeatAt)) / 1000 : Infinity;
+    const stale = session.connected && silentFor > DISCONNECT_AFTER_SECONDS;
+    if (stale) events.push({ type: "disconnect", at: session.lastHeartbeatAt, inferred: true });
+    if (!session.connected || stale || event === "connect") events.push({ type: "connect", at: now });
+  }
+
+  const update = { $set: { connected, lastHeartbeatAt: now } };
+  if (events.length > 0) {
+    update.$push = { connectionEvents: { $each: events, $slice: -MAX_CONNECTION_EVENTS } };
+  }
+  return QuizSession.findOneAndUpdate({ _id: session._id }, update, { new: true });
+}
+
+function adjustment(type, seconds, user, reason, now, expiresAt) {
+  return {
+    type,
+    seconds,
+    reason: reasonOf(reason),
+    by: user?.id || null,
+    byUsername: user?.username || "",
+    at: now,
+    expiresAt
+  };
+}
+
+/** Freeze the remaining time of a running timed attempt. */
+export async function pauseAttempt(session, user, reason, now = new Date()) {
+  if (session.status !== "in-progress") throw httpError(409, "Session is not in-progress");
+  if (session.pausedAt) throw httpError(409, "Attempt is already paused");
+  if (!session.expiresAt) throw httpError(400, "Only timed attempts can be paused");
+  if (isOutOfTime(session, now)) throw httpError(409, "Attempt time is already up");
+
+  const remaining = remainingSeconds(session, now);
+  const updated = await QuizSession.findOneAndUpdate(
+    { _id: session._id, status: "in-progress", pausedAt: null, expiresAt: session.expiresAt },
+    {
+      $set: { pausedAt: now, pausedRemainingSeconds: remaining, expiresAt: null },
+      $push: { extensions: adjustment("pause", remaining, user, reason, now, null) }
+    },
+    { new: true }
+  );
+  if (!updated) throw httpError(409, "Attempt changed meanwhile, please retry");
+  return updated;
+}
+
+/** Restart the clock of a paused attempt with the time it had left. */
+export async function resumeAttempt(session, user, reason, now = new Date()) {
+  if (session.status !== "in-progress") throw httpError(409, "Session is not in-progress");
+  if (!session.pausedAt) throw httpError(409, "Attempt is not paused");
+
+  const expiresAt = new Date(now.getTime() + (session.pausedRemainingSeconds || 0) * 1000);
+  const pausedSeconds = Math.round((now - new Date(session.pausedAt)) / 1000);
+  const updated = await QuizSession.findOneAndUpdate(
+    { _id: session._id, status: "in-progress", pausedAt: session.pausedAt },
+    {
+      $set: {
+        pausedAt: null,
+        pausedRemainingSeconds: null,
+        expiresAt,
+        ...sectionDeadlineShift(session, now - new Date(session.pausedAt))
+      },
+      $push: { extensions: adjustment("resume", pausedSeconds, user, reason, now, expiresAt) }
+    },
+    { new: true }
+  );
+  if (!updated) throw httpError(409, "Attempt changed meanwhile, please retry");
+  return updated;
+}
+
+/** Give a timed attempt `seconds` more (running or paused). */
+export async function extendAttempt(session, user, seconds, reason, now = new Date()) {
+  const extra = Math.round(Number(seconds));
+  if (!Number.isFinite(extra) || extra <= 0 || extra > MAX_EXTENSION_SECONDS) {
+    throw httpError(400, `seconds must be between 1 and ${MAX_EXTENSION_SECONDS}`);
+  }
+  if (session.status !== "in-progress") throw httpError(409, "Session is not in-progress");
+  // a section that ran out meanwhile is closed first; the extension goes to the current one
+  session = await syncSections(session, now);
+
+  let filter;
+  let set;
+  if (session.pausedAt) {
+    filter = { _id: session._id, status: "in-progress", pausedAt: session.pausedAt };
+    set = {
+      pausedRemainingSeconds: (session.pausedRemainingSeconds || 0) + extra,
+      ...sectionDeadlineShift(session, extra * 1000)
+    };
+  } else {
+    const sectionShift = sectionDeadlineShift(session, extra * 1000, now);
+    if (!session.expiresAt && Object.keys(sectionShift).length === 0) {
+      throw httpError(400, "Only timed attempts can be extended");
+    }
+    filter = { _id: session._id, status: "in-progress", pausedAt: null, expiresAt: session.expiresAt };
+    set = { ...sectionShift };
+    if (session.expiresAt) {
+      // an attempt already out of time gets the extra time from now
+      const base = Math.max(new Date(session.expiresAt).getTime(), now.getTime());
+      set.expiresAt = new Date(base + extra * 1000);
+    }
+  }
+  if ((session.sections || []).length > 0) filter.currentSection = session.currentSection;
+
+  const updated = await QuizSession.findOneAndUpdate(
+    filter,
+    {
+      $set: set,
+      $push: { extensions: adjustment("extend", extra, user, reason, now, set.expiresAt || null) }
+    },
+    { new: true }
+  );
+  if (!updated) throw httpError(409, "Attempt changed meanwhile, please retry");
+  return updated;
+}
+
+/** Audit entry for the accommodation applied when an attempt starts. */
+export function accommodationEntry(multiplier, extraSeconds, setBy, now, expiresAt) {
+  return adjustment("accommodation", extraSeconds, { id: setBy }, `${multiplier}x time accommodation`, now, expiresAt);
+}
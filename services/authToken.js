@@ -0,0 +1,41 @@
+// server/services/authToken.js
+/**
+ * Resolve a JWT to the account behind it. Shared by authMiddleware (HTTP) and the live game
+ * socket (sockets/liveSocket.js): the signature alone is not enough, because role and
+ * suspension are read from the database so they apply to tokens already issued.
+ */
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+
+dotenv.config();
+const JWT_SECRET = process.env.JWT_SECRET || "dev_secret";
+
+/**
+ * Returns { user: { id, email, username, role } } for a valid token of an active account,
+ * or { status, error } (401 invalid token / unknown account, 403 suspended).
+ */
+export async function authenticateToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return { status: 401, error: "Invalid token" };
+  }
+  if (!mongoose.isValidObjectId(payload.id)) return { status: 401, error: "Invalid token" };
+
+  const account = await User.findById(payload.id).select("suspendedAt role").lean();
+  if (!account) return { status: 401, error: "Invalid token" };
+  if (account.suspendedAt) return { status: 403, error: "Your account has been suspended" };
+
+  // payload must include id, email
+  return {
+    user: {
+      id: payload.id,
+      email: payload.email,
+      username: payload.name || payload.username,
+      role: account.role || "user"
+    }
+  };
+}
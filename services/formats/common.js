@@ -0,0 +1,153 @@
+// server/services/formats/common.js
+/**
+ * Shared helpers for quiz import/export formats.
+ *
+ * Every importer produces questions in the same shape that gradeQuestion()
+ * in services/grading.js understands:
+ *   { qid, type: "mcq"|"tf"|"short", difficulty, question, choices, answer_index, answer_text, explanation }
+ * Short questions may also carry accepted_answers[] and case_sensitive.
+ *
+ * Problems with individual questions are collected as warnings
+ * ({ index, qid, message }) so one bad item does not fail the whole file.
+ */
+
+export const SUPPORTED_TYPES = ["mcq", "tf", "short"];
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+export function makeWarning(index, message, qid = null) {
+  return { index, qid, message };
+}
+
+/** Export side: warn that question `q` (at `index`) has a type `format` cannot hold. */
+export function unsupportedExport(q, index, format, warnings) {
+  warnings.push(makeWarning(index, `"${q.type}" questions cannot be exported to ${format}; skipped`, q.qid || `q${index + 1}`));
+}
+
+/** Absolute tolerance of a numeric question, folding in relative_tolerance as grading does. */
+export function numericTolerance(q) {
+  const tol = Math.max(Number(q.tolerance || 0), Math.abs(Number(q.answer_number)) * Number(q.relative_tolerance || 0));
+  return Number(tol.toPrecision(6));
+}
+
+/** Export side: warn when a numeric question's required unit cannot be carried by `format`. */
+export function unitsLostWarning(q, index, format, warnings) {
+  if (q.unit_required && (q.units || []).length > 0) {
+    warnings.push(makeWarning(index, `${format} cannot require a unit; exported without "${q.units[0]}"`, q.qid || `q${index + 1}`));
+  }
+}
+
+/** Moodle-style answer weights for a multi question: correct picks share 100%, each wrong pick costs one share. */
+export function multiFractions(q) {
+  const correct = new Set((q.answer_indexes || []).map(Number));
+  const share = correct.size > 0 ? Number((100 / correct.size).toFixed(5)) : 0;
+  return (q.choices || []).map((c, i) => (correct.has(i) ? share : -share));
+}
+
+/** Strip HTML tags and collapse whitespace (Moodle/QTI question text is often HTML). */
+export function stripHtml(s) {
+  if (s === null || s === undefined) return "";
+  return String(s)
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+/g, " ")
+    .trim();
+}
+
+export function escapeXml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** Normalize a tf answer into exactly "true" / "false" (or null when it cannot be read). */
+export function normalizeTf(value) {
+  if (typeof value === "boolean") return value ? "true" : "false";
+  const t = String(value ?? "").trim().toLowerCase();
+  if (["true", "t", "yes", "y", "1"].includes(t)) return "true";
+  if (["false", "f", "no", "n", "0"].includes(t)) return "false";
+  return null;
+}
+
+/**
+ * Validate an imported question and fill defaults.
+ * Returns the cleaned question, or null (and pushes a warning) if it cannot be used.
+ */
+export function finalizeQuestion(q, index, warnings) {
+  const qid = q.qid || `q${index + 1}`;
+  const question = String(q.question || "").trim();
+  if (!question) {
+    warnings.push(makeWarning(index, "Question text is empty; skipped", qid));
+    return null;
+  }
+
+  if (!SUPPORTED_TYPES.includes(q.type)) {
+    warnings.push(makeWarning(index, `Unsupported question type "${q.type}"; skipped`, qid));
+    return null;
+  }
+
+  const difficulty = DIFFICULTIES.includes(q.difficulty) ? q.difficulty : "medium";
+  const out = {
+    qid,
+    type: q.type,
+    difficulty,
+    question,
+    choices: [],
+    answer_index: null,
+    answer_text: null,
+    explanation: q.explanation ? String(q.explanation).trim() : ""
+  };
+
+  if (q.type === "mcq") {
+    const choices = (q.choices || []).map((c) => String(c ?? "").trim()).filter((c) => c.length > 0);
+    if (choices.length < 2) {
+      warnings.push(makeWarning(index, "Multiple choice question needs at least two choices; skipped", qid));
+      return null;
+    }
+    const idx = Number(q.answer_index);
+    if (!Number.isInteger(idx) || idx < 0 || idx >= choices.length) {
+      warnings.push(makeWarning(index, `answer_index ${q.answer_index} is out of range (0-${choices.length - 1}); skipped`, qid));
+      return null;
+    }
+    out.choices = choices;
+    out.answer_index = idx;
+  } else if (q.type === "tf") {
+    const tf = normalizeTf(q.answer_text);
+    if (tf === null) {
+      warnings.push(makeWarning(index, `True/false answer "${q.answer_text}" is not true or false; skipped`, qid));
+      return null;
+    }
+    out.answer_text = tf;
+  } else {
+    const ans = String(q.answer_text ?? "").trim();
+    if (!ans) {
+      warnings.push(makeWarning(index, "Short answer question has no expected answer; skipped", qid));
+      return null;
+    }
+    out.answer_text = ans;
+    const alternatives = (q.accepted_answers || []).map((a) => String(a ?? "").trim()).filter((a) => a && a !== ans);
+    if (alternatives.length > 0) out.accepted_answers = [...new Set(alternatives)];
+    if (q.case_sensitive) out.case_sensitive = true;
+  }
+
+  return out;
+}
+
+/** Make qids unique within an imported set (duplicates get a numeric suffix). */
+export function dedupeQids(questions) {
+  const seen = new Set();
+  return questions.map((q) => {
+    let qid = q.qid;
+    let n = 2;
+    while (seen.has(qid)) qid = `${q.qid}_${n++}`;
+    seen.add(qid);
+    return qid === q.qid ? q : { ...q, qid };
+  });
+}
@@ -0,0 +1,129 @@
+// server/services/formats/csv.js
+/**
+ * Simple CSV quiz layout (RFC 4180 quoting, header row required):
+ *
+ *   qid,type,difficulty,question,choices,answer_index,answer_text,explanation
+ *   q1,mcq,easy,"Capital of France?",Paris|Rome|Madrid,0,,
+ *   q2,tf,easy,"The sun is a star",,,true,
+ *   q3,short,medium,"Chemical symbol for gold?",,,au,
+ *
+ * - choices are separated by "|" (mcq only)
+ * - answer_index is 0-based (mcq only)
+ * - qid, difficulty and explanation are optional columns
+ * - only mcq, tf and short fit this layout; other types are skipped on export with a warning
+ */
+import { finalizeQuestion, makeWarning, dedupeQids, unsupportedExport, SUPPORTED_TYPES } from "./common.js";
+
+export const CSV_COLUMNS = ["qid", "type", "difficulty", "question", "choices", "answer_index", "answer_text", "explanation"];
+
+/** Parse CSV text into an array of rows (arrays of strings). Handles quoted fields and embedded newlines. */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const s = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (inQuotes) {
+      if (ch === "\"") {
+        if (s[i + 1] === "\"") {
+          field += "\"";
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === "\"") inQuotes = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // drop fully blank lines
+  return rows.filter((r) => r.some((c) => c.trim().length > 0));
+}
+
+export function csvEscape(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, "\"\"")}"` : s;
+}
+
+export function toCsvLine(values) {
+  return values.map(csvEscape).join(",");
+}
+
+export function importCsv(text) {
+  const warnings = [];
+  const rows = parseCsv(text);
+  if (rows.length === 0) return { questions: [], warnings: [makeWarning(null, "CSV file is empty")] };
+
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  if (!header.includes("type") || !header.includes("question")) {
+    const err = new Error("CSV header must include at least 'type' and 'question' columns");
+    err.status = 400;
+    throw err;
+  }
+  const col = (row, name) => {
+    const i = header.indexOf(name);
+    return i === -1 ? "" : (row[i] ?? "").trim();
+  };
+
+  const questions = [];
+  rows.slice(1).forEach((row, i) => {
+    const choicesRaw = col(row, "choices");
+    const answerIndexRaw = col(row, "answer_index");
+    const q = finalizeQuestion({
+      qid: col(row, "qid") || undefined,
+      type: col(row, "type").toLowerCase(),
+      difficulty: col(row, "difficulty").toLowerCase(),
+      question: col(row, "question"),
+      choices: choicesRaw ? choicesRaw.split("|") : [],
+      answer_index: answerIndexRaw === "" ? null : answerIndexRaw,
+      answer_text: col(row, "answer_text"),
+      explanation: col(row, "explanation")
+    }, i, warnings);
+    if (q) questions.push(q);
+  });
+
+  return { questions: dedupeQids(questions), warnings };
+}
+
+export function exportCsv(quiz, warnings = []) {
+  const lines = [toCsvLine(CSV_COLUMNS)];
+  (quiz.questions || []).forEach((q, i) => {
+    if (!SUPPORTED_TYPES.includes(q.type)) {
+      unsupportedExport(q, i, "CSV", warnings);
+      return;
+    }
+    lines.push(toCsvLine([
+      q.qid || `q${i + 1}`,
+      q.type,
+      q.difficulty || "",
+      q.question,
+      q.type === "mcq" ? (q.choices || []).join("|") : "",
+      q.type === "mcq" ? q.answer_index : "",
+      q.type === "mcq" ? "" : q.answer_text,
+      q.explanation || ""
+    ]));
+  });
+  return lines.join("\r\n") + "\r\n";
+}
@@ -0,0 +1,211 @@
+// server/services/formats/gift.js
+/**
+ * GIFT (Moodle plain-text format) import/export.
+ *
+ * Supported on import:
+ *   ::Title:: Question text {=right ~wrong ~wrong #feedback ####general feedback}   -> mcq
+ *   Question text {T} / {FALSE}                                                     -> tf
+ *   Question text {=answer =alternative}                                            -> short
+ * Matching (->), numeric ({#...}), essay ({}) and multi-answer (several %weights) items
+ * are reported as warnings and skipped.
+ *
+ * Export also writes multi (~%weight% answers, see multiFractions), match (=left -> right,
+ * without distractors), numeric ({#value:tolerance}, without units) and essay ({}); order
+ * questions have no GIFT form and are skipped with a warning.
+ */
+import {
+  finalizeQuestion, makeWarning, dedupeQids, stripHtml, unsupportedExport, multiFractions, numericTolerance, unitsLostWarning
+} from "./common.js";
+
+// escaped special characters are swapped for private-use placeholders while parsing
+const ESCAPES = { "~": "\uE000", "=": "\uE001", "#": "\uE002", "{": "\uE003", "}": "\uE004", ":": "\uE005" };
+
+function protectEscapes(s) {
+  return s.replace(/\\([~=#{}:])/g, (m, ch) => ESCAPES[ch]).replace(/\\n/g, "\n");
+}
+
+function restoreEscapes(s) {
+  let out = s;
+  for (const [ch, ph] of Object.entries(ESCAPES)) out = out.split(ph).join(ch);
+  return out.trim();
+}
+
+function giftEscape(s) {
+  return String(s ?? "").replace(/([~=#{}:])/g, "\\$1").replace(/\n/g, "\\n");
+}
+
+/** Split a GIFT file into raw question blocks (separated by blank lines, comments removed). */
+function splitBlocks(text) {
+  const blocks = [];
+  let current = [];
+  const lines = String(text || "").replace(/^\uFEFF/, "").split(/\r?\n/);
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith("//")) continue;
+    if (trimmed.length === 0) {
+      if (current.length) blocks.push(current.join("\n"));
+      current = [];
+      continue;
+    }
+    current.push(line);
+  }
+  if (current.length) blocks.push(current.join("\n"));
+  return blocks;
+}
+
+/** Split the inside of an answer block into items starting with "=" or "~". */
+function splitAnswerItems(body) {
+  const items = [];
+  let cur = null;
+  for (const ch of body) {
+    if (ch === "=" || ch === "~") {
+      if (cur) items.push(cur);
+      cur = { mark: ch, text: "" };
+    } else if (cur) {
+      cur.text += ch;
+    }
+  }
+  if (cur) items.push(cur);
+  return items.map((it) => {
+    let text = it.text;
+    let weight = it.mark === "=" ? 100 : 0;
+    const w = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (w) {
+      weight = Number(w[1]);
+      text = text.slice(w[0].length);
+    }
+    const hash = text.indexOf("#");
+    const feedback = hash === -1 ? "" : text.slice(hash + 1);
+    if (hash !== -1) text = text.slice(0, hash);
+    return { mark: it.mark, weight, text: restoreEscapes(text), feedback: restoreEscapes(feedback) };
+  });
+}
+
+function parseBlock(block, index, warnings) {
+  let raw = protectEscapes(block).trim();
+  if (raw.startsWith("$CATEGORY")) return null;
+
+  let qid;
+  const title = raw.match(/^::(.*?)::/s);
+  if (title) {
+    qid = restoreEscapes(title[1]).replace(/\s+/g, "_") || undefined;
+    raw = raw.slice(title[0].length).trim();
+  }
+  raw = raw.replace(/^\[(html|moodle|plain|markdown)\]/i, "");
+
+  const open = raw.indexOf("{");
+  const close = raw.lastIndexOf("}");
+  if (open === -1 || close === -1 || close < open) {
+    warnings.push(makeWarning(index, "No answer block {...} found; skipped (descriptions are not supported)", qid || null));
+    return null;
+  }
+
+  const before = raw.slice(0, open).trim();
+  const after = raw.slice(close + 1).trim();
+  const question = stripHtml(restoreEscapes(after ? `${before} _____ ${after}` : before));
+  let body = raw.slice(open + 1, close);
+
+  let explanation = "";
+  const general = body.indexOf("####");
+  if (general !== -1) {
+    explanation = restoreEscapes(body.slice(general + 4));
+    body = body.slice(0, general);
+  }
+  const trimmedBody = body.trim();
+
+  if (trimmedBody.length === 0) {
+    warnings.push(makeWarning(index, "Essay questions are not supported; skipped", qid || null));
+    return null;
+  }
+  if (trimmedBody.startsWith("#")) {
+    warnings.push(makeWarning(index, "Numeric questions are not supported; skipped", qid || null));
+    return null;
+  }
+  if (trimmedBody.includes("->")) {
+    warnings.push(makeWarning(index, "Matching questions are not supported; skipped", qid || null));
+    return null;
+  }
+
+  const tf = trimmedBody.match(/^(T|TRUE|F|FALSE)\b/i);
+  if (tf && !/^[=~]/.test(trimmedBody)) {
+    const isTrue = tf[1].toUpperCase().startsWith("T");
+    return finalizeQuestion({ qid, type: "tf", question, answer_text: isTrue ? "true" : "false", explanation }, index, warnings);
+  }
+
+  const items = splitAnswerItems(body);
+  if (items.length === 0) {
+    warnings.push(makeWarning(index, "Could not read any answers; skipped", qid || null));
+    return null;
+  }
+
+  const hasWrong = items.some((it) => it.mark === "~");
+  if (!hasWrong) {
+    // short answer: every item is an accepted answer
+    const [first, ...rest] = items.map((it) => it.text);
+    return finalizeQuestion({ qid, type: "short", question, answer_text: first, accepted_answers: rest, explanation }, index, warnings);
+  }
+
+  const correct = items.map((it, i) => (it.weight >= 100 ? i : -1)).filter((i) => i !== -1);
+  if (correct.length !== 1 || items.some((it) => it.weight > 0 && it.weight < 100)) {
+    warnings.push(makeWarning(index, "Multiple-answer / partial-credit questions are not supported; skipped", qid || null));
+    return null;
+  }
+  return finalizeQuestion({
+    qid,
+    type: "mcq",
+    question,
+    choices: items.map((it) => it.text),
+    answer_index: correct[0],
+    explanation
+  }, index, warnings);
+}
+
+export function importGift(text) {
+  const warnings = [];
+  const questions = [];
+  let index = 0;
+  for (const block of splitBlocks(text)) {
+    if (block.trim().startsWith("$CATEGORY")) continue;
+    const q = parseBlock(block, index, warnings);
+    if (q) questions.push(q);
+    index++;
+  }
+  return { questions: dedupeQids(questions), warnings };
+}
+
+export function exportGift(quiz, warnings = []) {
+  const out = [`// ${String(quiz.title || "Quiz").replace(/\n/g, " ")}`, ""];
+  (quiz.questions || []).forEach((q, i) => {
+    const title = `::${giftEscape(q.qid || `q${i + 1}`)}::`;
+    const general = q.explanation ? ` ####${giftEscape(q.explanation)}` : "";
+    let answers;
+    if (q.type === "mcq") {
+      answers = (q.choices || [])
+        .map((c, ci) => `${ci === Number(q.answer_index) ? "=" : "~"}${giftEscape(c)}`)
+        .join(" ");
+    } else if (q.type === "tf") {
+      answers = String(q.answer_text).toLowerCase() === "true" ? "TRUE" : "FALSE";
+    } else if (q.type === "short") {
+      answers = [q.answer_text, ...(q.accepted_answers || [])].map((a) => `=${giftEscape(a)}`).join(" ");
+    } else if (q.type === "multi") {
+      const fractions = multiFractions(q);
+      answers = (q.choices || []).map((c, ci) => `~%${fractions[ci]}%${giftEscape(c)}`).join(" ");
+    } else if (q.type === "match") {
+      answers = (q.pairs || []).map((p) => `=${giftEscape(p.left)} -> ${giftEscape(p.right)}`).join(" ");
+      if ((q.distractors || []).length > 0) {
+        warnings.push(makeWarning(i, "GIFT matching has no distractors; they were left out", q.qid || `q${i + 1}`));
+      }
+    } else if (q.type === "numeric") {
+      const tolerance = numericTolerance(q);
+      answers = `#${Number(q.answer_number)}${tolerance > 0 ? `:${tolerance}` : ""}`;
+      unitsLostWarning(q, i, "GIFT", warnings);
+    } else if (q.type === "essay") {
+      answers = "";
+    } else {
+      unsupportedExport(q, i, "GIFT", warnings);
+      return;
+    }
+    out.push(`${title} ${giftEscape(q.question)} {${answers}${general}}`, "");
+  });
+  return out.join("\n");
+}
@@ -0,0 +1,78 @@
+// server/services/formats/index.js
+/**
+ * Entry point for quiz import/export formats.
+ *
+ * importQuestions(format, buffer) -> { questions, warnings }
+ * exportQuiz(format, quiz)        -> { body, contentType, extension, warnings }
+ *   (questions a format cannot hold are skipped and listed in warnings, as on import)
+ */
+import { importGift, exportGift } from "./gift.js";
+import { importMoodleXml, exportMoodleXml } from "./moodleXml.js";
+import { importQti, exportQti } from "./qti.js";
+import { importCsv, exportCsv } from "./csv.js";
+
+export const FORMATS = ["gift", "moodle", "qti", "csv"];
+
+const ALIASES = {
+  gift: "gift",
+  txt: "gift",
+  moodle: "moodle",
+  "moodle-xml": "moodle",
+  moodlexml: "moodle",
+  xml: "moodle",
+  qti: "qti",
+  "qti21": "qti",
+  "qti2.1": "qti",
+  zip: "qti",
+  csv: "csv"
+};
+
+export function resolveFormat(format) {
+  return ALIASES[String(format || "").trim().toLowerCase()] || null;
+}
+
+/** Guess the format from an uploaded file name (used when ?format is omitted). */
+export function formatFromFilename(name) {
+  const ext = String(name || "").split(".").pop();
+  return ext && ext !== name ? resolveFormat(ext) : null;
+}
+
+export function importQuestions(format, buffer) {
+  const f = resolveFormat(format);
+  const text = () => (Buffer.isBuffer(buffer) ? buffer.toString("utf8") : String(buffer || ""));
+  switch (f) {
+    case "gift":
+      return importGift(text());
+    case "moodle":
+      return importMoodleXml(text());
+    case "qti":
+      return importQti(buffer);
+    case "csv":
+      return importCsv(text());
+    default: {
+      const err = new Error(`Unsupported format "${format}". Use one of: ${FORMATS.join(", ")}`);
+      err.status = 400;
+      throw err;
+    }
+  }
+}
+
+export function exportQuiz(format, quiz) {
+  const f = resolveFormat(format);
+  const warnings = [];
+  switch (f) {
+    case "gift":
+      return { body: exportGift(quiz, warnings), contentType: "text/plain; charset=utf-8", extension: "gift.txt", warnings };
+    case "moodle":
+      return { body: exportMoodleXml(quiz, warnings), contentType: "application/xml; charset=utf-8", extension: "moodle.xml", warnings };
+    case "qti":
+      return { body: exportQti(quiz, warnings), contentType: "application/zip", extension: "qti.zip", warnings };
+    case "csv":
+      return { body: exportCsv(quiz, warnings), contentType: "text/csv; charset=utf-8", extension: "csv", warnings };
+    default: {
+      const err = new Error(`Unsupported format "${format}". Use one of: ${FORMATS.join(", ")}`);
+      err.status = 400;
+      throw err;
+    }
+  }
+}
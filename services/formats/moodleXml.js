@@ -0,0 +1,182 @@
+// server/services/formats/moodleXml.js
+/**
+ * Moodle XML import/export.
+ *
+ * Supported question types: multichoice (single answer) -> mcq, truefalse -> tf, shortanswer -> short.
+ * <question type="category"> entries are ignored; every other type is reported as a warning.
+ *
+ * Export also writes multi (multichoice with single=false, weights from multiFractions) and
+ * match (matching; distractors become subquestions without text), numeric (numerical, with its
+ * units) and essay (essay, the rubric as grader info). Moodle has no core ordering type, so order
+ * questions are skipped with a warning.
+ */
+import { XMLParser } from "fast-xml-parser";
+import {
+  finalizeQuestion, makeWarning, dedupeQids, stripHtml, escapeXml, unsupportedExport, multiFractions, numericTolerance
+} from "./common.js";
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "",
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  isArray: (name) => name === "question" || name === "answer"
+});
+
+/** Read the text of a Moodle <name>/<questiontext>/<answer>/<feedback> node. */
+function textOf(node) {
+  if (node === null || node === undefined) return "";
+  if (typeof node === "string" || typeof node === "number") return String(node);
+  if (node.text !== undefined) return textOf(node.text);
+  if (node["#text"] !== undefined) return String(node["#text"]);
+  return "";
+}
+
+function parseQuestion(node, index, warnings) {
+  const type = node.type;
+  const qid = textOf(node.name).trim().replace(/\s+/g, "_") || undefined;
+  const question = stripHtml(textOf(node.questiontext));
+  const explanation = stripHtml(textOf(node.generalfeedback));
+  const answers = (node.answer || []).map((a) => ({
+    text: stripHtml(textOf(a)),
+    fraction: Number(a.fraction ?? 0)
+  }));
+
+  if (type === "multichoice") {
+    const single = String(node.single ?? "true").toLowerCase() !== "false";
+    const correct = answers.map((a, i) => (a.fraction >= 100 ? i : -1)).filter((i) => i !== -1);
+    if (!single || correct.length !== 1 || answers.some((a) => a.fraction > 0 && a.fraction < 100)) {
+      warnings.push(makeWarning(index, "Multiple-answer / partial-credit multichoice is not supported; skipped", qid || null));
+      return null;
+    }
+    return finalizeQuestion({
+      qid,
+      type: "mcq",
+      question,
+      choices: answers.map((a) => a.text),
+      answer_index: correct[0],
+      explanation
+    }, index, warnings);
+  }
+
+  if (type === "truefalse") {
+    const right = answers.find((a) => a.fraction >= 100);
+    return finalizeQuestion({ qid, type: "tf", question, answer_text: right ? right.text : null, explanation }, index, warnings);
+  }
+
+  if (type === "shortanswer") {
+    const accepted = answers.filter((a) => a.fraction >= 100).map((a) => a.text);
+    return finalizeQuestion({
+      qid,
+      type: "short",
+      question,
+      answer_text: accepted[0] ?? "",
+      accepted_answers: accepted.slice(1),
+      case_sensitive: String(textOf(node.usecase)).trim() === "1",
+      explanation
+    }, index, warnings);
+  }
+
+  warnings.push(makeWarning(index, `Unsupported Moodle question type "${type}"; skipped`, qid || null));
+  return null;
+}
+
+export function importMoodleXml(text) {
+  let doc;
+  try {
+    doc = parser.parse(String(text || ""));
+  } catch (err) {
+    const e = new Error("Invalid Moodle XML: " + err.message);
+    e.status = 400;
+    throw e;
+  }
+  const nodes = doc?.quiz?.question;
+  if (!Array.isArray(nodes)) {
+    const e = new Error("Moodle XML must have a <quiz> root with <question> elements");
+    e.status = 400;
+    throw e;
+  }
+
+  const warnings = [];
+  const questions = [];
+  let index = 0;
+  for (const node of nodes) {
+    if (node.type === "category") continue;
+    const q = parseQuestion(node, index, warnings);
+    if (q) questions.push(q);
+    index++;
+  }
+  return { questions: dedupeQids(questions), warnings };
+}
+
+function textEl(tag, value, attrs = "") {
+  return `<${tag}${attrs}><text>${escapeXml(value)}</text></${tag}>`;
+}
+
+export function exportMoodleXml(quiz, warnings = []) {
+  const out = ["<?xml version=\"1.0\" encoding=\"UTF-8\"?>", "<quiz>"];
+  (quiz.questions || []).forEach((q, i) => {
+    const name = textEl("name", q.qid || `q${i + 1}`);
+    const qtext = textEl("questiontext", q.question, " format=\"plain_text\"");
+    const general = textEl("generalfeedback", q.explanation || "", " format=\"plain_text\"");
+
+    if (q.type === "mcq") {
+      out.push("  <question type=\"multichoice\">", `    ${name}`, `    ${qtext}`, `    ${general}`);
+      out.push("    <single>true</single>", "    <shuffleanswers>false</shuffleanswers>");
+      (q.choices || []).forEach((c, ci) => {
+        const fraction = ci === Number(q.answer_index) ? 100 : 0;
+        out.push(`    <answer fraction="${fraction}" format="plain_text"><text>${escapeXml(c)}</text></answer>`);
+      });
+    } else if (q.type === "tf") {
+      const isTrue = String(q.answer_text).toLowerCase() === "true";
+      out.push("  <question type=\"truefalse\">", `    ${name}`, `    ${qtext}`, `    ${general}`);
+      out.push(`    <answer fraction="${isTrue ? 100 : 0}"><text>true</text></answer>`);
+      out.push(`    <answer fraction="${isTrue ? 0 : 100}"><text>false</text></answer>`);
+    } else if (q.type === "short") {
+      out.push("  <question type=\"shortanswer\">", `    ${name}`, `    ${qtext}`, `    ${general}`);
+      out.push(`    <usecase>${q.case_sensitive ? 1 : 0}</usecase>`);
+      [q.answer_text, ...(q.accepted_answers || [])].forEach((a) => {
+        out.push(`    <answer fraction="100"><text>${escapeXml(a)}</text></answer>`);
+      });
+    } else if (q.type === "multi") {
+      const fractions = multiFractions(q);
+      out.push("  <question type=\"multichoice\">", `    ${name}`, `    ${qtext}`, `    ${general}`);
+      out.push("    <single>false</single>", "    <shuffleanswers>false</shuffleanswers>");
+      (q.choices || []).forEach((c, ci) => {
+        out.push(`    <answer fraction="${fractions[ci]}" format="plain_text"><text>${escapeXml(c)}</text></answer>`);
+      });
+    } else if (q.type === "match") {
+      out.push("  <question type=\"matching\">", `    ${name}`, `    ${qtext}`, `    ${general}`);
+      out.push("    <shuffleanswers>true</shuffleanswers>");
+      const rows = [...(q.pairs || []), ...(q.distractors || []).map((d) => ({ left: "", right: d }))];
+      rows.forEach((p) => {
+        out.push(`    <subquestion format="plain_text"><text>${escapeXml(p.left)}</text><answer><text>${escapeXml(p.right)}</text></answer></subquestion>`);
+      });
+    } else if (q.type === "numeric") {
+      const units = q.units || [];
+      out.push("  <question type=\"numerical\">", `    ${name}`, `    ${qtext}`, `    ${general}`);
+      out.push(`    <answer fraction="100"><text>${Number(q.answer_number)}</text><tolerance>${numericTolerance(q)}</tolerance></answer>`);
+      if (units.length > 0) {
+        out.push("    <units>");
+        units.forEach((u) => out.push(`      <unit><multiplier>1</multiplier><unit_name>${escapeXml(u)}</unit_name></unit>`));
+        out.push("    </units>");
+      }
+      // a required unit costs the whole grade when missing; otherwise units are optional
+      const required = q.unit_required && units.length > 0;
+      out.push(`    <unitgradingtype>${required ? 2 : 0}</unitgradingtype>`, `    <unitpenalty>${required ? 1 : 0}</unitpenalty>`);
+      out.push(`    <showunits>${required ? 0 : 3}</showunits>`, "    <unitsleft>0</unitsleft>");
+    } else if (q.type === "essay") {
+      out.push("  <question type=\"essay\">", `    ${name}`, `    ${qtext}`, `    ${general}`);
+      out.push("    <responseformat>plain</responseformat>", "    <responserequired>1</responserequired>", "    <responsefieldlines>15</responsefieldlines>");
+      if (q.max_words) out.push(`    <maxwordlimit>${Number(q.max_words)}</maxwordlimit>`);
+      out.push(`    ${textEl("graderinfo", q.rubric || "", " format=\"plain_text\"")}`);
+    } else {
+      unsupportedExport(q, i, "Moodle XML", warnings);
+      return;
+    }
+    out.push("  </question>");
+  });
+  out.push("</quiz>", "");
+  return out.join("\n");
+}
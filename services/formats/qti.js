@@ -0,0 +1,397 @@
+// server/services/formats/qti.js
+/**
+ * IMS QTI 2.1 import/export.
+ *
+ * Import accepts either a content package (zip with imsmanifest.xml) or a single
+ * assessmentItem XML document.
+ *   choiceInteraction (maxChoices=1)       -> mcq (or tf when the choices are exactly true/false)
+ *   textEntryInteraction                   -> short
+ * Any other interaction is reported as a warning.
+ *
+ * Export produces a zip package with one item file per question plus imsmanifest.xml; multi,
+ * order and match questions use choice (maxChoices=0), order and match interactions, numeric a
+ * float text entry scored with a tolerance (units are not carried) and essay an extended text
+ * interaction without response processing.
+ */
+import AdmZip from "adm-zip";
+import { XMLParser } from "fast-xml-parser";
+import { finalizeQuestion, makeWarning, dedupeQids, escapeXml, unsupportedExport, numericTolerance, unitsLostWarning } from "./common.js";
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  isArray: (name) => ["simpleChoice", "value", "mapEntry", "resource", "modalFeedback", "choiceInteraction", "textEntryInteraction"].includes(name)
+});
+
+const INTERACTIONS = [
+  "choiceInteraction", "textEntryInteraction", "extendedTextInteraction", "orderInteraction",
+  "matchInteraction", "associateInteraction", "gapMatchInteraction", "inlineChoiceInteraction",
+  "hotspotInteraction", "sliderInteraction", "uploadInteraction", "drawingInteraction"
+];
+
+/** Concatenate the visible text of a parsed node, skipping attributes and interactions. */
+function collectText(node) {
+  if (node === null || node === undefined) return "";
+  if (typeof node === "string" || typeof node === "number") return String(node);
+  if (Array.isArray(node)) return node.map(collectText).join(" ");
+  return Object.entries(node)
+    .filter(([k]) => !k.startsWith("@_") && !INTERACTIONS.includes(k))
+    .map(([, v]) => collectText(v))
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Find every interaction anywhere inside itemBody. */
+function findInteractions(node, found = []) {
+  if (!node || typeof node !== "object") return found;
+  for (const [k, v] of Object.entries(node)) {
+    if (k.startsWith("@_")) continue;
+    if (INTERACTIONS.includes(k)) {
+      (Array.isArray(v) ? v : [v]).forEach((it) => found.push({ kind: k, node: it }));
+    } else if (typeof v === "object") {
+      findInteractions(v, found);
+    }
+  }
+  return found;
+}
+
+function responseDeclaration(item, responseIdentifier) {
+  const decls = Array.isArray(item.responseDeclaration) ? item.responseDeclaration : [item.responseDeclaration].filter(Boolean);
+  return decls.find((d) => d["@_identifier"] === responseIdentifier) || decls[0];
+}
+
+function correctValues(item, responseIdentifier) {
+  const decl = responseDeclaration(item, responseIdentifier);
+  return (decl?.correctResponse?.value || []).map((v) => collectText(v));
+}
+
+/** Alternative answers scored through a <mapping> (text entry items). */
+function mappedValues(item, responseIdentifier) {
+  const decl = responseDeclaration(item, responseIdentifier);
+  return (decl?.mapping?.mapEntry || [])
+    .filter((e) => Number(e["@_mappedValue"] ?? 0) > 0)
+    .map((e) => String(e["@_mapKey"] ?? ""));
+}
+
+function parseItem(item, index, warnings) {
+  const qid = item["@_identifier"] || undefined;
+  const interactions = findInteractions(item.itemBody);
+  if (interactions.length !== 1) {
+    warnings.push(makeWarning(index, interactions.length === 0
+      ? "Item has no interaction; skipped"
+      : "Items with several interactions are not supported; skipped", qid || null));
+    return null;
+  }
+  const { kind, node } = interactions[0];
+  const prompt = collectText(node.prompt);
+  const bodyText = collectText(item.itemBody);
+  const question = [bodyText, prompt].filter(Boolean).join(" ").trim() || item["@_title"] || "";
+  const explanation = (item.modalFeedback || []).map(collectText).join(" ").trim();
+  const expected = correctValues(item, node["@_responseIdentifier"]);
+
+  if (kind === "choiceInteraction") {
+    const maxChoices = Number(node["@_maxChoices"] ?? 1);
+    const choices = (node.simpleChoice || []).map((c) => ({
+      id: typeof c === "object" ? c["@_identifier"] : null,
+      text: collectText(c)
+    }));
+    if (maxChoices !== 1 || expected.length !== 1) {
+      warnings.push(makeWarning(index, "Multiple-response choice items are not supported; skipped", qid || null));
+      return null;
+    }
+    const answerIndex = choices.findIndex((c) => c.id === expected[0]);
+    const labels = choices.map((c) => c.text.trim().toLowerCase());
+    if (choices.length === 2 && labels.includes("true") && labels.includes("false") && answerIndex !== -1) {
+      return finalizeQuestion({ qid, type: "tf", question, answer_text: labels[answerIndex], explanation }, index, warnings);
+    }
+    return finalizeQuestion({
+      qid,
+      type: "mcq",
+      question,
+      choices: choices.map((c) => c.text),
+      answer_index: answerIndex === -1 ? expected[0] : answerIndex,
+      explanation
+    }, index, warnings);
+  }
+
+  if (kind === "textEntryInteraction") {
+    const mapped = mappedValues(item, node["@_responseIdentifier"]);
+    return finalizeQuestion({
+      qid,
+      type: "short",
+      question,
+      answer_text: expected[0] ?? mapped[0] ?? "",
+      accepted_answers: [...expected.slice(1), ...mapped],
+      case_sensitive: responseDeclaration(item, node["@_responseIdentifier"])?.mapping?.mapEntry
+        ?.some((e) => e["@_caseSensitive"] === "true") || false,
+      explanation
+    }, index, warnings);
+  }
+
+  warnings.push(makeWarning(index, `Unsupported QTI interaction "${kind}"; skipped`, qid || null));
+  return null;
+}
+
+function parseXml(text, name) {
+  try {
+    return parser.parse(text);
+  } catch (err) {
+    const e = new Error(`Invalid QTI XML${name ? ` in ${name}` : ""}: ${err.message}`);
+    e.status = 400;
+    throw e;
+  }
+}
+
+/** Collect assessmentItem documents from a zip package, in manifest order when possible. */
+function itemsFromPackage(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (err) {
+    const e = new Error("Invalid QTI package: " + err.message);
+    e.status = 400;
+    throw e;
+  }
+  const entries = zip.getEntries().filter((e) => !e.isDirectory);
+  const byName = new Map(entries.map((e) => [e.entryName, e]));
+  const manifestEntry = entries.find((e) => /(^|\/)imsmanifest\.xml$/i.test(e.entryName));
+
+  let names = [];
+  if (manifestEntry) {
+    const base = manifestEntry.entryName.replace(/imsmanifest\.xml$/i, "");
+    const manifest = parseXml(manifestEntry.getData().toString("utf8"), "imsmanifest.xml");
+    const resources = manifest?.manifest?.resources?.resource || [];
+    names = resources
+      .filter((r) => String(r["@_type"] || "").startsWith("imsqti_item"))
+      .map((r) => base + r["@_href"])
+      .filter((n) => byName.has(n));
+  }
+  if (names.length === 0) {
+    names = entries.map((e) => e.entryName).filter((n) => /\.xml$/i.test(n) && !/imsmanifest\.xml$/i.test(n));
+  }
+
+  const items = [];
+  for (const name of names) {
+    const doc = parseXml(byName.get(name).getData().toString("utf8"), name);
+    if (doc?.assessmentItem) items.push(doc.assessmentItem);
+  }
+  return items;
+}
+
+export function importQti(buffer) {
+  const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(String(buffer || ""), "utf8");
+  const isZip = buf.length > 3 && buf[0] === 0x50 && buf[1] === 0x4b;
+
+  let items;
+  if (isZip) {
+    items = itemsFromPackage(buf);
+  } else {
+    const doc = parseXml(buf.toString("utf8"));
+    items = doc?.assessmentItem ? [doc.assessmentItem] : [];
+  }
+  if (items.length === 0) {
+    const e = new Error("No QTI assessmentItem found");
+    e.status = 400;
+    throw e;
+  }
+
+  const warnings = [];
+  const questions = [];
+  items.forEach((item, index) => {
+    const q = parseItem(item, index, warnings);
+    if (q) questions.push(q);
+  });
+  return { questions: dedupeQids(questions), warnings };
+}
+
+function itemIdentifier(q, i) {
+  const raw = String(q.qid || `q${i + 1}`).replace(/[^A-Za-z0-9_.-]/g, "_");
+  return /^[A-Za-z_]/.test(raw) ? raw : `item_${raw}`;
+}
+
+// question types exportQti writes; others are skipped with a warning
+const EXPORT_TYPES = ["mcq", "tf", "short", "multi", "order", "match", "numeric", "essay"];
+const MATCH_CORRECT = "http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct";
+const MAP_RESPONSE = "http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response";
+
+/** Build an assessmentItem from its response declaration, item body and processing lines. */
+function assembleItem(q, identifier, declaration, body, processing) {
+  const feedback = q.explanation
+    ? [`  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="GENERAL" showHide="show">${escapeXml(q.explanation)}</modalFeedback>`]
+    : [];
+  return [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    `<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" identifier="${escapeXml(identifier)}" title="${escapeXml(identifier)}" adaptive="false" timeDependent="false">`,
+    ...declaration,
+    "  <outcomeDeclaration identifier=\"SCORE\" cardinality=\"single\" baseType=\"float\"/>",
+    ...body,
+    ...processing,
+    ...feedback,
+    "</assessmentItem>",
+    ""
+  ].join("\n");
+}
+
+function templateProcessing(template) {
+  return [`  <responseProcessing template="${template}"/>`];
+}
+
+/** Item XML for question `q` (one of EXPORT_TYPES). */
+function itemXml(q, identifier) {
+  if (q.type === "short") {
+    // alternatives are scored through a mapping, which needs the map_response template
+    const accepted = [q.answer_text, ...(q.accepted_answers || [])];
+    const caseSensitive = q.case_sensitive ? "true" : "false";
+    const mapping = accepted.length > 1 || q.case_sensitive
+      ? [
+        "    <mapping defaultValue=\"0\">",
+        ...accepted.map((a) => `      <mapEntry mapKey="${escapeXml(a)}" mappedValue="1" caseSensitive="${caseSensitive}"/>`),
+        "    </mapping>"
+      ]
+      : [];
+    return assembleItem(q, identifier, [
+      "  <responseDeclaration identifier=\"RESPONSE\" cardinality=\"single\" baseType=\"string\">",
+      `    <correctResponse><value>${escapeXml(q.answer_text)}</value></correctResponse>`,
+      ...mapping,
+      "  </responseDeclaration>"
+    ], [
+      `  <itemBody><p>${escapeXml(q.question)}</p><p><textEntryInteraction responseIdentifier="RESPONSE"/></p></itemBody>`
+    ], templateProcessing(mapping.length > 0 ? MAP_RESPONSE : MATCH_CORRECT));
+  }
+
+  if (q.type === "mcq" || q.type === "tf" || q.type === "multi") {
+    const choices = q.type === "tf" ? ["true", "false"] : (q.choices || []);
+    let correct;
+    if (q.type === "tf") correct = [String(q.answer_text).toLowerCase() === "true" ? 0 : 1];
+    else if (q.type === "multi") correct = (q.answer_indexes || []).map(Number);
+    else correct = [Number(q.answer_index)];
+    const multiple = q.type === "multi";
+    return assembleItem(q, identifier, [
+      `  <responseDeclaration identifier="RESPONSE" cardinality="${multiple ? "multiple" : "single"}" baseType="identifier">`,
+      `    <correctResponse>${correct.map((ci) => `<value>choice_${ci}</value>`).join("")}</correctResponse>`,
+      "  </responseDeclaration>"
+    ], [
+      "  <itemBody>",
+      `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${multiple ? 0 : 1}">`,
+      `      <prompt>${escapeXml(q.question)}</prompt>`,
+      ...choices.map((c, ci) => `      <simpleChoice identifier="choice_${ci}">${escapeXml(c)}</simpleChoice>`),
+      "    </choiceInteraction>",
+      "  </itemBody>"
+    ], templateProcessing(MATCH_CORRECT));
+  }
+
+  if (q.type === "order") {
+    const items = q.items || [];
+    return assembleItem(q, identifier, [
+      "  <responseDeclaration identifier=\"RESPONSE\" cardinality=\"ordered\" baseType=\"identifier\">",
+      `    <correctResponse>${items.map((it, ii) => `<value>item_${ii}</value>`).join("")}</correctResponse>`,
+      "  </responseDeclaration>"
+    ], [
+      "  <itemBody>",
+      "    <orderInteraction responseIdentifier=\"RESPONSE\" shuffle=\"true\">",
+      `      <prompt>${escapeXml(q.question)}</prompt>`,
+      ...items.map((it, ii) => `      <simpleChoice identifier="item_${ii}">${escapeXml(it)}</simpleChoice>`),
+      "    </orderInteraction>",
+      "  </itemBody>"
+    ], templateProcessing(MATCH_CORRECT));
+  }
+
+  if (q.type === "match") {
+    const pairs = q.pairs || [];
+    const rights = [...pairs.map((p) => p.right), ...(q.distractors || [])];
+    return assembleItem(q, identifier, [
+      "  <responseDeclaration identifier=\"RESPONSE\" cardinality=\"multiple\" baseType=\"directedPair\">",
+      `    <correctResponse>${pairs.map((p, pi) => `<value>left_${pi} right_${pi}</value>`).join("")}</correctResponse>`,
+      "  </responseDeclaration>"
+    ], [
+      "  <itemBody>",
+      `    <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${pairs.length}">`,
+      `      <prompt>${escapeXml(q.question)}</prompt>`,
+      "      <simpleMatchSet>",
+      ...pairs.map((p, pi) => `        <simpleAssociableChoice identifier="left_${pi}" matchMax="1">${escapeXml(p.left)}</simpleAssociableChoice>`),
+      "      </simpleMatchSet>",
+      "      <simpleMatchSet>",
+      ...rights.map((r, ri) => `        <simpleAssociableChoice identifier="right_${ri}" matchMax="1">${escapeXml(r)}</simpleAssociableChoice>`),
+      "      </simpleMatchSet>",
+      "    </matchInteraction>",
+      "  </itemBody>"
+    ], templateProcessing(MATCH_CORRECT));
+  }
+
+  if (q.type === "numeric") {
+    const tolerance = numericTolerance(q);
+    const setScore = (v) => `<setOutcomeValue identifier="SCORE"><baseValue baseType="float">${v}</baseValue></setOutcomeValue>`;
+    return assembleItem(q, identifier, [
+      "  <responseDeclaration identifier=\"RESPONSE\" cardinality=\"single\" baseType=\"float\">",
+      `    <correctResponse><value>${Number(q.answer_number)}</value></correctResponse>`,
+      "  </responseDeclaration>"
+    ], [
+      `  <itemBody><p>${escapeXml(q.question)}</p><p><textEntryInteraction responseIdentifier="RESPONSE"/></p></itemBody>`
+    ], [
+      "  <responseProcessing>",
+      "    <responseCondition>",
+      "      <responseIf>",
+      `        <equal toleranceMode="absolute" tolerance="${tolerance} ${tolerance}"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>`,
+      `        ${setScore(1)}`,
+      "      </responseIf>",
+      `      <responseElse>${setScore(0)}</responseElse>`,
+      "    </responseCondition>",
+      "  </responseProcessing>"
+    ]);
+  }
+
+  if (q.type === "essay") {
+    return assembleItem(q, identifier, [
+      "  <responseDeclaration identifier=\"RESPONSE\" cardinality=\"single\" baseType=\"string\"/>"
+    ], [
+      "  <itemBody>",
+      "    <extendedTextInteraction responseIdentifier=\"RESPONSE\">",
+      `      <prompt>${escapeXml(q.question)}</prompt>`,
+      "    </extendedTextInteraction>",
+      "  </itemBody>"
+    ], []);
+  }
+
+  throw new Error(`QTI export does not handle "${q.type}" questions`);
+}
+
+/** Returns a Buffer containing the zipped QTI 2.1 content package. */
+export function exportQti(quiz, warnings = []) {
+  const zip = new AdmZip();
+  const resources = [];
+  const used = new Set();
+
+  (quiz.questions || []).forEach((q, i) => {
+    if (!EXPORT_TYPES.includes(q.type)) {
+      unsupportedExport(q, i, "QTI", warnings);
+      return;
+    }
+    if (q.type === "numeric") unitsLostWarning(q, i, "QTI", warnings);
+    let identifier = itemIdentifier(q, i);
+    while (used.has(identifier)) identifier = `${identifier}_${i + 1}`;
+    used.add(identifier);
+    const href = `items/${identifier}.xml`;
+    zip.addFile(href, Buffer.from(itemXml(q, identifier), "utf8"));
+    resources.push(`    <resource identifier="res_${escapeXml(identifier)}" type="imsqti_item_xmlv2p1" href="${escapeXml(href)}"><file href="${escapeXml(href)}"/></resource>`);
+  });
+
+  const manifest = [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    "<manifest xmlns=\"http://www.imsglobal.org/xsd/imscp_v1p1\" identifier=\"MANIFEST\">",
+    "  <metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>",
+    "  <organizations/>",
+    "  <resources>",
+    ...resources,
+    "  </resources>",
+    "</manifest>",
+    ""
+  ].join("\n");
+  zip.addFile("imsmanifest.xml", Buffer.from(manifest, "utf8"));
+
+  return zip.toBuffer();
+}
@@ -6,10 +6,12 @@
  * Improvements:
  * - Accept numeric-equivalent answers for short questions (e.g. "5" and "five").
  * - Adds wordToNumber mapping to parse common English number words.
- * - Keeps Levenshtein similarity fallback (threshold 0.8).
- * - Sanitizes short answers (first token, lowercase).
+ * - Short answers: whole phrases are compared against answer_text + accepted_answers and
+ *   answer_patterns (regex), with a per-question fuzzy_threshold (default 0.8) and case_sensitive flag.
  */
 
+export const DEFAULT_FUZZY_THRESHOLD = 0.8;
+
 export function normalizeText(s) {
   if (s === null || s === undefined) return "";
   return String(s)
@@ -21,14 +23,19 @@ export function normalizeText(s) {
 }
 
 /**
- * For short answers submitted by users, accept first token only (user might type phrase).
- * Returns sanitized single lowercase word (or empty string).
+ * Normalize a short answer phrase for comparison: punctuation stripped (apostrophes, hyphens
+ * and decimal points kept), whitespace collapsed, lowercased unless caseSensitive.
  */
-export function sanitizeUserShortAnswer(raw) {
+export function normalizeShortAnswer(raw, caseSensitive = false) {
   if (raw === null || raw === undefined) return "";
-  const s = String(raw).trim();
-  const parts = s.split(/\s+/).filter(Boolean);
-  return parts.length > 0 ? parts[0].toLowerCase() : "";
+  const s = String(raw)
+    .trim()
+    .replace(/[“”‘’]/g, "'")
+    .replace(/[^\p{L}\p{N}\s'.-]/gu, "")
+    .replace(/(?<!\d)\.|\.(?!\d)/g, "") // keep decimal points only
+    .replace(/\s+/g, " ")
+    .trim();
+  return caseSensitive ? s : s.toLowerCase();
 }
 
 /** Levenshtein distance (classic DP) */
@@ -70,6 +77,93 @@ export function similarity(a, b) {
   return 1 - dist / maxLen;
 }
 
+// how the words of two phrases may be paired up: one to one, or one word against up to three
+// run together / split apart ("new delhi" vs "newdelhi")
+const WORD_ALIGNMENTS = [[1, 1], [1, 2], [1, 3], [2, 1], [3, 1]];
+
+/**
+ * Similarity of a group of expected words to a group of answer words (one side is a single
+ * word). Joining words only forgives missing spaces: -1 when a whole word would have to be
+ * dropped to make them match.
+ */
+function groupSimilarity(expectedWords, answerWords) {
+  const e = expectedWords.join("");
+  const u = answerWords.join("");
+  const parts = expectedWords.length > 1 ? expectedWords : answerWords;
+  if (parts.length > 1 && levenshtein(e, u) >= Math.min(...parts.map((w) => w.length))) return -1;
+  return similarity(e, u);
+}
+
+/**
+ * Token-aware similarity between two normalized phrases: the lowest similarity of any word to
+ * its counterpart, so every expected word must be matched within the threshold on its own.
+ * Words are aligned in order; neighbouring words may be run together or split apart, but an
+ * extra or missing word ("not photosynthesis" vs "photosynthesis") makes the phrases differ (0).
+ */
+export function phraseSimilarity(a, b) {
+  const ta = String(a || "").split(" ").filter(Boolean);
+  const tb = String(b || "").split(" ").filter(Boolean);
+  if (ta.length === 0 || tb.length === 0) return ta.length === tb.length ? 1 : 0;
+
+  // best[i][j]: highest lowest-word similarity aligning ta[0..i) with tb[0..j) (-1 = impossible)
+  const best = Array.from({ length: ta.length + 1 }, () => new Array(tb.length + 1).fill(-1));
+  best[0][0] = 1;
+  for (let i = 0; i <= ta.length; i++) {
+    for (let j = 0; j <= tb.length; j++) {
+      if (best[i][j] < 0) continue;
+      for (const [k, l] of WORD_ALIGNMENTS) {
+        if (i + k > ta.length || j + l > tb.length) continue;
+        const sim = groupSimilarity(ta.slice(i, i + k), tb.slice(j, j + l));
+        if (sim < 0) continue;
+        best[i + k][j + l] = Math.max(best[i + k][j + l], Math.min(best[i][j], sim));
+      }
+    }
+  }
+  return Math.max(0, best[ta.length][tb.length]);
+}
+
+// answers longer than this are never matched against answer_patterns (bounds backtracking)
+export const MAX_PATTERN_INPUT_LENGTH = 200;
+
+/**
+ * True when a pattern repeats a group that itself contains a quantifier, e.g. "(a+)+" or
+ * "(\w*\s?)*" - the shape behind catastrophic backtracking.
+ */
+export function hasNestedQuantifier(pattern) {
+  const s = String(pattern);
+  const groups = [{ quantified: false }];
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (c === "\\") {
+      i++;
+    } else if (c === "[") {
+      // skip the character class (escapes included)
+      for (i++; i < s.length && s[i] !== "]"; i++) if (s[i] === "\\") i++;
+    } else if (c === "(") {
+      groups.push({ quantified: false });
+      if (s[i + 1] === "?") i++;
+    } else if (c === ")") {
+      const group = groups.length > 1 ? groups.pop() : { quantified: false };
+      const next = s[i + 1];
+      const repeated = next === "*" || next === "+" || (next === "{" && /^\{\d+,\d*\}/.test(s.slice(i + 1)));
+      if (group.quantified && repeated) return true;
+      if (group.quantified || repeated || next === "?") groups[groups.length - 1].quantified = true;
+    } else if (c === "*" || c === "+" || c === "?" || (c === "{" && /^\{\d+(,\d*)?\}/.test(s.slice(i)))) {
+      groups[groups.length - 1].quantified = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Compile a stored answer pattern; plain strings are anchored to the whole answer.
+ * Throws for invalid patterns and for nested quantifiers.
+ */
+export function compileAnswerPattern(pattern, caseSensitive = false) {
+  if (hasNestedQuantifier(pattern)) throw new Error("nested quantifiers such as (a+)+ are not allowed");
+  return new RegExp(`^(?:${pattern})$`, caseSensitive ? "u" : "iu");
+}
+
 /**
  * Try to parse common English number words into a numeric value.
  * Supports zero..nineteen, tens (twenty..ninety), hundred, thousand.
@@ -165,16 +259,107 @@ export function parseMaybeNumber(s) {
   return null;
 }
 
+/**
+ * Parse a numeric answer with an optional unit, e.g. "9.81 m/s^2", "1,500 km", "-3e2".
+ * Returns { value, unit } or null.
+ */
+export function parseNumberWithUnit(raw) {
+  if (raw === null || raw === undefined) return null;
+  if (typeof raw === "number") return Number.isFinite(raw) ? { value: raw, unit: "" } : null;
+  // thousands separators: a comma between digit groups, even when a unit follows ("1,500km")
+  const s = String(raw).trim().replace(/(\d),(?=\d{3}(?!\d))/g, "$1");
+  const m = s.match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*(.*)$/i);
+  if (m) return { value: Number(m[1]), unit: m[2].trim() };
+  const wn = wordToNumber(s);
+  return wn === null ? null : { value: wn, unit: "" };
+}
+
+function toIndexSet(answer) {
+  const arr = Array.isArray(answer) ? answer : (answer === null || answer === undefined || answer === "" ? [] : [answer]);
+  return new Set(arr.map(Number).filter((n) => Number.isInteger(n)));
+}
+
+/**
+ * multi: the set of selected indexes must equal answer_indexes.
+ * credit = (right picks - wrong picks) / number of correct choices, floored at 0.
+ */
+function gradeMulti(question, userAnswer) {
+  const expectedSet = new Set((question.answer_indexes || []).map(Number));
+  const given = toIndexSet(userAnswer);
+  const isCorrect = expectedSet.size > 0 && given.size === expectedSet.size && [...given].every((i) => expectedSet.has(i));
+  const expected = [...expectedSet].map((i) => (question.choices || [])[i]).filter((c) => c !== undefined);
+  const hits = [...given].filter((i) => expectedSet.has(i)).length;
+  const misses = given.size - hits;
+  const credit = expectedSet.size > 0 ? Math.max(0, (hits - misses) / expectedSet.size) : 0;
+  return { isCorrect, expected, credit };
+}
+
+/** order: userAnswer is the list of item texts in the chosen order. credit = share of items in the right position. */
+function gradeOrder(question, userAnswer) {
+  const items = question.items || [];
+  const given = Array.isArray(userAnswer) ? userAnswer.map(normalizeText) : [];
+  const inPlace = items.filter((it, i) => normalizeText(it) === given[i]).length;
+  const isCorrect = given.length === items.length && inPlace === items.length;
+  return { isCorrect, expected: items, credit: items.length ? inPlace / items.length : 0 };
+}
+
+/**
+ * match: userAnswer is { left: right } or an array of rights aligned with pairs.
+ * Every left item must be paired with its right item. credit = share of correct pairs.
+ */
+function gradeMatch(question, userAnswer) {
+  const pairs = question.pairs || [];
+  const expected = {};
+  pairs.forEach((p) => { expected[p.left] = p.right; });
+
+  let lookup = () => undefined;
+  if (Array.isArray(userAnswer)) lookup = (p, i) => userAnswer[i];
+  else if (userAnswer && typeof userAnswer === "object") lookup = (p) => userAnswer[p.left];
+
+  const matched = pairs.filter((p, i) => normalizeText(lookup(p, i)) === normalizeText(p.right)).length;
+  const isCorrect = pairs.length > 0 && matched === pairs.length;
+  return { isCorrect, expected, credit: pairs.length ? matched / pairs.length : 0 };
+}
+
+/** numeric: value within max(tolerance, |answer| * relative_tolerance); unit must be accepted if given/required. */
+function gradeNumeric(question, userAnswer) {
+  const target = Number(question.answer_number);
+  const units = (question.units || []).map((u) => normalizeText(u));
+  const tol = Math.max(Number(question.tolerance || 0), Math.abs(target) * Number(question.relative_tolerance || 0));
+  const expected = `${target}${tol > 0 ? ` ± ${Number(tol.toPrecision(6))}` : ""}${units.length ? ` ${question.units[0]}` : ""}`;
+
+  const parsed = parseNumberWithUnit(userAnswer);
+  if (!parsed || !Number.isFinite(parsed.value) || !Number.isFinite(target)) return { isCorrect: false, expected };
+
+  const unit = normalizeText(parsed.unit);
+  if (unit && units.length > 0 && !units.includes(unit)) return { isCorrect: false, expected, unitMismatch: true };
+  if (!unit && question.unit_required) return { isCorrect: false, expected, unitMismatch: true };
+
+  const isCorrect = Math.abs(parsed.value - target) <= tol + 1e-9;
+  return { isCorrect, expected, numericMatch: isCorrect };
+}
+
 /**
  * Grade a single question
- * question: { type, answer_index, answer_text, choices }
+ * question: { type, answer_index, answer_text, choices } (+ type-specific keys, see services/questionTypes.js)
  * userAnswer:
  * - for mcq: number (index)
  * - for tf: 'true' | 'false' | boolean
  * - for short: string
+ * - for multi: array of indexes
+ * - for order: array of item texts
+ * - for match: { left: right } or array of rights aligned with pairs
+ * - for numeric: number or string with optional unit ("9.8 m/s^2")
+ * - for essay: free text; never auto-graded, returns { pending: true }
  */
 export function gradeQuestion(question, userAnswer) {
   const type = question.type;
+  if (type === "multi") return gradeMulti(question, userAnswer);
+  if (type === "order") return gradeOrder(question, userAnswer);
+  if (type === "match") return gradeMatch(question, userAnswer);
+  if (type === "numeric") return gradeNumeric(question, userAnswer);
+  if (type === "essay") return { isCorrect: false, pending: true, expected: question.rubric || null };
+
   if (type === "mcq") {
     const expectedIndex = Number(question.answer_index);
     const isCorrect = Number(userAnswer) === expectedIndex;
@@ -199,50 +384,119 @@ export function gradeQuestion(question, userAnswer) {
     return { isCorrect, expected: question.answer_text };
   }
 
-  // short answer: sanitize both expected and user, then compare using multiple strategies
-  const expectedRaw = String(question.answer_text || "");
-  const expectedSanitized = normalizeText(expectedRaw).split(/\s+/)[0] || "";
+  return gradeShort(question, userAnswer);
+}
 
-  const uaSanitized = sanitizeUserShortAnswer(userAnswer);
+/**
+ * Short answer: the whole phrase is compared against every accepted answer
+ * (answer_text + accepted_answers) and answer_patterns, using multiple strategies.
+ */
+export function gradeShort(question, userAnswer) {
+  const expected = question.answer_text;
+  const caseSensitive = question.case_sensitive === true;
+  const threshold = question.fuzzy_threshold ?? DEFAULT_FUZZY_THRESHOLD;
+  const accepted = [question.answer_text, ...(question.accepted_answers || [])]
+    .map((a) => String(a ?? ""))
+    .filter((a) => a.trim());
+
+  const raw = String(userAnswer ?? "").trim().replace(/\s+/g, " ");
+  const ua = normalizeShortAnswer(raw, caseSensitive);
+  if (!ua) return { isCorrect: false, expected, similarity: 0 };
+
+  // 1) exact match against any accepted answer
+  const match = accepted.find((a) => normalizeShortAnswer(a, caseSensitive) === ua);
+  if (match !== undefined) return { isCorrect: true, expected, matched: match };
 
-  // 1) exact match
-  if (expectedSanitized && uaSanitized === expectedSanitized) {
-    return { isCorrect: true, expected: question.answer_text };
+  // 2) regex patterns (matched against the trimmed answer as typed)
+  const patterns = raw.length <= MAX_PATTERN_INPUT_LENGTH ? question.answer_patterns || [] : [];
+  for (const pattern of patterns) {
+    try {
+      if (compileAnswerPattern(pattern, caseSensitive).test(raw)) return { isCorrect: true, expected, matchedPattern: pattern };
+    } catch (err) {
+      // invalid patterns are rejected on save; ignore any that slipped through
+    }
   }
 
-  // 2) numeric equality: try to parse both as numbers
-  const expNum = parseMaybeNumber(expectedRaw);
-  const uaNum = parseMaybeNumber(uaSanitized);
+  // 3) numeric equality: try to parse both as numbers
+  const uaNum = parseMaybeNumber(ua);
+  if (uaNum !== null) {
+    const numMatch = accepted.find((a) => {
+      const n = parseMaybeNumber(a);
+      return n !== null && Math.abs(n - uaNum) < 1e-9;
+    });
+    if (numMatch !== undefined) return { isCorrect: true, expected, matched: numMatch, numericMatch: true };
+  }
 
-  if (expNum !== null && uaNum !== null && Math.abs(expNum - uaNum) < 1e-9) {
-    return { isCorrect: true, expected: question.answer_text, numericMatch: true };
+  // 4) token-aware similarity (for misspellings); threshold 1 means exact matches only
+  let best = 0;
+  let bestAnswer = null;
+  for (const a of accepted) {
+    const sim = phraseSimilarity(normalizeShortAnswer(a, caseSensitive), ua);
+    if (sim > best) {
+      best = sim;
+      bestAnswer = a;
+    }
   }
+  const isCorrect = threshold < 1 && best >= threshold;
+  return { isCorrect, expected, similarity: best, matched: isCorrect ? bestAnswer : undefined };
+}
+
+/** True when the user left the question unanswered (blank answers are never penalised). */
+export function isBlankAnswer(userAnswer) {
+  if (userAnswer === null || userAnswer === undefined) return true;
+  if (typeof userAnswer === "string") return userAnswer.trim().length === 0;
+  if (Array.isArray(userAnswer)) return userAnswer.length === 0;
+  if (typeof userAnswer === "object") return Object.values(userAnswer).every((v) => isBlankAnswer(v));
+  return false;
+}
 
-  // 3) similarity check (for misspellings), threshold 0.8
-  const sim = similarity(expectedSanitized, uaSanitized);
-  const threshold = 0.8;
-  const isCorrect = sim >= threshold;
+/** Points a question is worth (question.points, default 1). */
+export function questionPoints(q) {
+  const n = Number(q?.points);
+  return Number.isFinite(n) && n > 0 ? n : 1;
+}
 
-  return { isCorrect, expected: question.answer_text, similarity: sim };
+export function round2(n) {
+  return Math.round(n * 100) / 100;
 }
 
 /**
  * Grade all questions.
  * - questions: array of question objects (Quiz.questions)
  * - answers: object mapping qid->userAnswer OR array aligned to questions
+ * - options.negativeMarking: fraction of a question's points deducted for a wrong, non-blank answer
  *
- * Returns: { totalCorrect, details: [ { qid, isCorrect, expected, userAnswer } ] }
+ * Scoring per question: points * credit, where credit is 1/0, or the partial credit fraction
+ * for multi/order/match questions with partial_credit enabled. The total is floored at 0.
+ * Answered essay questions are left pending (earned 0) for a human grader; blank ones score 0.
+ *
+ * Returns: { totalCorrect, score, maxScore, pendingCount,
+ *            details: [ { qid, isCorrect, expected, userAnswer, points, earned, pending } ] }
  */
-export function gradeAll(questions, answers) {
+export function gradeAll(questions, answers, options = {}) {
   const details = [];
   let totalCorrect = 0;
+  let score = 0;
+  let maxScore = 0;
+  let pendingCount = 0;
+  const penalty = Math.max(0, Number(options.negativeMarking || 0));
 
   const isArray = Array.isArray(answers);
 
   questions.forEach((q, idx) => {
     const qid = q.qid || q.id || `q${idx + 1}`;
-    const userAnswer = isArray ? answers[idx] : answers[qid];
+    const userAnswer = isArray ? answers[idx] : (answers || {})[qid];
     const result = gradeQuestion(q, userAnswer);
+    const points = questionPoints(q);
+    const blank = isBlankAnswer(userAnswer);
+    const pending = result.pending === true && !blank;
+
+    let credit = result.isCorrect ? 1 : 0;
+    if (!result.isCorrect && q.partial_credit && typeof result.credit === "number") credit = result.credit;
+    let earned = points * credit;
+    if (credit === 0 && !blank && !pending && penalty > 0) earned = -points * penalty;
+    earned = round2(earned);
+
     details.push({
       qid,
       isCorrect: result.isCorrect,
@@ -253,9 +507,17 @@ export function gradeAll(questions, answers) {
       question: q.question,
       // ✨ NEW: Pass the explanation through
       explanation: q.explanation || null, 
+      points,
+      credit,
+      earned,
+      blank,
+      pending
     });
     if (result.isCorrect) totalCorrect++;
+    if (pending) pendingCount++;
+    score += earned;
+    maxScore += points;
   });
 
-  return { totalCorrect, details };
-}
\ No newline at end of file
+  return { totalCorrect, score: Math.max(0, round2(score)), maxScore: round2(maxScore), pendingCount, details };
+}
@@ -0,0 +1,158 @@
+// server/services/groups.js
+/**
+ * Classes (groups) and quiz assignments.
+ *
+ * A teacher owns a group, students join it with the join code or are added by username, and
+ * the teacher assigns quizzes they can edit with optional dates:
+ *   openAt  - attempts can start from here
+ *   closeAt - no new attempts after this
+ *   dueAt   - deadline; submissions after it still count but are reported as late
+ *
+ * Once a quiz is assigned to at least one group, only members of those groups (plus the quiz
+ * owner and collaborators) can start it, and only while one of their assignments is open.
+ */
+import crypto from "crypto";
+import Group from "../models/Group.js";
+import QuizSession from "../models/QuizSession.js";
+import { SUBMITTED_STATUSES, countedAttempt } from "./attemptPolicy.js";
+import { quizRole } from "./quizAccess.js";
+
+// no 0/O/1/I/L so codes can be read out in class
+const JOIN_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const JOIN_CODE_LENGTH = 8;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+export function makeJoinCode() {
+  let code = "";
+  for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+    code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/** Join codes are matched case-insensitively, ignoring spaces and dashes. */
+export function normalizeJoinCode(code) {
+  return String(code || "").toUpperCase().replace(/[\s-]/g, "");
+}
+
+function toDateOrNull(value, field) {
+  if (value === undefined || value === null || value === "") return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw badRequest(`${field} must be a valid date`);
+  return d;
+}
+
+/** Validate { openAt, closeAt, dueAt } of an assignment payload. Throws 400 errors. */
+export function normalizeAssignmentDates(input = {}) {
+  const openAt = toDateOrNull(input.openAt, "openAt");
+  const closeAt = toDateOrNull(input.closeAt, "closeAt");
+  const dueAt = toDateOrNull(input.dueAt, "dueAt");
+  if (openAt && closeAt && closeAt <= openAt) throw badRequest("closeAt must be after openAt");
+  if (dueAt && openAt && dueAt < openAt) throw badRequest("dueAt must not be before openAt");
+  if (dueAt && closeAt && dueAt > closeAt) throw badRequest("dueAt must not be after closeAt");
+  return { openAt, closeAt, dueAt };
+}
+
+export function isMember(group, userId) {
+  return (group.members || []).some((m) => String(m.user) === String(userId));
+}
+
+function isOpen(assignment, now) {
+  if (assignment.openAt && now < new Date(assignment.openAt)) return false;
+  if (assignment.closeAt && now > new Date(assignment.closeAt)) return false;
+  return true;
+}
+
+/**
+ * Check whether userId may start an attempt of quiz under its group assignments.
+ * Returns null when allowed (or the quiz is not assigned anywhere), or { status, error }.
+ */
+export async function checkAssignmentAccess(quiz, userId, now = new Date()) {
+  if (quizRole(quiz, userId)) return null;
+
+  const groups = await Group.find({ "assignments.quiz": quiz._id })
+    .select("owner members.user assignments")
+    .lean();
+  if (groups.length === 0) return null;
+
+  const assignments = groups
+    .filter((g) => String(g.owner) === String(userId) || isMember(g, userId))
+    .flatMap((g) => g.assignments.filter((a) => String(a.quiz) === String(quiz._id)));
+  if (assignments.length === 0) {
+    return { status: 403, error: "This quiz is assigned to a class you are not a member of" };
+  }
+  if (assignments.some((a) => isOpen(a, now))) return null;
+
+  const upcoming = assignments.some((a) => a.openAt && now < new Date(a.openAt));
+  return { status: 403, error: upcoming ? "This assignment is not open yet" : "This assignment is closed" };
+}
+
+/**
+ * Completion roster for one assignment: every member with
+ * status "not-started" | "in-progress" | "abandoned" | "finished", attempts, counted score and
+ * whether the first submission came in after dueAt. "abandoned" = only abandoned attempts so far
+ * (they use up attempts, see attemptPolicy.js). Practice and live sessions are ignored.
+ */
+export async function assignmentRoster(group, assignment, quiz) {
+  const members = group.members || [];
+  const sessions = await QuizSession.find({
+    quiz: assignment.quiz,
+    user: { $in: members.map((m) => m.user) },
+    isPractice: { $ne: true },
+    live: null
+  }).select("user status score correctCount maxScore finishedAt startedAt").sort({ finishedAt: 1, _id: 1 }).lean();
+
+  const byUser = new Map();
+  sessions.forEach((s) => {
+    const key = String(s.user);
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(s);
+  });
+
+  const policy = quiz?.settings?.scoringPolicy || "best";
+  const dueAt = assignment.dueAt ? new Date(assignment.dueAt) : null;
+  const summary = { members: members.length, notStarted: 0, inProgress: 0, abandoned: 0, finished: 0, late: 0 };
+
+  const students = members.map((m) => {
+    const own = byUser.get(String(m.user)) || [];
+    const submitted = own.filter((s) => SUBMITTED_STATUSES.includes(s.status));
+    const graded = submitted.filter((s) => s.status !== "pending-review");
+    const inProgress = own.some((s) => s.status === "in-progress");
+    const abandoned = own.filter((s) => s.status === "abandoned").length;
+
+    let status = "not-started";
+    if (submitted.length > 0) status = "finished";
+    else if (inProgress) status = "in-progress";
+    else if (abandoned > 0) status = "abandoned";
+
+    const firstSubmittedAt = submitted[0]?.finishedAt || null;
+    const late = !!(dueAt && firstSubmittedAt && new Date(firstSubmittedAt) > dueAt);
+
+    if (status === "not-started") summary.notStarted++;
+    else if (status === "in-progress") summary.inProgress++;
+    else if (status === "abandoned") summary.abandoned++;
+    else summary.finished++;
+    if (late) summary.late++;
+
+    return {
+      userId: m.user,
+      username: m.username,
+      status,
+      attempts: submitted.length,
+      inProgress,
+      abandoned,
+      pendingReview: submitted.length - graded.length,
+      score: countedAttempt(graded, policy)?.score ?? null,
+      maxScore: graded[graded.length - 1]?.maxScore ?? null,
+      firstSubmittedAt,
+      late
+    };
+  });
+
+  return { summary, students };
+}
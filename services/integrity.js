@@ -0,0 +1,217 @@
+// server/services/integrity.js
+/**
+ * Attempt integrity signals.
+ *
+ * Client events (reported while the attempt runs, stored on QuizSession.integrityEvents):
+ *   focus-loss, tab-switch, copy, paste, fullscreen-exit
+ * Server signals (computed when the report is built):
+ *   fast-answers      - several correct answers given faster than MIN_ANSWER_SECONDS each
+ *   identical-answers - the same answers as another user's attempt, including the same wrong ones
+ *   shared-ip         - overlapping attempts by different users from one IP address
+ *
+ * None of these prove cheating (a classroom shares one IP, a student may know the answers);
+ * the report only ranks attempts so a person can look at the timelines.
+ */
+import { isBlankAnswer } from "./grading.js";
+import { canonicalAnswer } from "./questionTypes.js";
+
+export const INTEGRITY_EVENT_TYPES = ["focus-loss", "tab-switch", "copy", "paste", "fullscreen-exit"];
+const MAX_EVENTS_PER_REQUEST = 100;
+export const MAX_EVENTS_PER_SESSION = 1000;
+const MAX_DETAIL_LENGTH = 200;
+
+// weight of each signal in the suspicion score
+const EVENT_WEIGHTS = { "focus-loss": 1, "tab-switch": 2, copy: 1, paste: 2, "fullscreen-exit": 1 };
+const MAX_EVENT_POINTS = 10; // client events alone cannot outrank the server signals indefinitely
+const FAST_ANSWERS_WEIGHT = 3;
+const IDENTICAL_ANSWERS_WEIGHT = 5;
+const SHARED_IP_WEIGHT = 2;
+
+const MIN_ANSWER_SECONDS = 2;
+const MIN_FAST_ANSWERS = 3;
+const MIN_IDENTICAL_ANSWERED = 5;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Validate a client batch of events: [{ type, at, qid?, detail? }].
+ * Timestamps are clamped to [startedAt, now]; unknown types are rejected.
+ */
+export function normalizeIntegrityEvents(input, session, now = new Date()) {
+  if (!Array.isArray(input) || input.length === 0) throw badRequest("events must be a non-empty array");
+  if (input.length > MAX_EVENTS_PER_REQUEST) throw badRequest(`At most ${MAX_EVENTS_PER_REQUEST} events per request`);
+  const startedAt = new Date(session.startedAt || now);
+  return input.map((e, i) => {
+    if (!INTEGRITY_EVENT_TYPES.includes(e?.type)) {
+      throw badRequest(`events[${i}].type must be one of: ${INTEGRITY_EVENT_TYPES.join(", ")}`);
+    }
+    let at = e.at !== undefined ? new Date(e.at) : now;
+    if (Number.isNaN(at.getTime()) || at > now) at = now;
+    if (at < startedAt) at = startedAt;
+    return {
+      type: e.type,
+      at,
+      qid: e.qid ? String(e.qid) : null,
+      detail: String(e.detail ?? "").slice(0, MAX_DETAIL_LENGTH),
+      receivedAt: now
+    };
+  });
+}
+
+// compared in authored choice order, so shuffled choices (settings.shuffleChoices) still match
+function answerKey(answer, question) {
+  return JSON.stringify(canonicalAnswer(question, answer.userAnswer) ?? null);
+}
+
+function fastAnswers(session) {
+  return (session.answers || []).filter((a) =>
+    a.isCorrect && !isBlankAnswer(a.userAnswer) && (a.timings || []).length > 0 &&
+    (a.timeTakenSeconds || 0) < MIN_ANSWER_SECONDS
+  );
+}
+
+/** Answer pattern of an attempt (qid -> answer) when it is worth comparing, else null. */
+function answerPattern(session) {
+  const answered = (session.answers || []).filter((a) => !isBlankAnswer(a.userAnswer));
+  if (answered.length < MIN_IDENTICAL_ANSWERED) return null;
+  // identical all-correct attempts are expected from strong students; shared mistakes are not
+  if (answered.every((a) => a.isCorrect)) return null;
+  const questions = new Map((session.questions || []).map((q) => [q.qid, q]));
+  return JSON.stringify(answered.map((a) => [a.qid, answerKey(a, questions.get(a.qid))]).sort((x, y) => (x[0] < y[0] ? -1 : 1)));
+}
+
+function overlaps(a, b) {
+  const aEnd = new Date(a.finishedAt || a.startedAt).getTime();
+  const bEnd = new Date(b.finishedAt || b.startedAt).getTime();
+  return new Date(a.startedAt).getTime() <= bEnd && new Date(b.startedAt).getTime() <= aEnd;
+}
+
+/** Everything that happened during an attempt, oldest first. */
+export function attemptTimeline(session) {
+  const items = [{ at: session.startedAt, type: "start", source: "server" }];
+  (session.integrityEvents || []).forEach((e) => {
+    items.push({ at: e.at, type: e.type, source: "client", qid: e.qid || undefined, detail: e.detail || undefined });
+  });
+  (session.connectionEvents || []).forEach((e) => {
+    items.push({ at: e.at, type: e.type, source: e.inferred ? "server" : "client" });
+  });
+  (session.extensions || []).forEach((e) => {
+    items.push({ at: e.at, type: e.type, source: "server", seconds: e.seconds, by: e.byUsername || undefined });
+  });
+  (session.answers || []).forEach((a) => {
+    (a.timings || []).forEach((t) => {
+      items.push({
+        at: t.answeredAt,
+        type: "answer",
+        source: "client",
+        qid: a.qid,
+        seconds: Math.round((new Date(t.answeredAt) - new Date(t.viewedAt)) / 100) / 10
+      });
+    });
+  });
+  if (session.finishedAt) {
+    items.push({ at: session.finishedAt, type: session.autoSubmitted ? "auto-submit" : "submit", source: "server" });
+  }
+  return items.sort((x, y) => new Date(x.at) - new Date(y.at));
+}
+
+/**
+ * Integrity report over a quiz's submitted attempts (lean sessions with questions, answers,
+ * integrityEvents, connectionEvents, extensions, clientIp). Returns
+ * { summary, attempts } where attempts are the flagged ones, most suspicious first.
+ */
+export function integrityReport(sessions) {
+  const flagsBySession = new Map(sessions.map((s) => [String(s._id), []]));
+  const add = (s, flag) => flagsBySession.get(String(s._id)).push(flag);
+
+  sessions.forEach((s) => {
+    const counts = {};
+    (s.integrityEvents || []).forEach((e) => { counts[e.type] = (counts[e.type] || 0) + 1; });
+    const eventPoints = Object.entries(counts).reduce((sum, [type, n]) => sum + (EVENT_WEIGHTS[type] || 0) * n, 0);
+    if (eventPoints > 0) {
+      add(s, { signal: "client-events", weight: Math.min(eventPoints, MAX_EVENT_POINTS), counts });
+    }
+
+    const fast = fastAnswers(s);
+    if (fast.length >= MIN_FAST_ANSWERS) {
+      add(s, {
+        signal: "fast-answers",
+        weight: FAST_ANSWERS_WEIGHT,
+        count: fast.length,
+        qids: fast.map((a) => a.qid),
+        thresholdSeconds: MIN_ANSWER_SECONDS
+      });
+    }
+  });
+
+  // identical answer patterns across different users
+  const byPattern = new Map();
+  sessions.forEach((s) => {
+    const pattern = answerPattern(s);
+    if (!pattern) return;
+    if (!byPattern.has(pattern)) byPattern.set(pattern, []);
+    byPattern.get(pattern).push(s);
+  });
+  byPattern.forEach((group) => {
+    const users = new Set(group.map((s) => String(s.user)));
+    if (users.size < 2) return;
+    group.forEach((s) => {
+      const others = group.filter((o) => String(o.user) !== String(s.user));
+      add(s, {
+        signal: "identical-answers",
+        weight: IDENTICAL_ANSWERS_WEIGHT,
+        wrongAnswers: (s.answers || []).filter((a) => !a.isCorrect && !isBlankAnswer(a.userAnswer)).length,
+        matches: others.map((o) => ({ sessionId: o._id, username: o.username }))
+      });
+    });
+  });
+
+  // overlapping attempts by different users from one IP
+  const byIp = new Map();
+  sessions.forEach((s) => {
+    if (!s.clientIp) return;
+    if (!byIp.has(s.clientIp)) byIp.set(s.clientIp, []);
+    byIp.get(s.clientIp).push(s);
+  });
+  byIp.forEach((group, ip) => {
+    group.forEach((s) => {
+      const others = group.filter((o) => String(o.user) !== String(s.user) && overlaps(s, o));
+      if (others.length === 0) return;
+      add(s, {
+        signal: "shared-ip",
+        weight: SHARED_IP_WEIGHT,
+        ip,
+        users: [...new Set(others.map((o) => o.username))]
+      });
+    });
+  });
+
+  const summary = { attempts: sessions.length, flagged: 0, signals: {} };
+  const attempts = sessions
+    .map((s) => {
+      const flags = flagsBySession.get(String(s._id));
+      flags.forEach((f) => { summary.signals[f.signal] = (summary.signals[f.signal] || 0) + 1; });
+      return { s, flags, suspicion: flags.reduce((sum, f) => sum + f.weight, 0) };
+    })
+    .filter((row) => row.flags.length > 0)
+    .sort((a, b) => b.suspicion - a.suspicion || new Date(a.s.startedAt) - new Date(b.s.startedAt))
+    .map(({ s, flags, suspicion }) => ({
+      sessionId: s._id,
+      userId: s.user,
+      username: s.username,
+      status: s.status,
+      startedAt: s.startedAt,
+      finishedAt: s.finishedAt,
+      score: s.score,
+      maxScore: s.maxScore,
+      suspicion,
+      flags,
+      timeline: attemptTimeline(s)
+    }));
+  summary.flagged = attempts.length;
+  return { summary, attempts };
+}
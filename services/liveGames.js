@@ -0,0 +1,396 @@
+// server/services/liveGames.js
+/**
+ * Hosted live quiz games (Kahoot-style), kept in memory in this process.
+ *
+ * Flow:
+ *  - host creates a game for a quiz (REST) and gets a short numeric PIN
+ *  - players join over the WebSocket with PIN + nickname (optionally with their JWT); each player
+ *    gets a secret rejoin token, and only that token (or the same logged-in account) can take the
+ *    seat back after a reconnect. Broadcasts identify players by nickname and rank only
+ *  - host starts the game and advances question by question; each question has a countdown
+ *  - correct answers score 500-1000 game points depending on speed, wrong answers 0
+ *  - a scoreboard is pushed to everyone after each question
+ *  - when the game ends, every logged-in player gets a finished QuizSession (weighted score,
+ *    like regular attempts) with the game points/rank under `live`. These are kept for history
+ *    only: they skip the attempt policy, so they never count toward User.points
+ *
+ * Transport is injected through player.socket / game.hostSocket (see sockets/liveSocket.js).
+ */
+import crypto from "crypto";
+import WebSocket from "ws";
+import QuizSession from "../models/QuizSession.js";
+import { gradeAll, gradeQuestion } from "./grading.js";
+import { buildQuestionsSnapshot } from "./sessionSnapshot.js";
+import { toClientQuestion, MANUAL_TYPES } from "./questionTypes.js";
+
+const DEFAULT_QUESTION_SECONDS = Number(process.env.LIVE_QUESTION_SECONDS || 20);
+const MAX_PLAYERS = Number(process.env.LIVE_MAX_PLAYERS || 200);
+const LOBBY_TTL_MS = 2 * 60 * 60 * 1000; // unused games are dropped after 2h
+const FINISHED_TTL_MS = 10 * 60 * 1000; // finished games stay readable for 10 min
+const SCOREBOARD_SIZE = 10;
+
+const MIN_POINTS = 500;
+const MAX_POINTS = 1000;
+
+// pin -> game
+const games = new Map();
+
+function liveError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function makePin() {
+  for (let i = 0; i < 50; i++) {
+    const pin = String(crypto.randomInt(100000, 1000000));
+    if (!games.has(pin)) return pin;
+  }
+  throw liveError("Could not allocate a game PIN, try again", 503);
+}
+
+export function send(socket, type, payload = {}) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify({ type, ...payload }));
+  }
+}
+
+export function broadcast(game, type, payload = {}) {
+  send(game.hostSocket, type, payload);
+  for (const p of game.players.values()) send(p.socket, type, payload);
+}
+
+function scheduleCleanup(game, ms) {
+  clearTimeout(game.cleanupTimer);
+  game.cleanupTimer = setTimeout(() => {
+    clearTimeout(game.timer);
+    games.delete(game.pin);
+  }, ms);
+  game.cleanupTimer.unref?.();
+}
+
+/** Speed-weighted points for a correct answer: MAX_POINTS when instant, MIN_POINTS at the buzzer. */
+export function speedPoints(elapsedMs, durationMs) {
+  const ratio = Math.min(1, Math.max(0, elapsedMs / durationMs));
+  return Math.round(MAX_POINTS - (MAX_POINTS - MIN_POINTS) * ratio);
+}
+
+/** Players sorted by game points; the position + 1 is their rank. */
+function standings(game) {
+  return [...game.players.values()]
+    .sort((a, b) => b.points - a.points || b.correct - a.correct || a.joinedAt - b.joinedAt);
+}
+
+function scoreboardRows(players, limit = SCOREBOARD_SIZE) {
+  const rows = players.map((p, i) => ({ rank: i + 1, nickname: p.nickname, points: p.points, correct: p.correct }));
+  return limit ? rows.slice(0, limit) : rows;
+}
+
+export function scoreboard(game, limit = SCOREBOARD_SIZE) {
+  return scoreboardRows(standings(game), limit);
+}
+
+function lobbyState(game) {
+  return {
+    pin: game.pin,
+    state: game.state,
+    quizTitle: game.quizTitle,
+    totalQuestions: game.questions.length,
+    players: [...game.players.values()].map((p) => ({ nickname: p.nickname, connected: p.connected }))
+  };
+}
+
+/**
+ * Create a game for a quiz. The question snapshot (including bank draws) is built once
+ * so every player gets the same paper.
+ */
+export async function createGame({ quiz, hostId, questionSeconds }) {
+  const questions = await buildQuestionsSnapshot(quiz);
+  if (questions.length === 0) throw liveError("Quiz has no questions");
+  if (questions.some((q) => MANUAL_TYPES.includes(q.type))) {
+    throw liveError("Quizzes with essay questions cannot be played live");
+  }
+
+  const seconds = Number(questionSeconds) > 0 ? Math.min(Number(questionSeconds), 300) : DEFAULT_QUESTION_SECONDS;
+  const game = {
+    id: crypto.randomUUID(),
+    pin: makePin(),
+    quizId: quiz._id,
+    quizTitle: quiz.title,
+    quizRevision: quiz.revision || null,
+    quizSettings: quiz.settings ? (quiz.settings.toObject ? quiz.settings.toObject() : quiz.settings) : {},
+    hostId: String(hostId),
+    hostSocket: null,
+    questionSeconds: seconds,
+    questions,
+    state: "lobby", // lobby | question | reveal | finished
+    currentIndex: -1,
+    questionStartedAt: null,
+    questionEndsAt: null,
+    timer: null,
+    cleanupTimer: null,
+    players: new Map(),
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null
+  };
+  games.set(game.pin, game);
+  scheduleCleanup(game, LOBBY_TTL_MS);
+  return game;
+}
+
+export function getGame(pin) {
+  return games.get(String(pin || "").trim()) || null;
+}
+
+/** Public summary used by GET /api/live/games/:pin (lets players check a PIN). */
+export function gameSummary(game) {
+  return {
+    pin: game.pin,
+    quizId: game.quizId,
+    quizTitle: game.quizTitle,
+    state: game.state,
+    totalQuestions: game.questions.length,
+    questionSeconds: game.questionSeconds,
+    playerCount: game.players.size
+  };
+}
+
+export function attachHost(game, userId, socket) {
+  if (String(userId) !== game.hostId) throw liveError("Only the host can control this game", 403);
+  if (game.hostSocket && game.hostSocket !== socket) send(game.hostSocket, "host:replaced");
+  game.hostSocket = socket;
+  send(socket, "host:joined", { ...lobbyState(game), gameId: game.id, questionSeconds: game.questionSeconds });
+}
+
+/** The seat a reconnecting player may take back: by rejoin token, or by their account. */
+function returningPlayer(game, user, rejoinToken) {
+  const token = typeof rejoinToken === "string" ? Buffer.from(rejoinToken) : null;
+  for (const p of game.players.values()) {
+    if (user && p.userId === String(user.id)) return p;
+    const own = Buffer.from(p.rejoinToken);
+    if (token && token.length === own.length && crypto.timingSafeEqual(token, own)) return p;
+  }
+  return null;
+}
+
+/**
+ * Add a player, or re-attach one that reconnects with its rejoin token (guests) or the same
+ * account (logged-in players). user is { id, username } for logged-in players, null for guests.
+ */
+export function joinGame(game, { nickname, user, rejoinToken, socket }) {
+  const existing = returningPlayer(game, user, rejoinToken);
+  if (existing) {
+    if (existing.userId && (!user || existing.userId !== String(user.id))) {
+      throw liveError("Log in as this player to rejoin", 403);
+    }
+    if (existing.socket && existing.socket !== socket) send(existing.socket, "player:replaced");
+    existing.socket = socket;
+    existing.connected = true;
+    broadcast(game, "lobby", lobbyState(game));
+    return existing;
+  }
+
+  if (game.state !== "lobby") throw liveError("Game already started", 409);
+  if (game.players.size >= MAX_PLAYERS) throw liveError("Game is full", 409);
+
+  const nick = String(nickname || "").trim().replace(/\s+/g, " ").slice(0, 24);
+  if (!nick) throw liveError("Nickname is required");
+  const taken = [...game.players.values()].some((p) => p.nickname.toLowerCase() === nick.toLowerCase());
+  if (taken) throw liveError("Nickname already taken", 409);
+
+  const player = {
+    id: crypto.randomUUID(),
+    rejoinToken: crypto.randomBytes(24).toString("hex"), // sent only to this player's socket
+    nickname: nick,
+    userId: user ? String(user.id) : null,
+    username: user ? user.username || nick : null,
+    socket,
+    connected: true,
+    joinedAt: Date.now(),
+    points: 0,
+    correct: 0,
+    answers: {} // qid -> { userAnswer, isCorrect, pointsEarned, timeMs }
+  };
+  game.players.set(player.id, player);
+  broadcast(game, "lobby", lobbyState(game));
+  return player;
+}
+
+export function leaveGame(game, player) {
+  if (game.state === "lobby") game.players.delete(player.id);
+  else player.connected = false;
+  player.socket = null;
+  broadcast(game, "lobby", lobbyState(game));
+
+  if (game.state === "question") {
+    const qid = game.questions[game.currentIndex].qid;
+    const waiting = [...game.players.values()].some((p) => p.connected && !p.answers[qid]);
+    if (!waiting) closeQuestion(game);
+  }
+}
+
+export function startGame(game) {
+  if (game.state !== "lobby") throw liveError("Game already started", 409);
+  if (game.players.size === 0) throw liveError("No players have joined yet", 409);
+  game.startedAt = new Date();
+  nextQuestion(game);
+}
+
+/** Advance to the next question, or finish the game after the last one. */
+export function nextQuestion(game) {
+  if (game.state === "finished") throw liveError("Game is over", 409);
+  if (game.state === "question") closeQuestion(game);
+
+  if (game.currentIndex + 1 >= game.questions.length) {
+    endGame(game);
+    return;
+  }
+
+  game.currentIndex += 1;
+  game.state = "question";
+  const q = game.questions[game.currentIndex];
+  const durationMs = game.questionSeconds * 1000;
+  game.questionStartedAt = Date.now();
+  game.questionEndsAt = game.questionStartedAt + durationMs;
+
+  clearTimeout(game.timer);
+  game.timer = setTimeout(() => closeQuestion(game), durationMs);
+
+  broadcast(game, "question", {
+    index: game.currentIndex,
+    total: game.questions.length,
+    seconds: game.questionSeconds,
+    endsAt: new Date(game.questionEndsAt),
+    question: toClientQuestion(q)
+  });
+}
+
+export function submitAnswer(game, player, qid, answer) {
+  if (game.state !== "question") throw liveError("No question is open", 409);
+  const q = game.questions[game.currentIndex];
+  if (qid && qid !== q.qid) throw liveError("That question is closed", 409);
+  if (player.answers[q.qid]) throw liveError("Already answered", 409);
+
+  const now = Date.now();
+  const elapsed = now - game.questionStartedAt;
+  const { isCorrect } = gradeQuestion(q, answer);
+  const pointsEarned = isCorrect ? speedPoints(elapsed, game.questionSeconds * 1000) : 0;
+
+  player.answers[q.qid] = { userAnswer: answer, isCorrect, pointsEarned, timeMs: elapsed };
+  player.points += pointsEarned;
+  if (isCorrect) player.correct += 1;
+
+  send(player.socket, "answer:ack", { qid: q.qid });
+
+  const answered = [...game.players.values()].filter((p) => p.answers[q.qid]).length;
+  send(game.hostSocket, "answers:count", { qid: q.qid, answered, total: game.players.size });
+
+  // everyone connected has answered -> no need to wait for the countdown
+  const waiting = [...game.players.values()].some((p) => p.connected && !p.answers[q.qid]);
+  if (!waiting) closeQuestion(game);
+}
+
+/** Close the open question and push results + scoreboard. */
+export function closeQuestion(game) {
+  if (game.state !== "question") return;
+  clearTimeout(game.timer);
+  game.timer = null;
+  game.state = "reveal";
+
+  const q = game.questions[game.currentIndex];
+  const expected = gradeQuestion(q, null).expected ?? null;
+  const ranked = standings(game);
+  const board = scoreboardRows(ranked);
+  const isLast = game.currentIndex + 1 >= game.questions.length;
+
+  send(game.hostSocket, "question:result", {
+    qid: q.qid,
+    expected,
+    explanation: q.explanation || null,
+    answered: ranked.filter((p) => p.answers[q.qid]).length,
+    scoreboard: board,
+    isLast
+  });
+  ranked.forEach((p, i) => {
+    const mine = p.answers[q.qid];
+    send(p.socket, "question:result", {
+      qid: q.qid,
+      expected,
+      explanation: q.explanation || null,
+      isCorrect: mine ? mine.isCorrect : false,
+      pointsEarned: mine ? mine.pointsEarned : 0,
+      points: p.points,
+      rank: i + 1,
+      scoreboard: board,
+      isLast
+    });
+  });
+}
+
+/** Finish the game, push final standings and persist sessions for logged-in players. */
+export function endGame(game) {
+  if (game.state === "finished") return;
+  if (game.state === "question") closeQuestion(game);
+  clearTimeout(game.timer);
+  game.state = "finished";
+  game.finishedAt = new Date();
+
+  const ranked = standings(game);
+  broadcast(game, "game:over", { scoreboard: scoreboardRows(ranked, 0), totalQuestions: game.questions.length });
+  scheduleCleanup(game, FINISHED_TTL_MS);
+
+  persistResults(game, ranked).catch((err) => console.error("live game persist error:", err));
+}
+
+async function persistResults(game, ranked) {
+  // only the questions that were actually played count
+  const played = game.questions.slice(0, Math.max(0, game.currentIndex + 1));
+  if (played.length === 0) return;
+
+  for (const [i, p] of ranked.entries()) {
+    if (!p.userId) continue;
+    try {
+      const answersMap = {};
+      played.forEach((q) => { answersMap[q.qid] = p.answers[q.qid] ? p.answers[q.qid].userAnswer : null; });
+      const graded = gradeAll(played, answersMap, { negativeMarking: game.quizSettings.negativeMarking });
+      const answers = graded.details.map((d) => {
+        const a = p.answers[d.qid];
+        return {
+          qid: d.qid,
+          userAnswer: d.userAnswer,
+          isCorrect: d.isCorrect,
+          earned: d.earned,
+          timeTakenSeconds: a ? Number((a.timeMs / 1000).toFixed(2)) : 0
+        };
+      });
+      await QuizSession.create({
+        quiz: game.quizId,
+        user: p.userId,
+        username: p.username || p.nickname,
+        status: "finished",
+        startedAt: game.startedAt || game.createdAt,
+        finishedAt: game.finishedAt,
+        questions: played,
+        answers,
+        score: graded.score,
+        maxScore: graded.maxScore,
+        correctCount: graded.totalCorrect,
+        negativeMarking: game.quizSettings.negativeMarking || 0,
+        totalQuestions: played.length,
+        isPractice: false,
+        quizRevision: game.quizRevision,
+        live: {
+          gameId: game.id,
+          pin: game.pin,
+          nickname: p.nickname,
+          points: p.points,
+          rank: i + 1,
+          playerCount: ranked.length
+        }
+      });
+    } catch (err) {
+      console.error("live game: failed to store session for", p.userId, err);
+    }
+  }
+}
@@ -0,0 +1,116 @@
+// server/services/manualGrading.js
+/**
+ * Manual grading of essay responses.
+ *
+ * A submitted attempt with answered essay questions stays in status "pending-review" with those
+ * answers flagged `pending`. A grader scores each one (0..question points, plus written feedback);
+ * when the last pending response is graded the session is finalized:
+ *   status -> "finished", score/correctCount recomputed from the stored answers,
+ *   and User.points / stats updated through applyAttemptScore (scoring policy applies).
+ */
+import QuizSession from "../models/QuizSession.js";
+import Quiz from "../models/Quiz.js";
+import { applyAttemptScore } from "./attemptPolicy.js";
+import { questionPoints, round2 } from "./grading.js";
+
+const MAX_FEEDBACK_LENGTH = 5000;
+
+function gradingError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Pending responses of one session, flattened for the review queue. */
+export function pendingResponses(session) {
+  const byQid = new Map((session.questions || []).map((q) => [q.qid, q]));
+  return (session.answers || [])
+    .filter((a) => a.pending)
+    .map((a) => {
+      const q = byQid.get(a.qid) || {};
+      return {
+        sessionId: session._id,
+        quizId: session.quiz,
+        userId: session.user,
+        username: session.username,
+        submittedAt: session.finishedAt,
+        qid: a.qid,
+        question: q.question || "",
+        rubric: q.rubric || "",
+        maxWords: q.max_words ?? null,
+        points: questionPoints(q),
+        userAnswer: a.userAnswer
+      };
+    });
+}
+
+/**
+ * Score one pending response. Finalizes the session when nothing is left to grade.
+ * Returns { session, finalized, remaining, scoring? }.
+ */
+export async function gradeResponse({ sessionId, qid, points, feedback, graderId }) {
+  const session = await QuizSession.findById(sessionId).lean();
+  if (!session) throw gradingError("Session not found", 404);
+  if (session.status !== "pending-review") throw gradingError("Session is not waiting for review", 409);
+
+  const question = (session.questions || []).find((q) => q.qid === qid);
+  const answer = (session.answers || []).find((a) => a.qid === qid);
+  if (!question || !answer) throw gradingError("Response not found in this session", 404);
+  if (!answer.pending) throw gradingError("This response has already been graded", 409);
+
+  const max = questionPoints(question);
+  const awarded = Number(points);
+  if (!Number.isFinite(awarded) || awarded < 0 || awarded > max) {
+    throw gradingError(`points must be between 0 and ${max}`);
+  }
+  const text = feedback === undefined || feedback === null ? "" : String(feedback);
+  if (text.length > MAX_FEEDBACK_LENGTH) throw gradingError(`feedback must be at most ${MAX_FEEDBACK_LENGTH} characters`);
+
+  const updated = await QuizSession.findOneAndUpdate(
+    { _id: sessionId, status: "pending-review", answers: { $elemMatch: { qid, pending: true } } },
+    {
+      $set: {
+        "answers.$.pending": false,
+        "answers.$.earned": round2(awarded),
+        "answers.$.isCorrect": awarded >= max,
+        "answers.$.feedback": text,
+        "answers.$.gradedBy": graderId,
+        "answers.$.gradedAt": new Date()
+      }
+    },
+    { new: true }
+  );
+  if (!updated) throw gradingError("This response has already been graded", 409);
+
+  const remaining = updated.answers.filter((a) => a.pending).length;
+  if (remaining > 0) return { session: updated, finalized: false, remaining };
+
+  return finalizeReviewedSession(updated);
+}
+
+/**
+ * Finish a fully graded session and apply its score to the taker.
+ * Only one caller wins the status change, so points are applied once.
+ */
+export async function finalizeReviewedSession(session) {
+  const score = Math.max(0, round2(session.answers.reduce((sum, a) => sum + (a.earned || 0), 0)));
+  const correctCount = session.answers.filter((a) => a.isCorrect).length;
+
+  const finalized = await QuizSession.findOneAndUpdate(
+    { _id: session._id, status: "pending-review", "answers.pending": { $ne: true } },
+    { $set: { status: "finished", score, correctCount, pointsPending: !session.isPractice } },
+    { new: true }
+  );
+  if (!finalized) return { session, finalized: false, remaining: 0 };
+
+  if (finalized.isPractice) return { session: finalized, finalized: true, remaining: 0 };
+
+  const quiz = await Quiz.findById(finalized.quiz).select("settings").lean();
+  const { counted, delta, policy } = await applyAttemptScore(finalized, quiz);
+  return {
+    session: finalized,
+    finalized: true,
+    remaining: 0,
+    scoring: { policy, countedScore: counted, pointsAwarded: delta }
+  };
+}
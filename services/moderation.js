@@ -0,0 +1,141 @@
+// server/services/moderation.js
+/**
+ * Moderation of public content.
+ *
+ * Quiz actions (admin only):
+ *  - hide:      quiz stays in the database but disappears from listings, search, share links
+ *               and cannot be started; the creator still sees it under /my
+ *  - unpublish: quiz becomes private (isPublic = false); the creator may share it by code
+ *  - delete:    quiz is removed, as are its class assignments; past sessions are kept so
+ *               users' points and history do not change
+ *
+ * User reports land in a queue (Report, status "open"). Resolving a report applies an action
+ * and closes every open report for the same quiz; so does acting on the quiz directly.
+ */
+import Quiz from "../models/Quiz.js";
+import Report from "../models/Report.js";
+import Group from "../models/Group.js";
+import Accommodation from "../models/Accommodation.js";
+import { quizRole } from "./quizAccess.js";
+
+export const MODERATION_ACTIONS = ["hide", "unpublish", "delete"];
+export const MAX_REPORT_REASON_LENGTH = 1000;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Mongo filter excluding hidden quizzes (older documents have no `hidden` field). */
+export const VISIBLE_QUIZ_FILTER = { hidden: { $ne: true } };
+
+/** Whether a (loaded) quiz may be seen or played by user. Owners, collaborators and admins see hidden ones. */
+export function canSeeQuiz(quiz, user) {
+  if (!quiz?.hidden) return true;
+  if (!user) return false;
+  return user.role === "admin" || !!quizRole(quiz, user.id);
+}
+
+/** Apply a moderation action to a quiz. Returns the updated quiz (null after delete). */
+export async function applyQuizAction(quizId, action, { reason = "" } = {}) {
+  const quiz = await Quiz.findById(quizId);
+  if (!quiz) throw httpError(404, "Quiz not found");
+
+  switch (action) {
+    case "hide":
+      quiz.hidden = true;
+      quiz.hiddenAt = new Date();
+      quiz.hiddenReason = String(reason || "");
+      break;
+    case "unhide":
+      quiz.hidden = false;
+      quiz.hiddenAt = null;
+      quiz.hiddenReason = "";
+      break;
+    case "unpublish":
+      quiz.isPublic = false;
+      break;
+    case "delete":
+      await Group.updateMany({ "assignments.quiz": quiz._id }, { $pull: { assignments: { quiz: quiz._id } } });
+      await Accommodation.deleteMany({ quiz: quiz._id });
+      await quiz.deleteOne();
+      return null;
+    default:
+      throw httpError(400, `action must be one of: ${[...MODERATION_ACTIONS, "unhide"].join(", ")}`);
+  }
+  quiz.updatedAt = new Date();
+  await quiz.save();
+  return quiz;
+}
+
+/**
+ * Close every open report of a quiz. action "none" (dismissed) or a MODERATION_ACTIONS entry.
+ * Returns the number of reports closed.
+ */
+export async function closeReports(quizId, { action = "none", note = "", adminId = null } = {}) {
+  const result = await Report.updateMany(
+    { quiz: quizId, status: "open" },
+    {
+      $set: {
+        status: action === "none" ? "dismissed" : "resolved",
+        action,
+        note: String(note || ""),
+        resolvedBy: adminId,
+        resolvedAt: new Date()
+      }
+    }
+  );
+  return result.modifiedCount;
+}
+
+/** Create a report for a public, visible quiz. Reporting the same quiz twice while open is a no-op. */
+export async function reportQuiz({ quizId, reporterId, reason }) {
+  const text = String(reason || "").trim();
+  if (!text) throw httpError(400, "reason is required");
+  if (text.length > MAX_REPORT_REASON_LENGTH) {
+    throw httpError(400, `reason must be at most ${MAX_REPORT_REASON_LENGTH} characters`);
+  }
+
+  const quiz = await Quiz.findById(quizId).select("creator isPublic hidden").lean();
+  if (!quiz || quiz.hidden) throw httpError(404, "Quiz not found");
+  if (!quiz.isPublic) throw httpError(400, "Only public quizzes can be reported");
+  if (String(quiz.creator) === String(reporterId)) throw httpError(400, "You cannot report your own quiz");
+
+  const existing = await Report.findOne({ quiz: quiz._id, reporter: reporterId, status: "open" });
+  if (existing) return { report: existing, created: false };
+  try {
+    const report = await Report.create({ quiz: quiz._id, reporter: reporterId, reason: text });
+    return { report, created: true };
+  } catch (err) {
+    // concurrent duplicate caught by the partial unique index
+    if (err.code === 11000) {
+      return { report: await Report.findOne({ quiz: quiz._id, reporter: reporterId, status: "open" }), created: false };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Resolve a report: action "dismiss" closes it without touching the quiz; any other
+ * MODERATION_ACTIONS entry is applied to the quiz. Every open report of the quiz is closed.
+ */
+export async function resolveReport({ reportId, action, note = "", adminId }) {
+  const report = await Report.findById(reportId).lean();
+  if (!report) throw httpError(404, "Report not found");
+  if (report.status !== "open") throw httpError(409, "Report is already closed");
+  if (action !== "dismiss" && !MODERATION_ACTIONS.includes(action)) {
+    throw httpError(400, `action must be one of: dismiss, ${MODERATION_ACTIONS.join(", ")}`);
+  }
+
+  if (action !== "dismiss") {
+    await applyQuizAction(report.quiz, action, { reason: note || report.reason });
+  }
+
+  const reportsClosed = await closeReports(report.quiz, {
+    action: action === "dismiss" ? "none" : action,
+    note,
+    adminId
+  });
+  return { quizId: report.quiz, action, reportsClosed };
+}
@@ -0,0 +1,150 @@
+// server/services/questionBank.js
+/**
+ * Question bank helpers:
+ * - normalizeDrawRules(rules, ownerId): validate quiz.settings.bankDraws against the creator's banks
+ * - drawQuestions(rules): sample questions for one session according to the rules
+ *
+ * A draw rule looks like:
+ *   { bank: <bankId>, count: 10, tags: ["algebra"], topic: "", minPerDifficulty: { hard: 3 }, section: "s2" }
+ * Questions must carry every listed tag. minPerDifficulty items are drawn first, the rest of
+ * `count` is filled at random from the remaining matches. `section` (optional) puts the drawn
+ * questions in that quiz section (checked against the sections by normalizeSections).
+ */
+import mongoose from "mongoose";
+import QuestionBank from "../models/QuestionBank.js";
+import Question from "../models/Question.js";
+
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+function badRequest(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Tags as stored on bank questions and matched by draw rules: trimmed, lowercase, unique. */
+export function cleanTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+/** Random sample of n items (partial Fisher-Yates on a copy). */
+export function sample(arr, n) {
+  const copy = arr.slice();
+  const k = Math.min(n, copy.length);
+  for (let i = 0; i < k; i++) {
+    const j = i + Math.floor(Math.random() * (copy.length - i));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy.slice(0, k);
+}
+
+/**
+ * Validate and clean draw rules. Every bank must exist and belong to ownerId.
+ * Throws an error with status 400 on invalid input.
+ */
+export async function normalizeDrawRules(rules, ownerId) {
+  if (rules === undefined || rules === null) return [];
+  if (!Array.isArray(rules)) throw badRequest("settings.bankDraws must be an array");
+
+  const out = [];
+  for (const [i, r] of rules.entries()) {
+    if (!r || !mongoose.isValidObjectId(r.bank)) throw badRequest(`bankDraws[${i}].bank is not a valid id`);
+    const count = Number(r.count);
+    if (!Number.isInteger(count) || count < 1) throw badRequest(`bankDraws[${i}].count must be a positive integer`);
+
+    const minPerDifficulty = {};
+    let minTotal = 0;
+    for (const d of DIFFICULTIES) {
+      const v = Number(r.minPerDifficulty?.[d] || 0);
+      if (!Number.isInteger(v) || v < 0) throw badRequest(`bankDraws[${i}].minPerDifficulty.${d} must be a non-negative integer`);
+      minPerDifficulty[d] = v;
+      minTotal += v;
+    }
+    if (minTotal > count) throw badRequest(`bankDraws[${i}]: minimums per difficulty exceed count`);
+
+    const bank = await QuestionBank.findById(r.bank).select("owner").lean();
+    if (!bank) throw badRequest(`bankDraws[${i}]: question bank not found`);
+    if (String(bank.owner) !== String(ownerId)) throw badRequest(`bankDraws[${i}]: you do not own this question bank`, 403);
+
+    out.push({
+      bank: bank._id,
+      count,
+      tags: cleanTags(r.tags),
+      topic: r.topic ? String(r.topic).trim() : "",
+      minPerDifficulty,
+      section: r.section ? String(r.section).trim() : null
+    });
+  }
+  return out;
+}
+
+/** Total number of questions a set of draw rules will add to a session. */
+export function drawRulesCount(rules) {
+  return (rules || []).reduce((s, r) => s + (Number(r.count) || 0), 0);
+}
+
+/** Convert a bank Question document to the Quiz.questions shape. */
+export function toQuizQuestion(doc) {
+  const { _id, bank, owner, tags, topic, createdAt, updatedAt, __v, ...rest } = doc;
+  return { ...rest, qid: `bank_${_id}`, sourceQuestion: _id };
+}
+
+async function drawForRule(rule, exclude) {
+  const filter = { bank: rule.bank };
+  if (rule.tags && rule.tags.length) filter.tags = { $all: rule.tags };
+  if (rule.topic) filter.topic = rule.topic;
+
+  const pool = (await Question.find(filter).select("_id difficulty").lean())
+    .filter((p) => !exclude.has(String(p._id)));
+
+  const picked = [];
+  for (const d of DIFFICULTIES) {
+    const min = rule.minPerDifficulty?.[d] || 0;
+    if (!min) continue;
+    const candidates = pool.filter((p) => p.difficulty === d);
+    if (candidates.length < min) {
+      throw badRequest(`Question bank has only ${candidates.length} "${d}" questions matching the draw rule (need ${min})`, 409);
+    }
+    picked.push(...sample(candidates, min));
+  }
+
+  const pickedIds = new Set(picked.map((p) => String(p._id)));
+  const rest = pool.filter((p) => !pickedIds.has(String(p._id)));
+  const need = rule.count - picked.length;
+  if (rest.length < need) {
+    throw badRequest(`Question bank has only ${pool.length} questions matching the draw rule (need ${rule.count})`, 409);
+  }
+  picked.push(...sample(rest, need));
+
+  picked.forEach((p) => exclude.add(String(p._id)));
+  return picked.map((p) => p._id);
+}
+
+/**
+ * Draw questions for a new session. The same bank question is never drawn twice,
+ * even when several rules point at the same bank.
+ * Returns plain questions in the Quiz.questions shape (qid = "bank_<questionId>").
+ */
+export async function drawQuestions(rules) {
+  if (!rules || rules.length === 0) return [];
+  const exclude = new Set();
+  const ids = [];
+  const sectionById = new Map();
+  for (const rule of rules) {
+    const drawn = await drawForRule(rule, exclude);
+    drawn.forEach((id) => sectionById.set(String(id), rule.section || null));
+    ids.push(...drawn);
+  }
+
+  const docs = await Question.find({ _id: { $in: ids } }).lean();
+  const byId = new Map(docs.map((d) => [String(d._id), d]));
+  return sample(ids, ids.length)
+    .map((id) => byId.get(String(id)))
+    .filter(Boolean)
+    .map((doc) => {
+      const q = toQuizQuestion(doc);
+      const section = sectionById.get(String(doc._id));
+      return section ? { ...q, section } : q;
+    });
+}
@@ -0,0 +1,385 @@
+// server/services/questionTypes.js
+/**
+ * Question type definitions: validation, session snapshots and client-safe projections.
+ *
+ * Types and their answer keys (kept server-side):
+ *  - mcq:     choices[], answer_index
+ *  - tf:      answer_text "true" | "false"
+ *  - short:   answer_text, accepted_answers[] (alternatives), answer_patterns[] (regex, whole answer),
+ *             case_sensitive, fuzzy_threshold (0-1, default 0.8; 1 = exact matches only)
+ *  - multi:   choices[], answer_indexes[]              (several correct choices)
+ *  - order:   items[] in the correct order              (client receives them shuffled)
+ *  - match:   pairs[{ left, right }], distractors[]     (client receives lefts + shuffled rights)
+ *  - numeric: answer_number, tolerance (absolute), relative_tolerance (fraction, 0.05 = 5%),
+ *             units[] accepted unit spellings, unit_required
+ *  - essay:   rubric (guidance for the grader), max_words    (scored by hand, see services/manualGrading.js)
+ *
+ * Every type may carry `points` (default 1); multi/order/match may set `partial_credit: true`
+ * to earn a share of the points for partly correct answers.
+ *
+ * With settings.shuffleChoices, mcq/multi choices are permuted per session (unless the question
+ * sets `keep_choice_order: true`, e.g. for "all of the above"). The snapshot then holds the
+ * choices and answer key in displayed order plus `choiceOrder` (displayed index -> authored index),
+ * and stored answers use displayed indexes; canonicalAnswer() / canonicalQuestion() map back.
+ *
+ * Grading lives in services/grading.js.
+ */
+import { compileAnswerPattern } from "./grading.js";
+
+export const QUESTION_TYPES = ["mcq", "tf", "short", "multi", "order", "match", "numeric", "essay"];
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+export const PARTIAL_CREDIT_TYPES = ["multi", "order", "match"];
+// types that gradeAll() leaves pending for a human grader
+export const MANUAL_TYPES = ["essay"];
+// types whose choices can be shuffled per session
+export const CHOICE_TYPES = ["mcq", "multi"];
+const MAX_PATTERN_LENGTH = 200;
+
+// answer-key fields per type (never sent to clients before review)
+const ANSWER_FIELDS = {
+  mcq: ["answer_index"],
+  tf: ["answer_text"],
+  short: ["answer_text", "accepted_answers", "answer_patterns", "case_sensitive", "fuzzy_threshold"],
+  multi: ["answer_indexes"],
+  order: ["items"],
+  match: ["pairs"],
+  numeric: ["answer_number", "tolerance", "relative_tolerance", "unit_required"],
+  essay: ["rubric"]
+};
+
+function shuffled(arr) {
+  const copy = arr.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+function cleanStrings(arr) {
+  return (Array.isArray(arr) ? arr : []).map((s) => String(s ?? "").trim());
+}
+
+function hasDuplicates(arr) {
+  const lower = arr.map((s) => s.toLowerCase());
+  return new Set(lower).size !== lower.length;
+}
+
+/**
+ * Validate and normalize one question. Returns { value } or { error }.
+ * Unknown extra fields are kept so features layered on top (points, sections...) survive.
+ */
+export function validateQuestion(input, index = 0) {
+  if (!input || typeof input !== "object") return { error: "Question must be an object" };
+  const q = { ...input };
+  q.qid = q.qid ? String(q.qid) : `q${index + 1}`;
+  q.type = String(q.type ?? "").trim();
+  if (!q.type) return { error: "type is required" };
+  if (!QUESTION_TYPES.includes(q.type)) return { error: `Unsupported question type "${q.type}"` };
+  q.question = String(q.question ?? "").trim();
+  if (!q.question) return { error: "Question text is required" };
+  if (q.difficulty !== undefined && q.difficulty !== null && !DIFFICULTIES.includes(q.difficulty)) {
+    return { error: `difficulty must be one of: ${DIFFICULTIES.join(", ")}` };
+  }
+  q.explanation = q.explanation ? String(q.explanation) : "";
+  if (q.points !== undefined && q.points !== null) {
+    const pts = Number(q.points);
+    if (!Number.isFinite(pts) || pts <= 0) return { error: "points must be a positive number" };
+    q.points = pts;
+  }
+  if (q.partial_credit !== undefined) {
+    if (q.partial_credit && !PARTIAL_CREDIT_TYPES.includes(q.type)) {
+      return { error: `partial_credit is only supported for ${PARTIAL_CREDIT_TYPES.join(", ")} questions` };
+    }
+    q.partial_credit = q.partial_credit === true;
+  }
+  if (q.keep_choice_order !== undefined) q.keep_choice_order = q.keep_choice_order === true;
+
+  switch (q.type) {
+    case "mcq": {
+      q.choices = cleanStrings(q.choices);
+      if (q.choices.length < 2 || q.choices.some((c) => !c)) return { error: "mcq needs at least two non-empty choices" };
+      const idx = Number(q.answer_index);
+      if (!Number.isInteger(idx) || idx < 0 || idx >= q.choices.length) {
+        return { error: `answer_index must be between 0 and ${q.choices.length - 1}` };
+      }
+      q.answer_index = idx;
+      break;
+    }
+    case "tf": {
+      const t = String(q.answer_text ?? "").trim().toLowerCase();
+      if (!["true", "false"].includes(t)) return { error: "tf answer_text must be \"true\" or \"false\"" };
+      q.answer_text = t;
+      break;
+    }
+    case "short": {
+      q.accepted_answers = cleanStrings(q.accepted_answers).filter(Boolean);
+      q.answer_text = String(q.answer_text ?? "").trim() || q.accepted_answers.shift() || "";
+      q.answer_patterns = cleanStrings(q.answer_patterns).filter(Boolean);
+      if (!q.answer_text && q.answer_patterns.length === 0) {
+        return { error: "short needs answer_text, accepted_answers or answer_patterns" };
+      }
+      for (const pattern of q.answer_patterns) {
+        if (pattern.length > MAX_PATTERN_LENGTH) return { error: `answer_patterns must be at most ${MAX_PATTERN_LENGTH} characters` };
+        try {
+          compileAnswerPattern(pattern, q.case_sensitive === true);
+        } catch (err) {
+          return { error: `Invalid answer pattern "${pattern}": ${err.message}` };
+        }
+      }
+      q.case_sensitive = q.case_sensitive === true;
+      if (q.fuzzy_threshold !== undefined && q.fuzzy_threshold !== null) {
+        const t = Number(q.fuzzy_threshold);
+        if (!Number.isFinite(t) || t < 0 || t > 1) return { error: "fuzzy_threshold must be between 0 and 1" };
+        q.fuzzy_threshold = t;
+      } else {
+        delete q.fuzzy_threshold;
+      }
+      break;
+    }
+    case "multi": {
+      q.choices = cleanStrings(q.choices);
+      if (q.choices.length < 2 || q.choices.some((c) => !c)) return { error: "multi needs at least two non-empty choices" };
+      const idxs = Array.isArray(q.answer_indexes) ? q.answer_indexes.map(Number) : [];
+      if (idxs.length === 0) return { error: "multi needs at least one entry in answer_indexes" };
+      if (idxs.some((i) => !Number.isInteger(i) || i < 0 || i >= q.choices.length)) {
+        return { error: `answer_indexes must be between 0 and ${q.choices.length - 1}` };
+      }
+      q.answer_indexes = [...new Set(idxs)].sort((a, b) => a - b);
+      break;
+    }
+    case "order": {
+      q.items = cleanStrings(q.items);
+      if (q.items.length < 2 || q.items.some((c) => !c)) return { error: "order needs at least two non-empty items" };
+      if (hasDuplicates(q.items)) return { error: "order items must be unique" };
+      break;
+    }
+    case "match": {
+      const pairs = Array.isArray(q.pairs) ? q.pairs : [];
+      q.pairs = pairs.map((p) => ({ left: String(p?.left ?? "").trim(), right: String(p?.right ?? "").trim() }));
+      if (q.pairs.length < 2 || q.pairs.some((p) => !p.left || !p.right)) {
+        return { error: "match needs at least two pairs with non-empty left and right" };
+      }
+      if (hasDuplicates(q.pairs.map((p) => p.left))) return { error: "match left items must be unique" };
+      q.distractors = cleanStrings(q.distractors).filter(Boolean);
+      break;
+    }
+    case "numeric": {
+      const n = Number(q.answer_number);
+      if (q.answer_number === null || q.answer_number === "" || !Number.isFinite(n)) {
+        return { error: "numeric answer_number must be a number" };
+      }
+      q.answer_number = n;
+      q.tolerance = Number(q.tolerance || 0);
+      q.relative_tolerance = Number(q.relative_tolerance || 0);
+      if (!Number.isFinite(q.tolerance) || q.tolerance < 0) return { error: "tolerance must be >= 0" };
+      if (!Number.isFinite(q.relative_tolerance) || q.relative_tolerance < 0) return { error: "relative_tolerance must be >= 0" };
+      q.units = cleanStrings(q.units).filter(Boolean);
+      q.unit_required = q.unit_required === true && q.units.length > 0;
+      break;
+    }
+    case "essay": {
+      q.rubric = q.rubric ? String(q.rubric).trim() : "";
+      if (q.max_words !== undefined && q.max_words !== null && q.max_words !== "") {
+        const n = Number(q.max_words);
+        if (!Number.isInteger(n) || n <= 0) return { error: "max_words must be a positive integer" };
+        q.max_words = n;
+      } else {
+        delete q.max_words;
+      }
+      break;
+    }
+    default:
+      break;
+  }
+  return { value: q };
+}
+
+/**
+ * Validate a whole questions array (quiz create/update).
+ * Returns { value } or { error } where error names the offending question.
+ */
+export function validateQuestions(questions) {
+  if (!Array.isArray(questions)) return { error: "questions must be an array" };
+  const out = [];
+  const seen = new Set();
+  for (const [i, q] of questions.entries()) {
+    const { value, error } = validateQuestion(q, i);
+    if (error) return { error: `questions[${i}]: ${error}` };
+    if (seen.has(value.qid)) return { error: `questions[${i}]: duplicate qid "${value.qid}"` };
+    seen.add(value.qid);
+    out.push(value);
+  }
+  return { value: out };
+}
+
+/**
+ * Per-session snapshot of a question, answer keys included (server-side only).
+ * Display orders for order/match are fixed here so a reload shows the same layout.
+ */
+export function snapshotQuestion(q, i) {
+  const snap = {
+    qid: q.qid || `q${i + 1}`,
+    type: q.type,
+    difficulty: q.difficulty,
+    question: q.question,
+    choices: q.choices || [],
+    // server keeps answers for grading (not returned to client)
+    answer_index: q.answer_index ?? null,
+    answer_text: q.answer_text ?? null,
+    explanation: q.explanation ?? "",
+    points: q.points ?? 1,
+    partial_credit: q.partial_credit === true
+  };
+  for (const field of ANSWER_FIELDS[q.type] || []) {
+    if (q[field] !== undefined) snap[field] = q[field];
+  }
+  if (q.type === "order") snap.displayItems = shuffled(q.items || []);
+  if (q.type === "match") {
+    snap.distractors = q.distractors || [];
+    snap.displayRight = shuffled([...(q.pairs || []).map((p) => p.right), ...snap.distractors]);
+  }
+  if (q.type === "numeric") snap.units = q.units || [];
+  if (q.type === "essay" && q.max_words) snap.max_words = q.max_words;
+  // bank question id, so fixes can be traced back to the source item
+  if (q.sourceQuestion) snap.sourceQuestion = q.sourceQuestion;
+  if (q.section) snap.section = String(q.section);
+  return snap;
+}
+
+/**
+ * Permute the choices of an mcq/multi snapshot and remap its answer key (mutates and returns it).
+ * Questions with keep_choice_order, or with fewer than two choices, are left as authored.
+ */
+export function shuffleSnapshotChoices(snap, source = snap) {
+  if (!CHOICE_TYPES.includes(snap.type) || source.keep_choice_order || (snap.choices || []).length < 2) return snap;
+  const order = shuffled(snap.choices.map((_, i) => i)); // displayed index -> authored index
+  snap.choices = order.map((i) => snap.choices[i]);
+  if (snap.type === "mcq") snap.answer_index = order.indexOf(Number(snap.answer_index));
+  if (snap.type === "multi") {
+    snap.answer_indexes = (snap.answer_indexes || []).map((i) => order.indexOf(Number(i))).sort((a, b) => a - b);
+  }
+  snap.choiceOrder = order;
+  return snap;
+}
+
+function toAuthoredIndex(q, index) {
+  const n = Number(index);
+  if (!Number.isInteger(n)) return index;
+  return q.choiceOrder[n] ?? index;
+}
+
+/** A stored answer (displayed choice indexes) in authored choice order. Other types pass through. */
+export function canonicalAnswer(q, userAnswer) {
+  if (!q?.choiceOrder || userAnswer === undefined || userAnswer === null || userAnswer === "") return userAnswer;
+  if (q.type === "multi" && Array.isArray(userAnswer)) return userAnswer.map((i) => toAuthoredIndex(q, i));
+  if (q.type === "mcq") return toAuthoredIndex(q, userAnswer);
+  return userAnswer;
+}
+
+/** A snapshot question with its choices and answer key back in authored order. */
+export function canonicalQuestion(q) {
+  if (!q?.choiceOrder) return q;
+  const { choiceOrder, ...out } = q;
+  out.choices = [];
+  choiceOrder.forEach((authored, displayed) => { out.choices[authored] = q.choices[displayed]; });
+  if (q.type === "mcq") out.answer_index = canonicalAnswer(q, q.answer_index);
+  if (q.type === "multi") out.answer_indexes = canonicalAnswer(q, q.answer_indexes || []).sort((a, b) => a - b);
+  return out;
+}
+
+/** An authored answer key field mapped onto a shuffled snapshot's displayed order. */
+function displayedKey(snap, field, value) {
+  if (!snap.choiceOrder) return value;
+  if (field === "answer_index") return snap.choiceOrder.indexOf(Number(value));
+  if (field === "answer_indexes") return value.map((i) => snap.choiceOrder.indexOf(Number(i))).sort((a, b) => a - b);
+  return value;
+}
+
+// fields besides the answer key that change how a response is scored (with their defaults)
+const SCORING_FIELDS = {
+  points: (q) => q.points ?? 1,
+  partial_credit: (q) => q.partial_credit === true
+};
+
+/**
+ * True when a session snapshot still shows what `source` shows: the same question text and the
+ * same mcq/multi choices (authored order), order items or match sides (any order). Answer keys
+ * are copied by qid alone, so a key is only meaningful for a snapshot with the same content.
+ */
+export function sameContent(snap, source) {
+  const clean = (list) => (list || []).map((s) => String(s ?? "").trim());
+  const sameList = (a, b) => JSON.stringify(clean(a)) === JSON.stringify(clean(b));
+  const sameSet = (a, b) => sameList(clean(a).sort(), clean(b).sort());
+  if (String(snap.question ?? "").trim() !== String(source.question ?? "").trim()) return false;
+  switch (snap.type) {
+    case "mcq":
+    case "multi":
+      return sameList(canonicalQuestion(snap).choices, source.choices);
+    case "order":
+      return sameSet(snap.items, source.items);
+    case "match": {
+      const sides = (q) => [(q.pairs || []).map((p) => p.left), [...(q.pairs || []).map((p) => p.right), ...(q.distractors || [])]];
+      const [snapLeft, snapRight] = sides(snap);
+      const [sourceLeft, sourceRight] = sides(source);
+      return sameSet(snapLeft, sourceLeft) && sameSet(snapRight, sourceRight);
+    }
+    default:
+      return true;
+  }
+}
+
+/**
+ * Copy the current answer key (and scoring fields) of `source` onto a session snapshot.
+ * Keys of shuffled snapshots are mapped to the session's choice order.
+ * Returns { question, changed } or null when the source no longer has the same type.
+ */
+export function withCorrectedKey(snap, source) {
+  if (!source || source.type !== snap.type) return null;
+  const question = { ...snap };
+  let changed = false;
+  for (const field of ANSWER_FIELDS[snap.type] || []) {
+    if (source[field] === undefined) continue;
+    const value = displayedKey(snap, field, source[field]);
+    if (JSON.stringify(value) !== JSON.stringify(snap[field])) changed = true;
+    question[field] = value;
+  }
+  for (const [field, read] of Object.entries(SCORING_FIELDS)) {
+    if (read(source) !== read(snap)) changed = true;
+    question[field] = read(source);
+  }
+  return { question, changed };
+}
+
+/** Client-safe question (no answers). */
+export function toClientQuestion(q) {
+  const { qid, type, difficulty, question } = q;
+  const out = { qid, type, difficulty, question, choices: q.choices || [], points: q.points ?? 1 };
+  if (q.section) out.section = q.section;
+
+  if (type === "order") {
+    out.items = q.displayItems || shuffled(q.items || []);
+  } else if (type === "match") {
+    out.left = (q.pairs || []).map((p) => p.left);
+    out.right = q.displayRight || shuffled([...(q.pairs || []).map((p) => p.right), ...(q.distractors || [])]);
+  } else if (type === "multi") {
+    out.multiple = true;
+  } else if (type === "numeric") {
+    out.units = q.units || [];
+  } else if (type === "essay") {
+    out.maxWords = q.max_words ?? null;
+  }
+  return out;
+}
+
+/** Client question plus its answer key and explanation (finished-session review). */
+export function withAnswerKey(q) {
+  const out = toClientQuestion(q);
+  out.explanation = q.explanation;
+  out.answer_text = q.answer_text;
+  out.answer_index = q.answer_index;
+  for (const field of ANSWER_FIELDS[q.type] || []) {
+    if (q[field] !== undefined) out[field] = q[field];
+  }
+  return out;
+}
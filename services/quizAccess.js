@@ -0,0 +1,55 @@
+// server/services/quizAccess.js
+/**
+ * Who may do what with a quiz.
+ *
+ * The creator owns the quiz. Owners can add collaborators with a role:
+ *   editor - edit questions and settings, manage share links, regrade, plus everything a grader can
+ *   grader - grade essay responses, plus everything a viewer can
+ *   viewer - leaderboard, results export and analytics (read only)
+ * Only the owner manages collaborators.
+ *
+ * Permissions checked by controllers: "view" | "grade" | "edit" | "manage".
+ */
+
+export const COLLABORATOR_ROLES = ["editor", "grader", "viewer"];
+
+const ROLE_PERMISSIONS = {
+  owner: ["view", "grade", "edit", "manage"],
+  editor: ["view", "grade", "edit"],
+  grader: ["view", "grade"],
+  viewer: ["view"]
+};
+
+// roles that include a permission, for building Mongo queries
+function rolesWith(permission) {
+  return COLLABORATOR_ROLES.filter((role) => ROLE_PERMISSIONS[role].includes(permission));
+}
+
+function idOf(ref) {
+  return String(ref?._id ?? ref);
+}
+
+/** "owner", a collaborator role, or null. Works on documents, lean objects and populated refs. */
+export function quizRole(quiz, userId) {
+  if (!quiz || !userId) return null;
+  if (idOf(quiz.creator) === String(userId)) return "owner";
+  const entry = (quiz.collaborators || []).find((c) => idOf(c.user) === String(userId));
+  return entry ? entry.role : null;
+}
+
+export function canAccessQuiz(quiz, userId, permission) {
+  const role = quizRole(quiz, userId);
+  return !!role && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+/** Mongo filter for quizzes userId may act on with `permission` (owned or shared with them). */
+export function quizzesWithAccess(userId, permission = "view") {
+  const roles = rolesWith(permission);
+  if (roles.length === 0) return { creator: userId };
+  return {
+    $or: [
+      { creator: userId },
+      { collaborators: { $elemMatch: { user: userId, role: { $in: roles } } } }
+    ]
+  };
+}
@@ -0,0 +1,208 @@
+// server/services/regrade.js
+/**
+ * Answer-key correction for sessions that were already graded.
+ *
+ * Every QuizSession keeps its own question snapshot, so fixing a key on the quiz (or in a
+ * question bank) does not touch past attempts. regradeQuiz() copies the current keys onto the
+ * snapshots of every submitted session, re-runs gradeAll and adjusts each taker's
+ * User.points / stats.totalCorrect by the change in their counted score (scoring policy applies).
+ *
+ * Manually graded essay responses keep their grades. Questions whose text or choices were edited
+ * since the attempt are not regraded (the taker saw different content), and attempts whose points
+ * are still pending are left out of the point adjustment - applying them later uses the new score.
+ * Adaptive attempts are not regraded: which questions they were served depended on the original
+ * grading, so their ability estimate cannot be rebuilt from a corrected key.
+ *
+ * Each session is written with a compare-and-set on the score (and regradedAt) it was read with,
+ * and users are only credited for the sessions this run actually rewrote, so two regrades running
+ * at the same time cannot both apply the same point change.
+ */
+import QuizSession from "../models/QuizSession.js";
+import Question from "../models/Question.js";
+import User from "../models/User.js";
+import { gradeAll, round2 } from "./grading.js";
+import { withCorrectedKey, sameContent, MANUAL_TYPES } from "./questionTypes.js";
+import { ATTEMPT_STATUSES, SUBMITTED_STATUSES, countedAttempt } from "./attemptPolicy.js";
+
+/** Current version of every question the sessions were built from (inline + bank). */
+async function loadSources(quiz, sessions) {
+  const inline = new Map((quiz.questions || []).map((q) => [q.qid, q]));
+  const bankIds = new Set();
+  sessions.forEach((s) => (s.questions || []).forEach((q) => {
+    if (q.sourceQuestion) bankIds.add(String(q.sourceQuestion));
+  }));
+  const bank = new Map();
+  if (bankIds.size > 0) {
+    const docs = await Question.find({ _id: { $in: [...bankIds] } }).lean();
+    docs.forEach((d) => bank.set(String(d._id), d));
+  }
+  return (snap) => (snap.sourceQuestion ? bank.get(String(snap.sourceQuestion)) : inline.get(snap.qid));
+}
+
+/** Regrade one session against corrected snapshots. Returns the new fields, or null if nothing changed. */
+function regradeSession(session, sourceOf, qids, corrected, skipped) {
+  let keyChanged = false;
+  const questions = (session.questions || []).map((snap) => {
+    if (qids && !qids.includes(snap.qid)) return snap;
+    const source = sourceOf(snap);
+    if (!source) return snap;
+    const result = withCorrectedKey(snap, source);
+    if (!result) {
+      skipped.set(snap.qid, "question type changed since the attempt; not regraded");
+      return snap;
+    }
+    if (!sameContent(snap, source)) {
+      skipped.set(snap.qid, "question text or choices changed since the attempt; not regraded");
+      return snap;
+    }
+    if (!result.changed) return snap;
+    keyChanged = true;
+    corrected.add(snap.qid);
+    return result.question;
+  });
+  if (!keyChanged) return null;
+
+  const previous = new Map((session.answers || []).map((a) => [a.qid, a]));
+  const answersMap = {};
+  previous.forEach((a, qid) => { answersMap[qid] = a.userAnswer; });
+  const graded = gradeAll(questions, answersMap, { negativeMarking: session.negativeMarking });
+
+  const answers = graded.details.map((d, i) => {
+    const old = previous.get(d.qid) || { qid: d.qid, userAnswer: d.userAnswer };
+    // hand-graded responses keep their score and feedback
+    if (MANUAL_TYPES.includes(questions[i].type)) return old;
+    return { ...old, isCorrect: d.isCorrect, earned: d.earned };
+  });
+  const score = Math.max(0, round2(answers.reduce((sum, a) => sum + (a.earned || 0), 0)));
+  const correctCount = answers.filter((a) => a.isCorrect).length;
+
+  return { questions, answers, score, correctCount, maxScore: graded.maxScore };
+}
+
+/**
+ * Per-user change of the counted attempt (only graded, non-practice, non-live attempts count)
+ * when the sessions in `updates` take their regraded score.
+ * Attempts with pointsPending have not been credited yet; applyAttemptScore credits them later
+ * from their (regraded) score, so counting them here would credit them twice.
+ */
+export function userDeltas(sessions, updates, policy) {
+  const byUser = new Map();
+  sessions
+    .filter((s) => !s.isPractice && !s.live && !s.pointsPending && ATTEMPT_STATUSES.includes(s.status))
+    .forEach((s) => {
+      const key = String(s.user);
+      if (!byUser.has(key)) byUser.set(key, { username: s.username, before: [], after: [], changed: false });
+      const entry = byUser.get(key);
+      const next = updates.get(String(s._id));
+      entry.before.push(s);
+      entry.after.push(next ? { ...s, score: next.score, correctCount: next.correctCount } : s);
+      if (next) entry.changed = true;
+    });
+
+  const users = [];
+  byUser.forEach((entry, userId) => {
+    if (!entry.changed) return;
+    const before = countedAttempt(entry.before, policy);
+    const after = countedAttempt(entry.after, policy);
+    const pointsDelta = round2((after?.score ?? 0) - (before?.score ?? 0));
+    const correctDelta = round2((after?.correct ?? 0) - (before?.correct ?? 0));
+    if (pointsDelta !== 0 || correctDelta !== 0) {
+      users.push({ userId, username: entry.username, pointsDelta, correctDelta });
+    }
+  });
+  return users;
+}
+
+/**
+ * Apply the quiz's current answer keys to all submitted sessions.
+ * options.qids limits the correction to some questions; options.dryRun computes the summary only.
+ *
+ * Returns { sessionsChecked, sessionsUpdated, sessionsChanged, adaptiveSkipped, correctedQuestions, skipped,
+ * sessions, users } where `sessions` lists the attempts whose result changed.
+ */
+export async function regradeQuiz(quiz, { qids = null, dryRun = false } = {}) {
+  const policy = quiz.settings?.scoringPolicy || "best";
+  const sessions = await QuizSession.find({ quiz: quiz._id, status: { $in: SUBMITTED_STATUSES } })
+    .sort({ finishedAt: 1, _id: 1 })
+    .lean();
+  const sourceOf = await loadSources(quiz, sessions);
+
+  const corrected = new Set();
+  const skipped = new Map();
+  const updates = new Map(); // sessionId -> regraded fields
+  let adaptiveSkipped = 0;
+  for (const s of sessions) {
+    if (s.adaptive) {
+      adaptiveSkipped++;
+      continue;
+    }
+    const next = regradeSession(s, sourceOf, qids, corrected, skipped);
+    if (next) updates.set(String(s._id), next);
+  }
+
+  const resultChanged = (s, next) => next.score !== s.score
+    || next.correctCount !== (s.correctCount ?? s.score)
+    || next.answers.some((a) => a.isCorrect !== (s.answers || []).find((o) => o.qid === a.qid)?.isCorrect);
+
+  let applied = updates;
+  if (!dryRun && updates.size > 0) {
+    const now = new Date();
+    applied = new Map();
+    for (const s of sessions) {
+      const next = updates.get(String(s._id));
+      if (!next) continue;
+      const { modifiedCount } = await QuizSession.updateOne(
+        {
+          _id: s._id,
+          status: s.status,
+          // unchanged since it was read; a concurrent regrade that wrote it first applies its points
+          score: s.score,
+          regradedAt: s.regradedAt ?? null,
+          // a pending attempt credited meanwhile keeps its old score rather than be counted twice
+          pointsPending: s.pointsPending ? true : { $ne: true }
+        },
+        { $set: { ...next, regradedAt: now } }
+      );
+      if (modifiedCount === 1) applied.set(String(s._id), next);
+    }
+  }
+
+  const users = userDeltas(sessions, applied, policy);
+  if (!dryRun) {
+    for (const u of users) {
+      const inc = {};
+      if (u.pointsDelta !== 0) inc.points = u.pointsDelta;
+      if (u.correctDelta !== 0) inc["stats.totalCorrect"] = u.correctDelta;
+      await User.updateOne({ _id: u.userId }, { $inc: inc });
+    }
+  }
+
+  const changedSessions = sessions
+    .filter((s) => applied.has(String(s._id)) && resultChanged(s, applied.get(String(s._id))))
+    .map((s) => {
+      const next = applied.get(String(s._id));
+      return {
+        sessionId: s._id,
+        userId: s.user,
+        username: s.username,
+        status: s.status,
+        isPractice: !!s.isPractice,
+        oldScore: s.score,
+        newScore: next.score,
+        oldCorrect: s.correctCount ?? s.score,
+        newCorrect: next.correctCount,
+        maxScore: next.maxScore
+      };
+    });
+
+  return {
+    sessionsChecked: sessions.length,
+    sessionsUpdated: applied.size,
+    sessionsChanged: changedSessions.length,
+    adaptiveSkipped,
+    correctedQuestions: [...corrected],
+    skipped: [...skipped].map(([qid, reason]) => ({ qid, reason })),
+    sessions: changedSessions,
+    users
+  };
+}
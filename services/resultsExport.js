@@ -0,0 +1,184 @@
+// server/services/resultsExport.js
+/**
+ * Results export (gradebook) for quiz creators.
+ *
+ * One row per attempt (mode "attempts") or per user's best attempt (mode "best"); live-game
+ * sessions are left out, like in the integrity report:
+ *   username, status, startedAt, finishedAt, durationSeconds, autoSubmitted, score, maxScore,
+ *   correctCount, quizRevision, "<section> score" for every quiz section (if any), then
+ *   "<qid> answer" / "<qid> correct" for every question.
+ *
+ * Free text (usernames, answers, section titles) is written as plain strings, prefixed with "'"
+ * when it starts with a character a spreadsheet would read as a formula (=, +, -, @, tab, CR).
+ *
+ * Sessions are read through a Mongo cursor and written row by row, so large result sets are
+ * never held in memory. CSV is piped into the response (backpressure, and the cursor is closed
+ * if the client goes away); XLSX uses the ExcelJS streaming writer.
+ */
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import ExcelJS from "exceljs";
+import QuizSession from "../models/QuizSession.js";
+import { toCsvLine } from "./formats/csv.js";
+import { ATTEMPT_STATUSES, SUBMITTED_STATUSES } from "./attemptPolicy.js";
+import { sectionSubtotals } from "./sections.js";
+
+export const RESULT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" }
+};
+export const RESULT_MODES = ["attempts", "best"];
+
+const BASE_COLUMNS = [
+  "username", "status", "startedAt", "finishedAt", "durationSeconds",
+  "autoSubmitted", "score", "maxScore", "correctCount", "quizRevision"
+];
+
+/** Question ids in quiz order, followed by bank-drawn ones that only exist in sessions. */
+async function resultQids(quiz, match) {
+  const inQuiz = (quiz.questions || []).map((q) => q.qid);
+  const seen = await QuizSession.distinct("questions.qid", match);
+  const extra = seen.filter((qid) => !inQuiz.includes(qid)).sort();
+  return [...inQuiz.filter((qid) => seen.includes(qid)), ...extra];
+}
+
+/** Text cell that a spreadsheet will not evaluate (CSV/formula injection). */
+function safeText(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  return /^[=+\-@\t\r]/.test(s) ? `'${s}` : s;
+}
+
+function formatAnswer(q, userAnswer) {
+  if (userAnswer === null || userAnswer === undefined || userAnswer === "") return "";
+  if (q?.type === "mcq") {
+    const choice = (q.choices || [])[Number(userAnswer)];
+    return choice !== undefined ? choice : String(userAnswer);
+  }
+  if (q?.type === "multi" && Array.isArray(userAnswer)) {
+    return userAnswer.map((i) => (q.choices || [])[Number(i)] ?? i).join("; ");
+  }
+  if (Array.isArray(userAnswer)) return userAnswer.join("; ");
+  if (typeof userAnswer === "object") return JSON.stringify(userAnswer);
+  return String(userAnswer);
+}
+
+function correctness(answer) {
+  if (!answer) return "";
+  if (answer.pending) return "pending";
+  return answer.isCorrect ? "yes" : "no";
+}
+
+/** Values for one session row, aligned with headers(qids, sections). */
+function sessionRow(session, qids, sections) {
+  const questions = new Map((session.questions || []).map((q) => [q.qid, q]));
+  const answers = new Map((session.answers || []).map((a) => [a.qid, a]));
+  const duration = session.startedAt && session.finishedAt
+    ? Math.round((new Date(session.finishedAt) - new Date(session.startedAt)) / 1000)
+    : null;
+
+  const row = [
+    safeText(session.username),
+    session.status,
+    session.startedAt || null,
+    session.finishedAt || null,
+    duration,
+    !!session.autoSubmitted,
+    session.score ?? 0,
+    session.maxScore ?? null,
+    session.correctCount ?? null,
+    session.quizRevision ?? null
+  ];
+  if (sections.length > 0) {
+    const subtotals = new Map((sectionSubtotals(session, session.answers) || []).map((s) => [s.sid, s.score]));
+    sections.forEach((s) => row.push(subtotals.get(s.sid) ?? null));
+  }
+  for (const qid of qids) {
+    if (!questions.has(qid)) {
+      row.push("", ""); // question not drawn for this attempt
+      continue;
+    }
+    const a = answers.get(qid);
+    row.push(safeText(formatAnswer(questions.get(qid), a?.userAnswer)), correctness(a));
+  }
+  return row;
+}
+
+function headers(qids, sections) {
+  return [
+    ...BASE_COLUMNS,
+    ...sections.map((s) => safeText(`${s.title} score`)),
+    ...qids.flatMap((qid) => [safeText(`${qid} answer`), safeText(`${qid} correct`)])
+  ];
+}
+
+/** Yields the sessions to export, one at a time. */
+async function* exportedSessions(quiz, mode) {
+  const fields = "user username status startedAt finishedAt autoSubmitted score maxScore correctCount quizRevision questions answers sections";
+  if (mode === "best") {
+    const cursor = QuizSession.find({ quiz: quiz._id, status: { $in: ATTEMPT_STATUSES }, isPractice: { $ne: true }, live: null })
+      .select(fields)
+      .sort({ user: 1, score: -1, finishedAt: 1 })
+      .allowDiskUse(true)
+      .lean()
+      .cursor();
+    let lastUser = null;
+    for await (const s of cursor) {
+      if (String(s.user) === lastUser) continue;
+      lastUser = String(s.user);
+      yield s;
+    }
+    return;
+  }
+  const cursor = QuizSession.find({ quiz: quiz._id, status: { $in: SUBMITTED_STATUSES }, isPractice: { $ne: true }, live: null })
+    .select(fields)
+    .sort({ finishedAt: 1, _id: 1 })
+    .lean()
+    .cursor();
+  for await (const s of cursor) yield s;
+}
+
+function csvValue(v) {
+  if (v instanceof Date) return v.toISOString();
+  if (v === null || v === undefined) return "";
+  return v;
+}
+
+async function* csvLines(qids, sections, sessions) {
+  // BOM so spreadsheet apps detect UTF-8
+  yield "\uFEFF" + toCsvLine(headers(qids, sections)) + "\r\n";
+  for await (const s of sessions) {
+    yield toCsvLine(sessionRow(s, qids, sections).map(csvValue)) + "\r\n";
+  }
+}
+
+function writeCsv(out, qids, sections, sessions) {
+  // pipeline ends `out`, and stops the generator (closing the cursor) when `out` closes early
+  return pipeline(Readable.from(csvLines(qids, sections, sessions)), out);
+}
+
+async function writeXlsx(out, qids, sections, sessions, title) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: true, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(String(title || "Results").replace(/[*?:\\/[\]]/g, " ").slice(0, 31) || "Results");
+  const header = sheet.addRow(headers(qids, sections));
+  header.font = { bold: true };
+  header.commit();
+  for await (const s of sessions) {
+    sheet.addRow(sessionRow(s, qids, sections)).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Stream the results of a quiz to a writable (the HTTP response).
+ * format: "csv" | "xlsx"; mode: "attempts" | "best".
+ */
+export async function streamResults({ quiz, format, mode, out }) {
+  const match = { quiz: quiz._id, status: { $in: SUBMITTED_STATUSES }, isPractice: { $ne: true }, live: null };
+  const qids = await resultQids(quiz, match);
+  const sections = quiz.sections || [];
+  const sessions = exportedSessions(quiz, mode);
+  if (format === "xlsx") return writeXlsx(out, qids, sections, sessions, quiz.title);
+  return writeCsv(out, qids, sections, sessions);
+}
@@ -0,0 +1,206 @@
+// server/services/revisions.js
+/**
+ * Quiz revision history.
+ *
+ * Every save that changes a quiz's content (title, description, topic, questions, sections, settings)
+ * stores an immutable QuizRevision numbered 1, 2, 3... and bumps Quiz.revision. Sessions record
+ * the revision they were started against (QuizSession.quizRevision).
+ *
+ * Quizzes created before revision history existed have revision 0; their first edit stores the
+ * pre-edit content as a "baseline" revision so it can still be diffed and restored.
+ */
+import Quiz from "../models/Quiz.js";
+import QuizRevision from "../models/QuizRevision.js";
+import { validateQuestions } from "./questionTypes.js";
+import { normalizeAttemptSettings } from "./attemptPolicy.js";
+import { normalizeDrawRules } from "./questionBank.js";
+import { normalizeSections } from "./sections.js";
+
+const META_FIELDS = ["title", "description", "topic"];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function plain(value) {
+  const obj = value && typeof value.toObject === "function" ? value.toObject() : value;
+  return obj === undefined ? undefined : JSON.parse(JSON.stringify(obj));
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/** The versioned content of a quiz document (or revision), as plain JSON. */
+export function quizContent(quiz) {
+  return {
+    title: quiz.title || "",
+    description: quiz.description || "",
+    topic: quiz.topic || "",
+    questions: plain(quiz.questions) || [],
+    sections: plain(quiz.sections) || [],
+    settings: plain(quiz.settings) || {}
+  };
+}
+
+/** Names of the content fields that differ between two quizContent() results. */
+export function changedFields(before, after) {
+  return [...META_FIELDS, "questions", "sections", "settings"].filter((f) => !same(before[f], after[f]));
+}
+
+/**
+ * Store `content` as the next revision of quizId. The number comes from an atomic increment of
+ * Quiz.revision, so concurrent saves never share a number. Returns the revision number.
+ */
+export async function recordRevision(quizId, content, { author, authorUsername = "", source, rolledBackTo = null }) {
+  const updated = await Quiz.findByIdAndUpdate(quizId, { $inc: { revision: 1 } }, { new: true })
+    .select("revision")
+    .lean();
+  if (!updated) throw httpError(404, "Quiz not found");
+
+  await QuizRevision.create({
+    quiz: quizId,
+    number: updated.revision,
+    author,
+    authorUsername,
+    source,
+    rolledBackTo,
+    ...content
+  });
+  return updated.revision;
+}
+
+/**
+ * Record an edit of `quiz` (already saved). `before` is quizContent() taken before the changes.
+ * Nothing is stored when the content did not change. Keeps quiz.revision in sync in memory.
+ * Returns { revision, changed }.
+ */
+export async function recordEdit(quiz, before, user) {
+  const after = quizContent(quiz);
+  const changed = changedFields(before, after);
+  if (changed.length === 0) return { revision: quiz.revision || 0, changed };
+
+  if (!quiz.revision) {
+    await recordRevision(quiz._id, before, { author: quiz.creator, source: "baseline" });
+  }
+  const revision = await recordRevision(quiz._id, after, {
+    author: user.id,
+    authorUsername: user.username || "",
+    source: "update"
+  });
+  quiz.revision = revision;
+  return { revision, changed };
+}
+
+function questionKey(q, i) {
+  return q?.qid ? String(q.qid) : `#${i + 1}`;
+}
+
+function questionLabel(q) {
+  return String(q?.question ?? q?.prompt ?? "").slice(0, 120);
+}
+
+/**
+ * Question-level diff between two quizContent() results.
+ * questions: added / removed / changed (with the changed fields and both versions) / moved
+ * (same question at a different position); settings and meta: per-field { field, from, to };
+ * sections: per section id { sid, from, to } (null on the side where it does not exist).
+ */
+export function diffContent(from, to) {
+  const meta = META_FIELDS
+    .filter((f) => !same(from[f], to[f]))
+    .map((f) => ({ field: f, from: from[f], to: to[f] }));
+
+  const settingKeys = [...new Set([...Object.keys(from.settings || {}), ...Object.keys(to.settings || {})])];
+  const settings = settingKeys
+    .filter((k) => !same(from.settings?.[k], to.settings?.[k]))
+    .map((k) => ({ field: k, from: from.settings?.[k] ?? null, to: to.settings?.[k] ?? null }));
+
+  const fromSections = new Map((from.sections || []).map((s) => [s.sid, s]));
+  const toSections = new Map((to.sections || []).map((s) => [s.sid, s]));
+  const sections = [...new Set([...fromSections.keys(), ...toSections.keys()])]
+    .filter((sid) => !same(fromSections.get(sid), toSections.get(sid)))
+    .map((sid) => ({ sid, from: fromSections.get(sid) ?? null, to: toSections.get(sid) ?? null }));
+
+  const fromQs = new Map((from.questions || []).map((q, i) => [questionKey(q, i), { q, index: i }]));
+  const toQs = new Map((to.questions || []).map((q, i) => [questionKey(q, i), { q, index: i }]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const moved = [];
+  let unchanged = 0;
+
+  // positions among the questions present in both, so one insertion does not mark everything as moved
+  const commonFrom = [...fromQs.keys()].filter((k) => toQs.has(k));
+  const commonTo = [...toQs.keys()].filter((k) => fromQs.has(k));
+
+  toQs.forEach(({ q, index }, key) => {
+    if (!fromQs.has(key)) added.push({ qid: key, index, type: q.type, question: questionLabel(q) });
+  });
+  fromQs.forEach(({ q, index }, key) => {
+    if (!toQs.has(key)) {
+      removed.push({ qid: key, index, type: q.type, question: questionLabel(q) });
+      return;
+    }
+    const next = toQs.get(key);
+    const fields = [...new Set([...Object.keys(q), ...Object.keys(next.q)])].filter((f) => !same(q[f], next.q[f]));
+    if (fields.length > 0) {
+      changed.push({ qid: key, fields, from: q, to: next.q });
+    } else {
+      unchanged++;
+    }
+    if (commonFrom.indexOf(key) !== commonTo.indexOf(key)) {
+      moved.push({ qid: key, fromIndex: index, toIndex: next.index });
+    }
+  });
+
+  return { meta, settings, sections, questions: { added, removed, changed, moved, unchanged } };
+}
+
+/**
+ * Restore the content of revision `number` onto `quiz` (a document) and record it as a new
+ * "rollback" revision. The restored questions and settings are validated again, so a rollback
+ * to draws from a question bank that no longer exists fails with 400.
+ */
+export async function rollbackQuiz(quiz, number, user) {
+  const target = await QuizRevision.findOne({ quiz: quiz._id, number }).lean();
+  if (!target) throw httpError(404, "Revision not found");
+
+  const checked = validateQuestions(target.questions || []);
+  if (checked.error) throw httpError(400, `Revision ${number} cannot be restored: ${checked.error}`);
+  const settings = normalizeAttemptSettings({ ...(target.settings || {}) });
+  if (settings.bankDraws !== undefined) {
+    settings.bankDraws = await normalizeDrawRules(settings.bankDraws, quiz.creator);
+  }
+  let sections;
+  try {
+    sections = normalizeSections(target.sections || [], checked.value, settings);
+  } catch (err) {
+    throw httpError(400, `Revision ${number} cannot be restored: ${err.message}`);
+  }
+
+  const before = quizContent(quiz);
+  quiz.title = target.title || quiz.title;
+  quiz.description = target.description || "";
+  quiz.topic = target.topic || "";
+  quiz.questions = checked.value;
+  quiz.sections = sections;
+  quiz.settings = settings;
+  quiz.updatedAt = new Date();
+  await quiz.save();
+
+  if (!quiz.revision) {
+    await recordRevision(quiz._id, before, { author: quiz.creator, source: "baseline" });
+  }
+  const revision = await recordRevision(quiz._id, quizContent(quiz), {
+    author: user.id,
+    authorUsername: user.username || "",
+    source: "rollback",
+    rolledBackTo: number
+  });
+  quiz.revision = revision;
+  return { revision, rolledBackTo: number };
+}
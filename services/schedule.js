@@ -0,0 +1,256 @@
+// server/services/schedule.js
+/**
+ * Quiz publication and availability schedule.
+ *
+ * Quiz fields:
+ *  - draft:     true = not published (never listed, cannot be started)
+ *  - publishAt: scheduled publication; the quiz behaves like a draft until then (null = now)
+ *  - timezone:  IANA zone used for recurring windows and for startAt/endAt given without offset
+ *  - startAt / endAt: overall availability window (null = open-ended)
+ *  - recurring: weekly windows inside that range, e.g. every Monday 09:00-10:00:
+ *      [{ days: [1], start: "09:00", end: "10:00" }]   (days: 0 = Sunday ... 6 = Saturday)
+ *    An empty list means available the whole time between startAt and endAt.
+ *
+ * Time zone conversion uses Intl, so no date library is needed.
+ */
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+const CLOCK = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_RECURRING_WINDOWS = 50;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+export function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map();
+function formatterFor(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      weekday: "short"
+    }));
+  }
+  return formatters.get(tz);
+}
+
+/** Wall-clock parts of `date` in `tz`: { year, month, day, hour, minute, second, weekday (0-6) }. */
+export function zonedParts(date, tz) {
+  const parts = {};
+  formatterFor(tz).formatToParts(date).forEach((p) => { parts[p.type] = p.value; });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase().slice(0, 3))
+  };
+}
+
+function offsetMs(date, tz) {
+  const p = zonedParts(date, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/** The instant when the wall clock in `tz` shows the given local time (DST gaps move forward). */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, tz) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = offsetMs(new Date(guess), tz);
+  const corrected = offsetMs(new Date(guess - offset), tz);
+  return new Date(guess - corrected);
+}
+
+/**
+ * Parse a schedule date. Strings without an offset ("2026-11-02T09:00") are wall-clock times in
+ * `tz`; anything else (ISO with Z/offset, epoch ms) is taken as an absolute instant.
+ */
+export function parseScheduleDate(value, tz, field) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "string") {
+    const m = value.trim().match(LOCAL_DATE_TIME);
+    if (m) {
+      const [, y, mo, d, h = "0", mi = "0", s = "0"] = m;
+      return zonedTimeToUtc({ year: +y, month: +mo, day: +d, hour: +h, minute: +mi, second: +s }, tz);
+    }
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`${field} must be a valid date`);
+  return date;
+}
+
+function parseDay(value, i) {
+  if (Number.isInteger(value) && value >= 0 && value <= 6) return value;
+  const idx = DAY_NAMES.indexOf(String(value).trim().toLowerCase().slice(0, 3));
+  if (idx === -1) throw badRequest(`recurring[${i}].days: use 0-6 (0 = Sunday) or day names`);
+  return idx;
+}
+
+function minutesOf(clock) {
+  const [h, m] = clock.split(":").map(Number);
+  return h * 60 + m;
+}
+
+/** Validate recurring windows. Returns [{ days, start, end }]. */
+export function normalizeRecurring(input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) throw badRequest("recurring must be an array");
+  if (input.length > MAX_RECURRING_WINDOWS) throw badRequest(`At most ${MAX_RECURRING_WINDOWS} recurring windows`);
+  return input.map((w, i) => {
+    const days = [...new Set((Array.isArray(w?.days) ? w.days : [w?.days]).map((d) => parseDay(d, i)))].sort((a, b) => a - b);
+    if (days.length === 0) throw badRequest(`recurring[${i}].days is required`);
+    const start = String(w.start ?? "");
+    const end = String(w.end ?? "");
+    if (!CLOCK.test(start) || !CLOCK.test(end)) throw badRequest(`recurring[${i}]: start and end must be HH:MM`);
+    // windows crossing midnight are written as two windows
+    if (minutesOf(end) <= minutesOf(start)) throw badRequest(`recurring[${i}]: end must be after start`);
+    return { days, start, end };
+  });
+}
+
+/**
+ * Validate the schedule fields of a create/update payload against the current values.
+ * Returns only the fields to set. The legacy `publish: true` publishes now and, when no explicit
+ * window is given, opens the quiz for 24 hours as before.
+ */
+export function normalizeSchedule(body, current = {}, now = new Date()) {
+  const out = {};
+  const timezone = body.timezone !== undefined ? String(body.timezone || "UTC") : current.timezone || "UTC";
+  if (!isValidTimeZone(timezone)) throw badRequest("timezone must be an IANA time zone such as Europe/Berlin");
+  if (body.timezone !== undefined) out.timezone = timezone;
+
+  if (body.startAt !== undefined) out.startAt = parseScheduleDate(body.startAt, timezone, "startAt");
+  if (body.endAt !== undefined) out.endAt = parseScheduleDate(body.endAt, timezone, "endAt");
+  if (body.publishAt !== undefined) out.publishAt = parseScheduleDate(body.publishAt, timezone, "publishAt");
+  if (body.recurring !== undefined) out.recurring = normalizeRecurring(body.recurring);
+  if (body.draft !== undefined) out.draft = body.draft === true || body.draft === "true";
+
+  if (body.publish === true) {
+    out.draft = false;
+    if (body.publishAt === undefined) out.publishAt = null;
+    if (body.startAt === undefined && body.endAt === undefined) {
+      out.startAt = now;
+      out.endAt = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+    }
+  }
+
+  const startAt = out.startAt !== undefined ? out.startAt : current.startAt;
+  const endAt = out.endAt !== undefined ? out.endAt : current.endAt;
+  if (startAt && endAt && new Date(endAt) <= new Date(startAt)) throw badRequest("endAt must be after startAt");
+  return out;
+}
+
+/** Published = not a draft and past publishAt. */
+export function isPublished(quiz, now = new Date()) {
+  if (quiz.draft) return false;
+  return !quiz.publishAt || new Date(quiz.publishAt) <= now;
+}
+
+function inRecurringWindow(quiz, now) {
+  const windows = quiz.recurring || [];
+  if (windows.length === 0) return true;
+  const p = zonedParts(now, quiz.timezone || "UTC");
+  const minutes = p.hour * 60 + p.minute;
+  return windows.some((w) => w.days.includes(p.weekday) && minutes >= minutesOf(w.start) && minutes < minutesOf(w.end));
+}
+
+/** Start of the next recurring window after `now` (within a week), or null. */
+export function nextRecurringStart(quiz, now = new Date()) {
+  const windows = quiz.recurring || [];
+  if (windows.length === 0) return null;
+  const tz = quiz.timezone || "UTC";
+  const today = zonedParts(now, tz);
+  let best = null;
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const weekday = date.getUTCDay();
+    for (const w of windows) {
+      if (!w.days.includes(weekday)) continue;
+      const [hour, minute] = w.start.split(":").map(Number);
+      const at = zonedTimeToUtc({
+        year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), hour, minute
+      }, tz);
+      if (at > now && (!best || at < best)) best = at;
+    }
+    if (best) break;
+  }
+  if (best && quiz.endAt && best > new Date(quiz.endAt)) return null;
+  return best;
+}
+
+/**
+ * Where the quiz stands at `now`:
+ * "draft" | "scheduled" (publishAt in the future) | "upcoming" (before startAt) |
+ * "open" | "between-windows" (recurring, currently outside a window) | "closed" (after endAt)
+ */
+export function scheduleState(quiz, now = new Date()) {
+  if (quiz.draft) return "draft";
+  if (!isPublished(quiz, now)) return "scheduled";
+  if (quiz.startAt && now < new Date(quiz.startAt)) return "upcoming";
+  if (quiz.endAt && now > new Date(quiz.endAt)) return "closed";
+  return inRecurringWindow(quiz, now) ? "open" : "between-windows";
+}
+
+/** Availability check for starting a quiz. Returns an error message or null. */
+export function availabilityError(quiz, now = new Date()) {
+  switch (scheduleState(quiz, now)) {
+    case "draft":
+    case "scheduled":
+      return "Quiz is not published yet";
+    case "upcoming":
+      return "Quiz has not started yet";
+    case "closed":
+      return "Quiz has ended";
+    case "between-windows": {
+      const next = nextRecurringStart(quiz, now);
+      return next
+        ? `Quiz is only available during its scheduled windows (next opens ${next.toISOString()})`
+        : "Quiz is only available during its scheduled windows";
+    }
+    default:
+      return null;
+  }
+}
+
+/** Mongo filter for quizzes that are published at `now` (drafts and future publishAt excluded). */
+export function publishedFilter(now = new Date()) {
+  return {
+    draft: { $ne: true },
+    $or: [{ publishAt: { $exists: false } }, { publishAt: null }, { publishAt: { $lte: now } }]
+  };
+}
+
+/** Schedule fields as returned to clients. */
+export function scheduleView(quiz, now = new Date()) {
+  return {
+    draft: !!quiz.draft,
+    publishAt: quiz.publishAt || null,
+    timezone: quiz.timezone || "UTC",
+    startAt: quiz.startAt || null,
+    endAt: quiz.endAt || null,
+    recurring: (quiz.recurring || []).map((w) => ({ days: [...w.days], start: w.start, end: w.end })),
+    availability: scheduleState(quiz, now),
+    nextWindowAt: nextRecurringStart(quiz, now)
+  };
+}
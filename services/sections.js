@@ -0,0 +1,318 @@
+// server/services/sections.js
+/**
+ * Quiz sections ("Part A: 10 mcq, 15 min", "Part B: short answers, 20 min").
+ *
+ * Quiz.sections: [{ sid, title, description, timeLimitSeconds, shuffleQuestions, navigation }]
+ * Each question names its section in `section` (sid); bank draw rules may too, otherwise drawn
+ * questions go to the last section. shuffleQuestions (null = use settings.shuffleQuestions)
+ * shuffles within the section; sections always run in the order they are listed.
+ *
+ * Graded attempts work through the sections one at a time (QuizSession.sections /
+ * currentSection). Only the current section is served and can be answered; moving on (or its
+ * time running out) locks it for good. Navigation:
+ *   free   - answer the section's questions in any order
+ *   linear - one question at a time in order; moving on locks the question (no going back)
+ * A section's time runs out at its own expiresAt; the next section then starts at that moment,
+ * so time keeps running while the taker is away. Practice sessions and live games only use
+ * the section order.
+ */
+import { questionPoints, round2 } from "./grading.js";
+import QuizSession from "../models/QuizSession.js";
+
+export const NAVIGATION_MODES = ["free", "linear"];
+const MAX_SECTIONS = 20;
+const MAX_TEXT_LENGTH = 2000;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function shuffleInPlace(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+/**
+ * Validate quiz sections against the quiz's questions and settings (bank draw rules; adaptive
+ * quizzes cannot have sections). Returns the cleaned list ([] = no sections; questions'
+ * `section` fields are then ignored). Throws 400 errors.
+ */
+export function normalizeSections(input, questions = [], settings = {}) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) throw httpError(400, "sections must be an array");
+  if (input.length === 0) return [];
+  if (settings?.adaptive?.enabled) throw httpError(400, "Adaptive quizzes cannot have sections");
+  const bankDraws = settings?.bankDraws || [];
+  if (input.length > MAX_SECTIONS) throw httpError(400, `At most ${MAX_SECTIONS} sections`);
+
+  const seen = new Set();
+  const sections = input.map((s, i) => {
+    if (!s || typeof s !== "object") throw httpError(400, `sections[${i}] must be an object`);
+    const sid = s.sid ? String(s.sid).trim() : `s${i + 1}`;
+    if (seen.has(sid)) throw httpError(400, `sections[${i}]: duplicate sid "${sid}"`);
+    seen.add(sid);
+
+    let timeLimitSeconds = null;
+    if (s.timeLimitSeconds !== undefined && s.timeLimitSeconds !== null && s.timeLimitSeconds !== "") {
+      timeLimitSeconds = Number(s.timeLimitSeconds);
+      if (!Number.isInteger(timeLimitSeconds) || timeLimitSeconds <= 0) {
+        throw httpError(400, `sections[${i}].timeLimitSeconds must be a positive integer`);
+      }
+    }
+    const navigation = s.navigation === undefined ? "free" : s.navigation;
+    if (!NAVIGATION_MODES.includes(navigation)) {
+      throw httpError(400, `sections[${i}].navigation must be one of: ${NAVIGATION_MODES.join(", ")}`);
+    }
+    return {
+      sid,
+      title: String(s.title ?? "").trim().slice(0, MAX_TEXT_LENGTH) || `Section ${i + 1}`,
+      description: String(s.description ?? "").trim().slice(0, MAX_TEXT_LENGTH),
+      timeLimitSeconds,
+      shuffleQuestions: s.shuffleQuestions === undefined || s.shuffleQuestions === null ? null : s.shuffleQuestions === true,
+      navigation
+    };
+  });
+
+  const used = new Set();
+  questions.forEach((q, i) => {
+    if (!q.section) throw httpError(400, `questions[${i}] (${q.qid}): section is required when the quiz has sections`);
+    if (!seen.has(String(q.section))) throw httpError(400, `questions[${i}] (${q.qid}): unknown section "${q.section}"`);
+    used.add(String(q.section));
+  });
+  bankDraws.forEach((r, i) => {
+    if (r.section && !seen.has(String(r.section))) throw httpError(400, `bankDraws[${i}]: unknown section "${r.section}"`);
+    used.add(r.section ? String(r.section) : sections[sections.length - 1].sid);
+  });
+  const empty = sections.find((s) => !used.has(s.sid));
+  if (empty) throw httpError(400, `Section "${empty.title}" has no questions`);
+  return sections;
+}
+
+/** Section sid of a snapshot question (unknown or missing: the last section). */
+function sectionOf(q, sections) {
+  return sections.some((s) => s.sid === q.section) ? q.section : sections[sections.length - 1].sid;
+}
+
+/**
+ * Order a question snapshot by section, shuffling inside each section when requested.
+ * Quizzes without sections get the plain settings.shuffleQuestions behaviour.
+ */
+export function orderBySections(quiz, snapshot) {
+  const sections = quiz.sections || [];
+  if (sections.length === 0) {
+    snapshot.forEach((q) => { delete q.section; });
+    return quiz.settings?.shuffleQuestions ? shuffleInPlace(snapshot) : snapshot;
+  }
+  return sections.flatMap((s) => {
+    const own = snapshot.filter((q) => sectionOf(q, sections) === s.sid);
+    own.forEach((q) => { q.section = s.sid; });
+    const shuffle = s.shuffleQuestions ?? quiz.settings?.shuffleQuestions;
+    return shuffle ? shuffleInPlace(own) : own;
+  });
+}
+
+/** Per-session section state for a snapshot ordered by orderBySections(). Times are scaled by multiplier. */
+export function sessionSections(quiz, snapshot, multiplier = 1) {
+  return (quiz.sections || []).map((s) => ({
+    sid: s.sid,
+    title: s.title,
+    description: s.description || "",
+    navigation: s.navigation || "free",
+    timeLimitSeconds: s.timeLimitSeconds ? Math.round(s.timeLimitSeconds * multiplier) : null,
+    qids: snapshot.filter((q) => q.section === s.sid).map((q) => q.qid),
+    position: 0,
+    startedAt: null,
+    expiresAt: null,
+    lockedAt: null
+  }));
+}
+
+/** Total time of the sections when every one is timed, else null. */
+export function sectionsDuration(sections = []) {
+  if (!sections.length || sections.some((s) => !s.timeLimitSeconds)) return null;
+  return sections.reduce((sum, s) => sum + s.timeLimitSeconds, 0);
+}
+
+/**
+ * Start section `index` at `at` (mutates sections). Returns the attempt deadline to store:
+ * entering the last timed section caps expiresAt at that section's end.
+ */
+export function startSection(sections, index, at, expiresAt) {
+  const section = sections[index];
+  section.startedAt = at;
+  section.expiresAt = section.timeLimitSeconds ? new Date(at.getTime() + section.timeLimitSeconds * 1000) : null;
+  if (index === sections.length - 1 && section.expiresAt && (!expiresAt || section.expiresAt < new Date(expiresAt))) {
+    return section.expiresAt;
+  }
+  return expiresAt;
+}
+
+function plainSections(session) {
+  return (session.sections || []).map((s) => (typeof s.toObject === "function" ? s.toObject() : { ...s }));
+}
+
+/** Lock the current section and start the next one (update on a copy of the sections). */
+function advance(session, sections, at) {
+  const from = session.currentSection;
+  sections[from].lockedAt = at;
+  const expiresAt = startSection(sections, from + 1, at, session.expiresAt);
+  return { sections, currentSection: from + 1, expiresAt };
+}
+
+async function writeSections(session, next) {
+  const updated = await QuizSession.findOneAndUpdate(
+    { _id: session._id, status: "in-progress", pausedAt: null, currentSection: session.currentSection },
+    { $set: next },
+    { new: true }
+  ).lean();
+  return updated;
+}
+
+/**
+ * Move past sections whose time ran out (the next one starts when the previous one ended).
+ * Returns the up-to-date session; paused and untimed attempts are returned unchanged.
+ */
+export async function syncSections(session, now = new Date()) {
+  const count = (session.sections || []).length;
+  if (count === 0 || session.status !== "in-progress" || session.pausedAt) return session;
+
+  let next = null;
+  let current = session;
+  while (current.currentSection < count - 1) {
+    const section = current.sections[current.currentSection];
+    if (!section.expiresAt || new Date(section.expiresAt) > now) break;
+    next = advance(current, next?.sections || plainSections(session), new Date(section.expiresAt));
+    current = { ...current, ...next };
+  }
+  if (!next) return session;
+  // someone else moved the attempt on first: use theirs
+  return (await writeSections(session, next)) || QuizSession.findById(session._id).lean();
+}
+
+/** Explicitly finish the current section and start the next one. */
+export async function nextSection(session, now = new Date()) {
+  const count = (session.sections || []).length;
+  if (count === 0) throw httpError(400, "This attempt has no sections");
+  if (session.pausedAt) throw httpError(409, "This attempt is paused");
+  if (session.currentSection >= count - 1) throw httpError(409, "This is the last section; submit the attempt instead");
+  const updated = await writeSections(session, advance(session, plainSections(session), now));
+  if (!updated) throw httpError(409, "Attempt changed meanwhile, please retry");
+  return updated;
+}
+
+/** Linear sections: lock the current question and move to the next one. */
+export async function nextQuestion(session) {
+  const section = session.sections?.[session.currentSection];
+  if (!section || section.navigation !== "linear") throw httpError(400, "The current section does not use linear navigation");
+  if (session.pausedAt) throw httpError(409, "This attempt is paused");
+  if (section.position >= section.qids.length - 1) {
+    throw httpError(409, "This is the last question of the section");
+  }
+  const field = `sections.${session.currentSection}.position`;
+  const updated = await QuizSession.findOneAndUpdate(
+    { _id: session._id, status: "in-progress", pausedAt: null, currentSection: session.currentSection, [field]: section.position },
+    { $set: { [field]: section.position + 1 } },
+    { new: true }
+  ).lean();
+  if (!updated) throw httpError(409, "Attempt changed meanwhile, please retry");
+  return updated;
+}
+
+/** Question ids the taker may answer right now (null = no section rules apply). */
+export function editableQids(session) {
+  const section = session.sections?.[session.currentSection];
+  if (!section) return null;
+  if (section.navigation === "linear") return new Set([section.qids[section.position]]);
+  return new Set(section.qids);
+}
+
+/** Question ids the taker may see right now (null = all). Linear sections show what was reached. */
+export function visibleQids(session) {
+  const section = session.sections?.[session.currentSection];
+  if (!section) return null;
+  return new Set(section.navigation === "linear" ? section.qids.slice(0, section.position + 1) : section.qids);
+}
+
+/** Extra update filter so answers are only written while the taker is still where they were read. */
+export function sectionFilter(session) {
+  const section = session.sections?.[session.currentSection];
+  if (!section) return {};
+  const filter = { currentSection: session.currentSection };
+  if (section.navigation === "linear") filter[`sections.${session.currentSection}.position`] = section.position;
+  return filter;
+}
+
+/** Why `qid` cannot be answered now, or null. */
+export function sectionAnswerError(session, qid) {
+  const editable = editableQids(session);
+  if (!editable || editable.has(qid)) return null;
+  const index = session.sections.findIndex((s) => s.qids.includes(qid));
+  if (index === -1) return "Question not found in this session";
+  if (index < session.currentSection) return "That question is in a section that is already closed";
+  if (index > session.currentSection) return "That question is in a section that has not started yet";
+  const section = session.sections[index];
+  return section.qids.indexOf(qid) < section.position
+    ? "Questions in this section cannot be changed once you move on"
+    : "Questions in this section must be answered in order";
+}
+
+/** Section list as shown to the taker. */
+export function sectionsView(session, now = new Date()) {
+  return (session.sections || []).map((s, i) => {
+    let state = "upcoming";
+    if (i < session.currentSection || session.status !== "in-progress") state = "locked";
+    else if (i === session.currentSection) state = "current";
+    const remaining = state === "current" && s.expiresAt && !session.pausedAt
+      ? Math.max(0, Math.floor((new Date(s.expiresAt) - now) / 1000))
+      : null;
+    return {
+      sid: s.sid,
+      title: s.title,
+      description: s.description,
+      navigation: s.navigation,
+      timeLimitSeconds: s.timeLimitSeconds,
+      questionCount: s.qids.length,
+      state,
+      position: s.navigation === "linear" ? s.position : undefined,
+      startedAt: s.startedAt,
+      expiresAt: s.expiresAt,
+      remainingSeconds: remaining
+    };
+  });
+}
+
+/**
+ * Fields that move the current section's deadline by `ms` (pause/resume, extensions), counted
+ * from `from` instead when the deadline already passed. Returns {} when the current section
+ * is not timed.
+ */
+export function sectionDeadlineShift(session, ms, from = null) {
+  const section = session.sections?.[session.currentSection];
+  if (!section?.expiresAt) return {};
+  const base = Math.max(new Date(section.expiresAt).getTime(), from ? from.getTime() : 0);
+  return { [`sections.${session.currentSection}.expiresAt`]: new Date(base + ms) };
+}
+
+/** Score subtotal per section from graded answers (session.answers or gradeAll details). */
+export function sectionSubtotals(session, graded) {
+  if (!(session.sections || []).length) return undefined;
+  const byQid = new Map((graded || []).map((a) => [a.qid, a]));
+  const questions = new Map((session.questions || []).map((q) => [q.qid, q]));
+  return session.sections.map((s) => {
+    const rows = s.qids.map((qid) => ({ q: questions.get(qid), a: byQid.get(qid) }));
+    return {
+      sid: s.sid,
+      title: s.title,
+      questions: s.qids.length,
+      score: round2(Math.max(0, rows.reduce((sum, r) => sum + (r.a?.earned || 0), 0))),
+      maxScore: round2(rows.reduce((sum, r) => sum + (r.q ? questionPoints(r.q) : 0), 0)),
+      correct: rows.filter((r) => r.a?.isCorrect).length,
+      pending: rows.filter((r) => r.a?.pending).length
+    };
+  });
+}
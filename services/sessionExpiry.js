@@ -0,0 +1,242 @@
+// server/services/sessionExpiry.js
+/**
+ * Background expiry of timed sessions, run inside the server process.
+ *
+ * Every SESSION_EXPIRY_INTERVAL_MS the worker grades in-progress sessions whose expiresAt has
+ * passed, in batches of SESSION_EXPIRY_BATCH_SIZE, until none are left. Each session is claimed
+ * with a single conditional update (status still "in-progress"), so a submit racing the worker
+ * or several server instances running it at once never finish a session twice. Points go through
+ * applyAttemptScore, which is idempotent; sessions whose points are still pending after a crash
+ * are settled on the next run.
+ *
+ * Set SESSION_EXPIRY_WORKER=off to disable it (e.g. on extra instances).
+ */
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import QuizSession from "../models/QuizSession.js";
+import { gradeAll } from "./grading.js";
+import { applyAttemptScore } from "./attemptPolicy.js";
+import { finishAdaptive, adaptiveMaxScore } from "./adaptive.js";
+
+dotenv.config();
+
+const INTERVAL_MS = Math.max(1000, Number(process.env.SESSION_EXPIRY_INTERVAL_MS || 30000));
+const BATCH_SIZE = Math.max(1, Number(process.env.SESSION_EXPIRY_BATCH_SIZE || 200));
+const ENABLED = String(process.env.SESSION_EXPIRY_WORKER || "on").toLowerCase() !== "off";
+// batches per run before yielding to the next tick (the next run starts right away if more are due)
+const MAX_BATCHES_PER_RUN = 50;
+// leave freshly finished sessions to the request that finished them before settling their points
+const SETTLE_GRACE_MS = 60 * 1000;
+
+const state = {
+  started: false,
+  startedAt: null,
+  running: false,
+  timer: null,
+  lastRun: null,
+  totals: { runs: 0, expired: 0, settled: 0, failed: 0 }
+};
+
+/** The fields a timed-out session is finished with (grades whatever answers were saved). */
+export function expiredSessionUpdate(session, now = new Date()) {
+  const answersMap = {};
+  (session.answers || []).forEach((a) => (answersMap[a.qid] = a.userAnswer));
+  const result = gradeAll(session.questions, answersMap, { negativeMarking: session.negativeMarking });
+
+  // answered essays still need a grader (points are applied once they are graded)
+  const pendingReview = result.pendingCount > 0 && !session.isPractice;
+  // keep the timing captured by autosave
+  const saved = {};
+  (session.answers || []).forEach((a) => (saved[a.qid] = a));
+
+  return {
+    status: pendingReview ? "pending-review" : "timed-out",
+    finishedAt: now,
+    autoSubmitted: true,
+    score: result.score,
+    maxScore: session.adaptive ? adaptiveMaxScore(session.adaptive, session.questions, result.maxScore) : result.maxScore,
+    correctCount: result.totalCorrect,
+    answers: result.details.map((d) => ({
+      qid: d.qid,
+      userAnswer: d.userAnswer,
+      isCorrect: d.isCorrect,
+      earned: d.earned,
+      pending: pendingReview && d.pending,
+      timeTakenSeconds: saved[d.qid]?.timeTakenSeconds || 0,
+      timings: saved[d.qid]?.timings || []
+    })),
+    pointsPending: !session.isPractice && !pendingReview,
+    ...(session.adaptive ? { adaptive: finishAdaptive(session.adaptive, session.questions, result.details, now) } : {})
+  };
+}
+
+async function quizFor(session, cache) {
+  const key = String(session.quiz);
+  if (!cache.has(key)) cache.set(key, await Quiz.findById(session.quiz).select("settings").lean());
+  return cache.get(key);
+}
+
+/**
+ * Finish one overdue session if it is still in progress. Returns the finished session, or null
+ * when another worker or a submit got there first. Points are applied for counted attempts.
+ */
+export async function expireSession(session, now = new Date(), quiz) {
+  const claimed = await QuizSession.findOneAndUpdate(
+    { _id: session._id, status: "in-progress", expiresAt: { $lte: now } },
+    { $set: expiredSessionUpdate(session, now) },
+    { new: true }
+  );
+  if (claimed?.pointsPending) {
+    await applyAttemptScore(claimed, quiz || await Quiz.findById(claimed.quiz).select("settings").lean());
+  }
+  return claimed;
+}
+
+/**
+ * Expire one batch of overdue sessions. Returns { found, expired, skipped, failed } where
+ * skipped counts sessions another worker or a submit finished first.
+ */
+export async function expireBatch(now = new Date(), limit = BATCH_SIZE) {
+  const due = await QuizSession.find({ status: "in-progress", expiresAt: { $lte: now } })
+    .sort({ expiresAt: 1 })
+    .limit(limit);
+
+  const counts = { found: due.length, expired: 0, skipped: 0, failed: 0 };
+  const quizzes = new Map();
+  for (const s of due) {
+    try {
+      const claimed = await expireSession(s, now, await quizFor(s, quizzes));
+      if (claimed) counts.expired++;
+      else counts.skipped++;
+    } catch (err) {
+      counts.failed++;
+      console.error("session expiry: failed to expire session", s._id, err);
+    }
+  }
+  return counts;
+}
+
+/** Apply points for finished sessions left pending (crash between the two writes). */
+export async function settlePendingScores(now = new Date(), limit = BATCH_SIZE) {
+  const pending = await QuizSession.find({
+    pointsPending: true,
+    finishedAt: { $lte: new Date(now.getTime() - SETTLE_GRACE_MS) }
+  }).select("quiz user finishedAt").sort({ finishedAt: 1 }).limit(limit).lean();
+
+  const counts = { settled: 0, failed: 0 };
+  const quizzes = new Map();
+  for (const s of pending) {
+    try {
+      await applyAttemptScore(s, await quizFor(s, quizzes));
+      counts.settled++;
+    } catch (err) {
+      counts.failed++;
+      console.error("session expiry: failed to settle points for session", s._id, err);
+    }
+  }
+  return counts;
+}
+
+/**
+ * One run: expire batches until nothing is overdue (or MAX_BATCHES_PER_RUN is reached), then
+ * settle pending points. Returns the run summary; `more` = overdue sessions remain.
+ */
+export async function runExpiry(now = new Date()) {
+  const run = { startedAt: new Date(), finishedAt: null, durationMs: 0, batches: 0, expired: 0, skipped: 0, settled: 0, failed: 0, more: false, error: null };
+  try {
+    let batch;
+    do {
+      batch = await expireBatch(now);
+      run.batches++;
+      run.expired += batch.expired;
+      run.skipped += batch.skipped;
+      run.failed += batch.failed;
+    } while (batch.found === BATCH_SIZE && batch.found > batch.failed && run.batches < MAX_BATCHES_PER_RUN);
+    run.more = batch.found === BATCH_SIZE && batch.found > batch.failed;
+
+    const settled = await settlePendingScores(now);
+    run.settled = settled.settled;
+    run.failed += settled.failed;
+  } catch (err) {
+    run.error = err.message;
+    console.error("session expiry run error:", err);
+  }
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+  return run;
+}
+
+async function tick() {
+  state.timer = null;
+  // wait for the database (the worker starts with the server, before mongoose connects)
+  if (state.running || mongoose.connection.readyState !== 1) return schedule(INTERVAL_MS);
+
+  state.running = true;
+  const run = await runExpiry();
+  state.running = false;
+
+  state.lastRun = run;
+  state.totals.runs++;
+  state.totals.expired += run.expired;
+  state.totals.settled += run.settled;
+  state.totals.failed += run.failed;
+  if (run.expired > 0 || run.settled > 0 || run.failed > 0) {
+    console.log(`session expiry: expired ${run.expired}, settled ${run.settled}, failed ${run.failed} in ${run.durationMs}ms`);
+  }
+  return schedule(run.more ? 0 : INTERVAL_MS);
+}
+
+function schedule(delay) {
+  if (!state.started) return;
+  state.timer = setTimeout(tick, delay);
+  // never keep the process alive just for the worker
+  state.timer.unref?.();
+}
+
+/** Start the worker (no-op when disabled or already started). */
+export function startExpiryWorker() {
+  if (!ENABLED || state.started) return false;
+  state.started = true;
+  state.startedAt = new Date();
+  schedule(0);
+  return true;
+}
+
+export function stopExpiryWorker() {
+  state.started = false;
+  if (state.timer) clearTimeout(state.timer);
+  state.timer = null;
+}
+
+/**
+ * Worker status for the admin endpoint: configuration, last run, totals since start and the
+ * current backlog (overdue in-progress sessions and finished sessions with points pending).
+ */
+export async function expiryStatus(now = new Date()) {
+  const [overdue, oldest, pendingPoints] = await Promise.all([
+    QuizSession.countDocuments({ status: "in-progress", expiresAt: { $lte: now } }),
+    QuizSession.findOne({ status: "in-progress", expiresAt: { $lte: now } })
+      .select("expiresAt")
+      .sort({ expiresAt: 1 })
+      .lean(),
+    QuizSession.countDocuments({ pointsPending: true })
+  ]);
+
+  return {
+    enabled: ENABLED,
+    started: state.started,
+    startedAt: state.startedAt,
+    running: state.running,
+    intervalMs: INTERVAL_MS,
+    batchSize: BATCH_SIZE,
+    lastRun: state.lastRun,
+    totals: { ...state.totals },
+    backlog: {
+      overdueSessions: overdue,
+      oldestExpiresAt: oldest?.expiresAt || null,
+      lagSeconds: oldest ? Math.max(0, Math.round((now - new Date(oldest.expiresAt)) / 1000)) : 0,
+      pendingPoints
+    }
+  };
+}
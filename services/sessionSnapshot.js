@@ -0,0 +1,27 @@
+// server/services/sessionSnapshot.js
+/**
+ * Helpers shared by everything that creates QuizSession records
+ * (regular attempts, practice sessions, live games).
+ */
+import { drawQuestions } from "./questionBank.js";
+import { snapshotQuestion, shuffleSnapshotChoices } from "./questionTypes.js";
+import { orderBySections } from "./sections.js";
+
+/**
+ * Build the per-session question snapshot (including answers, kept server-side):
+ * fixed quiz questions plus a fresh draw from question banks, shuffled if requested
+ * (settings.shuffleQuestions for the order, settings.shuffleChoices for mcq/multi choices).
+ * Quizzes with sections get their questions grouped in section order, shuffled per section.
+ * Throws an error with .status when the banks cannot satisfy the draw rules.
+ */
+export async function buildQuestionsSnapshot(quiz) {
+  const drawn = await drawQuestions(quiz.settings?.bankDraws || []);
+
+  const sources = [...(quiz.questions || []), ...drawn];
+  const questionsSnapshot = sources.map(snapshotQuestion);
+  if (quiz.settings?.shuffleChoices) {
+    questionsSnapshot.forEach((snap, i) => shuffleSnapshotChoices(snap, sources[i]));
+  }
+
+  return orderBySections(quiz, questionsSnapshot);
+}
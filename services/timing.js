@@ -0,0 +1,105 @@
+// server/services/timing.js
+/**
+ * Per-question timing.
+ *
+ * Clients report when a question was shown and when it was answered (or left):
+ *   timings: { q1: { viewedAt, answeredAt }, q2: [{ viewedAt, answeredAt }, ...] }
+ *   or [{ qid, viewedAt, answeredAt }, ...]
+ * Timestamps are ISO strings or epoch milliseconds. A question can be visited several times.
+ *
+ * Intervals are clamped to the session window, de-duplicated by viewedAt (so re-sending the
+ * same intervals on every autosave is harmless) and stored on the answer. timeTakenSeconds is
+ * the length of their union.
+ */
+
+const MAX_INTERVALS_PER_QUESTION = 50;
+
+function toDate(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const d = new Date(typeof value === "string" && /^\d+$/.test(value) ? Number(value) : value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/** Parse a timings payload into Map qid -> [{ viewedAt, answeredAt }] (invalid entries dropped). */
+export function parseTimings(payload) {
+  const out = new Map();
+  if (!payload || typeof payload !== "object") return out;
+
+  const push = (qid, entry) => {
+    if (!qid || !entry || typeof entry !== "object") return;
+    const viewedAt = toDate(entry.viewedAt);
+    const answeredAt = toDate(entry.answeredAt);
+    if (!viewedAt || !answeredAt || answeredAt < viewedAt) return;
+    if (!out.has(String(qid))) out.set(String(qid), []);
+    out.get(String(qid)).push({ viewedAt, answeredAt });
+  };
+
+  if (Array.isArray(payload)) {
+    payload.forEach((t) => push(t?.qid, t));
+  } else {
+    Object.entries(payload).forEach(([qid, value]) => {
+      (Array.isArray(value) ? value : [value]).forEach((t) => push(qid, t));
+    });
+  }
+  return out;
+}
+
+/**
+ * Merge new intervals into the stored ones for a question.
+ * window: { startedAt, endsAt } of the session; intervals are clamped to it.
+ */
+export function mergeTimings(existing = [], incoming = [], window = {}) {
+  const start = window.startedAt ? new Date(window.startedAt).getTime() : -Infinity;
+  const end = window.endsAt ? new Date(window.endsAt).getTime() : Infinity;
+
+  const byStart = new Map();
+  for (const t of [...existing, ...incoming]) {
+    const from = Math.max(new Date(t.viewedAt).getTime(), start);
+    const to = Math.min(new Date(t.answeredAt).getTime(), end);
+    if (!Number.isFinite(from) || !Number.isFinite(to) || to < from) continue;
+    const prev = byStart.get(from);
+    // a later save may extend an interval that was still open
+    if (!prev || to > prev) byStart.set(from, to);
+  }
+  return [...byStart.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .slice(-MAX_INTERVALS_PER_QUESTION)
+    .map(([from, to]) => ({ viewedAt: new Date(from), answeredAt: new Date(to) }));
+}
+
+/** Seconds covered by the union of the intervals (overlapping visits are not double counted). */
+export function secondsFromTimings(intervals = []) {
+  let total = 0;
+  let curStart = null;
+  let curEnd = null;
+  const sorted = intervals
+    .map((t) => [new Date(t.viewedAt).getTime(), new Date(t.answeredAt).getTime()])
+    .sort((a, b) => a[0] - b[0]);
+  for (const [from, to] of sorted) {
+    if (curEnd === null || from > curEnd) {
+      if (curEnd !== null) total += curEnd - curStart;
+      curStart = from;
+      curEnd = to;
+    } else if (to > curEnd) {
+      curEnd = to;
+    }
+  }
+  if (curEnd !== null) total += curEnd - curStart;
+  return Math.round(total / 10) / 100;
+}
+
+/**
+ * Apply a timings payload to a session's answers (plain objects keyed by qid).
+ * Returns a new Map qid -> answer with `timings` and `timeTakenSeconds` updated; questions that
+ * only have timings get an entry without userAnswer. Qids outside allowedQids are ignored.
+ */
+export function applyTimings(answersByQid, timingsPayload, window, allowedQids = null) {
+  const out = new Map(answersByQid);
+  parseTimings(timingsPayload).forEach((intervals, qid) => {
+    if (allowedQids && !allowedQids.has(qid)) return;
+    const current = out.get(qid) || { qid };
+    const timings = mergeTimings(current.timings || [], intervals, window);
+    out.set(qid, { ...current, timings, timeTakenSeconds: secondsFromTimings(timings) });
+  });
+  return out;
+}
@@ -0,0 +1,128 @@
+// server/sockets/liveSocket.js
+/**
+ * WebSocket layer for hosted live games, mounted on the HTTP server at /live.
+ *
+ * Every message is JSON: { type, ...payload }.
+ *
+ * Host (must be the user that created the game via POST /api/live/games):
+ *   { type: "host:join", pin, token }
+ *   { type: "host:start" } | { type: "host:next" } | { type: "host:reveal" } | { type: "host:end" }
+ * Player:
+ *   { type: "join", pin, nickname, token?, rejoinToken? }   (rejoinToken from "joined" re-attaches a guest)
+ *   { type: "answer", qid, answer }
+ *
+ * Server pushes: lobby, host:joined, joined, question, answer:ack, answers:count,
+ * question:result, game:over, player:replaced, error.
+ */
+import { WebSocketServer } from "ws";
+import { authenticateToken } from "../services/authToken.js";
+import {
+  getGame,
+  attachHost,
+  joinGame,
+  leaveGame,
+  startGame,
+  nextQuestion,
+  closeQuestion,
+  endGame,
+  submitAnswer,
+  send
+} from "../services/liveGames.js";
+
+const HEARTBEAT_MS = 30000;
+
+async function handleMessage(socket, msg) {
+  const ctx = socket.ctx;
+
+  switch (msg.type) {
+    case "host:join": {
+      // same checks as authMiddleware: suspended accounts cannot host
+      const { user, error } = msg.token ? await authenticateToken(msg.token) : { error: "Invalid token" };
+      if (!user) return send(socket, "error", { error });
+      const game = getGame(msg.pin);
+      if (!game) return send(socket, "error", { error: "Game not found" });
+      attachHost(game, user.id, socket);
+      socket.ctx = { game, role: "host" };
+      return;
+    }
+
+    case "join": {
+      const { user = null, error } = msg.token ? await authenticateToken(msg.token) : {};
+      if (msg.token && !user) return send(socket, "error", { error });
+      const game = getGame(msg.pin);
+      if (!game) return send(socket, "error", { error: "Game not found" });
+      const player = joinGame(game, { nickname: msg.nickname, user, rejoinToken: msg.rejoinToken, socket });
+      socket.ctx = { game, role: "player", player };
+      return send(socket, "joined", {
+        rejoinToken: player.rejoinToken,
+        nickname: player.nickname,
+        points: player.points,
+        state: game.state,
+        quizTitle: game.quizTitle
+      });
+    }
+
+    case "answer":
+      if (!ctx || ctx.role !== "player") return send(socket, "error", { error: "Join a game first" });
+      return submitAnswer(ctx.game, ctx.player, msg.qid, msg.answer);
+
+    case "host:start":
+    case "host:next":
+    case "host:reveal":
+    case "host:end": {
+      if (!ctx || ctx.role !== "host") return send(socket, "error", { error: "Only the host can do that" });
+      if (msg.type === "host:start") return startGame(ctx.game);
+      if (msg.type === "host:next") return nextQuestion(ctx.game);
+      if (msg.type === "host:reveal") return closeQuestion(ctx.game);
+      return endGame(ctx.game);
+    }
+
+    default:
+      return send(socket, "error", { error: `Unknown message type "${msg.type}"` });
+  }
+}
+
+export function attachLiveSocket(server) {
+  const wss = new WebSocketServer({ server, path: "/live" });
+
+  wss.on("connection", (socket) => {
+    socket.isAlive = true;
+    socket.ctx = null;
+    socket.on("pong", () => { socket.isAlive = true; });
+
+    socket.on("message", (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(String(raw));
+      } catch (err) {
+        return send(socket, "error", { error: "Messages must be JSON" });
+      }
+      if (!msg || typeof msg.type !== "string") return send(socket, "error", { error: "Missing message type" });
+
+      handleMessage(socket, msg).catch((err) => {
+        if (err.status) return send(socket, "error", { error: err.message, requestType: msg.type });
+        console.error("live socket error:", err);
+        send(socket, "error", { error: "Server error" });
+      });
+    });
+
+    socket.on("close", () => {
+      const ctx = socket.ctx;
+      if (!ctx) return;
+      if (ctx.role === "player" && ctx.player.socket === socket) leaveGame(ctx.game, ctx.player);
+      if (ctx.role === "host" && ctx.game.hostSocket === socket) ctx.game.hostSocket = null;
+    });
+  });
+
+  // drop dead connections so players are marked disconnected
+  const interval = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) return socket.terminate();
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_MS);
+  wss.on("close", () => clearInterval(interval));
+
+  return wss;
+}
@@ -0,0 +1,93 @@
+// server/test/attemptPolicy.test.js
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import QuizSession from "../models/QuizSession.js";
+import { checkAttemptAllowed, countedAttempt, normalizeAttemptSettings } from "../services/attemptPolicy.js";
+
+const realFind = QuizSession.find;
+let lastQuery = null;
+
+// used attempts as checkAttemptAllowed reads them (newest finishedAt first)
+function withAttempts(attempts) {
+  QuizSession.find = (query) => {
+    lastQuery = query;
+    const chain = { select: () => chain, sort: () => chain, lean: async () => attempts };
+    return chain;
+  };
+}
+
+afterEach(() => {
+  QuizSession.find = realFind;
+  lastQuery = null;
+});
+
+const now = new Date("2026-03-01T12:00:00Z");
+const minutesAgo = (m) => new Date(now.getTime() - m * 60000);
+
+test("checkAttemptAllowed allows a single attempt by default", async () => {
+  withAttempts([]);
+  assert.equal(await checkAttemptAllowed({ _id: "q", settings: {} }, "u", now), null);
+  withAttempts([{ finishedAt: minutesAgo(60) }]);
+  const denied = await checkAttemptAllowed({ _id: "q", settings: {} }, "u", now);
+  assert.equal(denied.status, 403);
+  assert.match(denied.error, /single attempt only/);
+});
+
+test("checkAttemptAllowed enforces maxAttempts and treats 0 as unlimited", async () => {
+  withAttempts([{ finishedAt: minutesAgo(30) }, { finishedAt: minutesAgo(60) }]);
+  assert.equal(await checkAttemptAllowed({ _id: "q", settings: { maxAttempts: 3 } }, "u", now), null);
+  const denied = await checkAttemptAllowed({ _id: "q", settings: { maxAttempts: 2 } }, "u", now);
+  assert.equal(denied.status, 403);
+  assert.match(denied.error, /all 2 attempts/);
+  assert.equal(await checkAttemptAllowed({ _id: "q", settings: { maxAttempts: 0 } }, "u", now), null);
+});
+
+test("checkAttemptAllowed counts abandoned attempts and leaves out practice and live sessions", async () => {
+  withAttempts([]);
+  await checkAttemptAllowed({ _id: "q", settings: {} }, "u", now);
+  assert.ok(lastQuery.status.$in.includes("abandoned"));
+  assert.ok(lastQuery.status.$in.includes("pending-review"));
+  assert.ok(!lastQuery.status.$in.includes("in-progress"));
+  assert.deepEqual(lastQuery.isPractice, { $ne: true });
+  assert.equal(lastQuery.live, null);
+});
+
+test("checkAttemptAllowed applies the cooldown from the latest attempt", async () => {
+  const quiz = { _id: "q", settings: { maxAttempts: 0, attemptCooldownSeconds: 600 } };
+  withAttempts([{ finishedAt: minutesAgo(4) }, { finishedAt: minutesAgo(60) }]);
+  const waiting = await checkAttemptAllowed(quiz, "u", now);
+  assert.equal(waiting.status, 429);
+  assert.equal(waiting.retryAfterSeconds, 360);
+
+  withAttempts([{ finishedAt: minutesAgo(10) }]);
+  assert.equal(await checkAttemptAllowed(quiz, "u", now), null);
+});
+
+test("checkAttemptAllowed reports the attempt limit before the cooldown", async () => {
+  withAttempts([{ finishedAt: minutesAgo(1) }]);
+  const denied = await checkAttemptAllowed({ _id: "q", settings: { maxAttempts: 1, attemptCooldownSeconds: 600 } }, "u", now);
+  assert.equal(denied.status, 403);
+});
+
+test("countedAttempt picks the attempt for each scoring policy", () => {
+  const sessions = [
+    { score: 4, correctCount: 2 },
+    { score: 9, correctCount: 3 },
+    { score: 5, correctCount: 5 }
+  ];
+  assert.deepEqual(countedAttempt(sessions, "best"), { score: 9, correct: 3 });
+  assert.deepEqual(countedAttempt(sessions, "latest"), { score: 5, correct: 5 });
+  assert.deepEqual(countedAttempt(sessions, "first"), { score: 4, correct: 2 });
+  assert.deepEqual(countedAttempt(sessions, "average"), { score: 6, correct: 3.33 });
+  assert.equal(countedAttempt([], "best"), null);
+  // sessions graded before weighted scoring have no correctCount
+  assert.deepEqual(countedAttempt([{ score: 3 }], "best"), { score: 3, correct: 3 });
+});
+
+test("normalizeAttemptSettings validates limits and cooldowns", () => {
+  assert.deepEqual(normalizeAttemptSettings({ maxAttempts: "3", attemptCooldownSeconds: "30" }), { maxAttempts: 3, attemptCooldownSeconds: 30 });
+  assert.throws(() => normalizeAttemptSettings({ maxAttempts: -1 }), /maxAttempts/);
+  assert.throws(() => normalizeAttemptSettings({ maxAttempts: 1.5 }), /maxAttempts/);
+  assert.throws(() => normalizeAttemptSettings({ attemptCooldownSeconds: -5 }), /attemptCooldownSeconds/);
+  assert.throws(() => normalizeAttemptSettings({ scoringPolicy: "worst" }), /scoringPolicy/);
+});
@@ -0,0 +1,33 @@
+// server/test/grading.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { phraseSimilarity, gradeShort, compileAnswerPattern, parseNumberWithUnit } from "../services/grading.js";
+
+test("phraseSimilarity forgives typos and missing spaces word by word", () => {
+  assert.ok(phraseSimilarity("photosynthesis", "photosynthesys") >= 0.8);
+  assert.equal(phraseSimilarity("new delhi", "newdelhi"), 1);
+  assert.equal(phraseSimilarity("mitochondria", "mito chondria"), 1);
+});
+
+test("phraseSimilarity treats extra or missing words as a mismatch", () => {
+  assert.equal(phraseSimilarity("photosynthesis", "not photosynthesis"), 0);
+  assert.equal(phraseSimilarity("world war two", "world war"), 0);
+});
+
+test("gradeShort rejects a negated answer", () => {
+  assert.equal(gradeShort({ answer_text: "photosynthesis" }, "not photosynthesis").isCorrect, false);
+  assert.equal(gradeShort({ answer_text: "photosynthesis" }, "photosynthesys").isCorrect, true);
+});
+
+test("compileAnswerPattern rejects nested quantifiers", () => {
+  assert.throws(() => compileAnswerPattern("(a+)+b"), /nested quantifiers/);
+  assert.throws(() => compileAnswerPattern("([a-z]+){2,5}"), /nested quantifiers/);
+  assert.ok(compileAnswerPattern("colou?r").test("Colour"));
+  assert.ok(compileAnswerPattern("(?:ab|cd)+").test("abcd"));
+});
+
+test("parseNumberWithUnit strips thousands separators before a unit", () => {
+  assert.deepEqual(parseNumberWithUnit("1,500km"), { value: 1500, unit: "km" });
+  assert.deepEqual(parseNumberWithUnit("1,500 km"), { value: 1500, unit: "km" });
+  assert.deepEqual(parseNumberWithUnit("2,000,000.5 m"), { value: 2000000.5, unit: "m" });
+});
@@ -0,0 +1,101 @@
+// server/test/regrade.test.js
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import QuizSession from "../models/QuizSession.js";
+import User from "../models/User.js";
+import { regradeQuiz, userDeltas } from "../services/regrade.js";
+
+const real = { find: QuizSession.find, updateOne: QuizSession.updateOne, userUpdateOne: User.updateOne };
+
+afterEach(() => {
+  QuizSession.find = real.find;
+  QuizSession.updateOne = real.updateOne;
+  User.updateOne = real.userUpdateOne;
+});
+
+const session = (fields) => ({ status: "finished", isPractice: false, live: null, pointsPending: false, ...fields });
+
+test("userDeltas applies the change of the counted attempt under the scoring policy", () => {
+  const sessions = [
+    session({ _id: "a", user: "u1", score: 4, correctCount: 2 }),
+    session({ _id: "b", user: "u1", score: 6, correctCount: 3 })
+  ];
+  // the regraded attempt overtakes the best one: only the difference counts
+  const updates = new Map([["a", { score: 8, correctCount: 4 }]]);
+  assert.deepEqual(userDeltas(sessions, updates, "best"), [{ userId: "u1", username: undefined, pointsDelta: 2, correctDelta: 1 }]);
+  // under "latest" the regraded attempt does not count
+  assert.deepEqual(userDeltas(sessions, updates, "latest"), []);
+});
+
+test("userDeltas leaves out pending, practice, live and unfinished attempts", () => {
+  const updates = new Map(["p", "x", "l", "r"].map((id) => [id, { score: 10, correctCount: 5 }]));
+  const sessions = [
+    session({ _id: "p", user: "u1", score: 2, correctCount: 1, pointsPending: true }),
+    session({ _id: "x", user: "u2", score: 2, correctCount: 1, isPractice: true }),
+    session({ _id: "l", user: "u3", score: 2, correctCount: 1, live: { gameId: "g" } }),
+    session({ _id: "r", user: "u4", score: 2, correctCount: 1, status: "pending-review" })
+  ];
+  assert.deepEqual(userDeltas(sessions, updates, "best"), []);
+});
+
+const key = (answerIndex) => [{ qid: "q1", type: "mcq", question: "Q1", choices: ["a", "b"], answer_index: answerIndex, points: 1 }];
+const wrongAnswer = [{ qid: "q1", userAnswer: 1, isCorrect: false, earned: 0 }];
+const quiz = { _id: "quiz", settings: { scoringPolicy: "best" }, questions: key(1) };
+
+function mockRegrade(sessions, { written = () => true } = {}) {
+  const calls = { sessions: [], users: [] };
+  QuizSession.find = () => ({ sort: () => ({ lean: async () => sessions }) });
+  QuizSession.updateOne = async (filter, update) => {
+    calls.sessions.push({ filter, update });
+    return { modifiedCount: written(filter) ? 1 : 0 };
+  };
+  User.updateOne = async (filter, update) => {
+    calls.users.push({ filter, update });
+    return { modifiedCount: 1 };
+  };
+  return calls;
+}
+
+test("regradeQuiz credits the corrected key and skips adaptive attempts", async () => {
+  const calls = mockRegrade([
+    session({ _id: "s1", user: "u1", questions: key(0), answers: wrongAnswer, score: 0, correctCount: 0 }),
+    session({ _id: "s2", user: "u2", questions: key(0), answers: wrongAnswer, score: 0, correctCount: 0, adaptive: { method: "irt" } })
+  ]);
+  const result = await regradeQuiz(quiz);
+  assert.equal(result.adaptiveSkipped, 1);
+  assert.equal(result.sessionsUpdated, 1);
+  assert.deepEqual(calls.sessions.map((c) => c.filter._id), ["s1"]);
+  assert.deepEqual(calls.users, [{ filter: { _id: "u1" }, update: { $inc: { points: 1, "stats.totalCorrect": 1 } } }]);
+});
+
+test("regradeQuiz rewrites pending attempts without crediting them", async () => {
+  const calls = mockRegrade([
+    session({ _id: "s1", user: "u1", questions: key(0), answers: wrongAnswer, score: 0, correctCount: 0, pointsPending: true })
+  ]);
+  const result = await regradeQuiz(quiz);
+  assert.equal(result.sessionsUpdated, 1);
+  assert.equal(calls.sessions[0].filter.pointsPending, true);
+  assert.equal(calls.sessions[0].update.$set.score, 1);
+  assert.deepEqual(calls.users, []);
+});
+
+test("regradeQuiz writes each session only if its score is unchanged and credits only those", async () => {
+  const calls = mockRegrade([
+    session({ _id: "s1", user: "u1", questions: key(0), answers: wrongAnswer, score: 0, correctCount: 0 }),
+    session({ _id: "s2", user: "u2", questions: key(0), answers: wrongAnswer, score: 0, correctCount: 0 })
+  ], { written: (filter) => filter._id === "s1" }); // s2 was rewritten by a concurrent regrade
+  const result = await regradeQuiz(quiz);
+  assert.equal(calls.sessions[1].filter.score, 0);
+  assert.equal(calls.sessions[1].filter.regradedAt, null);
+  assert.equal(result.sessionsUpdated, 1);
+  assert.deepEqual(calls.users.map((c) => c.filter._id), ["u1"]);
+});
+
+test("regradeQuiz dry run writes nothing", async () => {
+  const calls = mockRegrade([
+    session({ _id: "s1", user: "u1", questions: key(0), answers: wrongAnswer, score: 0, correctCount: 0 })
+  ]);
+  const result = await regradeQuiz(quiz, { dryRun: true });
+  assert.equal(result.users[0].pointsDelta, 1);
+  assert.deepEqual(calls, { sessions: [], users: [] });
+});
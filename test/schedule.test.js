@@ -0,0 +1,82 @@
+// server/test/schedule.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  zonedParts,
+  zonedTimeToUtc,
+  parseScheduleDate,
+  normalizeRecurring,
+  normalizeSchedule,
+  scheduleState,
+  availabilityError,
+  nextRecurringStart
+} from "../services/schedule.js";
+
+const utc = (iso) => new Date(iso);
+
+test("zonedParts reads the wall clock and weekday in a time zone", () => {
+  const p = zonedParts(utc("2026-03-02T00:30:00Z"), "Asia/Tokyo");
+  assert.deepEqual(p, { year: 2026, month: 3, day: 2, hour: 9, minute: 30, second: 0, weekday: 1 });
+  assert.equal(zonedParts(utc("2026-03-02T00:30:00Z"), "America/New_York").weekday, 0);
+});
+
+test("zonedTimeToUtc follows daylight saving time", () => {
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 1, day: 15, hour: 9 }, "Europe/Berlin").toISOString(), "2026-01-15T08:00:00.000Z");
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 7, day: 15, hour: 9 }, "Europe/Berlin").toISOString(), "2026-07-15T07:00:00.000Z");
+  // 02:30 does not exist on the night clocks go forward: it moves to 03:30 CEST
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 3, day: 29, hour: 2, minute: 30 }, "Europe/Berlin").toISOString(), "2026-03-29T01:30:00.000Z");
+});
+
+test("parseScheduleDate reads times without an offset in the quiz time zone", () => {
+  assert.equal(parseScheduleDate("2026-11-02T09:00", "America/New_York", "startAt").toISOString(), "2026-11-02T14:00:00.000Z");
+  assert.equal(parseScheduleDate("2026-11-02", "Asia/Tokyo", "startAt").toISOString(), "2026-11-01T15:00:00.000Z");
+  assert.equal(parseScheduleDate("2026-11-02T09:00:00Z", "America/New_York", "startAt").toISOString(), "2026-11-02T09:00:00.000Z");
+  assert.equal(parseScheduleDate(null, "UTC", "startAt"), null);
+  assert.throws(() => parseScheduleDate("next monday", "UTC", "startAt"), /startAt must be a valid date/);
+});
+
+test("normalizeRecurring validates days and clock times", () => {
+  assert.deepEqual(normalizeRecurring([{ days: ["Wed", 1, "monday"], start: "09:00", end: "10:30" }]), [{ days: [1, 3], start: "09:00", end: "10:30" }]);
+  assert.throws(() => normalizeRecurring([{ days: [7], start: "09:00", end: "10:00" }]), /days/);
+  assert.throws(() => normalizeRecurring([{ days: [1], start: "9:00", end: "10:00" }]), /HH:MM/);
+  assert.throws(() => normalizeRecurring([{ days: [1], start: "22:00", end: "01:00" }]), /end must be after start/);
+});
+
+test("normalizeSchedule rejects unknown time zones and inverted windows", () => {
+  assert.throws(() => normalizeSchedule({ timezone: "Mars/Olympus" }), /IANA time zone/);
+  assert.throws(() => normalizeSchedule({ startAt: "2026-05-02T10:00Z", endAt: "2026-05-02T09:00Z" }), /endAt must be after startAt/);
+  const now = utc("2026-05-01T12:00:00Z");
+  const legacy = normalizeSchedule({ publish: true }, {}, now);
+  assert.equal(legacy.draft, false);
+  assert.equal(legacy.endAt.toISOString(), "2026-05-02T12:00:00.000Z");
+});
+
+const weekly = { draft: false, timezone: "America/New_York", recurring: [{ days: [1], start: "09:00", end: "10:00" }] };
+
+test("scheduleState checks recurring windows on the quiz's wall clock", () => {
+  // Monday 09:30 in New York (EST)
+  assert.equal(scheduleState(weekly, utc("2026-03-02T14:30:00Z")), "open");
+  assert.equal(scheduleState(weekly, utc("2026-03-02T15:00:00Z")), "between-windows");
+  // Monday 09:30 in Tokyo is still Sunday evening in New York
+  const tokyo = { ...weekly, timezone: "Asia/Tokyo" };
+  assert.equal(scheduleState(tokyo, utc("2026-03-02T00:30:00Z")), "open");
+  assert.equal(scheduleState(weekly, utc("2026-03-02T00:30:00Z")), "between-windows");
+});
+
+test("scheduleState orders draft, scheduled, upcoming and closed", () => {
+  const now = utc("2026-03-02T14:30:00Z");
+  assert.equal(scheduleState({ ...weekly, draft: true }, now), "draft");
+  assert.equal(scheduleState({ ...weekly, publishAt: utc("2026-03-03T00:00:00Z") }, now), "scheduled");
+  assert.equal(scheduleState({ ...weekly, startAt: utc("2026-03-05T00:00:00Z") }, now), "upcoming");
+  assert.equal(scheduleState({ ...weekly, endAt: utc("2026-03-01T00:00:00Z") }, now), "closed");
+});
+
+test("nextRecurringStart finds the next window across a daylight saving change", () => {
+  // after Monday's window; US clocks go forward on Sunday 2026-03-08, so next Monday 09:00 is EDT
+  const next = nextRecurringStart(weekly, utc("2026-03-02T15:30:00Z"));
+  assert.equal(next.toISOString(), "2026-03-09T13:00:00.000Z");
+  assert.match(availabilityError(weekly, utc("2026-03-02T15:30:00Z")), /next opens 2026-03-09T13:00:00.000Z/);
+  // no window left before endAt
+  assert.equal(nextRecurringStart({ ...weekly, endAt: utc("2026-03-05T00:00:00Z") }, utc("2026-03-02T15:30:00Z")), null);
+  assert.equal(availabilityError(weekly, utc("2026-03-02T14:30:00Z")), null);
+});
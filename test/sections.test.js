@@ -0,0 +1,108 @@
+// server/test/sections.test.js
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import QuizSession from "../models/QuizSession.js";
+import {
+  startSection,
+  syncSections,
+  sectionDeadlineShift,
+  editableQids,
+  visibleQids,
+  sectionAnswerError,
+  sectionsView
+} from "../services/sections.js";
+
+const realFindOneAndUpdate = QuizSession.findOneAndUpdate;
+afterEach(() => {
+  QuizSession.findOneAndUpdate = realFindOneAndUpdate;
+});
+
+const t0 = new Date("2026-03-01T09:00:00Z");
+const at = (minutes) => new Date(t0.getTime() + minutes * 60000);
+
+function attempt(fields = {}) {
+  return {
+    _id: "s",
+    status: "in-progress",
+    pausedAt: null,
+    currentSection: 0,
+    expiresAt: null,
+    sections: [
+      { sid: "a", navigation: "free", timeLimitSeconds: 600, qids: ["a1", "a2"], position: 0, startedAt: t0, expiresAt: at(10) },
+      { sid: "b", navigation: "linear", timeLimitSeconds: 300, qids: ["b1", "b2", "b3"], position: 0, startedAt: null, expiresAt: null }
+    ],
+    ...fields
+  };
+}
+
+test("startSection sets the section deadline and caps the attempt at the last timed section", () => {
+  const sections = attempt().sections.map((s) => ({ ...s }));
+  assert.equal(startSection(sections, 0, t0, at(60)).getTime(), at(60).getTime());
+  assert.equal(sections[0].expiresAt.getTime(), at(10).getTime());
+
+  // last section ends before the attempt deadline: the attempt ends with it
+  assert.equal(startSection(sections, 1, at(10), at(60)).getTime(), at(15).getTime());
+  // an earlier attempt deadline wins
+  assert.equal(startSection(sections, 1, at(10), at(12)).getTime(), at(12).getTime());
+});
+
+test("syncSections starts the next section when the previous one ran out", async () => {
+  let written = null;
+  QuizSession.findOneAndUpdate = (filter, update) => {
+    written = { filter, update };
+    return { lean: async () => ({ ...attempt(), ...update.$set }) };
+  };
+  const updated = await syncSections(attempt(), at(12));
+  assert.equal(written.filter.currentSection, 0);
+  assert.equal(updated.currentSection, 1);
+  assert.equal(updated.sections[0].lockedAt.getTime(), at(10).getTime());
+  // the next section started when the previous one ended, not when the taker came back
+  assert.equal(updated.sections[1].startedAt.getTime(), at(10).getTime());
+  assert.equal(updated.sections[1].expiresAt.getTime(), at(15).getTime());
+});
+
+test("syncSections leaves running and paused attempts alone", async () => {
+  QuizSession.findOneAndUpdate = () => assert.fail("nothing should be written");
+  const running = attempt();
+  assert.equal(await syncSections(running, at(5)), running);
+  const paused = attempt({ pausedAt: at(3) });
+  assert.equal(await syncSections(paused, at(30)), paused);
+});
+
+test("sectionDeadlineShift moves the current section deadline", () => {
+  const session = attempt();
+  assert.deepEqual(sectionDeadlineShift(session, 60000), { "sections.0.expiresAt": at(11) });
+  // deadline already passed: counted from `from`
+  assert.deepEqual(sectionDeadlineShift(session, 60000, at(20)), { "sections.0.expiresAt": at(21) });
+  const untimed = attempt({ sections: [{ ...attempt().sections[0], expiresAt: null }] });
+  assert.deepEqual(sectionDeadlineShift(untimed, 60000), {});
+});
+
+test("linear sections only open the current question and lock the ones passed", () => {
+  const session = attempt({ currentSection: 1 });
+  session.sections[1].position = 1;
+  assert.deepEqual([...editableQids(session)], ["b2"]);
+  assert.deepEqual([...visibleQids(session)], ["b1", "b2"]);
+  assert.equal(sectionAnswerError(session, "b2"), null);
+  assert.match(sectionAnswerError(session, "b1"), /cannot be changed once you move on/);
+  assert.match(sectionAnswerError(session, "b3"), /must be answered in order/);
+  assert.match(sectionAnswerError(session, "a1"), /already closed/);
+});
+
+test("free sections open every question of the current section only", () => {
+  const session = attempt();
+  assert.deepEqual([...editableQids(session)], ["a1", "a2"]);
+  assert.equal(sectionAnswerError(session, "a2"), null);
+  assert.match(sectionAnswerError(session, "b1"), /has not started yet/);
+  assert.match(sectionAnswerError(session, "zz"), /not found/);
+  assert.equal(editableQids({ sections: [] }), null);
+});
+
+test("sectionsView shows the remaining time of the current section", () => {
+  const [current, upcoming] = sectionsView(attempt(), at(4));
+  assert.equal(current.state, "current");
+  assert.equal(current.remainingSeconds, 360);
+  assert.equal(upcoming.state, "upcoming");
+  assert.equal(upcoming.position, 0);
+  assert.equal(sectionsView(attempt({ pausedAt: at(2) }), at(4))[0].remainingSeconds, null);
+});
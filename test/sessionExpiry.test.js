@@ -0,0 +1,148 @@
+// server/test/sessionExpiry.test.js
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Quiz from "../models/Quiz.js";
+import QuizSession from "../models/QuizSession.js";
+import User from "../models/User.js";
+import { expiredSessionUpdate, expireBatch, settlePendingScores } from "../services/sessionExpiry.js";
+import { applyAttemptScore } from "../services/attemptPolicy.js";
+
+const real = {
+  quizFindById: Quiz.findById,
+  find: QuizSession.find,
+  findOneAndUpdate: QuizSession.findOneAndUpdate,
+  updateOne: QuizSession.updateOne,
+  userFindOneAndUpdate: User.findOneAndUpdate,
+  userFindById: User.findById
+};
+
+afterEach(() => {
+  Quiz.findById = real.quizFindById;
+  QuizSession.find = real.find;
+  QuizSession.findOneAndUpdate = real.findOneAndUpdate;
+  QuizSession.updateOne = real.updateOne;
+  User.findOneAndUpdate = real.userFindOneAndUpdate;
+  User.findById = real.userFindById;
+});
+
+const now = new Date("2026-03-01T12:00:00Z");
+const questions = [
+  { qid: "q1", type: "mcq", question: "Q1", choices: ["a", "b"], answer_index: 0, points: 2 },
+  { qid: "q2", type: "tf", question: "Q2", answer_text: "true", points: 1 }
+];
+
+/** Chainable stand-in for a mongoose query resolving to `value`. */
+function query(value) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+}
+
+/**
+ * Mock the models behind expiry and scoring. `due` are the overdue sessions, `attempts` what
+ * applyAttemptScore reads, `scored` the session ids already in User.scoredSessions.
+ */
+function mockDb({ due = [], attempts = [], pending = [], claim = (s) => s, scored = new Set() } = {}) {
+  const calls = { claimed: [], userUpdates: [], cleared: [], pendingQuery: null };
+  Quiz.findById = () => query({ settings: { scoringPolicy: "best" } });
+  QuizSession.find = (filter) => {
+    if (filter.status === "in-progress") return query(due);
+    if (filter.pointsPending === true) {
+      calls.pendingQuery = filter;
+      return query(pending);
+    }
+    return query(attempts);
+  };
+  QuizSession.findOneAndUpdate = async (filter, update) => {
+    const s = due.find((d) => d._id === filter._id);
+    const claimed = claim(s) ? { ...s, ...update.$set } : null;
+    if (claimed) calls.claimed.push(claimed);
+    return claimed;
+  };
+  QuizSession.updateOne = async (filter) => {
+    calls.cleared.push(filter);
+    return { modifiedCount: 1 };
+  };
+  User.findOneAndUpdate = async (filter, update) => {
+    if (scored.has(String(filter.scoredSessions.$ne))) return null;
+    scored.add(String(filter.scoredSessions.$ne));
+    calls.userUpdates.push(update);
+    return { _id: filter._id };
+  };
+  User.findById = async (id) => ({ _id: id });
+  return calls;
+}
+
+test("expiredSessionUpdate grades the saved answers and leaves the points pending", () => {
+  const session = {
+    questions,
+    answers: [{ qid: "q1", userAnswer: 0, timeTakenSeconds: 12 }],
+    negativeMarking: 0
+  };
+  const update = expiredSessionUpdate(session, now);
+  assert.equal(update.status, "timed-out");
+  assert.equal(update.autoSubmitted, true);
+  assert.equal(update.score, 2);
+  assert.equal(update.maxScore, 3);
+  assert.equal(update.correctCount, 1);
+  assert.equal(update.pointsPending, true);
+  assert.equal(update.answers[0].timeTakenSeconds, 12);
+
+  assert.equal(expiredSessionUpdate({ ...session, isPractice: true }, now).pointsPending, false);
+});
+
+test("expiredSessionUpdate counts unserved adaptive questions in maxScore", () => {
+  const session = {
+    questions: [questions[1]],
+    answers: [{ qid: "q2", userAnswer: "true" }],
+    adaptive: { method: "staircase", questionCount: 3, responses: [], pool: [questions[0], { ...questions[0], qid: "q3" }], currentQid: "q2" }
+  };
+  const update = expiredSessionUpdate(session, now);
+  assert.equal(update.score, 1);
+  assert.equal(update.maxScore, 5);
+  assert.equal(update.adaptive.currentQid, null);
+});
+
+test("expireBatch finishes overdue sessions and applies their points once", async () => {
+  const due = [{ _id: "s1", quiz: "quiz", user: "u1", questions, answers: [{ qid: "q1", userAnswer: 0 }] }];
+  const calls = mockDb({ due, attempts: [{ _id: "s1", score: 2, correctCount: 1 }] });
+  assert.deepEqual(await expireBatch(now), { found: 1, expired: 1, skipped: 0, failed: 0 });
+  assert.equal(calls.claimed[0].status, "timed-out");
+  assert.deepEqual(calls.userUpdates[0].$inc, { points: 2, "stats.totalCorrect": 1, "stats.quizzesAttempted": 1 });
+  assert.deepEqual(calls.cleared, [{ _id: "s1", pointsPending: true }]);
+});
+
+test("expireBatch skips sessions a submit or another worker finished first", async () => {
+  const due = [{ _id: "s1", quiz: "quiz", user: "u1", questions, answers: [] }];
+  const calls = mockDb({ due, claim: () => false });
+  assert.deepEqual(await expireBatch(now), { found: 1, expired: 0, skipped: 1, failed: 0 });
+  assert.deepEqual(calls.userUpdates, []);
+});
+
+test("settlePendingScores retries pending points after the grace period", async () => {
+  const pending = [{ _id: "s1", quiz: "quiz", user: "u1", finishedAt: new Date(now.getTime() - 120000) }];
+  const calls = mockDb({ pending, attempts: [{ _id: "s1", score: 2, correctCount: 1 }] });
+  assert.deepEqual(await settlePendingScores(now), { settled: 1, failed: 0 });
+  assert.equal(calls.pendingQuery.finishedAt.$lte.getTime(), now.getTime() - 60000);
+  assert.equal(calls.userUpdates.length, 1);
+  assert.deepEqual(calls.cleared, [{ _id: "s1", pointsPending: true }]);
+});
+
+test("applyAttemptScore does not credit a session twice", async () => {
+  const session = { _id: "s1", quiz: "quiz", user: "u1" };
+  const calls = mockDb({ attempts: [{ _id: "s1", score: 2, correctCount: 1 }] });
+  const first = await applyAttemptScore(session, { settings: {} });
+  assert.equal(first.applied, true);
+  assert.equal(first.delta, 2);
+  // a crash after the user update leaves the flag set: the retry only clears it
+  const retry = await applyAttemptScore(session, { settings: {} });
+  assert.equal(retry.applied, false);
+  assert.equal(retry.delta, 0);
+  assert.equal(calls.userUpdates.length, 1);
+  assert.equal(calls.cleared.length, 2);
+});